@@ -5,10 +5,15 @@ import express from 'express';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import OpenTimestamps from 'opentimestamps';
+import { ethers } from 'ethers';
+import { parseOts } from './src/lib/otsParser.js';
+import { relaySignedCommitment, validateSignedCommitment } from './src/lib/signedCommit.js';
+import { getContractAddress } from './src/config.js';
 
 const app = express();
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const PORT = process.env.PORT || 3001;
+const { RELAYER_PRIVATE_KEY, RELAYER_RPC_URL, RELAYER_CONTRACT_ADDRESS } = process.env;
 
 // Environment variable validation
 const portNum = parseInt(PORT, 10);
@@ -74,6 +79,18 @@ const upgradeLimiter = rateLimit({
   message: 'Too many upgrade requests, please try again later.',
 });
 
+const parseLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 60, // Parsing is local, so allow more than upgrades
+  message: 'Too many parse requests, please try again later.',
+});
+
+const relayLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Each relayed commit costs the relayer gas
+  message: 'Too many relay requests, please try again later.',
+});
+
 
 // Apply general rate limiting to all routes
 app.use('/api/', generalLimiter);
@@ -371,6 +388,135 @@ app.post('/api/upgrade', upgradeLimiter, timeout(30000), async (req, res) => {
   }
 });
 
+// POST /api/parse-ots
+app.post('/api/parse-ots', parseLimiter, timeout(30000), async (req, res) => {
+  try {
+    const { otsFile: otsFileArray } = req.body;
+
+    if (!otsFileArray) {
+      return res.status(400).json({ error: 'otsFile array is required' });
+    }
+
+    try {
+      validateOtsFileSize(otsFileArray);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    // Same deserializer the browser uses; a malformed file is a client error
+    let parsed;
+    try {
+      parsed = await parseOts(new Uint8Array(otsFileArray));
+    } catch (parseError) {
+      return res.status(400).json({ error: `Invalid OTS file: ${parseError.message}` });
+    }
+
+    if (NODE_ENV === 'development') {
+      console.log(`[Backend] Parsed OTS file: ${parsed.pending.length} pending, ${parsed.bitcoin.length} Bitcoin attestation(s)`);
+    }
+
+    res.json(parsed);
+
+  } catch (error) {
+    console.error('[Backend] Parse error:', error);
+    const sanitizedError = sanitizeError(error, NODE_ENV === 'production');
+    res.status(500).json({ error: sanitizedError });
+  }
+});
+
+// Gasless commit relayer (disabled unless RELAYER_PRIVATE_KEY and RELAYER_RPC_URL are set, and a registry
+// address is known for the chain: RELAYER_CONTRACT_ADDRESS or the app's configured deployment)
+let relayerPromise = null;
+
+function getRelayer() {
+  if (!RELAYER_PRIVATE_KEY || !RELAYER_RPC_URL) return null;
+  if (!relayerPromise) {
+    relayerPromise = (async () => {
+      const provider = new ethers.JsonRpcProvider(RELAYER_RPC_URL);
+      const network = await provider.getNetwork();
+      const chainId = Number(network.chainId);
+      // Only ever relay to the registry: any other contract could pass the simulation and still burn the relayer's gas
+      const registry = RELAYER_CONTRACT_ADDRESS || getContractAddress(chainId);
+      return {
+        wallet: new ethers.Wallet(RELAYER_PRIVATE_KEY, provider),
+        chainId,
+        contractAddress: registry ? ethers.getAddress(registry) : null,
+      };
+    })();
+    relayerPromise.catch(() => {
+      relayerPromise = null; // Retry on the next request
+    });
+  }
+  return relayerPromise;
+}
+
+// POST /api/relay-commit
+app.post('/api/relay-commit', relayLimiter, timeout(120000), async (req, res) => {
+  try {
+    const relayerReady = getRelayer();
+    if (!relayerReady) {
+      return res.status(503).json({ error: 'Relayer is not configured on this server' });
+    }
+    const relayer = await relayerReady;
+    if (!relayer.contractAddress) {
+      return res.status(503).json({ error: `Relayer has no registry address for chain ${relayer.chainId}; set RELAYER_CONTRACT_ADDRESS` });
+    }
+
+    const doc = req.body;
+    try {
+      validateSignedCommitment(doc);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (doc.chainId !== relayer.chainId) {
+      return res.status(400).json({ error: `This relayer only serves chain ${relayer.chainId}` });
+    }
+    if (ethers.getAddress(doc.contractAddress) !== relayer.contractAddress) {
+      return res.status(400).json({ error: `This relayer only serves the registry at ${relayer.contractAddress}` });
+    }
+
+    // A revert in simulation is the client's problem (stale nonce, root already committed, ...)
+    let tx;
+    try {
+      tx = await relaySignedCommitment(relayer.wallet, doc);
+    } catch (relayError) {
+      if (relayError.code === 'CALL_EXCEPTION') {
+        const reason = relayError.revert?.name || relayError.shortMessage || relayError.message;
+        return res.status(400).json({ error: `Registry rejected the commitment: ${reason}` });
+      }
+      throw relayError;
+    }
+
+    // Once broadcast the client follows the transaction itself, so a revert still returns its hash
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (waitError) {
+      if (waitError.code !== 'CALL_EXCEPTION' || !waitError.receipt) throw waitError;
+      receipt = waitError.receipt;
+    }
+
+    if (NODE_ENV === 'development') {
+      const outcome = receipt.status === 0 ? 'Reverted' : 'Relayed';
+      console.log(`[Backend] ${outcome} commitment ${doc.merkleRoot.slice(0, 18)}... for ${doc.committer} in ${tx.hash}`);
+    }
+
+    res.json({
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      status: receipt.status,
+      relayer: relayer.wallet.address,
+    });
+
+  } catch (error) {
+    console.error('[Backend] Relay error:', error);
+    const sanitizedError = sanitizeError(error, NODE_ENV === 'production');
+    res.status(500).json({ error: sanitizedError });
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -394,6 +540,7 @@ app.listen(portNum, () => {
   console.log('  POST /api/stamp - Stamp a Merkle root');
   console.log('  POST /api/upgrade - Upgrade an OTS file');
   console.log('  POST /api/parse-ots - Parse an OTS file and extract attestations');
+  console.log(`  POST /api/relay-commit - Relay a signed commitment${getRelayer() ? '' : ' (disabled: RELAYER_PRIVATE_KEY / RELAYER_RPC_URL not set)'}`);
   console.log('  GET /api/health - Health check');
 });
 
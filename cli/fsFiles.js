@@ -0,0 +1,66 @@
+// Node filesystem adapter for the Merkle CLI
+// Produces the same {file, relPath} pairs as listFilesFromDirectoryHandle in src/lib/merkle.js,
+// with File-like objects exposing the subset of the File API the hashing code relies on.
+
+import { createReadStream } from 'node:fs';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { normalizeRelPath } from '../src/lib/merkle.js';
+
+/**
+ * Wrap a file on disk in a File-like object (name, size, lastModified, stream(), arrayBuffer())
+ * @param {string} absPath - Absolute path to the file
+ * @param {import('node:fs').Stats} [stats] - Pre-fetched stats (optional)
+ * @returns {Promise<{name: string, size: number, lastModified: number, stream: Function, arrayBuffer: Function}>}
+ */
+export async function openFile(absPath, stats = null) {
+  const st = stats || await stat(absPath);
+  return {
+    name: path.basename(absPath),
+    size: st.size,
+    // Browsers report whole milliseconds for File.lastModified
+    lastModified: Math.floor(st.mtimeMs),
+    stream: () => Readable.toWeb(createReadStream(absPath)),
+    arrayBuffer: async () => {
+      const buf = await readFile(absPath);
+      return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+    },
+  };
+}
+
+/**
+ * Recursively list all files below a directory
+ * Entries are visited in name order so repeated runs produce the same leaf order for duplicate contents.
+ * Symlinks are followed; special files (sockets, FIFOs, devices) are skipped.
+ * @param {string} dirPath - Directory to walk
+ * @returns {Promise<Array<{file: Object, relPath: string, absPath: string}>>} Array of file objects with relative paths
+ */
+export async function listFilesFromDirectory(dirPath) {
+  const rootDir = path.resolve(dirPath);
+  const out = [];
+
+  async function walk(absDir, prefix) {
+    const entries = await readdir(absDir, { withFileTypes: true });
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+      const absPath = path.join(absDir, entry.name);
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const st = entry.isSymbolicLink() ? await stat(absPath) : null;
+
+      if (entry.isFile() || st?.isFile()) {
+        out.push({
+          file: await openFile(absPath, st),
+          relPath: normalizeRelPath(rel),
+          absPath,
+        });
+      } else if (entry.isDirectory() || st?.isDirectory()) {
+        await walk(absPath, rel);
+      }
+    }
+  }
+
+  await walk(rootDir, '');
+  return out;
+}
@@ -0,0 +1,718 @@
+#!/usr/bin/env node
+// Headless Merkle tool for CI and archive servers
+// Mirrors the browser Generator so the same folder yields the same merkle-tree.json
+
+import { readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { ethers } from 'ethers';
+import {
+  buildCommitment,
+  committedPath,
+  hashFileContent,
+  isPathBoundSchema,
+  validateCommitmentJson,
+  verifyCommitment,
+  verifyFile,
+} from '../src/lib/commitment.js';
+import {
+  buildInclusionProof,
+  findLeafIndex,
+  isInclusionProof,
+  validateInclusionProof,
+  verifyInclusionProof,
+} from '../src/lib/inclusionProof.js';
+import { humanBytes, normalizeRelPath, toHex } from '../src/lib/merkle.js';
+import {
+  DEFAULT_FOLDER_POLICY,
+  MAX_METADATA_LENGTH,
+  NETWORK_NAMES,
+  SCHEMA_VERSIONS,
+  getBlockchainShortName,
+} from '../src/lib/constants.js';
+import { getErrorMessage } from '../src/lib/errorHandler.js';
+import {
+  isValidMerkleRootFormat,
+  normalizeMerkleRoot,
+  validateAndChecksumAddress,
+  validateMetadataLength,
+} from '../src/lib/validation.js';
+import { getConfirmationDepth, getContractAddress, getRpcUrl } from '../src/config.js';
+import { buildBlockchainProof, buildCommitMetadata, getRegistryContract } from '../src/lib/registry.js';
+import { getCommitmentProof } from '../src/lib/registryExplorer.js';
+import { diffCommitments, diffToCsv } from '../src/lib/treeDiff.js';
+import { isDirsSchema } from '../src/lib/dirTree.js';
+import { DEFAULT_HASH_ALGORITHM, HASH_ALGORITHMS, getHashAlgorithm } from '../src/lib/hashAlgorithms.js';
+import { waitForConfirmations } from '../src/lib/confirmations.js';
+import { listFilesFromDirectory, openFile } from './fsFiles.js';
+
+const USAGE = `Usage: merkle-tool <command> [options]
+
+Commands:
+  generate <dir>                 Hash a directory and write merkle-tree.json
+  verify <tree.json|root> <path> Verify a folder or a single file against a commitment
+                                 (an inclusion proof JSON is accepted for a single file)
+  proof <tree.json> <file>       Export a merkle-inclusion-proof@1 for one file
+  diff <before.json> <after.json>
+                                 List files added, removed, changed and duplicated between two trees
+  commit <tree.json>             Commit the root to the MerkleRootRegistry from a keystore account
+                                 and write its merkle-blockchain-proof@1
+
+Generate options:
+  -o, --out <file>       Output path (default: ./merkle-tree.json)
+      --stdout           Write the JSON to stdout instead of a file
+      --policy <file>    Folder policy JSON (a merkle-tree.json's folderPolicy is accepted too)
+      --include-hidden   Include hidden files and folders
+      --keep-junk        Do not ignore junk files (.DS_Store, Thumbs.db, ...)
+      --paths            Bind relative paths into leaves (merkle-paths-tree@1)
+      --dirs             Give every directory its own subroot (merkle-dirs-tree@1), so subfolders
+                         verify as a unit
+      --algorithm <name> Hash algorithm: ${Object.keys(HASH_ALGORITHMS).join(', ')} (default: ${DEFAULT_HASH_ALGORITHM})
+      --previous <file>  Earlier merkle-tree.json of the folder: files with the same path, size and
+                         modification time keep its hashes (policy, --paths, --dirs and --algorithm
+                         default to its own)
+      --rehash-all       With --previous: hash every file anyway and list files whose content changed
+                         although size and modification time did not
+  -q, --quiet            Suppress progress output
+  -h, --help             Show this help
+
+Verify options:
+      --policy <file>    Override the folder policy stored in the JSON
+      --include-hidden   Include hidden files and folders
+      --keep-junk        Do not ignore junk files (.DS_Store, Thumbs.db, ...)
+      --paths            Manual root only: the root uses path-bound leaves
+      --dirs             Manual root only: the root uses per-directory subroots
+      --algorithm <name> Manual root only: hash algorithm of the root (default: ${DEFAULT_HASH_ALGORITHM})
+      --prefix <dir>     Path-bound and dirs trees: folder of the tree the path sits in ("/" for the
+                         top level; a single file defaults to the top level, a folder to the folder
+                         its first matching file is committed under)
+      --json             Print the verification result as JSON
+  -q, --quiet            Suppress progress output
+
+Verify exit codes: 0 verified, 1 not verified or error, 2 usage error.
+
+Proof options:
+  -o, --out <file>       Output path (default: <file>.inclusion-proof.json)
+      --stdout           Write the proof to stdout instead of a file
+      --anchor <file>    Embed a merkle-blockchain-proof@1 for the root (repeatable)
+      --prefix <dir>     Path-bound and dirs trees: folder of the tree the file sits in (default: top level)
+
+Diff options:
+      --json             Print the merkle-tree-diff@1 JSON instead of the report
+      --csv              Print CSV instead of the report
+  -o, --out <file>       Write the JSON (or CSV with --csv) to a file and print the report
+
+Diff exit codes: 0 no files added, removed or changed, 1 differences or error, 2 usage error.
+
+Commit options:
+      --keystore <file>  Encrypted JSON keystore of the committing account (required)
+      --password-file <file>
+                         File holding the keystore password (default: $MERKLE_KEYSTORE_PASSWORD)
+      --chain <id>       Chain ID to commit on (required)
+      --rpc <url>        JSON-RPC endpoint (default: VITE_RPC_URL_<id> or the built-in one)
+      --contract <addr>  Registry address (default: VITE_CONTRACT_ADDRESS_<id> or the built-in one)
+      --confirmations <n>
+                         Blocks to wait for (default: VITE_CONFIRMATIONS_<id> or the chain's default)
+      --finality         Also wait until the block is finalized (can take hours on rollups)
+  -o, --out <file>       Output path (default: merkle-proof-<chain>-<date>-<root>.json)
+      --stdout           Write the proof to stdout instead of a file
+  -q, --quiet            Suppress progress output
+
+A root that is already committed is not sent again; its proof is rebuilt from the original transaction.
+`;
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+/**
+ * Write a progress line to stderr (overwrites the previous line on a TTY)
+ * @param {boolean} quiet - Suppress output
+ * @param {string} line - Progress text
+ */
+function progress(quiet, line) {
+  if (quiet) return;
+  if (process.stderr.isTTY) {
+    process.stderr.write(`\r\x1b[K${line}`);
+  } else {
+    process.stderr.write(`${line}\n`);
+  }
+}
+
+function endProgress(quiet) {
+  if (!quiet && process.stderr.isTTY) process.stderr.write('\n');
+}
+
+/**
+ * Resolve the folder policy from CLI options
+ * @param {Object} values - Parsed option values
+ * @param {Object} [basePolicy] - Policy to start from (defaults to DEFAULT_FOLDER_POLICY)
+ * @returns {Promise<Object>} Folder policy
+ */
+async function resolvePolicy(values, basePolicy = DEFAULT_FOLDER_POLICY) {
+  let policy = { ...basePolicy };
+
+  if (values.policy) {
+    const parsed = JSON.parse(await readFile(values.policy, 'utf8'));
+    policy = { ...policy, ...(parsed.folderPolicy || parsed) };
+  }
+  if (values['include-hidden']) policy.includeHidden = true;
+  if (values['keep-junk']) policy.ignoreJunk = false;
+
+  return policy;
+}
+
+/**
+ * Reject an unknown --algorithm as a usage error
+ * @param {string} name - Algorithm name from the command line
+ */
+function checkAlgorithm(name) {
+  try {
+    getHashAlgorithm(name);
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+}
+
+/**
+ * Progress callback for buildCommitment/verifyCommitment that prints one line per file
+ * @param {boolean} quiet - Suppress output
+ * @returns {Function} onProgress handler
+ */
+function fileProgress(quiet) {
+  return (ev) => {
+    if (ev.phase === 'hashing' && ev.status === 'started') {
+      progress(quiet, `Hashing file ${ev.index + 1} of ${ev.total}: ${ev.relPath}`);
+    } else if (ev.phase === 'hashing' && ev.status === 'reused') {
+      progress(quiet, `Unchanged file ${ev.index + 1} of ${ev.total}: ${ev.relPath}`);
+    } else if (ev.phase === 'building') {
+      endProgress(quiet);
+    } else if (ev.phase === 'verifying') {
+      progress(quiet, `Verifying file ${ev.done} of ${ev.total}: ${ev.relPath}`);
+      if (ev.done === ev.total) endProgress(quiet);
+    }
+  };
+}
+
+/**
+ * merkle-tool generate <dir>
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function runGenerate(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'merkle-tree.json' },
+      stdout: { type: 'boolean', default: false },
+      policy: { type: 'string' },
+      'include-hidden': { type: 'boolean', default: false },
+      'keep-junk': { type: 'boolean', default: false },
+      paths: { type: 'boolean', default: false },
+      dirs: { type: 'boolean', default: false },
+      algorithm: { type: 'string' },
+      previous: { type: 'string' },
+      'rehash-all': { type: 'boolean', default: false },
+      quiet: { type: 'boolean', short: 'q', default: false },
+    },
+  });
+
+  if (positionals.length !== 1) throw new UsageError('generate expects exactly one directory');
+  if (values['rehash-all'] && !values.previous) throw new UsageError('--rehash-all needs --previous');
+  if (values.paths && values.dirs) throw new UsageError('--paths and --dirs cannot be combined');
+  if (values.algorithm) checkAlgorithm(values.algorithm);
+
+  const dir = path.resolve(positionals[0]);
+  const outPath = path.resolve(values.out);
+  const previous = values.previous ? validateCommitmentJson(JSON.parse(await readFile(values.previous, 'utf8'))) : null;
+  const policy = await resolvePolicy(values, previous?.folderPolicy || DEFAULT_FOLDER_POLICY);
+
+  progress(values.quiet, `Scanning ${dir}…`);
+  // Never hash our own output file when it is written inside the folder
+  const pairs = (await listFilesFromDirectory(dir)).filter((p) => values.stdout || p.absPath !== outPath);
+  endProgress(values.quiet);
+
+  // Without an explicit layout, an update keeps the previous tree's
+  const inherit = previous !== null && !values.paths && !values.dirs;
+  const tree = await buildCommitment(pairs, policy, {
+    bindPaths: values.paths || (inherit && isPathBoundSchema(previous.schema)),
+    hierarchical: values.dirs || (inherit && isDirsSchema(previous.schema)),
+    algorithm: values.algorithm || previous?.algorithm || DEFAULT_HASH_ALGORITHM,
+    previous,
+    rehashAll: values['rehash-all'],
+    onProgress: fileProgress(values.quiet),
+  });
+  const text = JSON.stringify(tree, null, 2);
+
+  if (tree.incremental && !values.quiet) {
+    const { reused, rehashed, changedUnderSameMetadata } = tree.incremental;
+    process.stderr.write(`Reused ${reused} unchanged file${reused !== 1 ? 's' : ''}, hashed ${rehashed}\n`);
+    for (const p of changedUnderSameMetadata || []) {
+      process.stderr.write(`  CHANGED  ${p} (same size and modification time)\n`);
+    }
+  }
+
+  if (values.stdout) {
+    process.stdout.write(text);
+  } else {
+    await writeFile(outPath, text);
+    if (!values.quiet) {
+      process.stderr.write(`Wrote ${outPath} (${tree.summary.fileCount} files, ${tree.summary.totalBytesHuman})\n`);
+    }
+    process.stdout.write(`${tree.root}\n`);
+  }
+
+  return EXIT_OK;
+}
+
+/**
+ * Load and validate a merkle-tree.json or a merkle-inclusion-proof@1
+ * @param {string} jsonPath - Path to the JSON file
+ * @returns {Promise<Object>} Parsed tree or inclusion proof
+ */
+async function loadTreeJson(jsonPath) {
+  const parsed = JSON.parse(await readFile(jsonPath, 'utf8'));
+  return isInclusionProof(parsed) ? validateInclusionProof(parsed) : validateCommitmentJson(parsed);
+}
+
+/**
+ * Print a human-readable verification report
+ * @param {Object} result - Folder or file result
+ */
+function printVerifyReport(result) {
+  const out = [];
+
+  if (result.target === 'folder') {
+    out.push(result.ok ? 'Folder Verified Successfully' : 'Folder Verification Failed');
+    out.push(`Verification mode: ${{ exact: 'Exact Match', directory: 'Subfolder Match', subset: 'Subset Verification' }[result.verificationMode]}`);
+    if (result.matchedDirectory) {
+      const { path: dirPath, fileCount } = result.matchedDirectory;
+      out.push(`Matched subfolder: ${dirPath}/ (all ${fileCount} file${fileCount !== 1 ? 's' : ''})`);
+    }
+    out.push(`Files found: ${result.selectedCount}`);
+    out.push(`After filtering: ${result.filteredCount}`);
+    if (result.jsonLeafCount !== null) out.push(`JSON leaf count: ${result.jsonLeafCount}`);
+    out.push(`Policy used: ${result.policyUsed}`);
+    out.push(`Expected root: ${result.expected}`);
+    out.push(`${result.matchedDirectory ? 'Computed subfolder root' : 'Computed root'}: ${result.computed}`);
+
+    if (result.verificationMode === 'subset') {
+      const bound = result.committedPrefix !== undefined;
+      if (bound) out.push(`Committed folder: ${result.committedPrefix === null ? '(no file matched)' : `${result.committedPrefix}/`}`);
+      out.push(`Files verified: ${result.verifiedCount} / ${result.totalFiles} (${result.verificationRate}%)`);
+      for (const p of result.filesVerified) out.push(`  ok       ${p}${bound ? ` -> ${committedPath(result.committedPrefix, p)}` : ''}`);
+      for (const p of result.filesMissing) out.push(`  MISSING  ${p}`);
+    }
+  } else {
+    out.push(result.ok ? 'File Verified Successfully' : 'File Verification Failed');
+    out.push(`File: ${result.file}`);
+    out.push(`Content hash: ${result.contentHash}`);
+    if (result.path) out.push(`Committed path: ${result.path}`);
+    if (result.reason) out.push(result.reason);
+  }
+
+  process.stdout.write(`${out.join('\n')}\n`);
+}
+
+/**
+ * merkle-tool verify <merkle-tree.json|root> <path>
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function runVerify(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      policy: { type: 'string' },
+      'include-hidden': { type: 'boolean', default: false },
+      'keep-junk': { type: 'boolean', default: false },
+      paths: { type: 'boolean', default: false },
+      dirs: { type: 'boolean', default: false },
+      algorithm: { type: 'string' },
+      prefix: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      quiet: { type: 'boolean', short: 'q', default: false },
+    },
+  });
+
+  if (positionals.length !== 2) throw new UsageError('verify expects a merkle-tree.json (or root) and a path');
+  if (values.paths && values.dirs) throw new UsageError('--paths and --dirs cannot be combined');
+  if (values.algorithm) checkAlgorithm(values.algorithm);
+
+  const [reference, target] = positionals;
+  const targetPath = path.resolve(target);
+  const quiet = values.quiet || values.json;
+
+  // Manual root mode when the first argument is a root rather than a file
+  let json = null;
+  let jsonPath = null;
+  if (!isValidMerkleRootFormat(reference)) {
+    jsonPath = path.resolve(reference);
+    json = await loadTreeJson(jsonPath);
+  }
+  const commitment = json
+    ? { tree: json }
+    : {
+      root: normalizeMerkleRoot(reference).slice(2),
+      bindPaths: values.paths,
+      hierarchical: values.dirs,
+      algorithm: values.algorithm || DEFAULT_HASH_ALGORITHM,
+    };
+
+  const targetStats = await stat(targetPath);
+  let result;
+
+  if (isInclusionProof(json)) {
+    if (targetStats.isDirectory()) throw new UsageError('an inclusion proof covers a single file; pass that file');
+    const proofResult = await verifyInclusionProof(json, await openFile(targetPath));
+    result = { target: 'file', file: targetPath, ...proofResult };
+  } else if (targetStats.isDirectory()) {
+    const overridden = values.policy || values['include-hidden'] || values['keep-junk'];
+    if (json && !json.folderPolicy && !quiet) {
+      process.stderr.write('Warning: This JSON is missing "folderPolicy". Using default policy.\n');
+    }
+    const policy = await resolvePolicy(values, json?.folderPolicy || DEFAULT_FOLDER_POLICY);
+    const policyUsed = json?.folderPolicy
+      ? (overridden ? 'json.folderPolicy (overridden)' : 'json.folderPolicy')
+      : (overridden ? 'manual' : 'default');
+
+    // Always ignore the proof file if it exists inside the folder
+    const excludePaths = ['merkle-tree.json'];
+    const jsonRel = jsonPath && path.relative(targetPath, jsonPath);
+    if (jsonRel && !jsonRel.startsWith('..') && !path.isAbsolute(jsonRel)) {
+      excludePaths.push(normalizeRelPath(jsonRel.split(path.sep).join('/')));
+    }
+
+    progress(quiet, `Scanning ${targetPath}…`);
+    const pairs = await listFilesFromDirectory(targetPath);
+    endProgress(quiet);
+
+    const folderResult = await verifyCommitment(pairs, commitment, policy, {
+      excludePaths,
+      pathPrefix: values.prefix,
+      onProgress: fileProgress(quiet),
+    });
+    result = { target: 'folder', ...folderResult, policyUsed };
+  } else {
+    const fileResult = await verifyFile(await openFile(targetPath), commitment, { pathPrefix: values.prefix });
+    result = { target: 'file', file: targetPath, ...fileResult };
+  }
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    printVerifyReport(result);
+  }
+
+  return result.ok ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * merkle-tool proof <merkle-tree.json> <file>
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function runProof(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o' },
+      stdout: { type: 'boolean', default: false },
+      anchor: { type: 'string', multiple: true, default: [] },
+      prefix: { type: 'string' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+    },
+  });
+
+  if (positionals.length !== 2) throw new UsageError('proof expects a merkle-tree.json and a file');
+
+  const [treePath, filePath] = positionals.map((p) => path.resolve(p));
+  const tree = validateCommitmentJson(JSON.parse(await readFile(treePath, 'utf8')));
+
+  const anchors = [];
+  for (const anchorPath of values.anchor) {
+    const anchor = JSON.parse(await readFile(anchorPath, 'utf8'));
+    if (anchor.schema !== SCHEMA_VERSIONS.BLOCKCHAIN_PROOF) {
+      throw new Error(`Unsupported anchoring proof schema in ${anchorPath}: "${anchor.schema || '(missing)'}"`);
+    }
+    anchors.push(anchor);
+  }
+
+  const contentHashHex = toHex(await hashFileContent(await openFile(filePath), undefined, tree.algorithm));
+  const leafPath = committedPath(values.prefix, path.basename(filePath));
+  const leafIndex = findLeafIndex(tree, contentHashHex, leafPath);
+  if (leafIndex < 0) {
+    const at = isPathBoundSchema(tree.schema) || isDirsSchema(tree.schema) ? ` at ${leafPath} (set --prefix to its folder in the tree)` : '';
+    process.stderr.write(`merkle-tool: ${filePath} is not part of this Merkle tree${at}\n`);
+    return EXIT_FAILURE;
+  }
+
+  const text = JSON.stringify(buildInclusionProof(tree, leafIndex, { anchors }), null, 2);
+
+  if (values.stdout) {
+    process.stdout.write(text);
+  } else {
+    const outPath = path.resolve(values.out || `${path.basename(filePath)}.inclusion-proof.json`);
+    await writeFile(outPath, text);
+    if (!values.quiet) process.stderr.write(`Wrote ${outPath}\n`);
+  }
+
+  return EXIT_OK;
+}
+
+/**
+ * Print a human-readable diff report
+ * @param {Object} diff - merkle-tree-diff@1
+ */
+function printDiffReport(diff) {
+  const { summary } = diff;
+  const out = [
+    `Before: ${diff.before.root} (${diff.before.fileCount} files, ${humanBytes(diff.before.totalBytes)})`,
+    `After:  ${diff.after.root} (${diff.after.fileCount} files, ${humanBytes(diff.after.totalBytes)})`,
+    diff.byPath ? 'Compared by path' : 'Compared by content hash (a tree does not record paths)',
+    `Unchanged: ${summary.unchanged}`,
+    `Added: ${summary.added} (${humanBytes(summary.addedBytes)})`,
+    `Removed: ${summary.removed} (${humanBytes(summary.removedBytes)})`,
+    `Changed: ${summary.changed} (${humanBytes(summary.changedBytesBefore)} -> ${humanBytes(summary.changedBytesAfter)})`,
+    `Duplicated: ${summary.duplicated}`,
+  ];
+
+  const name = (e) => e.path ?? e.contentHash;
+  for (const e of diff.added) out.push(`  ADDED      ${name(e)} (${humanBytes(e.size)})`);
+  for (const e of diff.removed) out.push(`  REMOVED    ${name(e)} (${humanBytes(e.size)})`);
+  for (const e of diff.changed) {
+    out.push(`  CHANGED    ${e.path} (${humanBytes(e.before.size)} -> ${humanBytes(e.after.size)})`);
+  }
+  for (const e of diff.duplicated) {
+    out.push(`  DUPLICATED ${e.contentHash} (${humanBytes(e.size)}, ${e.countBefore} -> ${e.countAfter} copies)`);
+    for (const p of e.paths || []) out.push(`             ${p}`);
+  }
+
+  process.stdout.write(`${out.join('\n')}\n`);
+}
+
+/**
+ * merkle-tool diff <before.json> <after.json>
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function runDiff(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      csv: { type: 'boolean', default: false },
+      out: { type: 'string', short: 'o' },
+    },
+  });
+
+  if (positionals.length !== 2) throw new UsageError('diff expects two merkle-tree.json files');
+  if (values.json && values.csv) throw new UsageError('choose either --json or --csv');
+
+  const [before, after] = await Promise.all(positionals.map(async (p) => JSON.parse(await readFile(path.resolve(p), 'utf8'))));
+  const diff = diffCommitments(before, after);
+  const text = values.csv ? diffToCsv(diff) : `${JSON.stringify(diff, null, 2)}\n`;
+
+  if (values.out) {
+    await writeFile(path.resolve(values.out), text);
+    printDiffReport(diff);
+  } else if (values.json || values.csv) {
+    process.stdout.write(text);
+  } else {
+    printDiffReport(diff);
+  }
+
+  return diff.identical ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * Read the keystore password from --password-file or MERKLE_KEYSTORE_PASSWORD
+ * @param {Object} values - Parsed option values
+ * @returns {Promise<string>} Password
+ */
+async function readKeystorePassword(values) {
+  if (values['password-file']) {
+    // Editors and `echo` leave a trailing newline that is not part of the password
+    return (await readFile(values['password-file'], 'utf8')).replace(/\r?\n$/, '');
+  }
+  const password = process.env.MERKLE_KEYSTORE_PASSWORD;
+  if (password === undefined) {
+    throw new UsageError('commit needs the keystore password in --password-file or MERKLE_KEYSTORE_PASSWORD');
+  }
+  return password;
+}
+
+/**
+ * Progress line for a waitForConfirmations update
+ * @param {Object} update - Update from onUpdate
+ * @returns {string} Progress text
+ */
+function describeConfirmation(update) {
+  switch (update.status) {
+    case 'confirming':
+      return `Confirming ${update.hash}: ${update.confirmations} of ${update.required} blocks…`;
+    case 'finalizing':
+      return `Waiting for ${update.hash} to be finalized…`;
+    case 'reorged':
+      return `Chain reorganization; waiting for ${update.hash} to be included again…`;
+    case 'replaced':
+      return `Transaction ${update.replacedHash} was sped up as ${update.hash}…`;
+    default:
+      return `Waiting for ${update.hash}…`;
+  }
+}
+
+/**
+ * merkle-tool commit <merkle-tree.json>
+ * The Node counterpart of the browser's BlockchainCommit: same metadata, same proof document.
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function runCommit(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      keystore: { type: 'string' },
+      'password-file': { type: 'string' },
+      chain: { type: 'string' },
+      rpc: { type: 'string' },
+      contract: { type: 'string' },
+      confirmations: { type: 'string' },
+      finality: { type: 'boolean', default: false },
+      out: { type: 'string', short: 'o' },
+      stdout: { type: 'boolean', default: false },
+      quiet: { type: 'boolean', short: 'q', default: false },
+    },
+  });
+
+  if (positionals.length !== 1) throw new UsageError('commit expects exactly one merkle-tree.json');
+  if (!values.keystore) throw new UsageError('commit needs --keystore');
+  const chainId = Number(values.chain);
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) throw new UsageError('commit needs --chain <id>');
+
+  const rpcUrl = values.rpc || getRpcUrl(chainId);
+  if (!rpcUrl) throw new UsageError(`No RPC URL configured for chain ${chainId}; pass --rpc`);
+  const contractAddress = validateAndChecksumAddress(values.contract || getContractAddress(chainId));
+  if (!contractAddress) throw new UsageError(`No valid registry address for chain ${chainId}; pass --contract`);
+  const confirmations = values.confirmations === undefined ? getConfirmationDepth(chainId) : Number(values.confirmations);
+  if (!Number.isSafeInteger(confirmations) || confirmations < 1) throw new UsageError('--confirmations must be a positive integer');
+
+  const tree = validateCommitmentJson(JSON.parse(await readFile(path.resolve(positionals[0]), 'utf8')));
+  const merkleRoot = normalizeMerkleRoot(tree.root);
+  const metadata = buildCommitMetadata(tree);
+  const metadataValidation = validateMetadataLength(metadata, MAX_METADATA_LENGTH);
+  if (!metadataValidation.valid) {
+    throw new Error(`Metadata too long: ${metadataValidation.length} bytes (max ${metadataValidation.maxLength})`);
+  }
+
+  const keystore = await readFile(path.resolve(values.keystore), 'utf8');
+  const password = await readKeystorePassword(values);
+  progress(values.quiet, 'Decrypting keystore…');
+  const account = await ethers.Wallet.fromEncryptedJson(keystore, password).catch((error) => {
+    throw error?.argument === 'password' ? new Error('Incorrect keystore password.') : error;
+  });
+  endProgress(values.quiet);
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true });
+  try {
+    // Refuse to sign for one chain and broadcast to another
+    const rpcChainId = Number(await provider.send('eth_chainId', []));
+    if (rpcChainId !== chainId) {
+      throw new Error(`RPC endpoint ${rpcUrl} serves chain ${rpcChainId}, not ${chainId}.`);
+    }
+    if ((await provider.getCode(contractAddress)) === '0x') {
+      throw new Error(`No contract deployed at ${contractAddress} on ${NETWORK_NAMES[chainId] || `chain ${chainId}`}.`);
+    }
+
+    const signer = account.connect(provider);
+    const contract = getRegistryContract(signer, contractAddress);
+    let proof;
+
+    if (await contract.isCommitted(merkleRoot)) {
+      ({ proof } = await getCommitmentProof({ chainId, provider, contract, contractAddress }, merkleRoot));
+      if (!proof) throw new Error('Root is already committed, but the original transaction could not be located.');
+      if (!values.quiet) process.stderr.write(`Root already committed by ${proof.committer}; rebuilt its proof.\n`);
+    } else {
+      progress(values.quiet, `Committing ${merkleRoot} from ${account.address}…`);
+      const tx = await contract.commitMerkleRoot(merkleRoot, metadata);
+      const { receipt, confirmation } = await waitForConfirmations(provider, tx, {
+        chainId,
+        confirmations,
+        waitForFinality: values.finality,
+        onUpdate: (update) => progress(values.quiet, describeConfirmation(update)),
+      });
+      endProgress(values.quiet);
+
+      proof = buildBlockchainProof({
+        merkleRoot,
+        metadata,
+        chainId,
+        contractAddress,
+        committer: account.address,
+        txHash: receipt.hash,
+        receipt,
+        confirmation,
+      });
+    }
+
+    const text = JSON.stringify(proof, null, 2);
+    if (values.stdout) {
+      process.stdout.write(text);
+    } else {
+      // Same file name the browser uses for downloaded proofs
+      const date = new Date(proof.transaction.timestamp).toISOString().slice(0, 10).replace(/-/g, '');
+      const defaultName = `merkle-proof-${getBlockchainShortName(chainId)}-${date}-${merkleRoot.slice(2, 10)}.json`;
+      const outPath = path.resolve(values.out || defaultName);
+      await writeFile(outPath, text);
+      if (!values.quiet) process.stderr.write(`Wrote ${outPath}\n`);
+      process.stdout.write(`${proof.transaction.hash}\n`);
+    }
+  } finally {
+    provider.destroy();
+  }
+
+  return EXIT_OK;
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+
+  if (!command || command === '-h' || command === '--help' || rest.includes('-h') || rest.includes('--help')) {
+    process.stdout.write(USAGE);
+    return command ? EXIT_OK : EXIT_USAGE;
+  }
+
+  try {
+    switch (command) {
+      case 'generate':
+        return await runGenerate(rest);
+      case 'verify':
+        return await runVerify(rest);
+      case 'proof':
+        return await runProof(rest);
+      case 'diff':
+        return await runDiff(rest);
+      case 'commit':
+        return await runCommit(rest);
+      default:
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    if (error instanceof UsageError || error?.code?.startsWith?.('ERR_PARSE_ARGS')) {
+      process.stderr.write(`merkle-tool: ${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    process.stderr.write(`merkle-tool: ${getErrorMessage(error)}\n`);
+    return EXIT_FAILURE;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -7,6 +7,8 @@ pragma solidity ^0.8.19;
  * @notice A registry for committing Merkle roots to the blockchain for timestamping purposes.
  * @dev This contract allows users to commit Merkle roots with metadata for immutable timestamping.
  *      Each Merkle root can only be committed once, and metadata can be updated by the original committer.
+ *      A commitment can also be authorized off-chain with an EIP-712 signature and submitted by a relayer
+ *      that pays the gas; the signer, not the relayer, is recorded as committer.
  */
 contract MerkleRootRegistry {
     /// @notice Maximum allowed length for metadata strings (2048 bytes to prevent gas exhaustion)
@@ -24,6 +26,36 @@ contract MerkleRootRegistry {
     /// @notice Custom error for when attempting to update non-existent commitment
     error CommitmentDoesNotExist(bytes32 merkleRoot);
 
+    /// @notice Custom error for when a batch has a different number of roots and metadata strings
+    error BatchLengthMismatch(uint256 rootsLength, uint256 metadataLength);
+
+    /// @notice Custom error for when a batch contains no roots
+    error EmptyBatch();
+
+    /// @notice Custom error for when a signed commitment is submitted after its deadline
+    error SignatureExpired(uint256 deadline);
+
+    /// @notice Custom error for when a signature does not recover to the stated committer
+    error InvalidSignature();
+
+    /// @notice Custom error for when an inclusion proof has a different number of siblings and positions
+    error ProofLengthMismatch(uint256 proofLength, uint256 positionsLength);
+
+    /// @notice EIP-712 type hash of a signed commitment
+    bytes32 public constant COMMIT_TYPEHASH =
+        keccak256("Commit(bytes32 merkleRoot,string metadata,address committer,uint256 nonce,uint256 deadline)");
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant NAME_HASH = keccak256("MerkleRootRegistry");
+    bytes32 private constant VERSION_HASH = keccak256("1");
+
+    /// @dev secp256k1n / 2; signatures with a larger s are malleable duplicates and are rejected
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    uint256 private immutable _cachedChainId;
+    bytes32 private immutable _cachedDomainSeparator;
+
     /**
      * @notice Commitment structure storing all details about a committed Merkle root
      * @dev Fields are ordered to optimize storage packing:
@@ -47,6 +79,9 @@ contract MerkleRootRegistry {
     /// @notice Mapping from user address to their committed roots
     mapping(address => bytes32[]) public userCommitments;
 
+    /// @notice Next signature nonce per committer; each signed commitment consumes one
+    mapping(address => uint256) public nonces;
+
     /**
      * @notice Emitted when a Merkle root is committed to the blockchain
      * @param merkleRoot The committed Merkle root hash
@@ -73,6 +108,20 @@ contract MerkleRootRegistry {
         string newMetadata
     );
 
+    constructor() {
+        _cachedChainId = block.chainid;
+        _cachedDomainSeparator = _buildDomainSeparator();
+    }
+
+    /**
+     * @notice EIP-712 domain separator for signed commitments
+     * @dev Cached at deployment and recomputed if the chain ID changes (e.g. after a fork)
+     * @return bytes32 Domain separator for name "MerkleRootRegistry", version "1", this chain and this contract
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return block.chainid == _cachedChainId ? _cachedDomainSeparator : _buildDomainSeparator();
+    }
+
     /**
      * @notice Commit a Merkle root to the blockchain with associated metadata
      * @dev Each Merkle root can only be committed once. Metadata length is limited to prevent gas exhaustion.
@@ -81,6 +130,73 @@ contract MerkleRootRegistry {
      * @custom:security This function validates that the root hasn't been committed and metadata length is within limits
      */
     function commitMerkleRoot(bytes32 merkleRoot, string calldata metadata) external {
+        _commit(merkleRoot, metadata, msg.sender);
+    }
+
+    /**
+     * @notice Commit a Merkle root on behalf of a committer who signed it off-chain (EIP-712)
+     * @dev Anyone may submit the signature and pay the gas; `committer` is recorded as the committer and
+     *      can later update the metadata. The signature covers the committer's current nonce, so it
+     *      can be used once, and a deadline after which it is rejected.
+     * @param merkleRoot The Merkle root hash to commit (32 bytes)
+     * @param metadata JSON string containing metadata about the commitment (max 2048 bytes)
+     * @param committer The address that signed the commitment
+     * @param deadline Unix time after which the signature is no longer accepted
+     * @param signature 65-byte ECDSA signature (r, s, v) over the Commit struct
+     * @custom:security Rejects expired, reused (via nonce), malleable and mis-signed signatures
+     */
+    function commitMerkleRootWithSignature(
+        bytes32 merkleRoot,
+        string calldata metadata,
+        address committer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        if (block.timestamp > deadline) {
+            revert SignatureExpired(deadline);
+        }
+
+        bytes32 structHash = keccak256(
+            abi.encode(COMMIT_TYPEHASH, merkleRoot, keccak256(bytes(metadata)), committer, nonces[committer], deadline)
+        );
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        if (committer == address(0) || _recover(digest, signature) != committer) {
+            revert InvalidSignature();
+        }
+
+        nonces[committer]++;
+        _commit(merkleRoot, metadata, committer);
+    }
+
+    /**
+     * @notice Commit several Merkle roots in one transaction
+     * @dev The batch is atomic: if any root is already committed (or repeated within the batch) or any
+     *      metadata string is too long, the whole transaction reverts. Emits one MerkleRootCommitted per root.
+     * @param merkleRoots The Merkle root hashes to commit
+     * @param metadata JSON metadata strings, one per root in the same order (each max 2048 bytes)
+     * @custom:security Same per-root checks as commitMerkleRoot; array lengths must match
+     */
+    function commitMerkleRoots(bytes32[] calldata merkleRoots, string[] calldata metadata) external {
+        if (merkleRoots.length == 0) {
+            revert EmptyBatch();
+        }
+        if (merkleRoots.length != metadata.length) {
+            revert BatchLengthMismatch(merkleRoots.length, metadata.length);
+        }
+
+        for (uint256 i = 0; i < merkleRoots.length; i++) {
+            _commit(merkleRoots[i], metadata[i], msg.sender);
+        }
+    }
+
+    /**
+     * @notice Record a single commitment
+     * @dev Shared by commitMerkleRoot, commitMerkleRoots and commitMerkleRootWithSignature
+     * @param merkleRoot The Merkle root hash to commit
+     * @param metadata JSON metadata string (max 2048 bytes)
+     * @param committer Address recorded as committer (msg.sender, or the signer of a relayed commitment)
+     */
+    function _commit(bytes32 merkleRoot, string calldata metadata, address committer) private {
         // Check if root already committed (using custom error for gas efficiency)
         if (commitments[merkleRoot].committer != address(0)) {
             revert MerkleRootAlreadyCommitted(merkleRoot);
@@ -94,16 +210,45 @@ contract MerkleRootRegistry {
 
         Commitment memory commitment = Commitment({
             merkleRoot: merkleRoot,
-            committer: msg.sender,
+            committer: committer,
             blockNumber: block.number,
             timestamp: block.timestamp,
             metadata: metadata
         });
 
         commitments[merkleRoot] = commitment;
-        userCommitments[msg.sender].push(merkleRoot);
+        userCommitments[committer].push(merkleRoot);
+
+        emit MerkleRootCommitted(merkleRoot, committer, block.number, metadata);
+    }
+
+    /**
+     * @notice Compute the EIP-712 domain separator for the current chain
+     * @return bytes32 Domain separator
+     */
+    function _buildDomainSeparator() private view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, NAME_HASH, VERSION_HASH, block.chainid, address(this)));
+    }
+
+    /**
+     * @notice Recover the signer of a digest from a 65-byte signature
+     * @param digest The signed EIP-712 digest
+     * @param signature Signature as r (32 bytes) || s (32 bytes) || v (1 byte)
+     * @return address The signer, or address(0) if the signature is malformed or malleable
+     */
+    function _recover(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        if (signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (uint256(s) > MAX_S || (v != 27 && v != 28)) {
+            return address(0);
+        }
 
-        emit MerkleRootCommitted(merkleRoot, msg.sender, block.number, metadata);
+        return ecrecover(digest, v, r, s);
     }
 
     /**
@@ -133,6 +278,53 @@ contract MerkleRootRegistry {
         return commitments[merkleRoot].committer != address(0);
     }
 
+    /**
+     * @notice Check a file's inclusion proof against a committed Merkle root
+     * @dev Reproduces the app's SHA-256 construction (merkle-bytes-tree@1) with the sha256 precompile:
+     *      leaf = sha256("leaf\x00" || contentHash), node = sha256("node\x00" || left || right).
+     *      Path-bound, per-directory and non-SHA-256 trees hash their leaves differently and are not supported.
+     * @param merkleRoot The Merkle root the proof leads to
+     * @param contentHash SHA-256 of the file's content
+     * @param proof Sibling hashes from the leaf up to the root
+     * @param positions For each sibling, true if it sits on the left ("left" in merkle-inclusion-proof@1)
+     * @return committed True if merkleRoot has been committed to this registry
+     * @return included True if the proof folds contentHash up to merkleRoot
+     */
+    function verifyInclusion(
+        bytes32 merkleRoot,
+        bytes32 contentHash,
+        bytes32[] calldata proof,
+        bool[] calldata positions
+    ) external view returns (bool committed, bool included) {
+        if (proof.length != positions.length) {
+            revert ProofLengthMismatch(proof.length, positions.length);
+        }
+
+        committed = commitments[merkleRoot].committer != address(0);
+        included = _computeRoot(contentHash, proof, positions) == merkleRoot;
+    }
+
+    /**
+     * @notice Fold a leaf and its sibling path up to a root
+     * @param contentHash SHA-256 of the file's content
+     * @param proof Sibling hashes from the leaf up to the root
+     * @param positions For each sibling, true if it sits on the left
+     * @return bytes32 The computed root
+     */
+    function _computeRoot(
+        bytes32 contentHash,
+        bytes32[] calldata proof,
+        bool[] calldata positions
+    ) private pure returns (bytes32) {
+        bytes32 running = sha256(abi.encodePacked("leaf\x00", contentHash));
+        for (uint256 i = 0; i < proof.length; i++) {
+            running = positions[i]
+                ? sha256(abi.encodePacked("node\x00", proof[i], running))
+                : sha256(abi.encodePacked("node\x00", running, proof[i]));
+        }
+        return running;
+    }
+
     /**
      * @notice Get the total number of commitments by a user
      * @param user The address to query
@@ -14,6 +14,9 @@ contract MerkleRootRegistryTest is Test {
     string testMetadata1 = '{"fileCount": 5, "totalBytes": 1024}';
     string testMetadata2 = '{"fileCount": 10, "totalBytes": 2048}';
 
+    // Mirrors MerkleRootRegistry.MerkleRootCommitted for vm.expectEmit
+    event MerkleRootCommitted(bytes32 indexed merkleRoot, address indexed committer, uint256 indexed blockNumber, string metadata);
+
     function setUp() public {
         registry = new MerkleRootRegistry();
     }
@@ -266,4 +269,406 @@ contract MerkleRootRegistryTest is Test {
         MerkleRootRegistry.Commitment memory commitment = registry.getCommitment(testMerkleRoot1);
         assertEq(bytes(commitment.metadata).length, 0);
     }
+
+    // Batch commitments
+    function _batch(bytes32 a, bytes32 b) internal view returns (bytes32[] memory roots, string[] memory metadata) {
+        roots = new bytes32[](2);
+        roots[0] = a;
+        roots[1] = b;
+        metadata = new string[](2);
+        metadata[0] = testMetadata1;
+        metadata[1] = testMetadata2;
+    }
+
+    function testCommitMerkleRoots() public {
+        (bytes32[] memory roots, string[] memory metadata) = _batch(testMerkleRoot1, testMerkleRoot2);
+
+        vm.prank(user1);
+        registry.commitMerkleRoots(roots, metadata);
+
+        MerkleRootRegistry.Commitment memory commitment1 = registry.getCommitment(testMerkleRoot1);
+        assertEq(commitment1.committer, user1);
+        assertEq(commitment1.blockNumber, block.number);
+        assertEq(commitment1.metadata, testMetadata1);
+
+        MerkleRootRegistry.Commitment memory commitment2 = registry.getCommitment(testMerkleRoot2);
+        assertEq(commitment2.committer, user1);
+        assertEq(commitment2.metadata, testMetadata2);
+
+        bytes32[] memory userCommitments = registry.getUserCommitments(user1);
+        assertEq(userCommitments.length, 2);
+        assertEq(userCommitments[0], testMerkleRoot1);
+        assertEq(userCommitments[1], testMerkleRoot2);
+    }
+
+    function testCommitMerkleRootsEmitsEventPerRoot() public {
+        (bytes32[] memory roots, string[] memory metadata) = _batch(testMerkleRoot1, testMerkleRoot2);
+
+        vm.expectEmit(true, true, true, true);
+        emit MerkleRootCommitted(testMerkleRoot1, user1, block.number, testMetadata1);
+        vm.expectEmit(true, true, true, true);
+        emit MerkleRootCommitted(testMerkleRoot2, user1, block.number, testMetadata2);
+
+        vm.prank(user1);
+        registry.commitMerkleRoots(roots, metadata);
+    }
+
+    function testCannotCommitEmptyBatch() public {
+        vm.prank(user1);
+        vm.expectRevert(MerkleRootRegistry.EmptyBatch.selector);
+        registry.commitMerkleRoots(new bytes32[](0), new string[](0));
+    }
+
+    function testCannotCommitBatchWithLengthMismatch() public {
+        (bytes32[] memory roots, ) = _batch(testMerkleRoot1, testMerkleRoot2);
+        string[] memory metadata = new string[](1);
+        metadata[0] = testMetadata1;
+
+        vm.prank(user1);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                MerkleRootRegistry.BatchLengthMismatch.selector,
+                2,
+                1
+            )
+        );
+        registry.commitMerkleRoots(roots, metadata);
+    }
+
+    function testBatchRevertsAtomicallyOnCommittedRoot() public {
+        vm.prank(user2);
+        registry.commitMerkleRoot(testMerkleRoot2, testMetadata2);
+
+        (bytes32[] memory roots, string[] memory metadata) = _batch(testMerkleRoot1, testMerkleRoot2);
+
+        vm.prank(user1);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                MerkleRootRegistry.MerkleRootAlreadyCommitted.selector,
+                testMerkleRoot2
+            )
+        );
+        registry.commitMerkleRoots(roots, metadata);
+
+        // The first root of the reverted batch must not be committed
+        assertFalse(registry.isCommitted(testMerkleRoot1));
+        assertEq(registry.getUserCommitmentCount(user1), 0);
+    }
+
+    function testCannotCommitBatchWithRepeatedRoot() public {
+        (bytes32[] memory roots, string[] memory metadata) = _batch(testMerkleRoot1, testMerkleRoot1);
+
+        vm.prank(user1);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                MerkleRootRegistry.MerkleRootAlreadyCommitted.selector,
+                testMerkleRoot1
+            )
+        );
+        registry.commitMerkleRoots(roots, metadata);
+    }
+
+    function testBatchMetadataLengthLimit() public {
+        (bytes32[] memory roots, string[] memory metadata) = _batch(testMerkleRoot1, testMerkleRoot2);
+        bytes memory metadataBytes = new bytes(2049);
+        for (uint i = 0; i < 2049; i++) {
+            metadataBytes[i] = bytes1(uint8(65 + (i % 26)));
+        }
+        metadata[1] = string(metadataBytes);
+
+        vm.prank(user1);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                MerkleRootRegistry.MetadataTooLong.selector,
+                2049,
+                2048
+            )
+        );
+        registry.commitMerkleRoots(roots, metadata);
+        assertFalse(registry.isCommitted(testMerkleRoot1));
+    }
+
+    // Gas benchmark: a batch should cost less per root than separate transactions
+    function testGasCommitMerkleRoots() public {
+        uint256 count = 10;
+        bytes32[] memory roots = new bytes32[](count);
+        string[] memory metadata = new string[](count);
+        for (uint i = 0; i < count; i++) {
+            roots[i] = keccak256(abi.encodePacked("batch root", i));
+            metadata[i] = testMetadata1;
+        }
+
+        uint256 gasBefore = gasleft();
+        registry.commitMerkleRoots(roots, metadata);
+        uint256 gasUsed = gasBefore - gasleft();
+
+        emit log_named_uint("Gas used for commitMerkleRoots (10 roots)", gasUsed);
+        assertLt(gasUsed, count * 200000);
+    }
+
+    // ---------- Signed (relayed) commitments ----------
+
+    uint256 constant SIGNER_KEY = 0xA11CE;
+    address relayer = address(0x3);
+
+    function _signCommit(uint256 key, bytes32 merkleRoot, string memory metadata, uint256 nonce, uint256 deadline)
+        internal
+        view
+        returns (bytes memory)
+    {
+        bytes32 structHash = keccak256(
+            abi.encode(registry.COMMIT_TYPEHASH(), merkleRoot, keccak256(bytes(metadata)), vm.addr(key), nonce, deadline)
+        );
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", registry.DOMAIN_SEPARATOR(), structHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(key, digest);
+        return abi.encodePacked(r, s, v);
+    }
+
+    function testCommitWithSignature() public {
+        address signer = vm.addr(SIGNER_KEY);
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signCommit(SIGNER_KEY, testMerkleRoot1, testMetadata1, 0, deadline);
+
+        vm.expectEmit(true, true, true, true);
+        emit MerkleRootCommitted(testMerkleRoot1, signer, block.number, testMetadata1);
+
+        vm.prank(relayer);
+        registry.commitMerkleRootWithSignature(testMerkleRoot1, testMetadata1, signer, deadline, signature);
+
+        MerkleRootRegistry.Commitment memory commitment = registry.getCommitment(testMerkleRoot1);
+        assertEq(commitment.committer, signer);
+        assertEq(commitment.metadata, testMetadata1);
+        assertEq(registry.nonces(signer), 1);
+        assertEq(registry.getUserCommitmentCount(signer), 1);
+        assertEq(registry.getUserCommitmentCount(relayer), 0);
+    }
+
+    function testSignerCanUpdateRelayedCommitment() public {
+        address signer = vm.addr(SIGNER_KEY);
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signCommit(SIGNER_KEY, testMerkleRoot1, testMetadata1, 0, deadline);
+
+        vm.prank(relayer);
+        registry.commitMerkleRootWithSignature(testMerkleRoot1, testMetadata1, signer, deadline, signature);
+
+        vm.prank(relayer);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                MerkleRootRegistry.OnlyCommitterCanUpdate.selector,
+                relayer,
+                signer
+            )
+        );
+        registry.updateMetadata(testMerkleRoot1, testMetadata2);
+
+        vm.prank(signer);
+        registry.updateMetadata(testMerkleRoot1, testMetadata2);
+        assertEq(registry.getCommitment(testMerkleRoot1).metadata, testMetadata2);
+    }
+
+    function testCannotReplaySignature() public {
+        address signer = vm.addr(SIGNER_KEY);
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signCommit(SIGNER_KEY, testMerkleRoot1, testMetadata1, 0, deadline);
+
+        vm.prank(relayer);
+        registry.commitMerkleRootWithSignature(testMerkleRoot1, testMetadata1, signer, deadline, signature);
+
+        // The nonce has moved on, so the same signature no longer recovers to the signer
+        vm.prank(relayer);
+        vm.expectRevert(MerkleRootRegistry.InvalidSignature.selector);
+        registry.commitMerkleRootWithSignature(testMerkleRoot1, testMetadata1, signer, deadline, signature);
+    }
+
+    function testCannotUseExpiredSignature() public {
+        address signer = vm.addr(SIGNER_KEY);
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signCommit(SIGNER_KEY, testMerkleRoot1, testMetadata1, 0, deadline);
+
+        vm.warp(deadline + 1);
+        vm.prank(relayer);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                MerkleRootRegistry.SignatureExpired.selector,
+                deadline
+            )
+        );
+        registry.commitMerkleRootWithSignature(testMerkleRoot1, testMetadata1, signer, deadline, signature);
+    }
+
+    function testRejectsSignatureFromOtherKey() public {
+        address signer = vm.addr(SIGNER_KEY);
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signCommit(0xB0B, testMerkleRoot1, testMetadata1, 0, deadline);
+
+        vm.prank(relayer);
+        vm.expectRevert(MerkleRootRegistry.InvalidSignature.selector);
+        registry.commitMerkleRootWithSignature(testMerkleRoot1, testMetadata1, signer, deadline, signature);
+    }
+
+    function testRejectsTamperedMetadata() public {
+        address signer = vm.addr(SIGNER_KEY);
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signCommit(SIGNER_KEY, testMerkleRoot1, testMetadata1, 0, deadline);
+
+        vm.prank(relayer);
+        vm.expectRevert(MerkleRootRegistry.InvalidSignature.selector);
+        registry.commitMerkleRootWithSignature(testMerkleRoot1, testMetadata2, signer, deadline, signature);
+    }
+
+    function testRejectsMalleableSignature() public {
+        address signer = vm.addr(SIGNER_KEY);
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signCommit(SIGNER_KEY, testMerkleRoot1, testMetadata1, 0, deadline);
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 32))
+            s := mload(add(signature, 64))
+            v := byte(0, mload(add(signature, 96)))
+        }
+        uint256 n = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141;
+        bytes memory flipped = abi.encodePacked(r, bytes32(n - uint256(s)), v == 27 ? uint8(28) : uint8(27));
+
+        vm.prank(relayer);
+        vm.expectRevert(MerkleRootRegistry.InvalidSignature.selector);
+        registry.commitMerkleRootWithSignature(testMerkleRoot1, testMetadata1, signer, deadline, flipped);
+    }
+
+    function testRejectsZeroCommitter() public {
+        uint256 deadline = block.timestamp + 1 hours;
+
+        vm.prank(relayer);
+        vm.expectRevert(MerkleRootRegistry.InvalidSignature.selector);
+        registry.commitMerkleRootWithSignature(testMerkleRoot1, testMetadata1, address(0), deadline, new bytes(65));
+    }
+
+    function testSignedCommitCannotOverwriteRoot() public {
+        vm.prank(user1);
+        registry.commitMerkleRoot(testMerkleRoot1, testMetadata1);
+
+        address signer = vm.addr(SIGNER_KEY);
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signCommit(SIGNER_KEY, testMerkleRoot1, testMetadata2, 0, deadline);
+
+        vm.prank(relayer);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                MerkleRootRegistry.MerkleRootAlreadyCommitted.selector,
+                testMerkleRoot1
+            )
+        );
+        registry.commitMerkleRootWithSignature(testMerkleRoot1, testMetadata2, signer, deadline, signature);
+        assertEq(registry.nonces(signer), 0);
+    }
+
+    function testDomainSeparatorFollowsChainId() public {
+        bytes32 original = registry.DOMAIN_SEPARATOR();
+        vm.chainId(block.chainid + 1);
+        assertTrue(registry.DOMAIN_SEPARATOR() != original);
+    }
+
+    // On-chain inclusion proofs
+    function _leaf(bytes32 contentHash) internal pure returns (bytes32) {
+        return sha256(abi.encodePacked("leaf\x00", contentHash));
+    }
+
+    function _node(bytes32 left, bytes32 right) internal pure returns (bytes32) {
+        return sha256(abi.encodePacked("node\x00", left, right));
+    }
+
+    // Three files a, b, c: root = node(node(a, b), node(c, c)) with the last node duplicated
+    function _threeFileTree() internal pure returns (bytes32 root, bytes32[3] memory contentHashes) {
+        contentHashes = [sha256("file a"), sha256("file b"), sha256("file c")];
+        bytes32 c = _leaf(contentHashes[2]);
+        root = _node(_node(_leaf(contentHashes[0]), _leaf(contentHashes[1])), _node(c, c));
+    }
+
+    function _proof(bytes32 first, bool firstLeft, bytes32 second, bool secondLeft)
+        internal
+        pure
+        returns (bytes32[] memory proof, bool[] memory positions)
+    {
+        proof = new bytes32[](2);
+        proof[0] = first;
+        proof[1] = second;
+        positions = new bool[](2);
+        positions[0] = firstLeft;
+        positions[1] = secondLeft;
+    }
+
+    function testVerifyInclusion() public {
+        (bytes32 root, bytes32[3] memory h) = _threeFileTree();
+        vm.prank(user1);
+        registry.commitMerkleRoot(root, testMetadata1);
+
+        // b: sibling a on the left, then node(c, c) on the right
+        bytes32 c = _leaf(h[2]);
+        (bytes32[] memory proof, bool[] memory positions) = _proof(_leaf(h[0]), true, _node(c, c), false);
+        (bool committed, bool included) = registry.verifyInclusion(root, h[1], proof, positions);
+        assertTrue(committed);
+        assertTrue(included);
+
+        // c: its own duplicate on the right, then node(a, b) on the left
+        (proof, positions) = _proof(c, false, _node(_leaf(h[0]), _leaf(h[1])), true);
+        (committed, included) = registry.verifyInclusion(root, h[2], proof, positions);
+        assertTrue(committed);
+        assertTrue(included);
+    }
+
+    function testVerifyInclusionSingleFile() public {
+        bytes32 contentHash = sha256("only file");
+        bytes32 root = _leaf(contentHash);
+        vm.prank(user1);
+        registry.commitMerkleRoot(root, testMetadata1);
+
+        (bool committed, bool included) = registry.verifyInclusion(root, contentHash, new bytes32[](0), new bool[](0));
+        assertTrue(committed);
+        assertTrue(included);
+    }
+
+    function testVerifyInclusionRejectsWrongProof() public {
+        (bytes32 root, bytes32[3] memory h) = _threeFileTree();
+        vm.prank(user1);
+        registry.commitMerkleRoot(root, testMetadata1);
+
+        bytes32 c = _leaf(h[2]);
+        // Swapped side of the first sibling
+        (bytes32[] memory proof, bool[] memory positions) = _proof(_leaf(h[0]), false, _node(c, c), false);
+        (bool committed, bool included) = registry.verifyInclusion(root, h[1], proof, positions);
+        assertTrue(committed);
+        assertFalse(included);
+
+        // File that is not in the tree
+        (proof, positions) = _proof(_leaf(h[0]), true, _node(c, c), false);
+        (committed, included) = registry.verifyInclusion(root, sha256("other file"), proof, positions);
+        assertTrue(committed);
+        assertFalse(included);
+    }
+
+    function testVerifyInclusionOfUncommittedRoot() public {
+        (bytes32 root, bytes32[3] memory h) = _threeFileTree();
+        bytes32 c = _leaf(h[2]);
+        (bytes32[] memory proof, bool[] memory positions) = _proof(_leaf(h[0]), true, _node(c, c), false);
+
+        (bool committed, bool included) = registry.verifyInclusion(root, h[1], proof, positions);
+        assertFalse(committed);
+        assertTrue(included);
+    }
+
+    function testCannotVerifyInclusionWithLengthMismatch() public {
+        (bytes32 root, bytes32[3] memory h) = _threeFileTree();
+        (bytes32[] memory proof, ) = _proof(_leaf(h[0]), true, bytes32(0), false);
+
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                MerkleRootRegistry.ProofLengthMismatch.selector,
+                2,
+                1
+            )
+        );
+        registry.verifyInclusion(root, h[1], proof, new bool[](1));
+    }
 }
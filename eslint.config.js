@@ -26,4 +26,10 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['cli/**/*.js', 'test/**/*.js', 'backend-server.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
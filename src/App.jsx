@@ -29,6 +29,8 @@ export default function App() {
         const mod =
           tab === "generator"
             ? await import("./components/MerkleRootGenerator.jsx")
+            : tab === "explorer"
+            ? await import("./components/CommitmentExplorer.jsx")
             : await import("./components/FileVerification.jsx");
 
         if (!alive) return;
@@ -66,6 +68,7 @@ export default function App() {
             <div style={{ display: "flex", gap: 18 }}>
             <Tab label="Generator" active={tab === "generator"} onClick={() => setTab("generator")} />
             <Tab label="Verification" active={tab === "verify"} onClick={() => setTab("verify")} />
+            <Tab label="Explorer" active={tab === "explorer"} onClick={() => setTab("explorer")} />
             </div>
             <Tab label="On-Chain Timestamping" active={tab === "timestamping"} onClick={() => setTab("timestamping")} />
           </nav>
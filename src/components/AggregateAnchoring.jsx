@@ -0,0 +1,228 @@
+import { useState } from "react";
+import { buildAggregate, buildAggregateProof } from "../lib/aggregate.js";
+import { readOtsHeader } from "../lib/otsParser.js";
+import { SCHEMA_VERSIONS } from "../lib/constants.js";
+import { isValidMerkleRootFormat, normalizeMerkleRoot, validateJSON } from "../lib/validation.js";
+import { getErrorMessage, logError } from "../lib/errorHandler.js";
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function otsMatches(ots, root) {
+  try {
+    return readOtsHeader(ots).fileDigest === root;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * AggregateAnchoring component
+ * Folds several merkle-tree.json roots into one aggregate root, hands that root to the surrounding
+ * timestamping UI to anchor, then issues each original root a merkle-aggregate-proof@1 carrying the anchors.
+ * @param {Object} props - Component props
+ * @param {Function} props.onAggregate - Called with the merkle-aggregate-tree@1 to anchor (or null when cleared)
+ * @param {Object} props.anchors - Anchors collected by the parent
+ * @param {Array<Object>} props.anchors.blockchain - merkle-blockchain-proof@1 documents from BlockchainCommit
+ * @param {Uint8Array|null} props.anchors.ots - Latest .ots proof from BitcoinTimestamping
+ */
+export default function AggregateAnchoring({ onAggregate, anchors }) {
+  const [entries, setEntries] = useState([]);
+  const [aggregate, setAggregate] = useState(null);
+  const [error, setError] = useState("");
+
+  const chainAnchors = aggregate
+    ? anchors.blockchain.filter((p) => normalizeMerkleRoot(p.merkleRoot) === normalizeMerkleRoot(aggregate.root))
+    : [];
+  const ots = aggregate && anchors.ots && otsMatches(anchors.ots, aggregate.root) ? anchors.ots : null;
+
+  const clearAggregate = () => {
+    setAggregate(null);
+    onAggregate(null);
+  };
+
+  /**
+   * Add roots from merkle-tree.json files (or every root of a saved aggregate tree)
+   * @param {Event} e - File input change event
+   */
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    const added = [];
+    const problems = [];
+    for (const file of files) {
+      try {
+        const validation = validateJSON(await file.text());
+        if (!validation.valid) throw new Error(`Invalid JSON file: ${validation.error}`);
+        const parsed = validation.parsed;
+
+        if (parsed.schema === SCHEMA_VERSIONS.AGGREGATE_TREE) {
+          (parsed.leaves || []).forEach((leaf) => added.push({ root: normalizeMerkleRoot(leaf.root), name: leaf.name || file.name }));
+          continue;
+        }
+        if (!isValidMerkleRootFormat(parsed.root)) throw new Error("No valid 'root' field.");
+        added.push({ root: normalizeMerkleRoot(parsed.root), name: file.name, summary: parsed.summary });
+      } catch (err) {
+        problems.push(`${file.name}: ${getErrorMessage(err)}`);
+      }
+    }
+
+    const known = new Set(entries.map((entry) => entry.root));
+    const fresh = [];
+    for (const entry of added) {
+      if (known.has(entry.root)) continue;
+      known.add(entry.root);
+      fresh.push(entry);
+    }
+    setEntries([...entries, ...fresh]);
+    if (aggregate && fresh.length) clearAggregate();
+    setError(problems.join("; "));
+  };
+
+  const removeEntry = (root) => {
+    setEntries(entries.filter((entry) => entry.root !== root));
+    if (aggregate) clearAggregate();
+  };
+
+  const handleBuild = async () => {
+    setError("");
+    try {
+      const built = await buildAggregate(entries);
+      setAggregate(built);
+      onAggregate(built);
+    } catch (err) {
+      logError(err, "AggregateAnchoring.handleBuild");
+      setError(getErrorMessage(err));
+    }
+  };
+
+  const downloadProofs = () => {
+    try {
+      aggregate.leaves.forEach((leaf, index) => {
+        const proof = buildAggregateProof(aggregate, index, { anchors: chainAnchors, ots });
+        downloadJson(proof, `aggregate-proof-${leaf.root.slice(0, 8)}-${aggregate.root.slice(0, 8)}.json`);
+      });
+    } catch (err) {
+      logError(err, "AggregateAnchoring.downloadProofs");
+      setError(getErrorMessage(err));
+    }
+  };
+
+  return (
+    <div style={section}>
+      <div style={{ fontSize: 12, color: "#cfcfcf", marginBottom: 6 }}>Aggregate Several Roots</div>
+      <div style={hint}>
+        Anchor many <code>merkle-tree.json</code> roots with one transaction or stamp: they are folded into an
+        aggregate root, and each root gets a proof path to it.
+      </div>
+
+      <div style={{ marginTop: 10, display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <label style={uploadBtn}>
+          <input type="file" accept=".json,application/json" multiple onChange={handleFiles} style={{ display: "none" }} />
+          Add merkle-tree.json files
+        </label>
+        {entries.length > 1 && !aggregate && (
+          <button style={uploadBtn} onClick={handleBuild}>
+            Build aggregate of {entries.length} roots
+          </button>
+        )}
+      </div>
+
+      {entries.length > 0 && (
+        <div style={{ marginTop: 8, display: "flex", flexDirection: "column", gap: 4 }}>
+          {entries.map((entry) => (
+            <div key={entry.root} style={row}>
+              <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{entry.name}</span>
+              <span style={mono}>{entry.root.slice(2, 12)}...</span>
+              <button style={removeBtn} onClick={() => removeEntry(entry.root)} aria-label={`Remove ${entry.name}`}>×</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {aggregate && (
+        <div style={{ marginTop: 10, fontSize: 12, lineHeight: 1.6 }}>
+          <div>
+            Aggregate root: <span style={{ ...mono, wordBreak: "break-all" }}>0x{aggregate.root}</span>
+          </div>
+          <div style={hint}>
+            The aggregate root is now the root to timestamp below. Proofs include any anchors made for it
+            {chainAnchors.length || ots
+              ? ` (${[chainAnchors.length ? `${chainAnchors.length} chain commit${chainAnchors.length !== 1 ? "s" : ""}` : "", ots ? ".ots proof" : ""].filter(Boolean).join(", ")}).`
+              : "; none yet."}
+          </div>
+          <div style={{ marginTop: 8, display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <button style={uploadBtn} onClick={downloadProofs}>
+              Download {aggregate.leaves.length} aggregate proofs
+            </button>
+            <button style={uploadBtn} onClick={() => downloadJson(aggregate, `aggregate-tree-${aggregate.root.slice(0, 8)}.json`)}>
+              Download aggregate tree
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <div style={{ marginTop: 8, fontSize: 12, color: "#ffb4b4" }}>ERROR: {error}</div>}
+    </div>
+  );
+}
+
+/* ---------- Styles ---------- */
+
+const section = {
+  border: "1px solid rgba(255,255,255,0.04)",
+  borderRadius: 10,
+  padding: 10,
+  background: "rgba(255,255,255,0.02)",
+  overflow: "hidden",
+  boxSizing: "border-box",
+};
+
+const hint = {
+  fontSize: 11,
+  color: "#8f8f8f",
+};
+
+const uploadBtn = {
+  display: "inline-block",
+  padding: "8px 12px",
+  borderRadius: 10,
+  border: "1px solid rgba(255,255,255,0.08)",
+  background: "rgba(255,255,255,0.02)",
+  color: "#cfcfcf",
+  cursor: "pointer",
+  fontSize: 12,
+};
+
+const row = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+  fontSize: 12,
+  padding: "6px 8px",
+  background: "rgba(255,255,255,0.04)",
+  borderRadius: 8,
+};
+
+const mono = {
+  fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+  opacity: 0.8,
+};
+
+const removeBtn = {
+  background: "transparent",
+  border: "none",
+  color: "#ff6b6b",
+  cursor: "pointer",
+  fontSize: 12,
+  padding: "0 4px",
+};
@@ -1,9 +1,12 @@
 import { useState, useEffect, useRef } from "react";
 import { stampHash, downloadOtsFile, getTimestampStatus, checkBackendHealth } from "../lib/opentimestamps.js";
+import { parseOts } from "../lib/otsParser.js";
 import { checkMempoolStatus, getMempoolTxUrl, getMempoolBlockUrl } from "../lib/mempool.js";
 import { normalizeMerkleRoot, isValidMerkleRootFormat, validateJSON } from "../lib/validation.js";
 import { getErrorMessage, logError } from "../lib/errorHandler.js";
 import { SCHEMA_VERSIONS, NETWORK_IDS } from "../lib/constants.js";
+import { otsHistoryId, saveHistoryEntry } from "../lib/history.js";
+import OtsHeaderVerification from "./OtsHeaderVerification.jsx";
 
 // Ensure spin animation is available
 if (typeof document !== "undefined") {
@@ -27,8 +30,9 @@ if (typeof document !== "undefined") {
  * @param {Object} props - Component props
  * @param {string} props.merkleRoot - Initial Merkle root (optional, component manages its own state)
  * @param {Object} props.jsonData - Initial JSON data (optional)
+ * @param {Function} [props.onOtsFile] - Called with the .ots bytes whenever the proof changes (stamp, upgrade, load)
  */
-export default function BitcoinTimestamping({ merkleRoot: initialMerkleRoot = "", jsonData: initialJsonData = null }) {
+export default function BitcoinTimestamping({ merkleRoot: initialMerkleRoot = "", jsonData: initialJsonData = null, onOtsFile }) {
   // Internal state for Merkle root and file handling
   const [merkleRoot, setMerkleRoot] = useState(initialMerkleRoot);
   const [jsonData, setJsonData] = useState(initialJsonData);
@@ -55,12 +59,61 @@ export default function BitcoinTimestamping({ merkleRoot: initialMerkleRoot = ""
   const [submissionServers, setSubmissionServers] = useState(null); // Track parallel submission results
   const [submissionTime, setSubmissionTime] = useState(null); // Track when timestamp was submitted
   const [calendarServerTip, setCalendarServerTip] = useState(null); // Track calendar server tip (last transaction)
+  const [otsDetails, setOtsDetails] = useState(null); // Parsed contents of otsFile (attestations, op tree)
+  const [otsParseError, setOtsParseError] = useState(null);
   
   // Update status ref when status changes
   useEffect(() => {
     statusRef.current = status;
   }, [status]);
 
+  // Report the proof to the parent whenever it changes
+  useEffect(() => {
+    if (otsFile && onOtsFile) onOtsFile(otsFile);
+  }, [otsFile, onOtsFile]);
+
+  // Keep the local history's copy of this stamp current so it can be resumed after a reload
+  useEffect(() => {
+    if (!otsFile || !isValidMerkleRootFormat(merkleRoot) || ['idle', 'stamping', 'error'].includes(status)) return;
+    saveHistoryEntry({
+      id: otsHistoryId(merkleRoot),
+      kind: 'ots',
+      root: normalizeMerkleRoot(merkleRoot),
+      status,
+      ots: otsFile,
+      error: null,
+      ...(fileName ? { label: fileName } : {}),
+      ...(transactionHash ? { btcTxHash: transactionHash } : {}),
+      ...(blockInfo?.height != null ? { blockHeight: blockInfo.height } : {}),
+    }).catch((err) => logError(err, "BitcoinTimestamping.saveHistoryEntry"));
+  }, [otsFile, merkleRoot, status, fileName, transactionHash, blockInfo]);
+
+  // Re-parse the proof whenever it changes (stamp, upgrade or loaded from disk)
+  useEffect(() => {
+    if (!otsFile) {
+      setOtsDetails(null);
+      setOtsParseError(null);
+      return;
+    }
+
+    let alive = true;
+    parseOts(otsFile)
+      .then((parsed) => {
+        if (!alive) return;
+        setOtsDetails(parsed);
+        setOtsParseError(null);
+      })
+      .catch((err) => {
+        if (!alive) return;
+        logError(err, "BitcoinTimestamping.parseOts");
+        setOtsDetails(null);
+        setOtsParseError(getErrorMessage(err));
+      });
+    return () => {
+      alive = false;
+    };
+  }, [otsFile]);
+
   // Cleanup polling on unmount
   useEffect(() => {
     return () => {
@@ -136,6 +189,59 @@ export default function BitcoinTimestamping({ merkleRoot: initialMerkleRoot = ""
     }
   };
 
+  /**
+   * Load an existing .ots proof and resume tracking it
+   * @param {Event} e - File input change event
+   */
+  const handleOtsFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const parsed = await parseOts(bytes);
+      if (parsed.fileHashOp !== "sha256") {
+        throw new Error(`Unsupported .ots file hash op: ${parsed.fileHashOp}. Expected sha256.`);
+      }
+
+      if (upgradePollRef.current) {
+        clearTimeout(upgradePollRef.current);
+        upgradePollRef.current = null;
+      }
+
+      setMerkleRoot(normalizeMerkleRoot(parsed.fileDigest));
+      setJsonData(null);
+      setFileName(file.name);
+      setOtsFile(bytes);
+      setStamped(true);
+      setError(null);
+      setTransactionHash(null);
+      setMempoolStatus(null);
+      setSubmissionServers(null);
+      setSubmissionTime(null);
+
+      if (parsed.bitcoin.length > 0) {
+        setUpgraded(true);
+        setBlockInfo({ height: parsed.bitcoin[0].height });
+        setStatus('confirmed');
+        statusRef.current = 'confirmed';
+        setStatusMessage(`✓ Bitcoin attestation at block ${parsed.bitcoin[0].height}`);
+      } else {
+        setUpgraded(false);
+        setBlockInfo(null);
+        setStatus('pending');
+        statusRef.current = 'pending';
+        setStatusMessage(`Pending at ${parsed.pending.length} calendar server${parsed.pending.length !== 1 ? 's' : ''}. Checking for upgrade...`);
+        startStatusPolling(bytes);
+      }
+    } catch (err) {
+      logError(err, "BitcoinTimestamping.handleOtsFileChange");
+      setError(getErrorMessage(err));
+    } finally {
+      e.target.value = "";
+    }
+  };
+
   /**
    * Format elapsed time in human-readable format
    * @param {number} milliseconds - Elapsed time in milliseconds
@@ -674,6 +780,15 @@ export default function BitcoinTimestamping({ merkleRoot: initialMerkleRoot = ""
               />
               Load merkle-tree.json
             </label>
+            <label style={{ ...uploadBtn, marginLeft: 8 }}>
+              <input
+                type="file"
+                accept=".ots,application/octet-stream"
+                onChange={handleOtsFileChange}
+                style={{ display: "none" }}
+              />
+              Load existing .ots
+            </label>
             {fileName && (
               <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>
                 Loaded: <span style={{ fontFamily: "monospace" }}>{fileName}</span>
@@ -850,7 +965,48 @@ export default function BitcoinTimestamping({ merkleRoot: initialMerkleRoot = ""
             </button>
           </div>
           
-          {upgraded && (
+          {otsDetails && (
+            <details style={detailsBox}>
+              <summary style={{ cursor: "pointer" }}>
+                Proof contents · {otsDetails.pending.length} pending · {otsDetails.bitcoin.length} Bitcoin attestation{otsDetails.bitcoin.length !== 1 ? "s" : ""}
+              </summary>
+              <div style={{ marginTop: 8, lineHeight: 1.6 }}>
+                <div>
+                  Digest ({otsDetails.fileHashOp}): <code style={codeWrap}>{otsDetails.fileDigest}</code>
+                  {merkleRoot && normalizeMerkleRoot(otsDetails.fileDigest) !== normalizeMerkleRoot(merkleRoot) && (
+                    <span style={{ color: "#ff6b6b", marginLeft: 6 }}>does not match the Merkle root</span>
+                  )}
+                </div>
+                {otsDetails.bitcoin.map((a, idx) => (
+                  <div key={`btc-${idx}`}>
+                    Bitcoin block {a.height} · block Merkle root <code style={codeWrap}>{a.commitment}</code>
+                  </div>
+                ))}
+                {otsDetails.pending.map((a, idx) => (
+                  <div key={`pending-${idx}`}>
+                    Pending at <code style={codeWrap}>{a.uri}</code> · commitment <code style={codeWrap}>{a.commitment}</code>
+                  </div>
+                ))}
+                {otsDetails.attestations
+                  .filter((a) => a.type !== "bitcoin" && a.type !== "pending")
+                  .map((a, idx) => (
+                    <div key={`other-${idx}`}>
+                      {a.type} attestation{a.height != null ? ` at height ${a.height}` : ""}
+                    </div>
+                  ))}
+              </div>
+            </details>
+          )}
+
+          {otsParseError && (
+            <div style={{ marginBottom: 12, fontSize: 11, color: "#ff6b6b" }}>
+              Could not parse .ots file: {otsParseError}
+            </div>
+          )}
+
+          {otsDetails?.bitcoin.length > 0 ? (
+            <OtsHeaderVerification otsFile={otsFile} merkleRoot={merkleRoot} />
+          ) : upgraded && (
             <div style={{ marginTop: 12, fontSize: 11, opacity: 0.7, padding: 8, background: "rgba(255,255,255,0.02)", borderRadius: 8 }}>
               <strong>Verification:</strong> Use OpenTimestamps tools to verify: <code style={{ fontSize: 10 }}>ots verify timestamp.ots</code>
             </div>
@@ -948,6 +1104,20 @@ const uploadBtn = {
   fontSize: 12,
 };
 
+const detailsBox = {
+  marginBottom: 12,
+  fontSize: 11,
+  opacity: 0.85,
+  padding: 8,
+  background: "rgba(255,255,255,0.02)",
+  borderRadius: 8,
+};
+
+const codeWrap = {
+  fontSize: 10,
+  wordBreak: "break-all",
+};
+
 const pendingSpinner = {
   width: 16,
   height: 16,
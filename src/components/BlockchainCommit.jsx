@@ -1,9 +1,13 @@
-import { useState, useEffect } from "react";
-import { ethers } from "ethers";
-import { getContractAddress } from "../config.js";
-import { EXPLORER_URLS, NETWORK_IDS, NETWORK_NAMES, SCHEMA_VERSIONS, MAX_METADATA_LENGTH, getBlockchainShortName } from "../lib/constants.js";
-import { validateAndChecksumAddress, normalizeMerkleRoot, validateMetadataLength } from "../lib/validation.js";
+import { useState, useEffect, useCallback, useRef } from "react";
+import { getConfirmationDepth, getContractAddress, getRelayerUrl } from "../config.js";
+import { EXPLORER_URLS, NETWORK_IDS, NETWORK_NAMES, MAX_METADATA_LENGTH, SCHEMA_VERSIONS, getBlockchainShortName } from "../lib/constants.js";
+import { validateAndChecksumAddress, normalizeMerkleRoot, validateMetadataLength, validateJSON, isValidMerkleRootFormat } from "../lib/validation.js";
 import { getErrorMessage, logError } from "../lib/errorHandler.js";
+import { buildBlockchainProof, buildCommitMetadata, findCommittedEvent, getRegistryContract } from "../lib/registry.js";
+import { getCommitmentProof } from "../lib/registryExplorer.js";
+import { signCommitment } from "../lib/signedCommit.js";
+import { TX_FAILED, isTransactionFailure, waitForConfirmations } from "../lib/confirmations.js";
+import { evmHistoryId, saveHistoryEntry } from "../lib/history.js";
 
 // Ensure spin animation is available
 if (typeof document !== "undefined") {
@@ -21,48 +25,66 @@ if (typeof document !== "undefined") {
   }
 }
 
-// Contract ABI
-const REGISTRY_ABI = [
-  {
-    "inputs": [
-      {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
-      {"internalType": "string", "name": "metadata", "type": "string"}
-    ],
-    "name": "commitMerkleRoot",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [{"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}],
-    "name": "getCommitment",
-    "outputs": [
-      {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
-      {"internalType": "address", "name": "committer", "type": "address"},
-      {"internalType": "uint256", "name": "blockNumber", "type": "uint256"},
-      {"internalType": "uint256", "name": "timestamp", "type": "uint256"},
-      {"internalType": "string", "name": "metadata", "type": "string"}
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [{"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}],
-    "name": "isCommitted",
-    "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
-    "stateMutability": "view",
-    "type": "function"
-  }
+// Upper bound for the confirmations input
+const MAX_CONFIRMATIONS = 64;
+
+// Documents whose root the batch may commit: folder trees, and aggregate trees over several roots
+const BATCH_SCHEMAS = [
+  SCHEMA_VERSIONS.MERKLE_TREE,
+  SCHEMA_VERSIONS.MERKLE_PATHS_TREE,
+  SCHEMA_VERSIONS.MERKLE_DIRS_TREE,
+  SCHEMA_VERSIONS.AGGREGATE_TREE,
 ];
 
+/**
+ * Pending-banner text for a waitForConfirmations update
+ * @param {Object|null} update - Latest update, or null before the first one
+ * @returns {string} Status text
+ */
+function describeConfirmStatus(update) {
+  switch (update?.status) {
+    case "confirming":
+      return `Confirming: ${update.confirmations} of ${update.required} blocks...`;
+    case "finalizing":
+      return `${update.confirmations} confirmations; waiting for the block to be finalized...`;
+    case "reorged":
+      return "Chain reorganization: waiting for the transaction to be included again...";
+    case "replaced":
+      return "Transaction was sped up; following the replacement...";
+    default:
+      return "Transaction pending confirmation...";
+  }
+}
+
+/**
+ * One-line summary of a proof's confirmation record
+ * @param {Object} [confirmation] - merkle-blockchain-proof@1 confirmation field
+ * @returns {string|null} Summary, or null without a record
+ */
+function confirmationSummary(confirmation) {
+  if (!confirmation) return null;
+  const finality = confirmation.finalized === null
+    ? "finality not reported by this RPC"
+    : confirmation.finalized ? "finalized" : "not final yet";
+  return `${confirmation.confirmations} confirmation${confirmation.confirmations !== 1 ? "s" : ""} · ${finality}`;
+}
+
 /**
  * BlockchainCommit component
- * Handles committing Merkle roots to the blockchain
+ * Handles committing Merkle roots to the blockchain, one root at a time or several
+ * merkle-tree.json files in a single commitMerkleRoots transaction (batch mode).
+ * For a root that is already committed, the proof is rebuilt from the original MerkleRootCommitted log
+ * instead of committing again; if the connected wallet made it, its metadata can be edited (updateMetadata).
+ * In "sign only" mode the wallet signs an EIP-712 commitment instead of sending a transaction, and a
+ * relayer submits it (commitMerkleRootWithSignature) with the signer recorded as committer.
+ * A commit counts as confirmed once it is buried under the chain's confirmation depth (adjustable per
+ * commit), optionally after the block is final; reorgs and sped-up transactions are followed.
+ * Sent commits are recorded in the local history (lib/history.js) so they can be resumed after a reload.
  * @param {Object} props - Component props
  * @param {string} props.merkleRoot - The Merkle root to commit
  * @param {Object} props.jsonData - JSON data from merkle-tree.json
  * @param {Object} props.wallet - Wallet connection object
- * @param {Function} props.onCommitted - Callback when commitment succeeds
+ * @param {Function} props.onCommitted - Callback when commitment succeeds (called once per proof in batch mode)
  */
 export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommitted }) {
   const [committing, setCommitting] = useState(false);
@@ -71,54 +93,176 @@ export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommi
   const [error, setError] = useState(null);
   const [proofData, setProofData] = useState(null);
   const [chainId, setChainId] = useState(null);
+  const [batchMode, setBatchMode] = useState(false);
+  const [batchItems, setBatchItems] = useState([]);
+  const [batchProofs, setBatchProofs] = useState([]);
+  const [existing, setExisting] = useState(null); // On-chain commitment for merkleRoot, if any
+  const [metadataDraft, setMetadataDraft] = useState("");
+  const [updatingMetadata, setUpdatingMetadata] = useState(false);
+  const [metadataNotice, setMetadataNotice] = useState(null);
+  const [signOnly, setSignOnly] = useState(false);
+  const [signedCommitment, setSignedCommitment] = useState(null); // merkle-signed-commitment@1 awaiting relay
+  const [confirmationDepth, setConfirmationDepth] = useState(1);
+  const [waitFinality, setWaitFinality] = useState(false);
+  const [confirmStatus, setConfirmStatus] = useState(null); // Latest waitForConfirmations update
+  const confirmAbortRef = useRef(null);
+  const unmountedRef = useRef(false);
 
   // Get contract address from config based on current chain ID
   const contractAddress = wallet?.chainId ? getContractAddress(wallet.chainId) : null;
+  const ownsExisting = Boolean(existing && wallet && existing.committer.toLowerCase() === wallet.address.toLowerCase());
 
   // Update chainId when wallet changes
   useEffect(() => {
     if (wallet?.chainId) {
       setChainId(wallet.chainId);
+      setConfirmationDepth(getConfirmationDepth(wallet.chainId));
     }
   }, [wallet?.chainId]);
 
+  // Stop polling for confirmations when the component goes away (the history entry stays resumable)
+  useEffect(() => {
+    unmountedRef.current = false;
+    return () => {
+      unmountedRef.current = true;
+      confirmAbortRef.current?.abort();
+    };
+  }, []);
+
   /**
-   * Handle committing Merkle root to blockchain
+   * Record commit progress in the local history (best effort)
+   * @param {Array<string>} roots - Roots in the transaction
+   * @param {Object|Function} fields - Fields to store, or a function of the root's index returning them
    */
-  const handleCommit = async () => {
-    if (!wallet || !merkleRoot) {
-      setError("Wallet not connected or Merkle root missing");
-      return;
+  const recordHistory = (roots, fields) => {
+    const chain = wallet.chainId;
+    roots.forEach((root, index) => {
+      saveHistoryEntry({
+        id: evmHistoryId(chain, root),
+        kind: "evm",
+        root,
+        chainId: chain,
+        ...(typeof fields === "function" ? fields(index) : fields),
+      }).catch((err) => logError(err, "BlockchainCommit.recordHistory"));
+    });
+  };
+
+  /**
+   * Record a failed commit, unless the wait was only cut short by leaving the page
+   * Only a reverted, dropped or replaced transaction is final; after any other error (RPC outage,
+   * timeout) it may still confirm, so the entry stays pending and can be resumed from the history.
+   * @param {Array<string>} roots - Roots in the sent transaction (empty if nothing was sent)
+   * @param {unknown} err - The error
+   */
+  const recordFailure = (roots, err) => {
+    if (!roots.length || unmountedRef.current) return;
+    recordHistory(roots, { status: isTransactionFailure(err) ? "failed" : "pending", error: getErrorMessage(err) });
+  };
+
+  /**
+   * Wait for a commit transaction to reach the selected depth (and finality, if requested)
+   * @param {ethers.TransactionResponse|string} tx - Sent transaction, or the hash of a relayed one
+   * @param {Array<string>} roots - Roots in the transaction, whose history entries follow the progress
+   * @returns {Promise<{receipt: ethers.TransactionReceipt, confirmation: Object}>} From waitForConfirmations
+   */
+  const awaitConfirmations = async (tx, roots) => {
+    const controller = new AbortController();
+    confirmAbortRef.current = controller;
+    try {
+      return await waitForConfirmations(wallet.provider, tx, {
+        chainId: wallet.chainId,
+        confirmations: confirmationDepth,
+        waitForFinality: waitFinality,
+        signal: controller.signal,
+        onUpdate: (update) => {
+          setConfirmStatus(update);
+          // A sped-up transaction is mined under a new hash
+          if (update.status === "replaced") setTxHash(update.hash);
+          recordHistory(roots, { status: update.status === "replaced" ? "pending" : update.status, txHash: update.hash });
+        },
+      });
+    } finally {
+      confirmAbortRef.current = null;
+      setConfirmStatus(null);
     }
+  };
 
+  /**
+   * Look up the commitment for merkleRoot and rebuild its proof from the commit transaction, found through
+   * the MerkleRootCommitted log in the commitment's block
+   * @returns {Promise<Object|null>} Commitment details, or null if the root is not committed
+   */
+  const loadExisting = useCallback(async () => {
+    const checksummedAddress = contractAddress && validateAndChecksumAddress(contractAddress);
+    if (!wallet || !merkleRoot || !checksummedAddress) return null;
+
+    const reader = {
+      chainId: wallet.chainId,
+      provider: wallet.provider,
+      contract: getRegistryContract(wallet.provider, checksummedAddress),
+      contractAddress: checksummedAddress,
+    };
+    const { details, proof } = await getCommitmentProof(reader, normalizeMerkleRoot(merkleRoot));
+    if (!details.committed) {
+      setExisting(null);
+      return null;
+    }
+
+    setExisting(details);
+    setMetadataDraft(details.metadataJson ? JSON.stringify(details.metadataJson, null, 2) : details.metadata);
+    if (proof) setProofData(proof);
+    return details;
+  }, [wallet, merkleRoot, contractAddress]);
+
+  // Detect a root that is already committed (single-root mode only)
+  useEffect(() => {
+    setExisting(null);
+    setMetadataNotice(null);
+    setSignedCommitment(null);
+    if (batchMode) return;
+    loadExisting().catch((err) => logError(err, "BlockchainCommit.loadExisting"));
+  }, [loadExisting, batchMode]);
+
+  /**
+   * Validate and checksum the configured contract address
+   * @returns {string|null} Checksummed address, or null (with error set) if unusable
+   */
+  const getChecksummedContractAddress = () => {
     if (!contractAddress) {
       setError("Contract address not configured for this network");
-      return;
+      return null;
     }
 
-    // Validate and checksum contract address
     const checksummedAddress = validateAndChecksumAddress(contractAddress);
     if (!checksummedAddress) {
       setError("Invalid contract address format");
+      return null;
+    }
+    return checksummedAddress;
+  };
+
+  /**
+   * Handle committing Merkle root to blockchain
+   */
+  const handleCommit = async () => {
+    if (!wallet || !merkleRoot) {
+      setError("Wallet not connected or Merkle root missing");
       return;
     }
 
+    const checksummedAddress = getChecksummedContractAddress();
+    if (!checksummedAddress) return;
+
     setCommitting(true);
     setError(null);
     setTxConfirmed(false);
+    let sentRoots = [];
 
     try {
-      const contract = new ethers.Contract(checksummedAddress, REGISTRY_ABI, wallet.signer);
+      const contract = getRegistryContract(wallet.signer, checksummedAddress);
 
       // Create metadata with summary info
-      const metadata = JSON.stringify({
-        fileCount: jsonData?.summary?.fileCount || 0,
-        totalBytes: jsonData?.summary?.totalBytes || 0,
-        totalBytesHuman: jsonData?.summary?.totalBytesHuman || "",
-        generatedAt: jsonData?.generatedAt || new Date().toISOString(),
-        schema: jsonData?.schema || SCHEMA_VERSIONS.MERKLE_TREE,
-        algorithm: jsonData?.algorithm || "SHA-256"
-      });
+      const metadata = buildCommitMetadata(jsonData);
 
       // Validate metadata length
       const metadataValidation = validateMetadataLength(metadata, MAX_METADATA_LENGTH);
@@ -131,10 +275,10 @@ export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommi
       // Normalize Merkle root
       const rootBytes32 = normalizeMerkleRoot(merkleRoot);
       
-      // Check if already committed
+      // Already committed: offer the existing commitment's proof instead of a second transaction
       const isCommitted = await contract.isCommitted(rootBytes32);
       if (isCommitted) {
-        setError("This Merkle root has already been committed to the blockchain");
+        await loadExisting();
         setCommitting(false);
         return;
       }
@@ -143,56 +287,43 @@ export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommi
       const tx = await contract.commitMerkleRoot(rootBytes32, metadata);
       setTxHash(tx.hash);
       setTxConfirmed(false); // Transaction sent but not confirmed yet
+      sentRoots = [rootBytes32];
+      recordHistory(sentRoots, {
+        status: "pending",
+        txHash: tx.hash,
+        commit: { metadata, contractAddress: checksummedAddress, committer: wallet.address },
+        error: null,
+      });
 
       // Wait for confirmation
-      const receipt = await tx.wait();
+      const { receipt, confirmation } = await awaitConfirmations(tx, sentRoots);
       setTxConfirmed(true); // Transaction confirmed
       
       // Store chainId from transaction
       const txChainId = wallet.chainId;
       setChainId(txChainId);
 
-      // Get explorer URLs based on chain ID
-      const explorerInfo = EXPLORER_URLS[txChainId] || EXPLORER_URLS[NETWORK_IDS.ETHEREUM_MAINNET] || EXPLORER_URLS[NETWORK_IDS.ARBITRUM_ONE];
-      const explorer = {
-        txUrl: `${explorerInfo.base}/tx/${tx.hash}`,
-        contractUrl: `${explorerInfo.base}/address/${checksummedAddress}`,
-        name: explorerInfo.name
-      };
-
-      // Get blockchain name
-      const blockchainName = NETWORK_NAMES[txChainId] || "Unknown";
-      
       // Create proof data
-      const proofData = {
-        schema: SCHEMA_VERSIONS.BLOCKCHAIN_PROOF,
-        blockchain: blockchainName,
-        blockchainId: txChainId,
-        blockchainExplorer: explorerInfo.name,
+      const proofData = buildBlockchainProof({
         merkleRoot: rootBytes32,
-        transaction: {
-          hash: tx.hash,
-          blockNumber: receipt.blockNumber,
-          blockHash: receipt.blockHash,
-          chainId: txChainId,
-          contractAddress: checksummedAddress,
-          gasUsed: receipt.gasUsed.toString(),
-          timestamp: Date.now()
-        },
+        metadata,
+        chainId: txChainId,
+        contractAddress: checksummedAddress,
         committer: wallet.address,
-        metadata: JSON.parse(metadata),
-        verification: {
-          contractUrl: explorer.contractUrl,
-          transactionUrl: explorer.txUrl
-        }
-      };
+        txHash: receipt.hash,
+        receipt,
+        confirmation,
+      });
 
       setProofData(proofData);
+      recordHistory(sentRoots, { status: "confirmed", txHash: receipt.hash, proof: proofData });
       if (onCommitted) onCommitted(proofData);
+      loadExisting().catch((err) => logError(err, "BlockchainCommit.loadExisting"));
 
     } catch (err) {
       logError(err, "BlockchainCommit.handleCommit");
       setError(getErrorMessage(err));
+      recordFailure(sentRoots, err);
       // If transaction was sent but failed during confirmation, keep txHash visible
       // but mark as not confirmed so user can see the failed transaction
       if (txHash && !txConfirmed) {
@@ -204,6 +335,315 @@ export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommi
     }
   };
 
+  /**
+   * Sign the commitment off-chain (EIP-712) instead of sending a transaction
+   */
+  const handleSign = async () => {
+    if (!wallet || !merkleRoot) {
+      setError("Wallet not connected or Merkle root missing");
+      return;
+    }
+
+    const checksummedAddress = getChecksummedContractAddress();
+    if (!checksummedAddress) return;
+
+    const metadata = buildCommitMetadata(jsonData);
+    const metadataValidation = validateMetadataLength(metadata, MAX_METADATA_LENGTH);
+    if (!metadataValidation.valid) {
+      setError(`Metadata too long: ${metadataValidation.length} bytes (max ${metadataValidation.maxLength})`);
+      return;
+    }
+
+    setCommitting(true);
+    setError(null);
+
+    try {
+      const rootBytes32 = normalizeMerkleRoot(merkleRoot);
+      const contract = getRegistryContract(wallet.provider, checksummedAddress);
+      if (await contract.isCommitted(rootBytes32)) {
+        await loadExisting();
+        return;
+      }
+
+      let nonce;
+      try {
+        nonce = await contract.nonces(wallet.address);
+      } catch {
+        throw new Error("This registry deployment does not support signed commitments. Commit directly instead.");
+      }
+
+      setSignedCommitment(await signCommitment(wallet.signer, {
+        merkleRoot: rootBytes32,
+        metadata,
+        chainId: wallet.chainId,
+        contractAddress: checksummedAddress,
+        nonce,
+      }));
+    } catch (err) {
+      logError(err, "BlockchainCommit.handleSign");
+      setError(getErrorMessage(err));
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  /**
+   * Send the signed commitment to the relayer, then build the proof from the mined transaction
+   */
+  const handleRelay = async () => {
+    // The relayer is only trusted to pay the gas: the transaction must reach the configured registry
+    const registry = validateAndChecksumAddress(getContractAddress(signedCommitment.chainId) || "");
+    if (!registry || registry !== validateAndChecksumAddress(signedCommitment.contractAddress)) {
+      setError("This signed commitment is not for the registry configured for its chain.");
+      return;
+    }
+
+    setCommitting(true);
+    setError(null);
+    let sentRoots = [];
+
+    try {
+      const response = await fetch(`${getRelayerUrl()}/api/relay-commit`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(signedCommitment),
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        // Relayer messages are already user-facing
+        setError(result.error || `Relayer responded with HTTP ${response.status}`);
+        return;
+      }
+
+      setTxHash(result.txHash);
+      setChainId(signedCommitment.chainId);
+      sentRoots = [signedCommitment.merkleRoot];
+      recordHistory(sentRoots, {
+        status: "pending",
+        txHash: result.txHash,
+        commit: {
+          metadata: signedCommitment.metadata,
+          contractAddress: signedCommitment.contractAddress,
+          committer: signedCommitment.committer,
+          relayed: true,
+        },
+        error: null,
+      });
+
+      // Read the receipt from the wallet's own provider rather than trusting the relayer's report
+      const { receipt, confirmation } = await awaitConfirmations(result.txHash, sentRoots);
+      const event = findCommittedEvent(receipt, registry, signedCommitment.merkleRoot);
+      if (validateAndChecksumAddress(receipt.to || "") !== registry || !event
+        || validateAndChecksumAddress(event.args.committer) !== validateAndChecksumAddress(signedCommitment.committer)) {
+        const mismatch = new Error("The relayer's transaction did not commit this root to the registry for the signer.");
+        mismatch.code = TX_FAILED;
+        throw mismatch;
+      }
+      setTxConfirmed(true);
+
+      const proofData = buildBlockchainProof({
+        merkleRoot: signedCommitment.merkleRoot,
+        metadata: signedCommitment.metadata,
+        chainId: signedCommitment.chainId,
+        contractAddress: registry,
+        committer: signedCommitment.committer,
+        txHash: receipt.hash,
+        receipt,
+        relayer: receipt.from,
+        confirmation,
+      });
+      setProofData(proofData);
+      recordHistory(sentRoots, { status: "confirmed", txHash: receipt.hash, proof: proofData });
+      setSignedCommitment(null);
+      if (onCommitted) onCommitted(proofData);
+      loadExisting().catch((err) => logError(err, "BlockchainCommit.loadExisting"));
+    } catch (err) {
+      logError(err, "BlockchainCommit.handleRelay");
+      setError(getErrorMessage(err));
+      recordFailure(sentRoots, err);
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  /**
+   * Send updateMetadata for the connected wallet's commitment, then refresh the proof
+   */
+  const handleUpdateMetadata = async () => {
+    const checksummedAddress = getChecksummedContractAddress();
+    if (!checksummedAddress || !ownsExisting) return;
+
+    const validation = validateJSON(metadataDraft);
+    if (!validation.valid) {
+      setError(`Metadata must be valid JSON: ${validation.error}`);
+      return;
+    }
+    const newMetadata = JSON.stringify(validation.parsed);
+    const lengthCheck = validateMetadataLength(newMetadata, MAX_METADATA_LENGTH);
+    if (!lengthCheck.valid) {
+      setError(`Metadata too long: ${lengthCheck.length} bytes (max ${lengthCheck.maxLength})`);
+      return;
+    }
+
+    setUpdatingMetadata(true);
+    setError(null);
+    setMetadataNotice(null);
+
+    try {
+      const contract = getRegistryContract(wallet.signer, checksummedAddress);
+      const tx = await contract.updateMetadata(normalizeMerkleRoot(merkleRoot), newMetadata);
+      setMetadataNotice({ pending: true, hash: tx.hash });
+      await tx.wait();
+
+      await loadExisting();
+      setMetadataNotice({ pending: false, hash: tx.hash });
+    } catch (err) {
+      logError(err, "BlockchainCommit.handleUpdateMetadata");
+      setError(getErrorMessage(err));
+      setMetadataNotice(null);
+    } finally {
+      setUpdatingMetadata(false);
+    }
+  };
+
+  /**
+   * Add merkle-tree.json files to the batch
+   * @param {Event} e - File input change event
+   */
+  const handleBatchFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    const added = [];
+    const problems = [];
+    for (const file of files) {
+      try {
+        const validation = validateJSON(await file.text());
+        if (!validation.valid) throw new Error(`Invalid JSON file: ${validation.error}`);
+
+        // Inclusion proofs, aggregate proofs and evidence bundles carry a root too; only tree roots are committed
+        const parsed = validation.parsed;
+        if (!BATCH_SCHEMAS.includes(parsed.schema)) {
+          throw new Error(`Not a Merkle tree (schema "${parsed.schema || "(missing)"}"); add the merkle-tree.json it was made from.`);
+        }
+        if (!isValidMerkleRootFormat(parsed.root)) throw new Error("No valid 'root' field.");
+
+        const root = normalizeMerkleRoot(parsed.root);
+        if ([...batchItems, ...added].some((item) => item.root === root)) {
+          throw new Error("Same root as another file in the batch.");
+        }
+        added.push({ name: file.name, root, jsonData: parsed });
+      } catch (err) {
+        problems.push(`${file.name}: ${getErrorMessage(err)}`);
+      }
+    }
+
+    setBatchItems((items) => [...items, ...added]);
+    setError(problems.length ? problems.join("; ") : null);
+  };
+
+  /**
+   * Handle committing every root in the batch with one commitMerkleRoots transaction
+   */
+  const handleBatchCommit = async () => {
+    if (!wallet || batchItems.length === 0) {
+      setError("Wallet not connected or batch is empty");
+      return;
+    }
+
+    const checksummedAddress = getChecksummedContractAddress();
+    if (!checksummedAddress) return;
+
+    setCommitting(true);
+    setError(null);
+    setTxConfirmed(false);
+    let sentRoots = [];
+
+    try {
+      const contract = getRegistryContract(wallet.signer, checksummedAddress);
+
+      const metadata = batchItems.map((item) => buildCommitMetadata(item.jsonData));
+      const tooLong = batchItems.filter((item, i) => !validateMetadataLength(metadata[i], MAX_METADATA_LENGTH).valid);
+      if (tooLong.length) {
+        setError(`Metadata too long (max ${MAX_METADATA_LENGTH} bytes) for: ${tooLong.map((item) => item.name).join(", ")}`);
+        return;
+      }
+
+      // The contract reverts the whole batch if any root is already committed
+      const roots = batchItems.map((item) => item.root);
+      const committed = await Promise.all(roots.map((root) => contract.isCommitted(root)));
+      const alreadyCommitted = batchItems.filter((item, i) => committed[i]);
+      if (alreadyCommitted.length) {
+        setError(`Already committed to the blockchain: ${alreadyCommitted.map((item) => item.name).join(", ")}`);
+        return;
+      }
+
+      const tx = await contract.commitMerkleRoots(roots, metadata);
+      setTxHash(tx.hash);
+      setTxConfirmed(false);
+
+      sentRoots = roots;
+      recordHistory(sentRoots, (index) => ({
+        status: "pending",
+        txHash: tx.hash,
+        label: batchItems[index].name,
+        commit: {
+          metadata: metadata[index],
+          contractAddress: checksummedAddress,
+          committer: wallet.address,
+          batch: { index, size: batchItems.length },
+        },
+        error: null,
+      }));
+
+      const { receipt, confirmation } = await awaitConfirmations(tx, sentRoots);
+      setTxConfirmed(true);
+
+      const txChainId = wallet.chainId;
+      setChainId(txChainId);
+
+      const proofs = batchItems.map((item, index) => ({
+        name: item.name,
+        proof: buildBlockchainProof({
+          merkleRoot: item.root,
+          metadata: metadata[index],
+          chainId: txChainId,
+          contractAddress: checksummedAddress,
+          committer: wallet.address,
+          txHash: receipt.hash,
+          receipt,
+          batch: { index, size: batchItems.length },
+          confirmation,
+        }),
+      }));
+
+      setBatchProofs(proofs);
+      recordHistory(sentRoots, (index) => ({ status: "confirmed", txHash: receipt.hash, proof: proofs[index].proof }));
+      if (onCommitted) proofs.forEach(({ proof }) => onCommitted(proof));
+    } catch (err) {
+      logError(err, "BlockchainCommit.handleBatchCommit");
+      setError(getErrorMessage(err));
+      recordFailure(sentRoots, err);
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  /**
+   * Switch between single-root and batch mode, clearing any previous transaction
+   * @param {boolean} enabled - Batch mode on
+   */
+  const toggleBatchMode = (enabled) => {
+    setBatchMode(enabled);
+    if (batchProofs.length) setBatchItems([]);
+    setTxHash(null);
+    setTxConfirmed(false);
+    setProofData(null);
+    setBatchProofs([]);
+    setError(null);
+  };
+
   /**
    * Get explorer info for a chain ID
    * @param {number} chainId - Chain ID
@@ -219,9 +659,16 @@ export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommi
     const timestamp = new Date(proofData.transaction.timestamp).toISOString().slice(0, 10).replace(/-/g, '');
     const rootPrefix = proofData.merkleRoot.slice(2, 10); // Remove 0x prefix for filename
     const blockchainShortName = getBlockchainShortName(proofData.blockchainId || proofData.transaction.chainId);
-    const filename = `merkle-proof-${blockchainShortName}-${timestamp}-${rootPrefix}.json`;
+    saveJson(proofData, `merkle-proof-${blockchainShortName}-${timestamp}-${rootPrefix}.json`);
+  };
 
-    const blob = new Blob([JSON.stringify(proofData, null, 2)], { type: "application/json" });
+  /**
+   * Save a JSON document as a download
+   * @param {Object} data - Document
+   * @param {string} filename - File name
+   */
+  const saveJson = (data, filename) => {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -256,33 +703,191 @@ export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommi
         </div>
       )}
 
-      <div style={{ opacity: 0.7, fontSize: 13, marginBottom: 12 }}>
-        Merkle root: {merkleRoot ? `${merkleRoot.slice(2, 12)}...` : 'None'}
-      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, opacity: 0.85, marginBottom: 12, cursor: committing ? "not-allowed" : "pointer" }}>
+        <input
+          type="checkbox"
+          checked={batchMode}
+          onChange={(e) => toggleBatchMode(e.target.checked)}
+          disabled={committing}
+        />
+        Batch mode: commit several merkle-tree.json files in one transaction
+      </label>
+
+      {!batchMode && (
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, opacity: 0.85, marginTop: -6, marginBottom: 12, cursor: committing || txHash ? "not-allowed" : "pointer" }}>
+          <input
+            type="checkbox"
+            checked={signOnly}
+            onChange={(e) => {
+              setSignOnly(e.target.checked);
+              setSignedCommitment(null);
+            }}
+            disabled={committing || Boolean(txHash)}
+          />
+          Sign only: a relayer submits the commitment and pays the gas
+        </label>
+      )}
+
+      {!txHash && !existing && (
+        <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", fontSize: 12, opacity: 0.85, marginTop: -6, marginBottom: 12 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            Confirmations
+            <input
+              type="number"
+              min={1}
+              max={MAX_CONFIRMATIONS}
+              value={confirmationDepth}
+              onChange={(e) => setConfirmationDepth(Math.min(MAX_CONFIRMATIONS, Math.max(1, Math.floor(Number(e.target.value)) || 1)))}
+              disabled={committing}
+              style={{ ...input, width: 56, padding: "4px 6px", fontSize: 12 }}
+              aria-label="Confirmations to wait for"
+            />
+          </label>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: committing ? "not-allowed" : "pointer" }}>
+            <input
+              type="checkbox"
+              checked={waitFinality}
+              onChange={(e) => setWaitFinality(e.target.checked)}
+              disabled={committing}
+            />
+            Wait for finality (minutes on Ethereum, up to hours on rollups)
+          </label>
+        </div>
+      )}
+
+      {batchMode ? (
+        <div style={{ marginBottom: 12 }}>
+          {!txHash && (
+            <label style={{ ...input, display: "inline-block", fontSize: 12, cursor: "pointer" }}>
+              <input
+                type="file"
+                accept="application/json,.json"
+                multiple
+                onChange={handleBatchFiles}
+                style={{ display: "none" }}
+              />
+              Add merkle-tree.json files
+            </label>
+          )}
+          {batchItems.length > 0 && (
+            <div style={{ marginTop: 8, display: "flex", flexDirection: "column", gap: 4 }}>
+              {batchItems.map((item) => (
+                <div key={item.root} style={batchRow}>
+                  <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{item.name}</span>
+                  <span style={{ fontFamily: "monospace", opacity: 0.7 }}>{item.root.slice(2, 12)}...</span>
+                  {!txHash && (
+                    <button
+                      style={removeBtn}
+                      onClick={() => setBatchItems((items) => items.filter((i) => i.root !== item.root))}
+                      disabled={committing}
+                      aria-label={`Remove ${item.name} from batch`}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div style={{ opacity: 0.7, fontSize: 13, marginBottom: 12 }}>
+          Merkle root: {merkleRoot ? `${merkleRoot.slice(2, 12)}...` : 'None'}
+        </div>
+      )}
 
       {!txHash ? (
-        <button
-          style={{
-            padding: "10px 14px",
-            borderRadius: 9,
-            background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
-            color: "white",
-            border: "none",
-            fontSize: 13,
-            fontWeight: 600,
-            width: "100%",
-            opacity: (!wallet || !merkleRoot || !contractAddress || committing) ? 0.6 : 1,
-            cursor: (!wallet || !merkleRoot || !contractAddress || committing) ? "not-allowed" : "pointer"
-          }}
-          onClick={handleCommit}
-          disabled={!wallet || !merkleRoot || !contractAddress || committing}
-          aria-label={`Create timestamp on ${chainId ? NETWORK_NAMES[chainId] || 'blockchain' : 'blockchain'}`}
-          aria-busy={committing}
-        >
-          {committing 
-            ? 'Creating Timestamp...' 
-            : `Create Timestamp on ${chainId ? NETWORK_NAMES[chainId] || 'Blockchain' : 'Blockchain'}`}
-        </button>
+        batchMode ? (
+          <button
+            style={{
+              ...commitBtn,
+              opacity: (!wallet || batchItems.length === 0 || !contractAddress || committing) ? 0.6 : 1,
+              cursor: (!wallet || batchItems.length === 0 || !contractAddress || committing) ? "not-allowed" : "pointer"
+            }}
+            onClick={handleBatchCommit}
+            disabled={!wallet || batchItems.length === 0 || !contractAddress || committing}
+            aria-busy={committing}
+          >
+            {committing
+              ? 'Creating Timestamps...'
+              : `Commit ${batchItems.length} Root${batchItems.length !== 1 ? 's' : ''} in One Transaction`}
+          </button>
+        ) : existing ? (
+          <div>
+            <div style={ownsExisting ? successBanner : warningBanner}>
+              {ownsExisting
+                ? `Already committed by your wallet in block ${existing.blockNumber}.`
+                : `Already committed by ${existing.committer} in block ${existing.blockNumber}.`}
+            </div>
+            {!existing.txHash && (
+              <div style={{ fontSize: 12, opacity: 0.8, marginBottom: 12 }}>
+                The original transaction could not be located in the event logs, so no proof file can be built.
+              </div>
+            )}
+            {proofData && normalizeMerkleRoot(proofData.merkleRoot) === existing.root && (
+              <button
+                style={downloadBtn}
+                onClick={() => downloadProof(proofData)}
+                aria-label="Download blockchain proof file"
+              >
+                Download Proof File
+              </button>
+            )}
+          </div>
+        ) : signedCommitment ? (
+          <div>
+            <div style={successBanner}>
+              Signed by {signedCommitment.committer}. Valid until{" "}
+              {new Date(signedCommitment.deadline * 1000).toISOString().replace("T", " ").slice(0, 16)} UTC.
+            </div>
+            <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+              <button
+                style={{ ...commitBtn, opacity: committing ? 0.6 : 1, cursor: committing ? "not-allowed" : "pointer" }}
+                onClick={handleRelay}
+                disabled={committing}
+                aria-busy={committing}
+              >
+                {committing ? "Submitting to Relayer..." : "Submit to Relayer"}
+              </button>
+              <button
+                style={downloadBtn}
+                onClick={() => saveJson(signedCommitment, `signed-commitment-${getBlockchainShortName(signedCommitment.chainId)}-${signedCommitment.merkleRoot.slice(2, 10)}.json`)}
+                aria-label="Download signed commitment"
+              >
+                Download Signed Commitment
+              </button>
+            </div>
+          </div>
+        ) : signOnly ? (
+          <button
+            style={{
+              ...commitBtn,
+              opacity: (!wallet || !merkleRoot || !contractAddress || committing) ? 0.6 : 1,
+              cursor: (!wallet || !merkleRoot || !contractAddress || committing) ? "not-allowed" : "pointer"
+            }}
+            onClick={handleSign}
+            disabled={!wallet || !merkleRoot || !contractAddress || committing}
+            aria-busy={committing}
+          >
+            {committing ? "Waiting for Signature..." : "Sign Commitment (No Gas)"}
+          </button>
+        ) : (
+          <button
+            style={{
+              ...commitBtn,
+              opacity: (!wallet || !merkleRoot || !contractAddress || committing) ? 0.6 : 1,
+              cursor: (!wallet || !merkleRoot || !contractAddress || committing) ? "not-allowed" : "pointer"
+            }}
+            onClick={handleCommit}
+            disabled={!wallet || !merkleRoot || !contractAddress || committing}
+            aria-label={`Create timestamp on ${chainId ? NETWORK_NAMES[chainId] || 'blockchain' : 'blockchain'}`}
+            aria-busy={committing}
+          >
+            {committing 
+              ? 'Creating Timestamp...' 
+              : `Create Timestamp on ${chainId ? NETWORK_NAMES[chainId] || 'Blockchain' : 'Blockchain'}`}
+          </button>
+        )
       ) : (
         <div>
           {txConfirmed ? (
@@ -296,7 +901,12 @@ export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommi
               marginBottom: 12,
               textAlign: "center"
             }}>
-              Successfully committed to {NETWORK_NAMES[chainId] || "blockchain"}!
+              Successfully committed {batchMode ? `${batchProofs.length} roots ` : ""}to {NETWORK_NAMES[chainId] || "blockchain"}!
+              {confirmationSummary((batchMode ? batchProofs[0]?.proof : proofData)?.confirmation) && (
+                <div style={{ fontSize: 11, opacity: 0.85, marginTop: 4 }}>
+                  {confirmationSummary((batchMode ? batchProofs[0]?.proof : proofData)?.confirmation)}
+                </div>
+              )}
             </div>
           ) : (
             <div style={{
@@ -314,7 +924,7 @@ export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommi
               gap: 8
             }}>
               <div style={pendingSpinner}></div>
-              Transaction pending confirmation...
+              {describeConfirmStatus(confirmStatus)}
             </div>
           )}
 
@@ -366,28 +976,54 @@ export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommi
             )}
           </div>
 
-          {txConfirmed && (
+          {txConfirmed && !batchMode && (
             <button
-              style={{
-                padding: "10px 14px",
-                borderRadius: 9,
-                background: "rgba(46, 204, 113, 0.1)",
-                color: "#2ecc71",
-                border: "1px solid rgba(46, 204, 113, 0.3)",
-                cursor: "pointer",
-                fontSize: 13,
-                fontWeight: 600,
-                width: "100%"
-              }}
+              style={downloadBtn}
               onClick={() => proofData && downloadProof(proofData)}
               aria-label="Download blockchain proof file"
             >
               Download Proof File
             </button>
           )}
+
+          {txConfirmed && batchMode && batchProofs.length > 0 && (
+            <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+              {batchProofs.map(({ name, proof }) => (
+                <div key={proof.merkleRoot} style={batchRow}>
+                  <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{name}</span>
+                  <button
+                    style={{ ...removeBtn, color: "#2ecc71" }}
+                    onClick={() => downloadProof(proof)}
+                    aria-label={`Download blockchain proof for ${name}`}
+                  >
+                    Download
+                  </button>
+                </div>
+              ))}
+              <button
+                style={downloadBtn}
+                onClick={() => batchProofs.forEach(({ proof }) => downloadProof(proof))}
+                aria-label="Download all blockchain proof files"
+              >
+                Download All {batchProofs.length} Proof Files
+              </button>
+            </div>
+          )}
         </div>
       )}
 
+      {!batchMode && ownsExisting && (
+        <MetadataEditor
+          current={existing.metadata}
+          draft={metadataDraft}
+          onChange={setMetadataDraft}
+          onSubmit={handleUpdateMetadata}
+          updating={updatingMetadata}
+          notice={metadataNotice}
+          explorer={chainId ? getExplorerInfo(chainId) : null}
+        />
+      )}
+
       {error && (
         <div style={{
           marginTop: 12,
@@ -406,6 +1042,66 @@ export default function BlockchainCommit({ merkleRoot, jsonData, wallet, onCommi
   );
 }
 
+/**
+ * Editor for the metadata of a commitment owned by the connected wallet
+ * The draft must be valid JSON; it is sent compacted and checked against MAX_METADATA_LENGTH.
+ * @param {Object} props - Component props
+ * @param {string} props.current - Metadata currently stored on chain
+ * @param {string} props.draft - Editor contents
+ * @param {Function} props.onChange - Called with the new editor contents
+ * @param {Function} props.onSubmit - Sends the update
+ * @param {boolean} props.updating - Whether an update transaction is in flight
+ * @param {{pending: boolean, hash: string}|null} props.notice - Last update transaction
+ * @param {{name: string, base: string}|null} props.explorer - Block explorer for transaction links
+ */
+function MetadataEditor({ current, draft, onChange, onSubmit, updating, notice, explorer }) {
+  const validation = validateJSON(draft);
+  const compact = validation.valid ? JSON.stringify(validation.parsed) : null;
+  const length = compact !== null ? validateMetadataLength(compact, MAX_METADATA_LENGTH) : null;
+  const unchanged = compact === current;
+  const canSubmit = validation.valid && length.valid && !unchanged && !updating;
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontSize: 12, opacity: 0.8, marginBottom: 4 }}>Edit Metadata</div>
+      <textarea
+        style={{ ...input, width: "100%", minHeight: 120, resize: "vertical", boxSizing: "border-box", fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace", fontSize: 12 }}
+        value={draft}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={updating}
+        aria-label="Commitment metadata (JSON)"
+      />
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, marginTop: 4, marginBottom: 8 }}>
+        <span style={{ color: validation.valid ? "#8f8f8f" : "#ff6b6b" }}>
+          {validation.valid ? (unchanged ? "No changes" : "Valid JSON") : `Invalid JSON: ${validation.error}`}
+        </span>
+        {length && (
+          <span style={{ color: length.valid ? "#8f8f8f" : "#ff6b6b" }}>
+            {length.length} / {MAX_METADATA_LENGTH} bytes
+          </span>
+        )}
+      </div>
+      <button
+        style={{ ...commitBtn, opacity: canSubmit ? 1 : 0.6, cursor: canSubmit ? "pointer" : "not-allowed" }}
+        onClick={onSubmit}
+        disabled={!canSubmit}
+        aria-busy={updating}
+      >
+        {updating ? "Updating Metadata..." : "Update Metadata"}
+      </button>
+      {notice && (
+        <div style={{ fontSize: 11, marginTop: 6, color: notice.pending ? "#ffc107" : "#2ecc71", wordBreak: "break-all" }}>
+          {notice.pending ? "Update pending: " : "Metadata updated; the proof file now carries the new metadata. Tx: "}
+          {explorer ? (
+            <a href={`${explorer.base}/tx/${notice.hash}`} target="_blank" rel="noopener noreferrer" style={{ color: "#667eea" }}>
+              {notice.hash}
+            </a>
+          ) : notice.hash}
+        </div>
+      )}
+    </div>
+  );
+}
 
 /* ---------- Styles ---------- */
 
@@ -428,6 +1124,66 @@ const input = {
   fontSize: 13,
 };
 
+const commitBtn = {
+  padding: "10px 14px",
+  borderRadius: 9,
+  background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
+  color: "white",
+  border: "none",
+  fontSize: 13,
+  fontWeight: 600,
+  width: "100%",
+};
+
+const downloadBtn = {
+  padding: "10px 14px",
+  borderRadius: 9,
+  background: "rgba(46, 204, 113, 0.1)",
+  color: "#2ecc71",
+  border: "1px solid rgba(46, 204, 113, 0.3)",
+  cursor: "pointer",
+  fontSize: 13,
+  fontWeight: 600,
+  width: "100%",
+};
+
+const successBanner = {
+  padding: "10px",
+  borderRadius: 9,
+  background: "rgba(46, 204, 113, 0.1)",
+  border: "1px solid rgba(46, 204, 113, 0.3)",
+  color: "#2ecc71",
+  fontSize: 12,
+  marginBottom: 12,
+  wordBreak: "break-all",
+};
+
+const warningBanner = {
+  ...successBanner,
+  background: "rgba(255, 193, 7, 0.1)",
+  border: "1px solid rgba(255, 193, 7, 0.3)",
+  color: "#ffc107",
+};
+
+const batchRow = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+  fontSize: 12,
+  padding: "6px 8px",
+  background: "rgba(255,255,255,0.04)",
+  borderRadius: 8,
+};
+
+const removeBtn = {
+  background: "transparent",
+  border: "none",
+  color: "#ff6b6b",
+  cursor: "pointer",
+  fontSize: 12,
+  padding: "0 4px",
+};
+
 const pendingSpinner = {
   width: 16,
   height: 16,
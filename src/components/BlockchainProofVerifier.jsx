@@ -0,0 +1,220 @@
+import { useState } from "react";
+import { isInclusionProof } from "../lib/inclusionProof.js";
+import { isAggregateProof, verifyAggregateProof } from "../lib/aggregate.js";
+import { isMultiChainProof, verifyBlockchainProof } from "../lib/registry.js";
+import { EXPLORER_URLS, SCHEMA_VERSIONS } from "../lib/constants.js";
+import { getErrorMessage, logError } from "../lib/errorHandler.js";
+
+/**
+ * Blockchain proof verifier card for the Verification tab
+ * Opens a merkle-blockchain-proof@1 (or an inclusion, aggregate or multi-chain proof carrying anchors) and
+ * checks each one against its chain over the configured read-only RPC. No wallet required. For an aggregate proof the
+ * path from the root to the aggregate root is checked first.
+ */
+export default function BlockchainProofVerifier() {
+  const hasOpen = typeof window !== "undefined" && "showOpenFilePicker" in window;
+
+  const [proofName, setProofName] = useState("");
+  const [results, setResults] = useState([]);
+  const [aggregateResult, setAggregateResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function openProof() {
+    if (!hasOpen) return;
+    setError("");
+
+    try {
+      const [handle] = await window.showOpenFilePicker({
+        multiple: false,
+        types: [{ description: "Blockchain proof JSON", accept: { "application/json": [".json"] } }],
+      });
+
+      setBusy(true);
+      setResults([]);
+      setAggregateResult(null);
+
+      const f = await handle.getFile();
+      const parsed = JSON.parse(await f.text());
+      setProofName(f.name);
+
+      if (isAggregateProof(parsed)) {
+        const pathResult = await verifyAggregateProof(parsed);
+        setAggregateResult(pathResult);
+        if (!pathResult.ok) return;
+      }
+
+      const carriesAnchors = isInclusionProof(parsed) || isAggregateProof(parsed) || isMultiChainProof(parsed);
+      const proofs = carriesAnchors
+        ? (parsed.anchors || []).filter((a) => a.schema === SCHEMA_VERSIONS.BLOCKCHAIN_PROOF)
+        : [parsed];
+      if (proofs.length === 0) throw new Error("This proof carries no blockchain proofs.");
+
+      const checked = [];
+      for (const proof of proofs) {
+        try {
+          checked.push({ proof, result: await verifyBlockchainProof(proof) });
+        } catch (e) {
+          logError(e, "BlockchainProofVerifier.verify");
+          checked.push({ proof, error: getErrorMessage(e) });
+        }
+      }
+      setResults(checked);
+    } catch (e) {
+      if (e?.name === "AbortError") return;
+      logError(e, "BlockchainProofVerifier.openProof");
+      setError(getErrorMessage(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={card}>
+      <h3 style={{ marginTop: 0, marginBottom: 10, fontSize: 15, letterSpacing: "-0.01em" }}>
+        Verify Blockchain Proof
+      </h3>
+      <div style={{ ...hint, marginTop: 0, marginBottom: 12 }}>
+        Checks a <span style={monoInline}>merkle-blockchain-proof@1</span> against the registry contract over a public RPC. No wallet needed.
+      </div>
+
+      <button
+        style={{ ...button, ...(!hasOpen || busy ? buttonDisabled : {}) }}
+        onClick={openProof}
+        disabled={!hasOpen || busy}
+      >
+        {busy ? "Checking…" : "Open blockchain proof"}
+      </button>
+
+      {aggregateResult && (
+        <div style={{ marginTop: 12, fontSize: 12, lineHeight: 1.6, wordBreak: "break-all" }}>
+          <div style={{ color: aggregateResult.ok ? "#2ecc71" : "#e74c3c" }}>
+            {aggregateResult.ok ? "✓" : "✗"} Root <span style={monoInline}>0x{aggregateResult.root}</span>{" "}
+            {aggregateResult.ok ? "is included in" : "is not proven to be in"} aggregate root{" "}
+            <span style={monoInline}>0x{aggregateResult.aggregateRoot}</span>
+          </div>
+          {aggregateResult.reason && <div style={{ color: "#e74c3c" }}>{aggregateResult.reason}</div>}
+        </div>
+      )}
+
+      {results.length > 0 && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>
+            Loaded: <span style={monoInline}>{proofName}</span>
+          </div>
+          {results.map(({ proof, result, error: proofError }) => (
+            <div key={proof.transaction?.hash || proof.merkleRoot} style={{ marginTop: 10 }}>
+              {proofError
+                ? <div style={{ fontSize: 13, color: "#ff6b6b" }}>{proof.blockchain || "Proof"}: {proofError}</div>
+                : <ChainProofResult proof={proof} result={result} />}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && <div style={{ marginTop: 10, fontSize: 13, color: "#ff6b6b" }}>WARNING: {error}</div>}
+    </div>
+  );
+}
+
+/**
+ * Render the outcome of verifyBlockchainProof
+ * @param {Object} props
+ * @param {Object} props.proof - The merkle-blockchain-proof@1 that was checked
+ * @param {Object} props.result - Result from verifyBlockchainProof
+ */
+export function ChainProofResult({ proof, result }) {
+  const explorer = EXPLORER_URLS[result.chainId];
+
+  return (
+    <div style={{ ...row, borderColor: result.ok ? "rgba(46, 204, 113, 0.3)" : "rgba(231, 76, 60, 0.4)" }}>
+      <div style={{ fontSize: 14, fontWeight: 600, color: result.ok ? "#2ecc71" : "#e74c3c" }}>
+        {result.ok ? `Confirmed on ${result.network}` : `Not confirmed on ${result.network}`}
+      </div>
+
+      <div style={{ marginTop: 8, fontSize: 12, lineHeight: 1.7 }}>
+        {result.checks.map((check) => (
+          <div key={check.label}>
+            <span style={{ color: check.ok ? "#2ecc71" : "#e74c3c" }}>{check.ok ? "✓" : "✗"}</span> {check.label}
+            {check.detail && <span style={{ opacity: 0.7 }}> · <span style={monoInline}>{check.detail}</span></span>}
+          </div>
+        ))}
+        <div>
+          <span style={{ color: result.metadataMatches ? "#2ecc71" : "#f39c12" }}>{result.metadataMatches ? "✓" : "!"}</span>{" "}
+          {result.metadataMatches ? "Metadata matches the proof" : "On-chain metadata differs from the proof (the committer may have updated it)"}
+        </div>
+      </div>
+
+      <div style={{ ...hint, wordBreak: "break-all" }}>
+        {result.committer && <div>Committer: <span style={monoInline}>{result.committer}</span></div>}
+        {result.blockTimestamp != null && (
+          <div>Block time: {new Date(result.blockTimestamp * 1000).toISOString()} (block {result.blockNumber})</div>
+        )}
+        {result.confirmations != null && (
+          <div>
+            Confirmations: {result.confirmations} ·{" "}
+            {result.finalized === null ? "finality unknown (RPC has no finalized block)" : result.finalized ? "finalized" : "not final yet"}
+          </div>
+        )}
+        <div>Contract: <span style={monoInline}>{result.contractAddress}</span></div>
+        {explorer && proof.transaction?.hash && (
+          <div>
+            <a href={`${explorer.base}/tx/${proof.transaction.hash}`} target="_blank" rel="noopener noreferrer" style={{ color: "#3b82f6" }}>
+              View transaction on {explorer.name}
+            </a>
+          </div>
+        )}
+        {!result.metadataMatches && result.metadata && (
+          <details style={{ marginTop: 4 }}>
+            <summary style={{ cursor: "pointer" }}>On-chain metadata</summary>
+            <pre style={{ ...monoInline, whiteSpace: "pre-wrap", margin: "4px 0 0" }}>{result.metadata}</pre>
+          </details>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** ---------------- styles ---------------- **/
+
+const card = {
+  border: "1px solid rgba(255,255,255,0.08)",
+  borderRadius: 16,
+  padding: 16,
+  marginTop: 14,
+  background: "rgba(0,0,0,0.25)",
+  boxShadow: "0 8px 30px rgba(0,0,0,0.35)",
+};
+
+const button = {
+  padding: "12px 16px",
+  borderRadius: 12,
+  background: "#111",
+  color: "white",
+  border: "1px solid rgba(255,255,255,0.12)",
+  cursor: "pointer",
+  transition: "all 0.2s ease",
+};
+
+const buttonDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
+
+const row = {
+  padding: 10,
+  borderRadius: 10,
+  border: "1px solid rgba(255,255,255,0.10)",
+  background: "rgba(255,255,255,0.03)",
+};
+
+const hint = {
+  marginTop: 10,
+  fontSize: 12,
+  opacity: 0.75,
+  lineHeight: 1.5,
+};
+
+const monoInline = {
+  fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+};
@@ -0,0 +1,329 @@
+import { useState } from "react";
+import { getContractAddress } from "../config.js";
+import { EXPLORER_URLS, NETWORK_IDS, NETWORK_NAMES } from "../lib/constants.js";
+import { isValidAddressFormat, isValidMerkleRootFormat, normalizeMerkleRoot } from "../lib/validation.js";
+import { getErrorMessage, logError } from "../lib/errorHandler.js";
+import {
+  decodeMetadata,
+  getCommitmentDetails,
+  getMetadataHistory,
+  listCommitmentsByAddress,
+  openRegistryReader,
+} from "../lib/registryExplorer.js";
+
+const PAGE_SIZE = 20;
+
+// EVM chains with a registry deployment
+const EXPLORER_CHAINS = Object.keys(NETWORK_NAMES)
+  .map(Number)
+  .filter((id) => id !== NETWORK_IDS.BITCOIN && getContractAddress(id));
+
+function formatTime(seconds) {
+  return seconds != null ? `${new Date(seconds * 1000).toISOString().replace("T", " ").slice(0, 19)} UTC` : "—";
+}
+
+/**
+ * CommitmentExplorer component
+ * Read-only browser for the MerkleRootRegistry: look up commitments by committer address or by root
+ * on any configured chain, with decoded metadata and metadata-update history from event logs.
+ * Uses the configured JSON-RPC endpoints; no wallet required.
+ */
+export default function CommitmentExplorer() {
+  const [chainId, setChainId] = useState(EXPLORER_CHAINS[0] ?? NETWORK_IDS.ETHEREUM_MAINNET);
+  const [query, setQuery] = useState("");
+  const [reader, setReader] = useState(null);
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [searchedAddress, setSearchedAddress] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSearch = async () => {
+    const q = query.trim();
+    setError("");
+    setItems([]);
+    setTotal(0);
+    setSearchedAddress(null);
+
+    if (!isValidAddressFormat(q) && !isValidMerkleRootFormat(q)) {
+      setError("Enter a committer address (0x + 40 hex) or a Merkle root (64 hex).");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const r = openRegistryReader(chainId);
+      setReader(r);
+
+      if (isValidAddressFormat(q)) {
+        const page = await listCommitmentsByAddress(r, q, { limit: PAGE_SIZE });
+        setSearchedAddress(q);
+        setItems(page.items);
+        setTotal(page.total);
+        if (page.total === 0) setError(`No commitments by ${q} on ${NETWORK_NAMES[chainId]}.`);
+      } else {
+        const details = await getCommitmentDetails(r, normalizeMerkleRoot(q));
+        if (!details.committed) {
+          setError(`This root is not committed on ${NETWORK_NAMES[chainId]}.`);
+        } else {
+          setItems([details]);
+          setTotal(1);
+        }
+      }
+    } catch (err) {
+      logError(err, "CommitmentExplorer.handleSearch");
+      setError(getErrorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleMore = async () => {
+    setBusy(true);
+    try {
+      const page = await listCommitmentsByAddress(reader, searchedAddress, { offset: items.length, limit: PAGE_SIZE });
+      setItems((prev) => [...prev, ...page.items]);
+      setTotal(page.total);
+    } catch (err) {
+      logError(err, "CommitmentExplorer.handleMore");
+      setError(getErrorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 14 }}>
+      <div>
+        <h2 style={{ margin: 0, fontSize: 20 }}>Commitment Explorer</h2>
+        <div style={{ ...hint, marginTop: 6 }}>
+          Browse what is already committed to the MerkleRootRegistry. Reads go through a public JSON-RPC endpoint; no wallet needed.
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <select
+          value={chainId}
+          onChange={(e) => setChainId(Number(e.target.value))}
+          style={input}
+          aria-label="Chain"
+        >
+          {EXPLORER_CHAINS.map((id) => (
+            <option key={id} value={id}>{NETWORK_NAMES[id]}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && !busy && handleSearch()}
+          placeholder="Committer address or Merkle root"
+          style={{ ...input, flex: 1, minWidth: 260, fontFamily: mono.fontFamily }}
+          aria-label="Committer address or Merkle root"
+        />
+        <button style={{ ...button, ...(busy ? buttonDisabled : {}) }} onClick={handleSearch} disabled={busy}>
+          {busy ? "Searching…" : "Search"}
+        </button>
+      </div>
+
+      {error && <div style={{ fontSize: 13, color: "#ff6b6b" }}>{error}</div>}
+
+      {items.length > 0 && (
+        <div style={{ display: "grid", gap: 10 }}>
+          {searchedAddress && (
+            <div style={{ fontSize: 12, opacity: 0.8 }}>
+              Showing {items.length} of {total} commitment{total !== 1 ? "s" : ""} by <span style={mono}>{searchedAddress}</span>, newest first
+            </div>
+          )}
+          {items.map((item) => (
+            <CommitmentRow key={item.root} item={item} reader={reader} />
+          ))}
+          {searchedAddress && items.length < total && (
+            <button style={{ ...button, ...(busy ? buttonDisabled : {}) }} onClick={handleMore} disabled={busy}>
+              {busy ? "Loading…" : `Show ${Math.min(PAGE_SIZE, total - items.length)} more`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * One commitment with its metadata and on-demand update history
+ * @param {Object} props
+ * @param {Object} props.item - Result of getCommitmentDetails
+ * @param {Object} props.reader - Registry reader the item came from
+ */
+function CommitmentRow({ item, reader }) {
+  const [history, setHistory] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+
+  const explorer = EXPLORER_URLS[reader.chainId];
+
+  const loadHistory = async () => {
+    setScanning(true);
+    setError("");
+    try {
+      setHistory(await getMetadataHistory(reader, item.root, item.blockNumber, {
+        onProgress: (block, from, to) => setProgress(Math.round(((block - from + 1) / (to - from + 1)) * 100)),
+      }));
+    } catch (err) {
+      logError(err, "CommitmentExplorer.loadHistory");
+      setError(getErrorMessage(err));
+    } finally {
+      setScanning(false);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div style={row}>
+      <div style={{ ...mono, fontSize: 12, wordBreak: "break-all" }}>{item.root}</div>
+
+      <div style={{ marginTop: 6, fontSize: 12, lineHeight: 1.7 }}>
+        <div>Committer: <span style={mono}>{item.committer}</span></div>
+        <div>Block {item.blockNumber} · {formatTime(item.timestamp)}</div>
+        {item.txHash && explorer && (
+          <div>
+            <a href={`${explorer.base}/tx/${item.txHash}`} target="_blank" rel="noopener noreferrer" style={{ color: "#3b82f6" }}>
+              View transaction on {explorer.name}
+            </a>
+          </div>
+        )}
+      </div>
+
+      <MetadataView label="Metadata" metadata={item.metadata} />
+      {item.originalMetadata != null && item.originalMetadata !== item.metadata && (
+        <MetadataView label="Metadata at commit time" metadata={item.originalMetadata} />
+      )}
+
+      <div style={{ marginTop: 8 }}>
+        {history === null ? (
+          <button style={{ ...smallButton, ...(scanning ? buttonDisabled : {}) }} onClick={loadHistory} disabled={scanning}>
+            {scanning ? `Scanning logs… ${progress ?? 0}%` : "Load metadata history"}
+          </button>
+        ) : history.length === 0 ? (
+          <div style={hint}>Metadata has never been updated.</div>
+        ) : (
+          <div style={{ fontSize: 12 }}>
+            <div style={{ opacity: 0.8, marginBottom: 4 }}>
+              {history.length} metadata update{history.length !== 1 ? "s" : ""}:
+            </div>
+            {history.map((update) => (
+              <div key={`${update.txHash}-${update.newMetadata}`} style={{ ...historyRow }}>
+                <div>
+                  Block {update.blockNumber} · {formatTime(update.timestamp)}
+                  {explorer && (
+                    <>
+                      {" · "}
+                      <a href={`${explorer.base}/tx/${update.txHash}`} target="_blank" rel="noopener noreferrer" style={{ color: "#3b82f6" }}>tx</a>
+                    </>
+                  )}
+                </div>
+                <div style={{ ...mono, opacity: 0.7, wordBreak: "break-all" }}>− {update.oldMetadata || "(empty)"}</div>
+                <div style={{ ...mono, wordBreak: "break-all" }}>+ {update.newMetadata || "(empty)"}</div>
+              </div>
+            ))}
+          </div>
+        )}
+        {error && <div style={{ marginTop: 6, fontSize: 12, color: "#ff6b6b" }}>{error}</div>}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Decoded metadata as a key/value list, falling back to the raw string
+ * @param {Object} props
+ * @param {string} props.label - Heading
+ * @param {string} props.metadata - Metadata string from the chain
+ */
+function MetadataView({ label, metadata }) {
+  const decoded = decodeMetadata(metadata);
+
+  return (
+    <div style={{ marginTop: 8, fontSize: 12 }}>
+      <div style={{ opacity: 0.8, marginBottom: 2 }}>{label}</div>
+      {decoded ? (
+        <div style={metadataGrid}>
+          {Object.entries(decoded).map(([key, value]) => (
+            <div key={key} style={{ display: "contents" }}>
+              <span style={{ opacity: 0.7 }}>{key}</span>
+              <span style={{ ...mono, wordBreak: "break-all" }}>{typeof value === "object" ? JSON.stringify(value) : String(value)}</span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={{ ...mono, wordBreak: "break-all" }}>{metadata || "(empty)"}</div>
+      )}
+    </div>
+  );
+}
+
+/* ---------- Styles ---------- */
+
+const input = {
+  background: "#0f0f10",
+  color: "#eaeaea",
+  border: "1px solid #2a2a2a",
+  borderRadius: 10,
+  padding: "9px 11px",
+  outline: "none",
+  fontSize: 13,
+};
+
+const button = {
+  padding: "9px 14px",
+  borderRadius: 10,
+  background: "#111",
+  color: "white",
+  border: "1px solid rgba(255,255,255,0.12)",
+  cursor: "pointer",
+  fontSize: 13,
+};
+
+const smallButton = {
+  ...button,
+  padding: "6px 10px",
+  fontSize: 12,
+};
+
+const buttonDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
+
+const row = {
+  padding: 12,
+  borderRadius: 10,
+  border: "1px solid rgba(255,255,255,0.10)",
+  background: "rgba(255,255,255,0.03)",
+};
+
+const historyRow = {
+  padding: "6px 8px",
+  marginTop: 4,
+  borderRadius: 8,
+  background: "rgba(255,255,255,0.03)",
+  lineHeight: 1.6,
+};
+
+const metadataGrid = {
+  display: "grid",
+  gridTemplateColumns: "max-content 1fr",
+  columnGap: 12,
+  rowGap: 2,
+};
+
+const hint = {
+  fontSize: 12,
+  opacity: 0.75,
+  lineHeight: 1.5,
+};
+
+const mono = {
+  fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+};
@@ -0,0 +1,298 @@
+import { useState } from "react";
+import { humanBytes } from "../lib/merkle.js";
+import {
+  ARTIFACT_KINDS,
+  buildEvidenceBundle,
+  extractArtifact,
+  validateEvidenceBundle,
+  verifyEvidenceBundle,
+} from "../lib/evidenceBundle.js";
+import { verifyBlockchainProof } from "../lib/registry.js";
+import { getErrorMessage, logError } from "../lib/errorHandler.js";
+import { ChainProofResult } from "./BlockchainProofVerifier.jsx";
+
+const KIND_LABELS = {
+  [ARTIFACT_KINDS.MERKLE_TREE]: "Merkle tree",
+  [ARTIFACT_KINDS.BLOCKCHAIN_PROOF]: "Blockchain proof",
+  [ARTIFACT_KINDS.INCLUSION_PROOF]: "Inclusion proof",
+  [ARTIFACT_KINDS.OPENTIMESTAMPS]: "OpenTimestamps",
+};
+
+/**
+ * Evidence bundle card for the Verification tab
+ * Packs merkle-tree.json, blockchain proofs, inclusion proofs and .ots files into one
+ * merkle-evidence-bundle@1, and opens a bundle to check every artifact against its root.
+ *
+ * @param {Object} props
+ * @param {Function} [props.onUseArtifact] - Called with (parsedJson, name) to load a bundled tree or inclusion proof for file/folder verification
+ */
+export default function EvidenceBundle({ onUseArtifact }) {
+  const hasOpen = typeof window !== "undefined" && "showOpenFilePicker" in window;
+
+  const [bundle, setBundle] = useState(null);
+  const [bundleName, setBundleName] = useState("");
+  const [result, setResult] = useState(null);
+  const [chainResults, setChainResults] = useState({}); // artifact name -> { proof, result } | { checking } | { error }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function createBundle() {
+    if (!hasOpen) return;
+    setError("");
+
+    try {
+      const handles = await window.showOpenFilePicker({
+        multiple: true,
+        types: [
+          {
+            description: "Merkle tree, proofs and .ots files",
+            accept: { "application/json": [".json"], "application/octet-stream": [".ots"] },
+          },
+        ],
+      });
+
+      setBusy(true);
+      const artifacts = [];
+      for (const handle of handles) {
+        const f = await handle.getFile();
+        artifacts.push({ name: f.name, bytes: new Uint8Array(await f.arrayBuffer()) });
+      }
+
+      const built = await buildEvidenceBundle(artifacts);
+      downloadJson(built, `merkle-evidence-${built.root.slice(0, 8)}.json`);
+    } catch (e) {
+      if (e?.name === "AbortError") return;
+      logError(e, "EvidenceBundle.createBundle");
+      setError(getErrorMessage(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function openBundle() {
+    if (!hasOpen) return;
+    setError("");
+
+    try {
+      const [handle] = await window.showOpenFilePicker({
+        multiple: false,
+        types: [{ description: "Evidence bundle", accept: { "application/json": [".json"] } }],
+      });
+
+      setBusy(true);
+      setBundle(null);
+      setResult(null);
+      setChainResults({});
+
+      const f = await handle.getFile();
+      const parsed = validateEvidenceBundle(JSON.parse(await f.text()));
+      setBundle(parsed);
+      setBundleName(f.name);
+      setResult(await verifyEvidenceBundle(parsed));
+    } catch (e) {
+      if (e?.name === "AbortError") return;
+      logError(e, "EvidenceBundle.openBundle");
+      setError(getErrorMessage(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function saveArtifact(name) {
+    const blob = new Blob([extractArtifact(bundle, name)], { type: "application/octet-stream" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function loadArtifact(name) {
+    try {
+      const parsed = JSON.parse(new TextDecoder().decode(extractArtifact(bundle, name)));
+      onUseArtifact(parsed, name);
+    } catch (e) {
+      logError(e, "EvidenceBundle.loadArtifact");
+      setError(getErrorMessage(e));
+    }
+  }
+
+  async function checkOnChain(name) {
+    setChainResults((prev) => ({ ...prev, [name]: { checking: true } }));
+    try {
+      const proof = JSON.parse(new TextDecoder().decode(extractArtifact(bundle, name)));
+      const onChain = await verifyBlockchainProof(proof);
+      setChainResults((prev) => ({ ...prev, [name]: { proof, result: onChain } }));
+    } catch (e) {
+      logError(e, "EvidenceBundle.checkOnChain");
+      setChainResults((prev) => ({ ...prev, [name]: { error: getErrorMessage(e) } }));
+    }
+  }
+
+  return (
+    <div style={card}>
+      <h3 style={{ marginTop: 0, marginBottom: 10, fontSize: 15, letterSpacing: "-0.01em" }}>
+        Evidence Bundle
+      </h3>
+      <div style={{ ...hint, marginTop: 0, marginBottom: 12 }}>
+        One file carrying the tree, blockchain proofs and OpenTimestamps proof for a root. Every artifact must commit to the same root.
+      </div>
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <button
+          style={{ ...button, ...(!hasOpen || busy ? buttonDisabled : {}) }}
+          onClick={openBundle}
+          disabled={!hasOpen || busy}
+        >
+          Open evidence bundle
+        </button>
+        <button
+          style={{ ...button, ...(!hasOpen || busy ? buttonDisabled : {}) }}
+          onClick={createBundle}
+          disabled={!hasOpen || busy}
+        >
+          Create bundle from files…
+        </button>
+      </div>
+
+      {result && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>
+            Loaded: <span style={monoInline}>{bundleName}</span> · created {bundle.createdAt}
+          </div>
+          <div style={{ marginTop: 8, opacity: 0.8 }}>Root:</div>
+          <div style={mono}>{result.root}</div>
+
+          <div style={{ marginTop: 12, fontSize: 16, fontWeight: 600, color: result.ok ? "#2ecc71" : "#e74c3c" }}>
+            {result.ok
+              ? `All ${result.checks.length} artifact${result.checks.length !== 1 ? "s" : ""} match this root`
+              : "Bundle verification failed"}
+          </div>
+
+          <div style={{ marginTop: 8, display: "flex", flexDirection: "column", gap: 6 }}>
+            {result.checks.map((check) => {
+              const entry = bundle.manifest.find((m) => m.name === check.name);
+              const usable = onUseArtifact && check.ok
+                && (check.kind === ARTIFACT_KINDS.MERKLE_TREE || check.kind === ARTIFACT_KINDS.INCLUSION_PROOF);
+              const chain = chainResults[check.name];
+              return (
+                <div key={check.name} style={{ ...row, borderColor: check.ok ? "rgba(46, 204, 113, 0.3)" : "rgba(231, 76, 60, 0.4)" }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", gap: 8, flexWrap: "wrap" }}>
+                    <div style={{ fontSize: 13 }}>
+                      <span style={{ color: check.ok ? "#2ecc71" : "#e74c3c" }}>{check.ok ? "✓" : "✗"}</span>{" "}
+                      <span style={monoInline}>{check.name}</span>{" "}
+                      <span style={{ opacity: 0.7 }}>· {KIND_LABELS[check.kind] || check.kind}{entry ? ` · ${humanBytes(entry.size)}` : ""}</span>
+                    </div>
+                    <div>
+                      {check.ok && check.kind === ARTIFACT_KINDS.BLOCKCHAIN_PROOF && (
+                        <button
+                          style={{ ...smallButton, ...(chain?.checking ? buttonDisabled : {}) }}
+                          onClick={() => checkOnChain(check.name)}
+                          disabled={chain?.checking}
+                        >
+                          {chain?.checking ? "Checking…" : "Check on-chain"}
+                        </button>
+                      )}
+                      {usable && (
+                        <button style={smallButton} onClick={() => loadArtifact(check.name)}>
+                          Use for verification
+                        </button>
+                      )}
+                      {entry && (
+                        <button style={smallButton} onClick={() => saveArtifact(check.name)}>
+                          Extract
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  {check.detail && <div style={{ ...hint, marginTop: 4, wordBreak: "break-all" }}>{check.detail}</div>}
+                  {check.reason && <div style={{ marginTop: 4, fontSize: 12, color: "#ff6b6b" }}>{check.reason}</div>}
+                  {chain?.result && <div style={{ marginTop: 8 }}><ChainProofResult proof={chain.proof} result={chain.result} /></div>}
+                  {chain?.error && <div style={{ marginTop: 4, fontSize: 12, color: "#ff6b6b" }}>{chain.error}</div>}
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={hint}>
+            These checks are offline. Use "Check on-chain" to confirm a blockchain proof against the registry; confirm the Bitcoin attestation in the On-Chain Timestamping tab.
+          </div>
+        </div>
+      )}
+
+      {error && <div style={{ marginTop: 10, fontSize: 13, color: "#ff6b6b" }}>WARNING: {error}</div>}
+    </div>
+  );
+}
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** ---------------- styles ---------------- **/
+
+const card = {
+  border: "1px solid rgba(255,255,255,0.08)",
+  borderRadius: 16,
+  padding: 16,
+  marginTop: 14,
+  background: "rgba(0,0,0,0.25)",
+  boxShadow: "0 8px 30px rgba(0,0,0,0.35)",
+};
+
+const button = {
+  padding: "12px 16px",
+  borderRadius: 12,
+  background: "#111",
+  color: "white",
+  border: "1px solid rgba(255,255,255,0.12)",
+  cursor: "pointer",
+  transition: "all 0.2s ease",
+};
+
+const buttonDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
+
+const smallButton = {
+  ...button,
+  padding: "2px 8px",
+  fontSize: 11,
+  marginLeft: 4,
+};
+
+const row = {
+  padding: 10,
+  borderRadius: 10,
+  border: "1px solid rgba(255,255,255,0.10)",
+  background: "rgba(255,255,255,0.03)",
+};
+
+const hint = {
+  marginTop: 10,
+  fontSize: 12,
+  opacity: 0.75,
+  lineHeight: 1.5,
+};
+
+const mono = {
+  marginTop: 6,
+  padding: 12,
+  borderRadius: 12,
+  border: "1px solid rgba(255,255,255,0.10)",
+  background: "rgba(255,255,255,0.04)",
+  fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+  wordBreak: "break-all",
+};
+
+const monoInline = {
+  fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+};
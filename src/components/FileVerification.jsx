@@ -1,50 +1,31 @@
 import { useCallback, useMemo, useRef, useState } from "react";
-import {
-  buildMerkleTreeFromLeafHashes,
-  computeLeafHashBytes,
-  computeRootFromProof,
-  hexToBytes,
-  humanBytes,
-  isHex256,
-  listFilesFromDirectoryHandle,
-  sha256Bytes,
-  toHex,
-} from "../lib/merkle.js";
-import {
-  ProgressBar,
-  readFileWithErrorHandling,
-  shouldIgnoreRelPath,
-} from "../lib/utils.jsx";
+import { humanBytes, listFilesFromDirectoryHandle } from "../lib/merkle.js";
+import { isPathBoundSchema, validateCommitmentJson, verifyCommitment, verifyFile } from "../lib/commitment.js";
+import { isDirsSchema } from "../lib/dirTree.js";
+import { DEFAULT_HASH_ALGORITHM, HASH_ALGORITHMS } from "../lib/hashAlgorithms.js";
+import { isInclusionProof, validateInclusionProof, verifyInclusionProof } from "../lib/inclusionProof.js";
+import { createHashPool } from "../lib/hashPool.js";
+import { ProgressBar } from "../lib/utils.jsx";
 import { PROGRESS_UPDATE_THROTTLE_MS, DEFAULT_FOLDER_POLICY } from "../lib/constants.js";
 import { getErrorMessage, logError } from "../lib/errorHandler.js";
 import { isValidMerkleRootFormat, normalizeMerkleRoot } from "../lib/validation.js";
 import FolderPolicy from "./FolderPolicy.jsx";
+import EvidenceBundle from "./EvidenceBundle.jsx";
+import TreeDiff from "./TreeDiff.jsx";
+import BlockchainProofVerifier from "./BlockchainProofVerifier.jsx";
+import OnChainInclusionCheck from "./OnChainInclusionCheck.jsx";
 
 /**
  * Verification supports:
  * 1) Open merkle-tree.json (via showOpenFilePicker)
  * 2) Verify folder (via showDirectoryPicker) → recompute root bytes-only
  * 3) Verify single file (via showOpenFilePicker) → membership proof against JSON
+ * 4) Open a merkle-inclusion-proof@1 instead of the tree → verify the one file it covers, or have the registry contract check the proof (verifyInclusion)
+ * 5) Open a merkle-evidence-bundle@1 → check every bundled artifact against its root
+ * 6) Open a merkle-blockchain-proof@1 → check it against the chain (read-only RPC, no wallet)
  */
 
 
-
-function buildProof(levels, idx) {
-  const proof = [];
-  for (let l = 0; l < levels.length - 1; l++) {
-    const nodes = levels[l];
-    const isRight = idx % 2 === 1;
-    const sib = nodes[isRight ? idx - 1 : idx + 1] || nodes[idx];
-    proof.push({
-      position: isRight ? "left" : "right",
-      hash: toHex(sib),
-    });
-    idx = Math.floor(idx / 2);
-  }
-  return proof;
-}
-
-
 export default function FileVerification() {
   const hasDir = typeof window !== "undefined" && "showDirectoryPicker" in window;
   const hasOpen = typeof window !== "undefined" && "showOpenFilePicker" in window;
@@ -53,6 +34,10 @@ export default function FileVerification() {
   const [jsonName, setJsonName] = useState("merkle-tree.json");
   const [inputMode, setInputMode] = useState("json"); // 'json' | 'manual'
   const [merkleRoot, setMerkleRoot] = useState("");
+  const [manualBindPaths, setManualBindPaths] = useState(false); // manual root from a merkle-paths-tree@1
+  const [manualHierarchical, setManualHierarchical] = useState(false); // manual root from a merkle-dirs-tree@1
+  const [manualAlgorithm, setManualAlgorithm] = useState(DEFAULT_HASH_ALGORITHM);
+  const [committedFolder, setCommittedFolder] = useState(""); // folder of a path-bound or dirs tree the selection sits in
   
   // Policy state management
   const [policy, setPolicy] = useState(DEFAULT_FOLDER_POLICY);
@@ -63,6 +48,8 @@ export default function FileVerification() {
   const [error, setError] = useState("");
   const [progress, setProgress] = useState({ done: 0, total: 0 });
   const [isProcessing, setIsProcessing] = useState(false);
+  const [isStopping, setIsStopping] = useState(false);
+  const abortControllerRef = useRef(null);
   const lastProgressUpdate = useRef(0);
 
   // Throttle progress updates to avoid excessive re-renders
@@ -89,6 +76,13 @@ export default function FileVerification() {
     setProgress({ done: 0, total: 0 });
   }
 
+  function cancelProcessing() {
+    setIsStopping(true);
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  }
+
   function handleRootInput(value) {
     const normalized = normalizeMerkleRoot(value);
     setMerkleRoot(normalized);
@@ -144,36 +138,7 @@ export default function FileVerification() {
       });
 
       const f = await handle.getFile();
-      setJsonName(f.name || "merkle-tree.json");
-
-      const parsed = JSON.parse(await f.text());
-
-      const schema = String(parsed.schema || "");
-      if (!schema.startsWith("merkle-")) throw new Error(`Unsupported schema: "${schema || "(missing)"}"`);
-      if (!isHex256(parsed.root)) throw new Error("Invalid root in JSON.");
-      if (!Array.isArray(parsed.leaves) || parsed.leaves.length === 0) throw new Error("Invalid leaves array.");
-      if (!parsed.tree?.levels || !Array.isArray(parsed.tree.levels) || parsed.tree.levels.length === 0) {
-        throw new Error("Invalid tree.levels in JSON.");
-      }
-
-      // Handle policy - warn if missing but don't fail
-      if (!parsed.folderPolicy) {
-        // Use default policy but warn user
-        setPolicy(DEFAULT_FOLDER_POLICY);
-        setPolicySource("default");
-        setPolicyOverride(false);
-        setError('Warning: This JSON is missing "folderPolicy". Using default policy. Please regenerate using the current Generator for consistent verification.');
-      } else {
-        // Auto-populate policy from JSON
-        setPolicy(parsed.folderPolicy);
-        setPolicySource("json");
-        setPolicyOverride(false);
-        setError(""); // Clear any previous errors
-      }
-
-      setJson(parsed);
-      setMerkleRoot(""); // Clear manual root when loading JSON
-      setStatus("JSON loaded.");
+      loadJsonDocument(JSON.parse(await f.text()), f.name || "merkle-tree.json");
     } catch (e) {
       if (e?.name === "AbortError") return;
       logError(e, "FileVerification.openJson");
@@ -182,201 +147,131 @@ export default function FileVerification() {
     }
   }
 
+  /**
+   * Load a parsed tree or inclusion proof as the reference for verification
+   * Used by openJson and by the evidence bundle loader.
+   * @param {Object} raw - Parsed JSON
+   * @param {string} name - Display name
+   * @throws {Error} If the document is not a valid tree or inclusion proof
+   */
+  function loadJsonDocument(raw, name) {
+    const parsed = isInclusionProof(raw) ? validateInclusionProof(raw) : validateCommitmentJson(raw);
+    setJsonName(name);
+
+    // Handle policy - warn if missing but don't fail (inclusion proofs cover a single file and carry none)
+    if (isInclusionProof(parsed)) {
+      setPolicy(DEFAULT_FOLDER_POLICY);
+      setPolicySource("default");
+      setPolicyOverride(false);
+      setError("");
+    } else if (!parsed.folderPolicy) {
+      // Use default policy but warn user
+      setPolicy(DEFAULT_FOLDER_POLICY);
+      setPolicySource("default");
+      setPolicyOverride(false);
+      setError('Warning: This JSON is missing "folderPolicy". Using default policy. Please regenerate using the current Generator for consistent verification.');
+    } else {
+      // Auto-populate policy from JSON
+      setPolicy(parsed.folderPolicy);
+      setPolicySource("json");
+      setPolicyOverride(false);
+      setError(""); // Clear any previous errors
+    }
+
+    setJson(parsed);
+    setCommittedFolder("");
+    setMerkleRoot(""); // Clear manual root when loading JSON
+    setStatus("JSON loaded.");
+  }
+
+  function loadBundledArtifact(parsed, name) {
+    resetResults();
+    setInputMode("json");
+    loadJsonDocument(parsed, name);
+  }
+
   async function verifyFolder() {
     // Require either JSON or manual root input
-    if (inputMode === "json" && !json) return;
+    if (inputMode === "json" && (!json || isInclusionProof(json))) return;
     if (inputMode === "manual" && (!merkleRoot || !isValidMerkleRootFormat(merkleRoot))) return;
     if (!hasDir) return;
 
     resetResults();
+
+    // Create new AbortController for this operation
+    abortControllerRef.current = new AbortController();
+    const signal = abortControllerRef.current.signal;
+
     setIsProcessing(true);
+    let pool = null;
 
     try {
       setStatus("Requesting folder permission…");
       const dir = await window.showDirectoryPicker();
 
+      if (signal.aborted) {
+        throw new Error("Processing cancelled");
+      }
+
       setStatus("Scanning folder…");
       const pairs = await listFilesFromDirectoryHandle(dir);
 
       // Use current policy state (already set from JSON or manual configuration)
-
       // Always ignore the proof file if it exists inside the folder
-      const filtered = pairs
-        .filter((p) => p.relPath !== "merkle-tree.json" && (inputMode === "manual" || p.relPath !== jsonName))
-        .filter((p) => !shouldIgnoreRelPath(p.relPath, policy));
-
-      if (filtered.length === 0) throw new Error("No files left after applying folderPolicy.");
-
-      const totalBytes = filtered.reduce((a, p) => a + (p.file.size || 0), 0);
+      const excludePaths = inputMode === "json" ? ["merkle-tree.json", jsonName] : ["merkle-tree.json"];
+      const reference = inputMode === "json" ? { tree: json } : { root: merkleRoot, bindPaths: manualBindPaths, hierarchical: manualHierarchical, algorithm: manualAlgorithm };
 
       setStatus("Hashing files locally…");
-      setProgress({ done: 0, total: filtered.length });
-
-      // Store file data with hashes for both exact and subset verification
-      const fileData = [];
-      const enc = new TextEncoder();
-
-      for (let i = 0; i < filtered.length; i++) {
-        const { file, relPath } = filtered[i];
-
-        // For very large files, use streaming hash directly instead of reading entire file
-        const LARGE_FILE_THRESHOLD = 100 * 1024 * 1024; // 100 MB
-        let contentHashBytes;
-        
-        if (file.size > LARGE_FILE_THRESHOLD) {
-          // Use streaming hash for large files (doesn't load entire file into memory)
-          const { sha256Stream } = await import("../lib/merkle.js");
-          contentHashBytes = await sha256Stream(file);
-        } else {
-          // Use regular approach for smaller files
-        const bytes = await readFileWithErrorHandling(file);
-          contentHashBytes = await sha256Bytes(bytes);
-        }
-        const contentHashHex = toHex(contentHashBytes).toLowerCase();
-        const leafHashBytes = await computeLeafHashBytes(contentHashBytes);
-
-        fileData.push({
-          relPath,
-          contentHashHex,
-          leafHashBytes,
-          contentHashBytes
-        });
-        
-        updateProgressThrottled(i + 1, filtered.length);
-      }
-
-      // Ensure final progress is shown
-      setProgress({ done: filtered.length, total: filtered.length });
-
-      // Try exact match first: canonical ordering and build tree
-      const leafHashes = fileData.map(f => f.leafHashBytes);
-      leafHashes.sort((a, b) => (toHex(a) < toHex(b) ? -1 : 1));
-
-      setStatus("Building Merkle tree…");
-      const { root } = await buildMerkleTreeFromLeafHashes(leafHashes);
-      const computed = toHex(root).toLowerCase();
-      
-      // Use root from JSON if in JSON mode, otherwise use manual root input
-      let expected;
-      if (inputMode === "json") {
-        expected = String(json.root || "");
-        // Remove 0x prefix if present
-        if (expected.startsWith("0x")) {
-          expected = expected.slice(2);
-        }
-        expected = expected.toLowerCase();
-      } else {
-        const normalized = normalizeMerkleRoot(merkleRoot);
-        // Remove 0x prefix for comparison (toHex doesn't include it)
-        expected = normalized.startsWith("0x") ? normalized.slice(2).toLowerCase() : normalized.toLowerCase();
-      }
-
-      const exactMatch = computed === expected;
-
-      let verificationMode = "exact";
-      let filesVerified = [];
-      let filesMissing = [];
-      let verificationRate = 0;
-
-      if (exactMatch) {
-        // Exact match - all files verified
-        filesVerified = fileData.map(f => f.relPath);
-        verificationRate = 100;
-      } else if (inputMode === "json") {
-        // Fall back to subset verification (only available with JSON)
-        verificationMode = "subset";
-        setStatus("Verifying files individually…");
-        
-        // Create lookup map: contentHash -> array of leaf indices
-        const contentHashMap = new Map();
-        for (let i = 0; i < json.leaves.length; i++) {
-          const leaf = json.leaves[i];
-          const hash = String(leaf.contentHash || "").toLowerCase();
-          if (!contentHashMap.has(hash)) {
-            contentHashMap.set(hash, []);
-          }
-          contentHashMap.get(hash).push(i);
-        }
-
-        // Prepare tree levels for proof verification
-        const levels = json.tree.levels.map((lvl) => lvl.map(hexToBytes));
-
-        // Verify each file individually
-        let verifiedCount = 0;
-        for (let i = 0; i < fileData.length; i++) {
-          const file = fileData[i];
-          updateProgressThrottled(i + 1, fileData.length);
-
-          const candidateIndices = contentHashMap.get(file.contentHashHex) || [];
-          
-          if (candidateIndices.length === 0) {
-            filesMissing.push(file.relPath);
-            continue;
-          }
-
-          // Try to verify membership for each candidate
-          let verified = false;
-          for (const idx of candidateIndices) {
-            const leaf = json.leaves[idx];
-            const leafHashHex = String(leaf.leafHash || "").toLowerCase();
-            
-            if (toHex(file.leafHashBytes).toLowerCase() !== leafHashHex) {
-              continue;
-            }
-
-            // Build proof and verify
-            const proof = buildProof(levels, idx);
-            const computedRoot = toHex(await computeRootFromProof(file.leafHashBytes, proof));
-
-            if (computedRoot.toLowerCase() === expected.toLowerCase()) {
-              verified = true;
-              break;
-            }
-          }
 
-          if (verified) {
-            filesVerified.push(file.relPath);
-            verifiedCount++;
-          } else {
-            filesMissing.push(file.relPath);
+      // Hash in a worker pool when available so the UI stays responsive; aborting terminates the workers
+      pool = createHashPool({ signal });
+
+      const result = await verifyCommitment(pairs, reference, policy, {
+        signal,
+        excludePaths,
+        pathPrefix: committedFolder.trim() || undefined,
+        hashFile: pool?.hashFile,
+        concurrency: pool?.size,
+        onProgress: (ev) => {
+          if (ev.phase === "building") {
+            // Ensure final progress is shown
+            setProgress((prev) => ({ done: prev.total, total: prev.total }));
+            setStatus("Building Merkle tree…");
+          } else if (ev.phase === "verifying") {
+            if (ev.done === 1) setStatus("Verifying files individually…");
+            updateProgressThrottled(ev.done, ev.total);
+          } else if (ev.status === "completed") {
+            updateProgressThrottled(ev.done, ev.total);
           }
-        }
-
-        verificationRate = fileData.length > 0 
-          ? Math.round((verifiedCount / fileData.length) * 100) 
-          : 0;
-      }
-
-      const ok = exactMatch || (verificationMode === "subset" && filesVerified.length > 0 && filesMissing.length === 0);
+        },
+      });
 
       setFolderResult({
-        ok,
-        verificationMode,
-        expected,
-        computed: computed,
-        jsonLeafCount: inputMode === "json" ? (json.summary?.fileCount ?? json.leaves.length) : null,
-        selectedCount: pairs.length,
-        filteredCount: filtered.length,
+        ...result,
         policyUsed: policySource === "json" 
           ? (policyOverride ? "json.folderPolicy (overridden)" : "json.folderPolicy")
           : policySource === "manual"
           ? "manual"
           : "default",
-        filesVerified,
-        filesMissing,
-        verificationRate,
-        verifiedCount: filesVerified.length,
-        totalFiles: fileData.length,
       });
 
       setStatus("Done.");
     } catch (e) {
       if (e?.name === "AbortError") return;
-      logError(e, "FileVerification.verifyFolder");
-      setError(getErrorMessage(e));
-      setStatus("Idle.");
+      const errorMsg = getErrorMessage(e);
+      if (errorMsg.includes("cancelled")) {
+        setStatus("Cancelled.");
+        setError("");
+      } else {
+        logError(e, "FileVerification.verifyFolder");
+        setError(errorMsg);
+        setStatus("Idle.");
+      }
     } finally {
+      pool?.terminate();
       setIsProcessing(false);
+      setIsStopping(false);
+      abortControllerRef.current = null;
     }
   }
 
@@ -395,82 +290,14 @@ export default function FileVerification() {
       const file = await handle.getFile();
 
       setStatus("Hashing file locally…");
-      
-      // For very large files, use streaming hash directly instead of reading entire file
-      const LARGE_FILE_THRESHOLD = 100 * 1024 * 1024; // 100 MB
-      let contentHashBytes;
-      
-      if (file.size > LARGE_FILE_THRESHOLD) {
-        // Use streaming hash for large files (doesn't load entire file into memory)
-        const { sha256Stream } = await import("../lib/merkle.js");
-        contentHashBytes = await sha256Stream(file);
-      } else {
-        // Use regular approach for smaller files
-        const bytes = await readFileWithErrorHandling(file);
-        contentHashBytes = await sha256Bytes(bytes);
-      }
-
-      const leafHashBytes = await computeLeafHashBytes(contentHashBytes);
-      const leafHashHex = toHex(leafHashBytes).toLowerCase();
-
-      // Handle manual mode: direct comparison
-      if (inputMode === "manual") {
-        const normalized = normalizeMerkleRoot(merkleRoot);
-        const expectedRoot = normalized.startsWith("0x") ? normalized.slice(2).toLowerCase() : normalized.toLowerCase();
-        
-        if (leafHashHex === expectedRoot) {
-          setFileResult({ ok: true });
-          setStatus("Done.");
-          return;
-        } else {
-          setFileResult({
-            ok: false,
-            reason: "The file's hash does not match the entered root.",
-          });
-          setStatus("Done.");
-          return;
-        }
-      }
-
-      // Handle JSON mode: Merkle proof verification (existing logic)
-      const enc = new TextEncoder();
-      const contentHashHex = toHex(contentHashBytes).toLowerCase();
-
-      // quick filter by content hash
-      const candidateIdx = [];
-      for (let i = 0; i < json.leaves.length; i++) {
-        if (String(json.leaves[i].contentHash || "").toLowerCase() === contentHashHex) {
-          candidateIdx.push(i);
-        }
-      }
-
-      if (candidateIdx.length === 0) {
-        setFileResult({ ok: false, reason: "Not found: this file's bytes are not present in the committed set." });
-        setStatus("Done.");
-        return;
-      }
-
-      // verify membership using stored levels
-      const levels = json.tree.levels.map((lvl) => lvl.map(hexToBytes));
-
-      for (const idx of candidateIdx) {
-        const leaf = json.leaves[idx];
-        if (String(leaf.leafHash || "").toLowerCase() !== leafHashHex) continue;
-
-        const proof = buildProof(levels, idx);
-        const computedRoot = toHex(await computeRootFromProof(leafHashBytes, proof));
 
-        if (computedRoot.toLowerCase() === String(json.root || "").toLowerCase()) {
-          setFileResult({ ok: true });
-          setStatus("Done.");
-          return;
-        }
-      }
+      // JSON mode: Merkle proof verification; manual mode: direct comparison with the entered root
+      const reference = inputMode === "json" ? { tree: json } : { root: merkleRoot, bindPaths: manualBindPaths, hierarchical: manualHierarchical, algorithm: manualAlgorithm };
+      const { ok, reason, path } = inputMode === "json" && isInclusionProof(json)
+        ? await verifyInclusionProof(json, file)
+        : await verifyFile(file, reference, { pathPrefix: committedFolder.trim() });
 
-      setFileResult({
-        ok: false,
-        reason: "Content hash matched a candidate, but membership proof did not validate against the stored root.",
-      });
+      setFileResult(ok ? { ok, path } : { ok, reason });
       setStatus("Done.");
     } catch (e) {
       if (e?.name === "AbortError") return;
@@ -523,15 +350,57 @@ export default function FileVerification() {
                 disabled={!hasOpen}
                 aria-label="Open merkle tree JSON file for verification"
               >
-                Open merkle-tree.json
+                Open merkle-tree.json / inclusion proof
               </button>
             </div>
 
             {json && (
               <div style={{ marginTop: 12 }}>
                 <div style={{ fontSize: 12, opacity: 0.8 }}>
-                  Loaded: <span style={monoInline}>{jsonName}</span>
+                  Loaded: <span style={monoInline}>{jsonName}</span> · <span style={monoInline}>{json.schema}</span>
+                  {" "}· <span style={monoInline}>{json.algorithm || DEFAULT_HASH_ALGORITHM}</span>
                 </div>
+                {isInclusionProof(json) && (
+                  <div style={{ ...hint, lineHeight: 1.6 }}>
+                    Inclusion proof for one file{json.leaf.path ? <> at <span style={monoInline}>{json.leaf.path}</span></> : ""}
+                    {" "}· {json.segments
+                      ? `${json.segments.length} director${json.segments.length !== 1 ? "y levels" : "y level"}`
+                      : `${json.proof.length} sibling${json.proof.length !== 1 ? "s" : ""}`}
+                    {" "}· tree of {json.leafCount} file{json.leafCount !== 1 ? "s" : ""}
+                    {json.anchors?.length > 0 && <> · {json.anchors.length} anchoring proof{json.anchors.length !== 1 ? "s" : ""} ({json.anchors.map((a) => a.blockchain || a.schema).join(", ")})</>}
+                    <div>Use "Verify Single File" with the file this proof was exported for.</div>
+                    <OnChainInclusionCheck key={`${json.root}:${json.leaf.leafHash}`} proof={json} />
+                  </div>
+                )}
+                {isPathBoundSchema(json.treeSchema || json.schema) && (
+                  <div style={hint}>
+                    Path-bound leaves: files must sit at their committed paths (relative to the committed folder) to verify.
+                  </div>
+                )}
+                {isDirsSchema(json.treeSchema || json.schema) && (
+                  <div style={hint}>
+                    Per-directory subroots: a selected folder that matches a committed subfolder exactly (no file added, removed or
+                    changed) is verified as that whole subfolder. File names must match their committed names.
+                  </div>
+                )}
+                {!isInclusionProof(json) && (isPathBoundSchema(json.schema) || isDirsSchema(json.schema)) && (
+                  <label style={{ ...label, marginTop: 12, marginBottom: 0 }}>
+                    <span style={labelText}>Committed folder (optional)</span>
+                    <input
+                      type="text"
+                      value={committedFolder}
+                      onChange={(e) => setCommittedFolder(e.target.value)}
+                      placeholder="e.g. photos/2024"
+                      aria-label="Folder of the tree the verified file or folder sits in"
+                      style={input}
+                    />
+                    <div style={{ ...hint, marginTop: 0 }}>
+                      Folder of the tree that the file or folder you verify sits in; <span style={monoInline}>/</span> is the top level.
+                      Left empty, a single file must sit at the top level, and a folder is placed under the folder its first
+                      matching file is committed in.
+                    </div>
+                  </label>
+                )}
                 <div style={{ marginTop: 8, opacity: 0.8 }}>Root:</div>
                 <div style={mono}>{json.root}</div>
               </div>
@@ -564,6 +433,36 @@ export default function FileVerification() {
               </div>
             </label>
 
+            <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13, cursor: "pointer" }}>
+              <input
+                type="checkbox"
+                checked={manualBindPaths}
+                onChange={(e) => { setManualBindPaths(e.target.checked); if (e.target.checked) setManualHierarchical(false); }}
+              />
+              <span>Root uses path-bound leaves (<span style={monoInline}>merkle-paths-tree@1</span>)</span>
+            </label>
+            <label style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8, fontSize: 13, cursor: "pointer" }}>
+              <input
+                type="checkbox"
+                checked={manualHierarchical}
+                onChange={(e) => { setManualHierarchical(e.target.checked); if (e.target.checked) setManualBindPaths(false); }}
+              />
+              <span>Root uses per-directory subroots (<span style={monoInline}>merkle-dirs-tree@1</span>)</span>
+            </label>
+            <label style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8, fontSize: 13 }}>
+              <span>Hash algorithm</span>
+              <select
+                value={manualAlgorithm}
+                onChange={(e) => setManualAlgorithm(e.target.value)}
+                style={{ ...input, width: "auto", padding: "6px 10px", fontSize: 13 }}
+                aria-label="Hash algorithm of the root"
+              >
+                {Object.entries(HASH_ALGORITHMS).map(([name, { label }]) => (
+                  <option key={name} value={name}>{label}</option>
+                ))}
+              </select>
+            </label>
+
             {merkleRoot && isValidMerkleRootFormat(merkleRoot) && (
               <div style={{ ...hint, marginTop: 12 }}>
                 Note: Manual root input supports folder verification (exact match) and single file verification (for single-file trees). Sub folder verification and single file verification within multi-file merkle trees require a JSON file.
@@ -596,7 +495,7 @@ export default function FileVerification() {
             style={{ ...button, ...(isProcessing ? buttonDisabled : {}) }}
             onClick={verifyFolder}
             disabled={
-              (inputMode === "json" && !json) || 
+              (inputMode === "json" && (!json || isInclusionProof(json))) || 
               (inputMode === "manual" && (!merkleRoot || !isValidMerkleRootFormat(merkleRoot))) || 
               !hasDir || 
               isProcessing
@@ -637,6 +536,19 @@ export default function FileVerification() {
 
       {progress.total > 0 && <ProgressBar done={progress.done} total={progress.total} />}
 
+      {isProcessing && abortControllerRef.current && (
+        <div style={{ marginTop: 12, display: "flex", justifyContent: "flex-end" }}>
+          <button
+            onClick={cancelProcessing}
+            style={isStopping ? cancelButtonDisabled : cancelButton}
+            aria-label="Stop verification"
+            disabled={isStopping}
+          >
+            {isStopping ? "Stopping Verification" : "Stop Verification"}
+          </button>
+        </div>
+      )}
+
       {folderResult && (
         <div style={{ ...card, borderColor: folderResult.ok ? "#2ecc71" : "#e74c3c" }}>
           <div style={{
@@ -649,7 +561,7 @@ export default function FileVerification() {
           </div>
 
           <div style={{ marginTop: 10, fontSize: 12, opacity: 0.88, lineHeight: 1.6 }}>
-            <div>Verification mode: <span style={monoInline}>{folderResult.verificationMode === "exact" ? "Exact Match" : "Subset Verification"}</span></div>
+            <div>Verification mode: <span style={monoInline}>{{ exact: "Exact Match", directory: "Subfolder Match", subset: "Subset Verification" }[folderResult.verificationMode]}</span></div>
             <div>Selected by picker: <span style={monoInline}>{folderResult.selectedCount}</span></div>
             <div>After filtering: <span style={monoInline}>{folderResult.filteredCount}</span></div>
             <div>JSON leaf count: <span style={monoInline}>{folderResult.jsonLeafCount}</span></div>
@@ -658,6 +570,9 @@ export default function FileVerification() {
             {folderResult.verificationMode === "subset" && (
               <>
                 <div style={{ marginTop: 8, paddingTop: 8, borderTop: "1px solid rgba(255,255,255,0.1)" }}>
+                  {folderResult.committedPrefix !== undefined && (
+                    <div>Committed folder: <span style={monoInline}>{folderResult.committedPrefix === null ? "(no file matched)" : `${folderResult.committedPrefix}/`}</span></div>
+                  )}
                   <div>Files verified: <span style={monoInline}>{folderResult.verifiedCount}</span> / <span style={monoInline}>{folderResult.totalFiles}</span></div>
                   <div>Verification rate: <span style={monoInline}>{folderResult.verificationRate}%</span></div>
                 </div>
@@ -665,12 +580,20 @@ export default function FileVerification() {
             )}
           </div>
 
-          {folderResult.verificationMode === "exact" && (
+          {folderResult.verificationMode === "directory" && (
+            <div style={{ marginTop: 12, padding: 10, background: "rgba(46, 204, 113, 0.1)", borderRadius: 8, fontSize: 13, color: "#2ecc71" }}>
+              The selected folder is exactly <span style={monoInline}>{folderResult.matchedDirectory.path}/</span> of the committed
+              tree: all {folderResult.matchedDirectory.fileCount} file{folderResult.matchedDirectory.fileCount !== 1 ? "s" : ""}, nothing
+              more, proven against the root through its subroot.
+            </div>
+          )}
+
+          {(folderResult.verificationMode === "exact" || folderResult.verificationMode === "directory") && (
             <>
               <div style={{ marginTop: 12, opacity: 0.8 }}>Expected root:</div>
               <div style={mono}>{folderResult.expected}</div>
 
-              <div style={{ marginTop: 12, opacity: 0.8 }}>Computed root:</div>
+              <div style={{ marginTop: 12, opacity: 0.8 }}>{folderResult.verificationMode === "directory" ? "Computed subfolder root:" : "Computed root:"}</div>
               <div style={mono}>{folderResult.computed || "N/A"}</div>
             </>
           )}
@@ -696,7 +619,8 @@ export default function FileVerification() {
 
           {folderResult.verificationMode === "subset" && folderResult.ok && (
             <div style={{ marginTop: 12, padding: 10, background: "rgba(46, 204, 113, 0.1)", borderRadius: 8, fontSize: 13, color: "#2ecc71" }}>
-              All {folderResult.verifiedCount} file{folderResult.verifiedCount !== 1 ? 's' : ''} in the selected folder are verified to be part of the original Merkle tree.
+              All {folderResult.verifiedCount} file{folderResult.verifiedCount !== 1 ? 's' : ''} in the selected folder are verified to be part of the original Merkle tree
+              {folderResult.committedPrefix != null ? <>, at their paths under <span style={monoInline}>{folderResult.committedPrefix}/</span> in the tree.</> : "."}
             </div>
           )}
         </div>
@@ -712,6 +636,11 @@ export default function FileVerification() {
           }}>
             {fileResult.ok ? "File Verified Successfully" : "File Verification Failed"}
           </div>
+          {fileResult.ok && fileResult.path && (
+            <div style={{ marginTop: 8, fontSize: 12, opacity: 0.88 }}>
+              Committed path: <span style={monoInline}>{fileResult.path}</span>
+            </div>
+          )}
           {!fileResult.ok && fileResult.reason && (
             <div style={{
               fontSize: 14,
@@ -727,6 +656,12 @@ export default function FileVerification() {
         </div>
       )}
 
+      <BlockchainProofVerifier />
+
+      <EvidenceBundle onUseArtifact={loadBundledArtifact} />
+
+      <TreeDiff />
+
       <div style={{
         marginTop: 12,
         padding: 8,
@@ -780,6 +715,25 @@ const buttonDisabled = {
   cursor: "not-allowed",
 };
 
+const cancelButton = {
+  padding: "6px 12px",
+  borderRadius: 8,
+  background: "rgba(255, 107, 107, 0.1)",
+  color: "#ff6b6b",
+  border: "1px solid rgba(255, 107, 107, 0.3)",
+  cursor: "pointer",
+  fontSize: 11,
+  fontWeight: 500,
+  transition: "all 0.2s ease",
+  outline: "none",
+};
+
+const cancelButtonDisabled = {
+  ...cancelButton,
+  opacity: 0.6,
+  cursor: "not-allowed",
+};
+
 const hint = {
   marginTop: 10,
   fontSize: 12,
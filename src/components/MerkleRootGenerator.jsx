@@ -1,24 +1,18 @@
 import { useCallback, useMemo, useRef, useState } from "react";
-import {
-  buildMerkleTreeFromLeafHashes,
-  computeFileContentHashHex,
-  computeLeafHashBytes,
-  humanBytes,
-  listFilesFromDirectoryHandle,
-  sha256Bytes,
-  toHex,
-} from "../lib/merkle.js";
-import {
-  ProgressBar,
-  readFileWithErrorHandling,
-  shouldIgnoreRelPath,
-} from "../lib/utils.jsx";
-import { PROGRESS_UPDATE_THROTTLE_MS, DEFAULT_FOLDER_POLICY } from "../lib/constants.js";
+import { humanBytes, listFilesFromDirectoryHandle, toHex } from "../lib/merkle.js";
+import { buildCommitment, committedPath, hashFileContent, isPathBoundSchema, validateCommitmentJson } from "../lib/commitment.js";
+import { isDirsSchema } from "../lib/dirTree.js";
+import { DEFAULT_HASH_ALGORITHM, HASH_ALGORITHMS } from "../lib/hashAlgorithms.js";
+import { buildInclusionProof, findLeafIndex } from "../lib/inclusionProof.js";
+import { createHashPool } from "../lib/hashPool.js";
+import { ProgressBar } from "../lib/utils.jsx";
+import { PROGRESS_UPDATE_THROTTLE_MS, DEFAULT_FOLDER_POLICY, LARGE_FILE_THRESHOLD, SCHEMA_VERSIONS } from "../lib/constants.js";
 import { getErrorMessage, logError } from "../lib/errorHandler.js";
+import { normalizeMerkleRoot } from "../lib/validation.js";
 import FolderPolicy from "./FolderPolicy.jsx";
 
 /**
- * Bytes-only Merkle commitment:
+ * Bytes-only Merkle commitment (pipeline lives in lib/commitment.js):
  * - contentHash = SHA256(fileBytes)
  * - leafHash    = SHA256("leaf\0" + contentHashBytes)
  * - nodes       = SHA256("node\0" + left + right)
@@ -33,6 +27,11 @@ export default function MerkleRootGenerator() {
   const hasOpen = typeof window !== "undefined" && "showOpenFilePicker" in window;
 
   const [policy, setPolicy] = useState(DEFAULT_POLICY);
+  const [bindPaths, setBindPaths] = useState(false); // opt-in merkle-paths-tree@1
+  const [hierarchical, setHierarchical] = useState(false); // opt-in merkle-dirs-tree@1
+  const [algorithm, setAlgorithm] = useState(DEFAULT_HASH_ALGORITHM);
+  const [previousTree, setPreviousTree] = useState(null); // earlier merkle-tree.json reused as a hash cache
+  const [rehashAll, setRehashAll] = useState(false);
 
   const [status, setStatus] = useState("Idle.");
   const [error, setError] = useState("");
@@ -41,6 +40,7 @@ export default function MerkleRootGenerator() {
   const [isProcessing, setIsProcessing] = useState(false);
   const lastProgressUpdate = useRef(0);
   const [currentFile, setCurrentFile] = useState(null);
+  const currentFileRef = useRef(null);
   const [currentFileProgress, setCurrentFileProgress] = useState({
     bytesProcessed: 0,
     totalBytes: 0
@@ -68,6 +68,8 @@ export default function MerkleRootGenerator() {
   // folder outputs
   const [root, setRoot] = useState("");
   const [json, setJson] = useState(null);
+  const [anchors, setAnchors] = useState([]); // anchoring proofs embedded in exported inclusion proofs
+  const [proofFolder, setProofFolder] = useState(""); // folder of a path-bound or dirs tree the proven file sits in
 
   // single file output
   const [fileHash, setFileHash] = useState("");
@@ -151,6 +153,8 @@ export default function MerkleRootGenerator() {
 
     setRoot("");
     setJson(null);
+    setProofFolder("");
+    setAnchors([]);
 
     setFileHash("");
     setFileName("");
@@ -175,17 +179,101 @@ export default function MerkleRootGenerator() {
     }
   }
 
-  function downloadMerkleJson() {
-    if (!json) return;
-    const blob = new Blob([JSON.stringify(json, null, 2)], { type: "application/json" });
+  function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = "merkle-tree.json";
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
   }
 
+  function downloadMerkleJson() {
+    if (!json) return;
+    downloadJson(json, "merkle-tree.json");
+  }
+
+  async function attachAnchor() {
+    if (!json || !hasOpen) return;
+    try {
+      const [handle] = await window.showOpenFilePicker({
+        multiple: false,
+        types: [{ description: "Blockchain proof JSON", accept: { "application/json": [".json"] } }],
+      });
+      const parsed = JSON.parse(await (await handle.getFile()).text());
+
+      if (parsed.schema !== SCHEMA_VERSIONS.BLOCKCHAIN_PROOF) {
+        throw new Error(`Unsupported anchoring proof schema: "${parsed.schema || "(missing)"}"`);
+      }
+      if (normalizeMerkleRoot(parsed.merkleRoot) !== normalizeMerkleRoot(json.root)) {
+        throw new Error("This anchoring proof commits to a different Merkle root.");
+      }
+
+      setAnchors((prev) => [...prev, parsed]);
+      setError("");
+    } catch (e) {
+      if (e?.name === "AbortError") return;
+      logError(e, "MerkleRootGenerator.attachAnchor");
+      setError(getErrorMessage(e));
+    }
+  }
+
+  async function loadPreviousTree() {
+    if (!hasOpen) return;
+    try {
+      const [handle] = await window.showOpenFilePicker({
+        multiple: false,
+        types: [{ description: "merkle-tree.json", accept: { "application/json": [".json"] } }],
+      });
+      const parsed = validateCommitmentJson(JSON.parse(await (await handle.getFile()).text()));
+      if (parsed.leaves.some((leaf) => typeof leaf.path !== "string")) {
+        throw new Error("This merkle-tree.json does not record file paths (it predates incremental updates). Generate the folder once in full first.");
+      }
+
+      // An update should commit the same way as the tree it updates
+      setPreviousTree(parsed);
+      if (parsed.folderPolicy) setPolicy(parsed.folderPolicy);
+      setBindPaths(isPathBoundSchema(parsed.schema));
+      setHierarchical(isDirsSchema(parsed.schema));
+      setAlgorithm(parsed.algorithm || DEFAULT_HASH_ALGORITHM);
+      setError("");
+    } catch (e) {
+      if (e?.name === "AbortError") return;
+      logError(e, "MerkleRootGenerator.loadPreviousTree");
+      setError(getErrorMessage(e));
+    }
+  }
+
+  async function exportInclusionProof() {
+    if (!json || !hasOpen) return;
+    setIsProcessing(true);
+    try {
+      const [handle] = await window.showOpenFilePicker({ multiple: false });
+      const f = await handle.getFile();
+
+      setStatus("Computing hash…");
+      const contentHashHex = toHex(await hashFileContent(f, undefined, json.algorithm));
+      const leafPath = committedPath(proofFolder, f.name);
+      const leafIndex = findLeafIndex(json, contentHashHex, leafPath);
+      if (leafIndex < 0) {
+        throw new Error(isPathBoundSchema(json.schema) || isDirsSchema(json.schema)
+          ? `"${f.name}" is not part of this Merkle tree at "${leafPath}". Set the folder it sits in.`
+          : `"${f.name}" is not part of this Merkle tree.`);
+      }
+
+      downloadJson(buildInclusionProof(json, leafIndex, { anchors }), `${f.name}.inclusion-proof.json`);
+      setStatus("Done.");
+    } catch (e) {
+      if (e?.name === "AbortError") return;
+      logError(e, "MerkleRootGenerator.exportInclusionProof");
+      setError(getErrorMessage(e));
+      setStatus("Idle.");
+    } finally {
+      setIsProcessing(false);
+    }
+  }
+
   async function chooseFolderAndGenerate() {
     resetAll();
     if (!hasDir) return;
@@ -195,6 +283,7 @@ export default function MerkleRootGenerator() {
     const signal = abortControllerRef.current.signal;
 
     setIsProcessing(true);
+    let pool = null;
     try {
       setStatus("Selecting folder…");
       const dir = await window.showDirectoryPicker();
@@ -206,14 +295,7 @@ export default function MerkleRootGenerator() {
       setStatus("Scanning files…");
       const pairs = await listFilesFromDirectoryHandle(dir);
 
-      // apply policy
-      const filtered = pairs.filter((p) => !shouldIgnoreRelPath(p.relPath, policy));
-      if (filtered.length === 0) throw new Error("No files left after applying Folder Policy.");
-
-      const totalBytes = filtered.reduce((a, p) => a + (p.file.size || 0), 0);
-      
       // Initialize time estimation for folder processing
-      setTotalBytesToProcess(totalBytes);
       setBytesProcessed(0);
       setProcessingStartTime(Date.now());
       processingSpeedRef.current = null;
@@ -221,130 +303,59 @@ export default function MerkleRootGenerator() {
       lastBytesProcessed.current = 0;
 
       setStatus("Computing file hashes…");
-      setProgress({ done: 0, total: filtered.length });
-
-      const enc = new TextEncoder();
-      const leafHashes = [];
-      const leaves = [];
-
-      for (let i = 0; i < filtered.length; i++) {
-        // Check for cancellation
-        if (signal.aborted) {
-          throw new Error("Processing cancelled");
-        }
-
-        const { file, relPath } = filtered[i];
-
-        // Update progress BEFORE processing to show current file being processed
-        updateProgressThrottled(i + 1, filtered.length);
-        
-        // For very large files, use streaming hash directly instead of reading entire file
-        const LARGE_FILE_THRESHOLD = 100 * 1024 * 1024; // 100 MB
-        const SHOW_PROGRESS_THRESHOLD = 50 * 1024 * 1024; // 50 MB - show progress for files larger than this
-        let contentHashBytes;
-        
-        if (file.size > LARGE_FILE_THRESHOLD) {
-          // Use streaming hash for large files (doesn't load entire file into memory)
-          const { sha256Stream } = await import("../lib/merkle.js");
-          
-          // Set up per-file progress tracking for large files
-          if (file.size > SHOW_PROGRESS_THRESHOLD) {
-            setCurrentFile(relPath);
-            setCurrentFileProgress({ bytesProcessed: 0, totalBytes: file.size });
-          }
-          
-          contentHashBytes = await sha256Stream(file, (bytesProcessed, totalBytes) => {
-            if (file.size > SHOW_PROGRESS_THRESHOLD) {
-              // Use functional state update to ensure we always have the latest values
-              setCurrentFileProgress(prev => ({
-                ...prev,
-                bytesProcessed,
-                totalBytes
-              }));
-            }
-            
-            // Update time estimation for folder processing
-            // Calculate total bytes processed so far: sum of completed files + current file progress
-            const completedFilesBytes = filtered.slice(0, i).reduce((sum, p) => sum + (p.file.size || 0), 0);
-            const totalBytesProcessed = completedFilesBytes + bytesProcessed;
-            setBytesProcessed(totalBytesProcessed);
-            // Use the totalBytes variable from the outer scope, not state
-            updateTimeEstimation(totalBytesProcessed, totalBytes);
-          });
-          
-          // Final progress update should already be at 100% from sha256Stream callback
-          // But ensure it's set correctly before clearing
-          if (file.size > SHOW_PROGRESS_THRESHOLD) {
-            // Ensure final state shows 100% using functional update
-            setCurrentFileProgress(prev => ({
-              ...prev,
-              bytesProcessed: file.size,
-              totalBytes: file.size
-            }));
-            // Small delay to show 100% before clearing
-            await new Promise(resolve => setTimeout(resolve, 150));
+
+      // Hash in a worker pool when available so the UI stays responsive; aborting terminates the workers
+      pool = createHashPool({ signal });
+
+      const out = await buildCommitment(pairs, policy, {
+        signal,
+        hashFile: pool?.hashFile,
+        concurrency: pool?.size,
+        bindPaths,
+        hierarchical,
+        algorithm,
+        previous: previousTree,
+        rehashAll,
+        onProgress: (ev) => {
+          if (ev.phase === "building") {
+            // Ensure final progress is shown
+            setProgress((prev) => ({ done: prev.total, total: prev.total }));
+            currentFileRef.current = null;
             setCurrentFile(null);
             setCurrentFileProgress({ bytesProcessed: 0, totalBytes: 0 });
+            setStatus("Building Merkle tree…");
+            return;
           }
-        } else {
-          // Use regular approach for smaller files
-        const bytes = await readFileWithErrorHandling(file);
-          contentHashBytes = await sha256Bytes(bytes);
-          
-          // Update time estimation after file is processed
-          const completedFilesBytes = filtered.slice(0, i + 1).reduce((sum, p) => sum + (p.file.size || 0), 0);
-          setBytesProcessed(completedFilesBytes);
-          // Use the totalBytes variable from the outer scope, not state
-          updateTimeEstimation(completedFilesBytes, totalBytes);
-        }
-        
-        const contentHashHex = toHex(contentHashBytes);
-
-        const leafHashBytes = await computeLeafHashBytes(contentHashBytes);
-
-        leafHashes.push(leafHashBytes);
-        leaves.push({
-          contentHash: contentHashHex,
-          leafHash: toHex(leafHashBytes),
-          size: file.size,
-          lastModified: file.lastModified,
-        });
-      }
 
-      // Ensure final progress is shown
-      setProgress({ done: filtered.length, total: filtered.length });
-
-      // canonical ordering: leafHash hex asc
-      leafHashes.sort((a, b) => (toHex(a) < toHex(b) ? -1 : 1));
-      leaves.sort((a, b) => (a.leafHash < b.leafHash ? -1 : 1));
-
-      setStatus("Building Merkle tree…");
-      const { root: rootBytes, levels } = await buildMerkleTreeFromLeafHashes(leafHashes);
-      const rootHex = toHex(rootBytes);
-
-      const out = {
-        schema: "merkle-bytes-tree@1",
-        generatedAt: new Date().toISOString(),
-        algorithm: "SHA-256",
-        folderPolicy: policy,
-        canonicalization: {
-          contentHash: "SHA256(fileBytes)",
-          leaf: 'SHA256("leaf\\0" + contentHashBytes)',
-          node: 'SHA256("node\\0" + left + right)',
-          ordering: "leafHash hex asc",
-          oddRule: "duplicate last",
-        },
-        summary: {
-          fileCount: leaves.length,
-          totalBytes,
-          totalBytesHuman: humanBytes(totalBytes),
+          // Update progress when a file starts to show the file being processed
+          if (ev.status === "started" || ev.status === "reused") {
+            updateProgressThrottled(Math.min(ev.done + 1, ev.total), ev.total);
+          }
+
+          // Per-file progress for large files (the most recently active one when several are in flight)
+          if (ev.fileSize > LARGE_FILE_THRESHOLD && ev.status !== "reused") {
+            currentFileRef.current = ev.relPath;
+            setCurrentFile(ev.relPath);
+            setCurrentFileProgress({ bytesProcessed: ev.fileBytesProcessed, totalBytes: ev.fileSize });
+
+            if (ev.status === "completed") {
+              // Small delay to show 100% before clearing
+              setTimeout(() => {
+                if (currentFileRef.current !== ev.relPath) return;
+                currentFileRef.current = null;
+                setCurrentFile(null);
+                setCurrentFileProgress({ bytesProcessed: 0, totalBytes: 0 });
+              }, 150);
+            }
+          }
+
+          setTotalBytesToProcess(ev.totalBytes);
+          setBytesProcessed(ev.bytesProcessed);
+          updateTimeEstimation(ev.bytesProcessed, ev.totalBytes);
         },
-        root: rootHex,
-        tree: { levels: levels.map((lvl) => lvl.map((h) => toHex(h))) },
-        leaves,
-      };
+      });
 
-      setRoot(rootHex);
+      setRoot(out.root);
       setJson(out);
       setStatus("Done.");
     } catch (e) {
@@ -358,6 +369,7 @@ export default function MerkleRootGenerator() {
       setStatus("Idle.");
       }
     } finally {
+      pool?.terminate();
       setIsProcessing(false);
       setIsStopping(false);
       abortControllerRef.current = null;
@@ -386,32 +398,24 @@ export default function MerkleRootGenerator() {
       lastSpeedUpdateTime.current = null;
       lastBytesProcessed.current = 0;
 
-      // For large files, use streaming with progress tracking
-      const LARGE_FILE_THRESHOLD = 100 * 1024 * 1024; // 100 MB
-      let hex;
-      
+      // Large files are streamed with progress tracking; small ones are too fast to track meaningfully
       if (f.size > LARGE_FILE_THRESHOLD) {
-        // Use streaming hash for large files with progress tracking
-        const { sha256Stream } = await import("../lib/merkle.js");
         setCurrentFile(f.name);
         setCurrentFileProgress({ bytesProcessed: 0, totalBytes: f.size });
-        
-        const digest = await sha256Stream(f, (bytesProcessed, totalBytes) => {
-          setCurrentFileProgress({ bytesProcessed, totalBytes });
-          setBytesProcessed(bytesProcessed);
-          updateTimeEstimation(bytesProcessed, totalBytes);
-        });
-        
-        hex = toHex(digest);
-        setCurrentFile(null);
-        setCurrentFileProgress({ bytesProcessed: 0, totalBytes: 0 });
-      } else {
-        // For small files, process directly (too fast to track progress meaningfully)
-        hex = await computeFileContentHashHex(f);
-        // Update time estimation after completion
-        setBytesProcessed(f.size);
-        updateTimeEstimation(f.size, f.size);
       }
+
+      const digest = await hashFileContent(f, (bytesProcessed, totalBytes) => {
+        setCurrentFileProgress({ bytesProcessed, totalBytes });
+        setBytesProcessed(bytesProcessed);
+        updateTimeEstimation(bytesProcessed, totalBytes);
+      });
+      const hex = toHex(digest);
+
+      setCurrentFile(null);
+      setCurrentFileProgress({ bytesProcessed: 0, totalBytes: 0 });
+      // Update time estimation after completion
+      setBytesProcessed(f.size);
+      updateTimeEstimation(f.size, f.size);
       setFileHash(hex);
       setStatus("Done.");
     } catch (e) {
@@ -453,6 +457,94 @@ export default function MerkleRootGenerator() {
           </button>
         </div>
 
+        <label style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 12, fontSize: 13 }}>
+          <span>Hash algorithm</span>
+          <select
+            value={algorithm}
+            onChange={(e) => setAlgorithm(e.target.value)}
+            disabled={isProcessing || previousTree !== null}
+            style={select}
+            aria-label="Hash algorithm"
+          >
+            {Object.entries(HASH_ALGORITHMS).map(([name, { label }]) => (
+              <option key={name} value={name}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <div style={hint}>
+          Used for file contents, leaves and nodes alike and recorded in the JSON. SHA-256 is the default; Keccak-256 matches
+          the EVM's <span style={monoInline}>keccak256</span> for cheap on-chain checks; BLAKE3 and SHA-512 hash large media
+          files faster. An update keeps the algorithm of the tree it updates.
+        </div>
+
+        <label style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 12, fontSize: 13, cursor: "pointer" }}>
+          <input
+            type="checkbox"
+            checked={bindPaths}
+            onChange={(e) => { setBindPaths(e.target.checked); if (e.target.checked) setHierarchical(false); }}
+            disabled={isProcessing}
+          />
+          <span>Bind file paths into leaves (<span style={monoInline}>merkle-paths-tree@1</span>)</span>
+        </label>
+        <div style={hint}>
+          Off by default. When on, each leaf also commits to the file's relative path, so renamed or moved files no longer verify.
+        </div>
+
+        <label style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 12, fontSize: 13, cursor: "pointer" }}>
+          <input
+            type="checkbox"
+            checked={hierarchical}
+            onChange={(e) => { setHierarchical(e.target.checked); if (e.target.checked) setBindPaths(false); }}
+            disabled={isProcessing}
+          />
+          <span>Per-directory subroots (<span style={monoInline}>merkle-dirs-tree@1</span>)</span>
+        </label>
+        <div style={hint}>
+          Every subfolder gets its own root, folded into its parent by name. A subfolder can then be verified on its own as
+          "exactly these files", and file names and locations are committed as well.
+        </div>
+
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 12 }}>
+          <button
+            style={{ ...button, padding: "8px 12px", fontSize: 13, ...(isProcessing ? buttonDisabled : {}) }}
+            onClick={loadPreviousTree}
+            disabled={!hasOpen || isProcessing}
+            aria-label="Load a previous merkle-tree.json to update from"
+          >
+            Update from previous tree…
+          </button>
+          {previousTree && (
+            <>
+              <span style={{ fontSize: 12, opacity: 0.85 }}>
+                Reusing <span style={monoInline}>{previousTree.root.slice(0, 16)}…</span> ({previousTree.leaves.length} files)
+              </span>
+              <button
+                style={{ ...button, padding: "2px 8px", fontSize: 11 }}
+                onClick={() => { setPreviousTree(null); setRehashAll(false); }}
+                disabled={isProcessing}
+              >
+                Clear
+              </button>
+            </>
+          )}
+        </div>
+        {previousTree && (
+          <label style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8, fontSize: 13, cursor: "pointer" }}>
+            <input
+              type="checkbox"
+              checked={rehashAll}
+              onChange={(e) => setRehashAll(e.target.checked)}
+              disabled={isProcessing}
+            />
+            <span>Rehash everything (paranoid: report files changed without a new size or date)</span>
+          </label>
+        )}
+        <div style={hint}>
+          Optional. Files whose path, size and modification time match the previous tree keep its hashes instead
+          of being read again. Its folder policy and leaf type are applied. Then choose the same folder with
+          "Folder → Merkle Tree".
+        </div>
+
         {(!hasDir || !hasOpen) && (
           <div style={hint}>
             Your browser must support the File System Access API. Use Chrome/Brave/Edge on a secure context (https or localhost).
@@ -551,9 +643,45 @@ export default function MerkleRootGenerator() {
       {json && (
         <div style={card}>
           <h2 style={{ marginTop: 0 }}>Folder Result</h2>
+          <div style={{ fontSize: 12, opacity: 0.8, marginBottom: 8 }}>
+            Schema: <span style={monoInline}>{json.schema}</span> · Hash: <span style={monoInline}>{json.algorithm}</span>
+          </div>
+          {json.incremental && (
+            <div style={{ fontSize: 12, opacity: 0.85, marginBottom: 8 }}>
+              Updated from <span style={monoInline}>{json.incremental.previousRoot.slice(0, 16)}…</span>:{" "}
+              {json.incremental.reused} unchanged file{json.incremental.reused !== 1 ? "s" : ""} reused,{" "}
+              {json.incremental.rehashed} hashed
+              {json.incremental.changedUnderSameMetadata && (
+                json.incremental.changedUnderSameMetadata.length === 0
+                  ? "; no file changed without a new size or modification time."
+                  : (
+                    <div style={{ color: "#ffc107", marginTop: 4 }}>
+                      Content changed with the same size and modification time:
+                      {json.incremental.changedUnderSameMetadata.map((p) => (
+                        <div key={p} style={monoInline}>{p}</div>
+                      ))}
+                    </div>
+                  )
+              )}
+            </div>
+          )}
           <div style={{ opacity: 0.8, marginBottom: 6 }}>Merkle root:</div>
           <div style={mono}>{root}</div>
 
+          {json.directories && (
+            <details style={{ marginTop: 10 }}>
+              <summary>Subfolder roots ({json.directories.length - 1})</summary>
+              <div style={{ marginTop: 6, maxHeight: 240, overflowY: "auto" }}>
+                {json.directories.filter((d) => d.path).map((d) => (
+                  <div key={d.path} style={{ fontSize: 12, marginBottom: 4, wordBreak: "break-all" }}>
+                    <span style={monoInline}>{d.path}/</span> · {d.fileCount} file{d.fileCount !== 1 ? "s" : ""} · {humanBytes(d.totalBytes)}
+                    <div style={{ ...monoInline, opacity: 0.7 }}>{d.subroot}</div>
+                  </div>
+                ))}
+              </div>
+            </details>
+          )}
+
           <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 10 }}>
             <button 
               style={button} 
@@ -578,6 +706,64 @@ export default function MerkleRootGenerator() {
         </div>
       )}
 
+      {json && (
+        <div style={card}>
+          <h2 style={{ marginTop: 0 }}>Inclusion Proof</h2>
+          <div style={{ fontSize: 12, opacity: 0.85, lineHeight: 1.5 }}>
+            Export a compact <span style={monoInline}>merkle-inclusion-proof@1</span> for one file: its content hash, leaf hash,
+            sibling path and the root. The recipient can verify that file without the full tree.
+          </div>
+
+          {(isPathBoundSchema(json.schema) || isDirsSchema(json.schema)) && (
+            <div style={row}>
+              <span style={{ fontSize: 13 }}>Folder in the tree</span>
+              <input
+                type="text"
+                value={proofFolder}
+                onChange={(e) => setProofFolder(e.target.value)}
+                placeholder="top level, or e.g. photos/2024"
+                style={{ ...select, flex: 1, minWidth: 180 }}
+                aria-label="Folder of the tree the file sits in"
+                disabled={isProcessing}
+              />
+            </div>
+          )}
+
+          <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 10 }}>
+            <button
+              style={{ ...button, ...(isProcessing ? buttonDisabled : {}) }}
+              onClick={exportInclusionProof}
+              disabled={!hasOpen || isProcessing}
+              aria-label="Select a file and export its inclusion proof"
+            >
+              Select file → Export proof
+            </button>
+            <button
+              style={{ ...button, ...(isProcessing ? buttonDisabled : {}) }}
+              onClick={attachAnchor}
+              disabled={!hasOpen || isProcessing}
+              aria-label="Attach a blockchain proof for this root"
+            >
+              Attach anchoring proof (optional)
+            </button>
+          </div>
+
+          {anchors.length > 0 && (
+            <div style={{ marginTop: 10, fontSize: 12, opacity: 0.85 }}>
+              Anchors included:{" "}
+              {anchors.map((a, idx) => (
+                <span key={idx} style={{ ...monoInline, marginRight: 8 }}>
+                  {a.blockchain || a.schema} ({String(a.transaction?.hash || "").slice(0, 10)}…)
+                </span>
+              ))}
+              <button style={{ ...button, padding: "2px 8px", fontSize: 11, marginLeft: 4 }} onClick={() => setAnchors([])}>
+                Clear
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {fileHash && (
         <div style={card}>
           <h2 style={{ marginTop: 0 }}>File Result</h2>
@@ -682,6 +868,15 @@ const button = {
   transition: "all 0.2s ease",
 };
 
+const select = {
+  padding: "6px 10px",
+  borderRadius: 8,
+  background: "#1a1a1a",
+  border: "1px solid #2a2a2a",
+  color: "#ffffff",
+  fontSize: 13,
+};
+
 const buttonDisabled = {
   opacity: 0.5,
   cursor: "not-allowed",
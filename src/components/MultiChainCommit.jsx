@@ -0,0 +1,296 @@
+import { useState } from "react";
+import { getConfirmationDepth, getContractAddress } from "../config.js";
+import { EXPLORER_URLS, MAX_METADATA_LENGTH, NETWORK_NAMES } from "../lib/constants.js";
+import { normalizeMerkleRoot, validateAndChecksumAddress, validateMetadataLength } from "../lib/validation.js";
+import { getErrorMessage, logError } from "../lib/errorHandler.js";
+import { buildBlockchainProof, buildCommitMetadata, buildMultiChainProof, getRegistryContract } from "../lib/registry.js";
+import { getCommitmentProof } from "../lib/registryExplorer.js";
+import { waitForConfirmations } from "../lib/confirmations.js";
+
+const STATUS_LABELS = {
+  queued: "Queued",
+  switching: "Switching network…",
+  committing: "Confirm in wallet…",
+  pending: "Waiting for receipt…",
+  confirming: "Confirming…",
+  reorged: "Reorg, waiting again…",
+  committed: "Committed",
+  existing: "Already committed",
+  failed: "Failed",
+  skipped: "Skipped",
+};
+
+const STATUS_COLORS = {
+  committed: "#2ecc71",
+  existing: "#2ecc71",
+  failed: "#ff6b6b",
+  skipped: "#8f8f8f",
+};
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * MultiChainCommit component
+ * Commits one root to several chains in a row: for each selected chain it switches the wallet's
+ * network, commits (or picks up an existing commitment of the root), and waits for the chain's
+ * confirmation depth (getConfirmationDepth).
+ * The per-chain proofs are combined into one merkle-multichain-proof@1.
+ * @param {Object} props - Component props
+ * @param {string} props.merkleRoot - 0x-prefixed root to commit ("" if none)
+ * @param {Object} [props.jsonData] - Parsed merkle-tree.json, for the commit metadata
+ * @param {Object} props.wallet - Connected wallet ({provider, signer, address, chainId})
+ * @param {Array<number>} props.chainIds - Chains that can be selected
+ * @param {Function} props.switchToNetwork - Switches the wallet; resolves to the new wallet object, or null on failure
+ * @param {Function} [props.onActiveChange] - Called with true while the sequence runs and false when it ends
+ * @param {Function} [props.onCommitted] - Called with each chain's merkle-blockchain-proof@1
+ */
+export default function MultiChainCommit({ merkleRoot, jsonData, wallet, chainIds, switchToNetwork, onActiveChange, onCommitted }) {
+  const [selected, setSelected] = useState([]);
+  const [steps, setSteps] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [combined, setCombined] = useState(null);
+  const [error, setError] = useState("");
+
+  const toggleChain = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((c) => c !== id) : [...prev, id]));
+  };
+
+  const updateStep = (chainId, patch) => {
+    setSteps((prev) => prev.map((step) => (step.chainId === chainId ? { ...step, ...patch } : step)));
+  };
+
+  /**
+   * Commit the root to one chain, or rebuild the proof if it is already committed there
+   * @param {Object} chainWallet - Wallet connected to the chain
+   * @param {string} rootBytes32 - Normalized root
+   * @param {string} metadata - Metadata string
+   * @returns {Promise<{proof: Object, existing: boolean}>} Proof for this chain
+   */
+  const commitOnChain = async (chainWallet, rootBytes32, metadata) => {
+    const contractAddress = validateAndChecksumAddress(getContractAddress(chainWallet.chainId));
+    if (!contractAddress) throw new Error(`No registry contract configured for ${NETWORK_NAMES[chainWallet.chainId]}.`);
+
+    const contract = getRegistryContract(chainWallet.signer, contractAddress);
+    if (await contract.isCommitted(rootBytes32)) {
+      const reader = { chainId: chainWallet.chainId, provider: chainWallet.provider, contract, contractAddress };
+      const { proof } = await getCommitmentProof(reader, rootBytes32);
+      if (!proof) throw new Error("Already committed, but the original transaction could not be located.");
+      return { proof, existing: true };
+    }
+
+    updateStep(chainWallet.chainId, { status: "committing" });
+    const tx = await contract.commitMerkleRoot(rootBytes32, metadata);
+    updateStep(chainWallet.chainId, { status: "pending", txHash: tx.hash });
+    const { receipt, confirmation } = await waitForConfirmations(chainWallet.provider, tx, {
+      chainId: chainWallet.chainId,
+      confirmations: getConfirmationDepth(chainWallet.chainId),
+      onUpdate: ({ status, hash, confirmations, required }) => updateStep(chainWallet.chainId, {
+        status: status === "replaced" ? "pending" : status,
+        txHash: hash,
+        progress: status === "confirming" ? `${confirmations}/${required}` : null,
+      }),
+    });
+
+    const proof = buildBlockchainProof({
+      merkleRoot: rootBytes32,
+      metadata,
+      chainId: chainWallet.chainId,
+      contractAddress,
+      committer: chainWallet.address,
+      txHash: receipt.hash,
+      receipt,
+      confirmation,
+    });
+    return { proof, existing: false };
+  };
+
+  const handleRun = async () => {
+    const metadata = buildCommitMetadata(jsonData);
+    const metadataValidation = validateMetadataLength(metadata, MAX_METADATA_LENGTH);
+    if (!metadataValidation.valid) {
+      setError(`Metadata too long: ${metadataValidation.length} bytes (max ${metadataValidation.maxLength})`);
+      return;
+    }
+
+    // Commit in the order the chains are listed, starting with the current one to save a switch
+    const order = chainIds.filter((id) => selected.includes(id))
+      .sort((a, b) => (b === wallet.chainId) - (a === wallet.chainId));
+    const rootBytes32 = normalizeMerkleRoot(merkleRoot);
+
+    setRunning(true);
+    setError("");
+    setCombined(null);
+    setSteps(order.map((chainId) => ({ chainId, status: "queued" })));
+    if (onActiveChange) onActiveChange(true);
+
+    const proofs = [];
+    let current = wallet;
+    try {
+      for (let i = 0; i < order.length; i++) {
+        const chainId = order[i];
+        try {
+          if (current.chainId !== chainId) {
+            updateStep(chainId, { status: "switching" });
+            const switched = await switchToNetwork(chainId);
+            if (!switched) throw new Error(`Could not switch the wallet to ${NETWORK_NAMES[chainId]}.`);
+            current = switched;
+          }
+
+          const { proof, existing } = await commitOnChain(current, rootBytes32, metadata);
+          proofs.push(proof);
+          updateStep(chainId, { status: existing ? "existing" : "committed", txHash: proof.transaction.hash, progress: null, proof });
+          if (onCommitted) onCommitted(proof);
+        } catch (err) {
+          logError(err, "MultiChainCommit.handleRun");
+          updateStep(chainId, { status: "failed", progress: null, error: getErrorMessage(err) });
+          // A rejected request means the user wants to stop; other failures only affect this chain
+          if (err?.code === "ACTION_REJECTED" || err?.code === 4001) {
+            order.slice(i + 1).forEach((id) => updateStep(id, { status: "skipped" }));
+            break;
+          }
+        }
+      }
+
+      if (proofs.length) setCombined(buildMultiChainProof(rootBytes32, proofs));
+    } finally {
+      setRunning(false);
+      if (onActiveChange) onActiveChange(false);
+    }
+  };
+
+  const canRun = Boolean(wallet && merkleRoot && selected.length > 1 && !running);
+
+  return (
+    <div style={card}>
+      <h3 style={{ marginTop: 0, marginBottom: 6, fontSize: 15, letterSpacing: "-0.01em" }}>
+        Commit to Several Chains
+      </h3>
+      <div style={hint}>
+        Commit the same root to each selected chain in turn. The wallet switches network between chains and
+        asks you to confirm each transaction.
+      </div>
+
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", margin: "10px 0" }}>
+        {chainIds.map((id) => (
+          <label key={id} style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 12, cursor: running ? "not-allowed" : "pointer" }}>
+            <input
+              type="checkbox"
+              checked={selected.includes(id)}
+              onChange={() => toggleChain(id)}
+              disabled={running}
+            />
+            {NETWORK_NAMES[id]}
+          </label>
+        ))}
+      </div>
+
+      <button
+        style={{ ...commitBtn, opacity: canRun ? 1 : 0.6, cursor: canRun ? "pointer" : "not-allowed" }}
+        onClick={handleRun}
+        disabled={!canRun}
+        aria-busy={running}
+      >
+        {running ? "Committing..." : `Commit to ${selected.length} Chain${selected.length !== 1 ? "s" : ""}`}
+      </button>
+      {!wallet && <div style={{ ...hint, marginTop: 6 }}>Connect a wallet first.</div>}
+
+      {steps.length > 0 && (
+        <div style={{ marginTop: 10, display: "flex", flexDirection: "column", gap: 4 }}>
+          {steps.map((step) => {
+            const explorer = EXPLORER_URLS[step.chainId];
+            return (
+              <div key={step.chainId} style={stepRow}>
+                <div style={{ display: "flex", gap: 8 }}>
+                  <span style={{ flex: 1 }}>{NETWORK_NAMES[step.chainId]}</span>
+                  <span style={{ color: STATUS_COLORS[step.status] || "#ffc107" }}>{STATUS_LABELS[step.status]}{step.progress ? ` ${step.progress}` : ""}</span>
+                </div>
+                {step.txHash && (
+                  <div style={{ ...mono, wordBreak: "break-all", opacity: 0.75 }}>
+                    {explorer ? (
+                      <a href={`${explorer.base}/tx/${step.txHash}`} target="_blank" rel="noopener noreferrer" style={{ color: "#667eea" }}>
+                        {step.txHash}
+                      </a>
+                    ) : step.txHash}
+                  </div>
+                )}
+                {step.error && <div style={{ color: "#ff6b6b" }}>{step.error}</div>}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {combined && (
+        <button
+          style={{ ...downloadBtn, marginTop: 10 }}
+          onClick={() => downloadJson(combined, `multichain-proof-${combined.merkleRoot.slice(2, 10)}.json`)}
+          aria-label="Download combined multi-chain proof"
+        >
+          Download Combined Proof ({combined.anchors.length} chain{combined.anchors.length !== 1 ? "s" : ""})
+        </button>
+      )}
+
+      {error && <div style={{ marginTop: 8, fontSize: 12, color: "#ff6b6b" }}>ERROR: {error}</div>}
+    </div>
+  );
+}
+
+/* ---------- Styles ---------- */
+
+const card = {
+  border: "1px solid rgba(255,255,255,0.06)",
+  borderRadius: 12,
+  padding: 12,
+  marginTop: 8,
+  background: "rgba(0,0,0,0.22)",
+  boxShadow: "0 6px 20px rgba(0,0,0,0.28)",
+};
+
+const hint = {
+  fontSize: 11,
+  color: "#8f8f8f",
+};
+
+const commitBtn = {
+  padding: "10px 14px",
+  borderRadius: 9,
+  background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
+  color: "white",
+  border: "none",
+  fontSize: 13,
+  fontWeight: 600,
+  width: "100%",
+};
+
+const downloadBtn = {
+  padding: "10px 14px",
+  borderRadius: 9,
+  background: "rgba(46, 204, 113, 0.1)",
+  color: "#2ecc71",
+  border: "1px solid rgba(46, 204, 113, 0.3)",
+  cursor: "pointer",
+  fontSize: 13,
+  fontWeight: 600,
+  width: "100%",
+};
+
+const stepRow = {
+  fontSize: 12,
+  padding: "6px 8px",
+  background: "rgba(255,255,255,0.04)",
+  borderRadius: 8,
+  lineHeight: 1.6,
+};
+
+const mono = {
+  fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+  fontSize: 11,
+};
@@ -0,0 +1,135 @@
+import { useMemo, useState } from "react";
+import { getContractAddress } from "../config.js";
+import { NETWORK_IDS, NETWORK_NAMES, SCHEMA_VERSIONS } from "../lib/constants.js";
+import { toRegistryInclusionArgs } from "../lib/inclusionProof.js";
+import { openRegistryReader, verifyInclusionOnChain } from "../lib/registryExplorer.js";
+import { getErrorMessage, logError } from "../lib/errorHandler.js";
+
+// EVM chains with a registry deployment
+const REGISTRY_CHAINS = Object.keys(NETWORK_NAMES)
+  .map(Number)
+  .filter((id) => id !== NETWORK_IDS.BITCOIN && getContractAddress(id));
+
+/**
+ * On-chain check of a loaded inclusion proof
+ * Calls the registry's verifyInclusion view over the configured read-only RPC, so the contract itself
+ * recomputes the root from the file's content hash and sibling path. No wallet required.
+ * @param {Object} props
+ * @param {Object} props.proof - Validated merkle-inclusion-proof@1
+ */
+export default function OnChainInclusionCheck({ proof }) {
+  const anchoredChain = (proof.anchors || [])
+    .filter((a) => a.schema === SCHEMA_VERSIONS.BLOCKCHAIN_PROOF)
+    .map((a) => a.blockchainId)
+    .find((id) => REGISTRY_CHAINS.includes(id));
+
+  const [chainId, setChainId] = useState(anchoredChain ?? REGISTRY_CHAINS[0]);
+  const [result, setResult] = useState(null); // { chainId, committed, included }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  // Path-bound, per-directory and non-SHA-256 proofs use a leaf the contract does not rebuild
+  const { args, unsupported } = useMemo(() => {
+    try {
+      return { args: toRegistryInclusionArgs(proof), unsupported: "" };
+    } catch (e) {
+      return { args: null, unsupported: e.message };
+    }
+  }, [proof]);
+
+  if (REGISTRY_CHAINS.length === 0) return null;
+
+  async function check() {
+    setBusy(true);
+    setError("");
+    setResult(null);
+    try {
+      const { committed, included } = await verifyInclusionOnChain(openRegistryReader(chainId), args);
+      setResult({ chainId, committed, included });
+    } catch (e) {
+      logError(e, "OnChainInclusionCheck.check");
+      setError(getErrorMessage(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (unsupported) {
+    return <div style={hint}>On-chain check unavailable: {unsupported}</div>;
+  }
+
+  const ok = result?.committed && result?.included;
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <select
+          value={chainId}
+          onChange={(e) => { setChainId(Number(e.target.value)); setResult(null); }}
+          style={select}
+          aria-label="Chain of the registry to ask"
+        >
+          {REGISTRY_CHAINS.map((id) => (
+            <option key={id} value={id}>{NETWORK_NAMES[id]}</option>
+          ))}
+        </select>
+        <button style={{ ...button, ...(busy ? buttonDisabled : {}) }} onClick={check} disabled={busy}>
+          {busy ? "Asking the registry…" : "Verify inclusion on-chain"}
+        </button>
+      </div>
+      <div style={hint}>
+        Asks the registry contract's <span style={monoInline}>verifyInclusion</span> to recompute the root from this proof.
+        It checks the proof, not the file: use "Verify Single File" to compare the file's bytes with the content hash.
+      </div>
+
+      {result && (
+        <div style={{ marginTop: 8, fontSize: 13, fontWeight: 600, color: ok ? "#2ecc71" : "#ff6b6b" }}>
+          {ok
+            ? `The root is committed on ${NETWORK_NAMES[result.chainId]} and the contract confirms the file belongs to it.`
+            : !result.included
+            ? "The contract rejects this proof: its sibling path does not lead to the stated root."
+            : `The proof is valid, but this root is not committed on ${NETWORK_NAMES[result.chainId]}.`}
+        </div>
+      )}
+      {error && <div style={{ marginTop: 8, fontSize: 13, color: "#ff6b6b" }}>WARNING: {error}</div>}
+    </div>
+  );
+}
+
+/** ---------------- styles ---------------- **/
+
+const button = {
+  padding: "8px 12px",
+  borderRadius: 10,
+  background: "#111",
+  color: "white",
+  border: "1px solid rgba(255,255,255,0.12)",
+  cursor: "pointer",
+  fontSize: 13,
+};
+
+const buttonDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
+
+const select = {
+  background: "#0f0f10",
+  color: "#eaeaea",
+  border: "1px solid #2a2a2a",
+  borderRadius: 10,
+  padding: "7px 10px",
+  outline: "none",
+  fontSize: 13,
+};
+
+const hint = {
+  marginTop: 8,
+  fontSize: 12,
+  opacity: 0.75,
+  lineHeight: 1.5,
+};
+
+const monoInline = {
+  fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+};
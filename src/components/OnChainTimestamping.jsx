@@ -1,11 +1,14 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import { ethers } from "ethers";
 import BlockchainCommit from "./BlockchainCommit";
 import BitcoinTimestamping from "./BitcoinTimestamping";
+import AggregateAnchoring from "./AggregateAnchoring";
+import MultiChainCommit from "./MultiChainCommit";
+import TimestampHistory from "./TimestampHistory";
 import { NETWORK_IDS, NETWORK_NAMES, SCHEMA_VERSIONS } from "../lib/constants.js";
 import { normalizeMerkleRoot, isValidMerkleRootFormat, validateJSON } from "../lib/validation.js";
 import { getErrorMessage, logError } from "../lib/errorHandler.js";
-import { isSupportedNetwork } from "../config.js";
+import { getContractAddress, isSupportedNetwork } from "../config.js";
 
 /**
  * On-chain timestamping component
@@ -25,9 +28,12 @@ export default function OnChainTimestamping() {
   const [fileName, setFileName] = useState("");
   const [error, setError] = useState("");
   const [switchingNetwork, setSwitchingNetwork] = useState(false);
+  const [aggregateRoot, setAggregateRoot] = useState(null);
+  const [aggregateAnchors, setAggregateAnchors] = useState({ blockchain: [], ots: null });
   const [dropdownOpen, setDropdownOpen] = useState(false);
   const dropdownRef = useRef(null);
   const selectedChainRef = useRef(selectedChain);
+  const multiChainActiveRef = useRef(false); // Keep the loaded root while MultiChainCommit switches networks
 
   // Network parameters for MetaMask switching
   const NETWORK_PARAMS = {
@@ -88,11 +94,15 @@ export default function OnChainTimestamping() {
     },
   };
 
+  // Chains MultiChainCommit can switch to and commit on
+  const multiChainIds = Object.keys(NETWORK_PARAMS).map(Number).filter((id) => getContractAddress(id));
+
   /**
    * Reset all timestamping-related state
    * Called when network is switched to clear previous state
    */
   const resetState = () => {
+    if (multiChainActiveRef.current) return;
     setMerkleRoot("");
     setJsonData(null);
     setFileName("");
@@ -185,11 +195,12 @@ export default function OnChainTimestamping() {
   /**
    * Switch MetaMask to a specific network
    * @param {number} targetChainId - Chain ID to switch to
+   * @returns {Promise<Object|null>} The wallet on the new network, or null if the switch failed
    */
   const switchToNetwork = async (targetChainId) => {
     if (!window.ethereum || !wallet) {
       setWalletError('Wallet not connected');
-      return;
+      return null;
     }
 
     setSwitchingNetwork(true);
@@ -229,19 +240,23 @@ export default function OnChainTimestamping() {
         const signer = await provider.getSigner();
         const address = await signer.getAddress();
         
-        setWallet({
+        const switched = {
           provider,
           signer,
           address,
           chainId: newChainId
-        });
+        };
+        setWallet(switched);
         
         // Reset timestamping state when network changes
         resetState();
+        return switched;
       }
+      return null;
     } catch (err) {
       logError(err, "OnChainTimestamping.switchToNetwork");
       setWalletError(getErrorMessage(err));
+      return null;
     } finally {
       setSwitchingNetwork(false);
     }
@@ -488,6 +503,36 @@ export default function OnChainTimestamping() {
     }
   };
 
+  /**
+   * Use an aggregate root (from AggregateAnchoring) as the root to timestamp
+   * @param {Object|null} aggregate - merkle-aggregate-tree@1, or null when the aggregate is cleared
+   */
+  const handleAggregate = (aggregate) => {
+    setAggregateAnchors({ blockchain: [], ots: null });
+    if (!aggregate) {
+      setAggregateRoot(null);
+      return;
+    }
+
+    setAggregateRoot(aggregate.root);
+    setMerkleRoot(normalizeMerkleRoot(aggregate.root));
+    setJsonData(aggregate);
+    setFileName(`aggregate of ${aggregate.leaves.length} roots`);
+    setError("");
+  };
+
+  const handleCommitted = useCallback((proof) => {
+    setAggregateAnchors((a) => ({ ...a, blockchain: [...a.blockchain, proof] }));
+  }, []);
+
+  const handleMultiChainActive = useCallback((active) => {
+    multiChainActiveRef.current = active;
+  }, []);
+
+  const handleOtsFile = useCallback((ots) => {
+    setAggregateAnchors((a) => (a.ots === ots ? a : { ...a, ots }));
+  }, []);
+
   /**
    * Get network name for chain ID
    * @param {number} id - Chain ID
@@ -751,11 +796,14 @@ export default function OnChainTimestamping() {
         </div>
       )}
 
+      <AggregateAnchoring onAggregate={handleAggregate} anchors={aggregateAnchors} />
+
       {selectedChain === 'bitcoin' ? (
         <BitcoinTimestamping
-          key="bitcoin"
+          key={aggregateRoot ? `bitcoin-${aggregateRoot}` : "bitcoin"}
           merkleRoot={isValidMerkleRootFormat(merkleRoot) ? merkleRoot : ""}
           jsonData={jsonData}
+          onOtsFile={handleOtsFile}
         />
       ) : (
         <div style={section}>
@@ -764,17 +812,31 @@ export default function OnChainTimestamping() {
             merkleRoot={isValidMerkleRootFormat(merkleRoot) ? merkleRoot : ""}
             jsonData={jsonData}
             wallet={wallet}
-            onCommitted={() => {}}
+            onCommitted={handleCommitted}
           />
         </div>
       )}
 
+      {selectedChain !== 'bitcoin' && (
+        <MultiChainCommit
+          merkleRoot={isValidMerkleRootFormat(merkleRoot) ? merkleRoot : ""}
+          jsonData={jsonData}
+          wallet={wallet}
+          chainIds={multiChainIds}
+          switchToNetwork={switchToNetwork}
+          onActiveChange={handleMultiChainActive}
+          onCommitted={handleCommitted}
+        />
+      )}
+
       {error && (
         <div style={errorBox}>
           ERROR: {error}
         </div>
       )}
 
+      <TimestampHistory />
+
       {/* Documentation Links */}
       <div style={docsLinksContainer}>
         <div style={docsLinksLabel}>Documentation:</div>
@@ -0,0 +1,177 @@
+import { useState } from "react";
+import { getBitcoinHeaderSources } from "../config.js";
+import {
+  HEADER_SOURCE_TYPES,
+  createBitcoindHeaderSource,
+  createEsploraHeaderSource,
+  createPastedHeaderSource,
+} from "../lib/bitcoinHeaders.js";
+import { verifyOtsTimestamp } from "../lib/otsVerify.js";
+import { getErrorMessage, logError } from "../lib/errorHandler.js";
+
+/**
+ * OtsHeaderVerification component
+ * Verifies a Bitcoin-anchored .ots proof in the browser against a block header from a configurable source
+ * @param {Object} props - Component props
+ * @param {Uint8Array} props.otsFile - .ots proof bytes (must carry a Bitcoin attestation)
+ * @param {string} props.merkleRoot - Merkle root the proof should timestamp
+ */
+export default function OtsHeaderVerification({ otsFile, merkleRoot }) {
+  const defaults = getBitcoinHeaderSources();
+
+  const [sourceType, setSourceType] = useState(HEADER_SOURCE_TYPES.ESPLORA);
+  const [esploraUrl, setEsploraUrl] = useState(defaults.esploraUrl);
+  const [rpcUrl, setRpcUrl] = useState(defaults.bitcoindRpcUrl);
+  const [rpcUser, setRpcUser] = useState("");
+  const [rpcPassword, setRpcPassword] = useState("");
+  const [pastedHeader, setPastedHeader] = useState("");
+  const [verifying, setVerifying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    setResult(null);
+    setError(null);
+
+    try {
+      const headerSource = sourceType === HEADER_SOURCE_TYPES.BITCOIND
+        ? createBitcoindHeaderSource(rpcUrl, { username: rpcUser, password: rpcPassword })
+        : sourceType === HEADER_SOURCE_TYPES.PASTED
+        ? createPastedHeaderSource(pastedHeader)
+        : createEsploraHeaderSource(esploraUrl);
+
+      setResult(await verifyOtsTimestamp(otsFile, { headerSource, expectedDigest: merkleRoot }));
+    } catch (err) {
+      logError(err, "OtsHeaderVerification.handleVerify");
+      setError(getErrorMessage(err));
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div style={box}>
+      <div style={{ fontWeight: 600, marginBottom: 8 }}>Verify against Bitcoin block headers</div>
+
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginBottom: 8 }}>
+        {[
+          [HEADER_SOURCE_TYPES.ESPLORA, "Esplora API"],
+          [HEADER_SOURCE_TYPES.BITCOIND, "bitcoind RPC"],
+          [HEADER_SOURCE_TYPES.PASTED, "Paste header"],
+        ].map(([value, text]) => (
+          <label key={value} style={{ display: "flex", gap: 4, alignItems: "center", cursor: "pointer" }}>
+            <input
+              type="radio"
+              name="headerSource"
+              checked={sourceType === value}
+              onChange={() => setSourceType(value)}
+            />
+            {text}
+          </label>
+        ))}
+      </div>
+
+      {sourceType === HEADER_SOURCE_TYPES.ESPLORA && (
+        <input style={input} value={esploraUrl} onChange={(e) => setEsploraUrl(e.target.value)} aria-label="Esplora API URL" />
+      )}
+      {sourceType === HEADER_SOURCE_TYPES.BITCOIND && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          <input style={input} value={rpcUrl} onChange={(e) => setRpcUrl(e.target.value)} aria-label="bitcoind RPC URL" />
+          <div style={{ display: "flex", gap: 6 }}>
+            <input style={input} value={rpcUser} onChange={(e) => setRpcUser(e.target.value)} placeholder="rpcuser" aria-label="RPC user" />
+            <input style={input} type="password" value={rpcPassword} onChange={(e) => setRpcPassword(e.target.value)} placeholder="rpcpassword" aria-label="RPC password" />
+          </div>
+          <div style={hint}>The node must accept requests from this page (for example through a local CORS proxy).</div>
+        </div>
+      )}
+      {sourceType === HEADER_SOURCE_TYPES.PASTED && (
+        <div>
+          <textarea
+            style={{ ...input, minHeight: 56, resize: "vertical" }}
+            value={pastedHeader}
+            onChange={(e) => setPastedHeader(e.target.value)}
+            placeholder="80-byte block header (160 hex characters), e.g. from bitcoin-cli getblockheader <hash> false"
+            aria-label="Block header hex"
+          />
+          <div style={hint}>A pasted header is trusted as given. Check its block hash against a node or explorer you trust.</div>
+        </div>
+      )}
+
+      <button
+        style={{ ...verifyBtn, opacity: verifying ? 0.6 : 1, cursor: verifying ? "not-allowed" : "pointer" }}
+        onClick={handleVerify}
+        disabled={verifying}
+      >
+        {verifying ? "Verifying..." : "Verify Timestamp"}
+      </button>
+
+      {result && (
+        <div style={{ marginTop: 10, lineHeight: 1.6 }}>
+          <div style={{ fontSize: 13, fontWeight: 600, color: result.ok ? "#2ecc71" : "#ff6b6b" }}>
+            {result.ok
+              ? `✓ Verified: existed by ${new Date(result.verifiedTime * 1000).toISOString().replace("T", " ").slice(0, 19)} UTC (block ${result.verifiedHeight})`
+              : `✗ ${result.reason}`}
+          </div>
+          {result.attestations.map((a) => (
+            <div key={`${a.height}-${a.commitment}`} style={{ wordBreak: "break-all" }}>
+              <span style={{ color: a.ok ? "#2ecc71" : "#ff6b6b" }}>{a.ok ? "✓" : "✗"}</span> Block {a.height}
+              {a.blockHash && <> · <code style={code}>{a.blockHash}</code></>}
+              {a.reason && <span style={{ color: "#ff6b6b" }}> · {a.reason}</span>}
+            </div>
+          ))}
+          {result.ok && (
+            <div style={hint}>Bitcoin block times can be off by up to about two hours, so treat this as approximate.</div>
+          )}
+        </div>
+      )}
+
+      {error && <div style={{ marginTop: 8, color: "#ff6b6b" }}>ERROR: {error}</div>}
+    </div>
+  );
+}
+
+/* ---------- Styles ---------- */
+
+const box = {
+  marginTop: 12,
+  fontSize: 11,
+  padding: 8,
+  background: "rgba(255,255,255,0.02)",
+  borderRadius: 8,
+};
+
+const input = {
+  background: "#0f0f10",
+  color: "#eaeaea",
+  border: "1px solid #2a2a2a",
+  borderRadius: 8,
+  padding: "6px 8px",
+  outline: "none",
+  fontSize: 11,
+  width: "100%",
+  boxSizing: "border-box",
+  fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+};
+
+const hint = {
+  fontSize: 10,
+  color: "#8f8f8f",
+  marginTop: 4,
+};
+
+const code = {
+  fontSize: 10,
+};
+
+const verifyBtn = {
+  marginTop: 8,
+  padding: "8px 12px",
+  borderRadius: 8,
+  background: "rgba(46, 204, 113, 0.1)",
+  color: "#2ecc71",
+  border: "1px solid rgba(46, 204, 113, 0.3)",
+  fontSize: 12,
+  fontWeight: 600,
+  width: "100%",
+};
@@ -0,0 +1,410 @@
+import { useState, useEffect, useRef } from "react";
+import { getConfirmationDepth } from "../config.js";
+import { EXPLORER_URLS, NETWORK_NAMES, getBlockchainShortName } from "../lib/constants.js";
+import { validateJSON } from "../lib/validation.js";
+import { getErrorMessage, logError } from "../lib/errorHandler.js";
+import { downloadOtsFile, getTimestampStatus } from "../lib/opentimestamps.js";
+import { getMempoolTxUrl } from "../lib/mempool.js";
+import { buildBlockchainProof, getReadOnlyProvider } from "../lib/registry.js";
+import { getCommitmentProof, openRegistryReader } from "../lib/registryExplorer.js";
+import { isTransactionFailure, waitForConfirmations } from "../lib/confirmations.js";
+import {
+  FINAL_HISTORY_STATUSES,
+  clearHistory,
+  deleteHistoryEntry,
+  exportHistory,
+  importHistory,
+  listHistory,
+  saveHistoryEntry,
+  subscribeHistory,
+} from "../lib/history.js";
+
+// Calendar servers batch for hours; checking more often than this only adds load
+const OTS_POLL_MS = 60000;
+
+const STATUS_LABELS = {
+  stamped: "Submitted to calendars",
+  pending: "Pending",
+  batched: "Batching",
+  submitted: "Bitcoin tx submitted",
+  in_mempool: "In mempool",
+  anchored: "Anchored, confirming",
+  confirming: "Confirming",
+  finalizing: "Waiting for finality",
+  reorged: "Reorg, waiting again",
+  confirmed: "Confirmed",
+  failed: "Failed",
+};
+
+function statusColor(status) {
+  if (status === "confirmed") return "#2ecc71";
+  if (status === "failed") return "#ff6b6b";
+  return "#ffc107";
+}
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Poll the calendars for an OpenTimestamps entry until it is confirmed on Bitcoin
+ * @param {Object} entry - ots history entry
+ * @param {AbortSignal} signal - Stops polling
+ */
+async function resumeOts(entry, signal) {
+  let ots = entry.ots;
+  while (!signal.aborted) {
+    const result = await getTimestampStatus(ots);
+    if (result.status === "backend_unavailable" || result.status === "error") {
+      throw new Error("The OpenTimestamps backend or calendars could not be reached. Try again later.");
+    }
+    if (result.otsFile) ots = result.otsFile;
+
+    const status = result.upgraded ? result.status : (result.status || "pending");
+    await saveHistoryEntry({
+      id: entry.id,
+      ots,
+      status,
+      error: null,
+      ...(result.blockInfo?.height != null ? { blockHeight: result.blockInfo.height } : {}),
+    });
+    if (status === "confirmed") return;
+    await sleep(OTS_POLL_MS, signal);
+  }
+}
+
+/**
+ * Wait for an EVM commit from the history to confirm, then store its proof
+ * After a reload only the hash is known, so a transaction the wallet sped up cannot be followed; if it
+ * cannot be found, the registry is asked whether the root was committed by the same account anyway.
+ * @param {Object} entry - evm history entry
+ * @param {AbortSignal} signal - Stops waiting
+ */
+async function resumeEvm(entry, signal) {
+  const { chainId, commit } = entry;
+  if (!commit?.committer || !entry.txHash) {
+    throw new Error("This entry has no transaction details to resume from; check the root in the Explorer tab instead.");
+  }
+  const provider = getReadOnlyProvider(chainId);
+
+  try {
+    const { receipt, confirmation } = await waitForConfirmations(provider, entry.txHash, {
+      chainId,
+      confirmations: getConfirmationDepth(chainId),
+      signal,
+      onUpdate: ({ status, hash }) => {
+        saveHistoryEntry({ id: entry.id, status, txHash: hash, error: null })
+          .catch((err) => logError(err, "TimestampHistory.resumeEvm"));
+      },
+    });
+    const proof = buildBlockchainProof({
+      merkleRoot: entry.root,
+      metadata: commit.metadata,
+      chainId,
+      contractAddress: commit.contractAddress,
+      committer: commit.committer,
+      txHash: receipt.hash,
+      receipt,
+      batch: commit.batch,
+      relayer: commit.relayed ? receipt.from : undefined,
+      confirmation,
+    });
+    await saveHistoryEntry({ id: entry.id, status: "confirmed", txHash: receipt.hash, proof, error: null });
+  } catch (err) {
+    if (signal.aborted) return;
+    const { proof } = await getCommitmentProof(openRegistryReader(chainId, { provider }), entry.root);
+    if (!proof || proof.committer.toLowerCase() !== commit.committer.toLowerCase()) throw err;
+    await saveHistoryEntry({ id: entry.id, status: "confirmed", txHash: proof.transaction.hash, proof, error: null });
+  }
+}
+
+/**
+ * TimestampHistory component
+ * Lists the OpenTimestamps stamps and EVM commits recorded in this browser (lib/history.js), resumes
+ * tracking the unfinished ones, and exports or imports the history as merkle-timestamp-history@1.
+ */
+export default function TimestampHistory() {
+  const [entries, setEntries] = useState([]);
+  const [activeIds, setActiveIds] = useState([]);
+  const [confirmClear, setConfirmClear] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [error, setError] = useState("");
+  const controllersRef = useRef(new Map());
+
+  useEffect(() => {
+    const refresh = () => {
+      listHistory()
+        .then(setEntries)
+        .catch((err) => {
+          logError(err, "TimestampHistory.listHistory");
+          setError(getErrorMessage(err));
+        });
+    };
+    refresh();
+    return subscribeHistory(refresh);
+  }, []);
+
+  // Stop every resumed poll when the panel goes away
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach((controller) => controller.abort());
+  }, []);
+
+  const handleResume = async (entry) => {
+    const controller = new AbortController();
+    controllersRef.current.set(entry.id, controller);
+    setActiveIds((ids) => [...ids, entry.id]);
+
+    try {
+      if (entry.kind === "ots") {
+        await resumeOts(entry, controller.signal);
+      } else {
+        await resumeEvm(entry, controller.signal);
+      }
+    } catch (err) {
+      logError(err, "TimestampHistory.handleResume");
+      const message = getErrorMessage(err);
+      // The calendars or the RPC may come back; only a reverted, dropped or replaced commit is final
+      await saveHistoryEntry({ id: entry.id, error: message, ...(isTransactionFailure(err) ? { status: "failed" } : {}) })
+        .catch((saveErr) => logError(saveErr, "TimestampHistory.handleResume"));
+    } finally {
+      controllersRef.current.delete(entry.id);
+      setActiveIds((ids) => ids.filter((id) => id !== entry.id));
+    }
+  };
+
+  const handleStop = (id) => {
+    controllersRef.current.get(id)?.abort();
+  };
+
+  const handleRemove = async (id) => {
+    handleStop(id);
+    try {
+      await deleteHistoryEntry(id);
+    } catch (err) {
+      logError(err, "TimestampHistory.handleRemove");
+      setError(getErrorMessage(err));
+    }
+  };
+
+  const handleExport = async () => {
+    setError("");
+    try {
+      const doc = await exportHistory();
+      downloadJson(doc, `timestamp-history-${doc.exportedAt.slice(0, 10).replace(/-/g, "")}.json`);
+    } catch (err) {
+      logError(err, "TimestampHistory.handleExport");
+      setError(getErrorMessage(err));
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setError("");
+    setNotice("");
+    try {
+      const validation = validateJSON(await file.text());
+      if (!validation.valid) throw new Error(`Invalid JSON file: ${validation.error}`);
+      const { added, updated, skipped } = await importHistory(validation.parsed);
+      setNotice(`Imported ${added} new and ${updated} updated entr${added + updated !== 1 ? "ies" : "y"}; ${skipped} already up to date.`);
+    } catch (err) {
+      logError(err, "TimestampHistory.handleImport");
+      setError(getErrorMessage(err));
+    }
+  };
+
+  const handleClear = async () => {
+    if (!confirmClear) {
+      setConfirmClear(true);
+      return;
+    }
+    setConfirmClear(false);
+    controllersRef.current.forEach((controller) => controller.abort());
+    try {
+      await clearHistory();
+      setNotice("");
+    } catch (err) {
+      logError(err, "TimestampHistory.handleClear");
+      setError(getErrorMessage(err));
+    }
+  };
+
+  const resumable = entries.filter((entry) => !FINAL_HISTORY_STATUSES.includes(entry.status)
+    && !activeIds.includes(entry.id)
+    && (entry.kind === "ots" ? entry.ots : entry.txHash && entry.commit));
+
+  return (
+    <div style={section}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={{ fontSize: 12, color: "#cfcfcf", flex: 1 }}>Timestamping History</div>
+        {resumable.length > 1 && (
+          <button style={smallBtn} onClick={() => resumable.forEach(handleResume)}>
+            Resume all {resumable.length}
+          </button>
+        )}
+        <button style={smallBtn} onClick={handleExport} disabled={entries.length === 0}>Export JSON</button>
+        <label style={smallBtn}>
+          <input type="file" accept=".json,application/json" onChange={handleImport} style={{ display: "none" }} />
+          Import JSON
+        </label>
+        {entries.length > 0 && (
+          <button style={{ ...smallBtn, color: confirmClear ? "#ff6b6b" : smallBtn.color }} onClick={handleClear} onBlur={() => setConfirmClear(false)}>
+            {confirmClear ? "Click again to clear" : "Clear"}
+          </button>
+        )}
+      </div>
+      <div style={{ ...hint, marginTop: 4 }}>
+        Stamps and commits made in this browser are kept here (IndexedDB), so pending ones can be resumed after a reload.
+      </div>
+
+      {entries.length === 0 ? (
+        <div style={{ ...hint, marginTop: 8 }}>Nothing recorded yet.</div>
+      ) : (
+        <div style={{ marginTop: 8, display: "flex", flexDirection: "column", gap: 4 }}>
+          {entries.map((entry) => (
+            <HistoryRow
+              key={entry.id}
+              entry={entry}
+              active={activeIds.includes(entry.id)}
+              canResume={resumable.includes(entry)}
+              onResume={() => handleResume(entry)}
+              onStop={() => handleStop(entry.id)}
+              onRemove={() => handleRemove(entry.id)}
+            />
+          ))}
+        </div>
+      )}
+
+      {notice && <div style={{ marginTop: 8, fontSize: 12, color: "#2ecc71" }}>{notice}</div>}
+      {error && <div style={{ marginTop: 8, fontSize: 12, color: "#ffb4b4" }}>ERROR: {error}</div>}
+    </div>
+  );
+}
+
+/**
+ * One history entry with its actions
+ * @param {Object} props
+ * @param {Object} props.entry - History entry
+ * @param {boolean} props.active - Being polled right now
+ * @param {boolean} props.canResume - Unfinished and resumable
+ * @param {Function} props.onResume - Start polling
+ * @param {Function} props.onStop - Stop polling
+ * @param {Function} props.onRemove - Delete the entry
+ */
+function HistoryRow({ entry, active, canResume, onResume, onStop, onRemove }) {
+  const isOts = entry.kind === "ots";
+  const explorer = !isOts && EXPLORER_URLS[entry.chainId];
+  const txUrl = isOts
+    ? entry.btcTxHash && getMempoolTxUrl(entry.btcTxHash)
+    : explorer && entry.txHash && `${explorer.base}/tx/${entry.txHash}`;
+
+  const downloadProof = () => {
+    const date = new Date(entry.proof.transaction.timestamp).toISOString().slice(0, 10).replace(/-/g, "");
+    downloadJson(entry.proof, `merkle-proof-${getBlockchainShortName(entry.chainId)}-${date}-${entry.root.slice(2, 10)}.json`);
+  };
+
+  return (
+    <div style={row}>
+      <div style={{ display: "flex", gap: 8, alignItems: "baseline" }}>
+        <span style={{ flex: 1 }}>
+          {isOts ? "Bitcoin (OpenTimestamps)" : NETWORK_NAMES[entry.chainId] || `Chain ${entry.chainId}`}
+          {entry.label && <span style={{ opacity: 0.6 }}> · {entry.label}</span>}
+        </span>
+        <span style={{ color: statusColor(entry.status) }}>
+          {active ? "Checking…" : STATUS_LABELS[entry.status] || entry.status}
+        </span>
+      </div>
+      <div style={{ ...mono, wordBreak: "break-all" }}>{entry.root}</div>
+      <div style={{ opacity: 0.6 }}>
+        Updated {entry.updatedAt.replace("T", " ").slice(0, 16)} UTC
+        {isOts && entry.blockHeight != null && ` · Bitcoin block ${entry.blockHeight}`}
+        {txUrl && (
+          <>
+            {" · "}
+            <a href={txUrl} target="_blank" rel="noopener noreferrer" style={{ color: "#667eea" }}>transaction</a>
+          </>
+        )}
+      </div>
+      {entry.error && <div style={{ color: "#ff6b6b" }}>{entry.error}</div>}
+
+      <div style={{ display: "flex", gap: 6, marginTop: 4, flexWrap: "wrap" }}>
+        {active ? (
+          <button style={smallBtn} onClick={onStop}>Stop</button>
+        ) : canResume && (
+          <button style={smallBtn} onClick={onResume}>Resume</button>
+        )}
+        {isOts && entry.ots && (
+          <button style={smallBtn} onClick={() => downloadOtsFile(entry.ots, `${entry.root.slice(2, 10)}.ots`)}>Download .ots</button>
+        )}
+        {!isOts && entry.proof && (
+          <button style={smallBtn} onClick={downloadProof}>Download proof</button>
+        )}
+        <button style={{ ...smallBtn, color: "#ff6b6b" }} onClick={onRemove} aria-label={`Remove ${entry.root} from history`}>Remove</button>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Styles ---------- */
+
+const section = {
+  border: "1px solid rgba(255,255,255,0.04)",
+  borderRadius: 10,
+  padding: 10,
+  background: "rgba(255,255,255,0.02)",
+  overflow: "hidden",
+  boxSizing: "border-box",
+};
+
+const hint = {
+  fontSize: 11,
+  color: "#8f8f8f",
+};
+
+const smallBtn = {
+  display: "inline-block",
+  padding: "5px 10px",
+  borderRadius: 8,
+  border: "1px solid rgba(255,255,255,0.08)",
+  background: "rgba(255,255,255,0.02)",
+  color: "#cfcfcf",
+  cursor: "pointer",
+  fontSize: 11,
+};
+
+const row = {
+  fontSize: 12,
+  padding: "6px 8px",
+  background: "rgba(255,255,255,0.04)",
+  borderRadius: 8,
+  lineHeight: 1.6,
+};
+
+const mono = {
+  fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+  fontSize: 11,
+  opacity: 0.8,
+};
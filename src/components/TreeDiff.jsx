@@ -0,0 +1,197 @@
+import { useState } from "react";
+import { humanBytes } from "../lib/merkle.js";
+import { diffCommitments, diffToCsv } from "../lib/treeDiff.js";
+import { getErrorMessage, logError } from "../lib/errorHandler.js";
+
+// Rows shown per list; exports always hold everything
+const MAX_ROWS = 200;
+
+/**
+ * Snapshot comparison card for the Verification tab
+ * Loads an older and a newer merkle-tree.json and lists the files added, removed, changed and
+ * duplicated between them (lib/treeDiff.js), with JSON and CSV export.
+ */
+export default function TreeDiff() {
+  const hasOpen = typeof window !== "undefined" && "showOpenFilePicker" in window;
+
+  const [trees, setTrees] = useState({ before: null, after: null }); // { name, tree }
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState("");
+
+  async function pickTree(side) {
+    if (!hasOpen) return;
+    setError("");
+
+    try {
+      const [handle] = await window.showOpenFilePicker({
+        multiple: false,
+        types: [{ description: "merkle-tree.json", accept: { "application/json": [".json"] } }],
+      });
+      const f = await handle.getFile();
+      const next = { ...trees, [side]: { name: f.name, tree: JSON.parse(await f.text()) } };
+      setTrees(next);
+      setDiff(next.before && next.after ? diffCommitments(next.before.tree, next.after.tree) : null);
+    } catch (e) {
+      if (e?.name === "AbortError") return;
+      logError(e, "TreeDiff.pickTree");
+      setError(getErrorMessage(e));
+      setDiff(null);
+    }
+  }
+
+  function swap() {
+    const next = { before: trees.after, after: trees.before };
+    setTrees(next);
+    try {
+      setDiff(diffCommitments(next.before.tree, next.after.tree));
+    } catch (e) {
+      logError(e, "TreeDiff.swap");
+      setError(getErrorMessage(e));
+    }
+  }
+
+  function download(text, type, filename) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  const baseName = diff ? `merkle-diff-${diff.before.root.slice(0, 8)}-${diff.after.root.slice(0, 8)}` : "";
+  const name = (e) => e.path ?? e.contentHash;
+
+  return (
+    <div style={card}>
+      <h3 style={{ marginTop: 0, marginBottom: 10, fontSize: 15, letterSpacing: "-0.01em" }}>
+        Compare Snapshots
+      </h3>
+      <div style={{ ...hint, marginTop: 0, marginBottom: 12 }}>
+        What changed between two <span style={monoInline}>merkle-tree.json</span> files of the same folder. Files are matched
+        by path when both trees record paths, otherwise by content hash only.
+      </div>
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+        {["before", "after"].map((side) => (
+          <button
+            key={side}
+            style={{ ...button, ...(!hasOpen ? buttonDisabled : {}) }}
+            onClick={() => pickTree(side)}
+            disabled={!hasOpen}
+          >
+            {side === "before" ? "Older tree" : "Newer tree"}: {trees[side] ? <span style={monoInline}>{trees[side].name}</span> : "choose…"}
+          </button>
+        ))}
+        {trees.before && trees.after && (
+          <button style={smallButton} onClick={swap}>
+            Swap
+          </button>
+        )}
+      </div>
+
+      {diff && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontSize: 12, opacity: 0.8, lineHeight: 1.6 }}>
+            <div>Older: <span style={monoInline}>{diff.before.root}</span> · {diff.before.fileCount} files · {humanBytes(diff.before.totalBytes)}</div>
+            <div>Newer: <span style={monoInline}>{diff.after.root}</span> · {diff.after.fileCount} files · {humanBytes(diff.after.totalBytes)}</div>
+            {!diff.byPath && <div style={{ color: "#ffc107" }}>A tree does not record paths: edits show as a removal plus an addition.</div>}
+          </div>
+
+          <div style={{ marginTop: 10, fontSize: 16, fontWeight: 600, color: diff.identical ? "#2ecc71" : "#ffc107" }}>
+            {diff.identical
+              ? `No changes (${diff.summary.unchanged} files)`
+              : `${diff.summary.added} added · ${diff.summary.removed} removed · ${diff.summary.changed} changed · ${diff.summary.unchanged} unchanged`}
+          </div>
+
+          {[
+            ["Added", diff.added, (e) => `${name(e)} · ${humanBytes(e.size)}`, humanBytes(diff.summary.addedBytes)],
+            ["Removed", diff.removed, (e) => `${name(e)} · ${humanBytes(e.size)}`, humanBytes(diff.summary.removedBytes)],
+            ["Changed", diff.changed, (e) => `${e.path} · ${humanBytes(e.before.size)} → ${humanBytes(e.after.size)}`,
+              `${humanBytes(diff.summary.changedBytesBefore)} → ${humanBytes(diff.summary.changedBytesAfter)}`],
+            ["Duplicated", diff.duplicated, (e) => `${e.contentHash.slice(0, 16)}… · ${humanBytes(e.size)} · ${e.countBefore} → ${e.countAfter} copies${e.paths ? `: ${e.paths.join(", ")}` : ""}`, null],
+          ].filter(([, entries]) => entries.length > 0).map(([label, entries, describe, bytes]) => (
+            <details key={label} style={{ marginTop: 8 }}>
+              <summary style={{ cursor: "pointer", fontSize: 13 }}>
+                {label} ({entries.length}{bytes ? ` · ${bytes}` : ""})
+              </summary>
+              <div style={list}>
+                {entries.slice(0, MAX_ROWS).map((e, i) => (
+                  <div key={i} style={{ ...monoInline, fontSize: 11, wordBreak: "break-all" }}>{describe(e)}</div>
+                ))}
+                {entries.length > MAX_ROWS && (
+                  <div style={{ ...hint, marginTop: 4 }}>{entries.length - MAX_ROWS} more in the export.</div>
+                )}
+              </div>
+            </details>
+          ))}
+
+          <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
+            <button style={button} onClick={() => download(JSON.stringify(diff, null, 2), "application/json", `${baseName}.json`)}>
+              Export JSON
+            </button>
+            <button style={button} onClick={() => download(diffToCsv(diff), "text/csv", `${baseName}.csv`)}>
+              Export CSV
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <div style={{ marginTop: 10, fontSize: 13, color: "#ff6b6b" }}>WARNING: {error}</div>}
+    </div>
+  );
+}
+
+/** ---------------- styles ---------------- **/
+
+const card = {
+  border: "1px solid rgba(255,255,255,0.08)",
+  borderRadius: 16,
+  padding: 16,
+  marginTop: 14,
+  background: "rgba(0,0,0,0.25)",
+  boxShadow: "0 8px 30px rgba(0,0,0,0.35)",
+};
+
+const button = {
+  padding: "12px 16px",
+  borderRadius: 12,
+  background: "#111",
+  color: "white",
+  border: "1px solid rgba(255,255,255,0.12)",
+  cursor: "pointer",
+  transition: "all 0.2s ease",
+};
+
+const buttonDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
+
+const smallButton = {
+  ...button,
+  padding: "2px 8px",
+  fontSize: 11,
+};
+
+const list = {
+  marginTop: 6,
+  padding: 10,
+  borderRadius: 10,
+  border: "1px solid rgba(255,255,255,0.10)",
+  background: "rgba(255,255,255,0.03)",
+  maxHeight: 240,
+  overflowY: "auto",
+};
+
+const hint = {
+  marginTop: 10,
+  fontSize: 12,
+  opacity: 0.75,
+  lineHeight: 1.5,
+};
+
+const monoInline = {
+  fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+};
@@ -3,6 +3,11 @@
  * Centralizes environment variables and configuration values
  */
 
+import { DEFAULT_CONFIRMATIONS } from "./lib/constants.js";
+
+// Vite inlines import.meta.env into the bundle; under Node (the CLI) the same VITE_* names are read from process.env
+const env = import.meta.env ?? globalThis.process?.env ?? {};
+
 /**
  * Get contract address for a given network
  * @param {number} chainId - The chain ID
@@ -10,18 +15,18 @@
  */
 export function getContractAddress(chainId) {
   // Use environment variables if available, otherwise fallback to defaults
-  const envVar = import.meta.env[`VITE_CONTRACT_ADDRESS_${chainId}`];
+  const envVar = env[`VITE_CONTRACT_ADDRESS_${chainId}`];
   if (envVar) return envVar;
 
   // Default addresses (can be overridden via .env)
   const defaults = {
-    1: import.meta.env.VITE_CONTRACT_ADDRESS_ETHEREUM_MAINNET || "0xE1DEb3c75b5c32D672ac8287010C231f4C15033b", // Ethereum Mainnet
-    10: import.meta.env.VITE_CONTRACT_ADDRESS_OPTIMISM || "0xA095c28448186ACC0e950A17b96879394f89C5B4", // Optimism
-    42161: import.meta.env.VITE_CONTRACT_ADDRESS_ARBITRUM_ONE || "0x9aFaF9963Ae4Ed27e8180831e0c38a8C174DCd5E", // Arbitrum One (Mainnet)
-    421614: import.meta.env.VITE_CONTRACT_ADDRESS_ARBITRUM_SEPOLIA || null, // Arbitrum Sepolia
-    8453: import.meta.env.VITE_CONTRACT_ADDRESS_BASE || "0xA095c28448186ACC0e950A17b96879394f89C5B4", // Base
-    324: import.meta.env.VITE_CONTRACT_ADDRESS_ZKSYNC_ERA || "0xA095c28448186ACC0e950A17b96879394f89C5B4", // ZkSync Era
-    31337: import.meta.env.VITE_CONTRACT_ADDRESS_LOCAL || "0x5FbDB2315678afecb367f032d93F642f64180aa3", // Local Anvil
+    1: env.VITE_CONTRACT_ADDRESS_ETHEREUM_MAINNET || "0xE1DEb3c75b5c32D672ac8287010C231f4C15033b", // Ethereum Mainnet
+    10: env.VITE_CONTRACT_ADDRESS_OPTIMISM || "0xA095c28448186ACC0e950A17b96879394f89C5B4", // Optimism
+    42161: env.VITE_CONTRACT_ADDRESS_ARBITRUM_ONE || "0x9aFaF9963Ae4Ed27e8180831e0c38a8C174DCd5E", // Arbitrum One (Mainnet)
+    421614: env.VITE_CONTRACT_ADDRESS_ARBITRUM_SEPOLIA || null, // Arbitrum Sepolia
+    8453: env.VITE_CONTRACT_ADDRESS_BASE || "0xA095c28448186ACC0e950A17b96879394f89C5B4", // Base
+    324: env.VITE_CONTRACT_ADDRESS_ZKSYNC_ERA || "0xA095c28448186ACC0e950A17b96879394f89C5B4", // ZkSync Era
+    31337: env.VITE_CONTRACT_ADDRESS_LOCAL || "0x5FbDB2315678afecb367f032d93F642f64180aa3", // Local Anvil
   };
 
   return defaults[chainId] || null;
@@ -33,22 +38,33 @@ export function getContractAddress(chainId) {
  * @returns {string|null} RPC URL or null if not configured
  */
 export function getRpcUrl(chainId) {
-  const envVar = import.meta.env[`VITE_RPC_URL_${chainId}`];
+  const envVar = env[`VITE_RPC_URL_${chainId}`];
   if (envVar) return envVar;
 
   const defaults = {
-    1: import.meta.env.VITE_RPC_URL_ETHEREUM_MAINNET || "https://eth.llamarpc.com",
-    10: import.meta.env.VITE_RPC_URL_OPTIMISM || "https://mainnet.optimism.io",
-    42161: import.meta.env.VITE_RPC_URL_ARBITRUM_ONE || "https://arb1.arbitrum.io/rpc",
-    421614: import.meta.env.VITE_RPC_URL_ARBITRUM_SEPOLIA || "https://sepolia-rollup.arbitrum.io/rpc",
-    8453: import.meta.env.VITE_RPC_URL_BASE || "https://mainnet.base.org",
-    324: import.meta.env.VITE_RPC_URL_ZKSYNC_ERA || "https://mainnet.era.zksync.io",
-    31337: import.meta.env.VITE_RPC_URL_LOCAL || "http://127.0.0.1:8545",
+    1: env.VITE_RPC_URL_ETHEREUM_MAINNET || "https://eth.llamarpc.com",
+    10: env.VITE_RPC_URL_OPTIMISM || "https://mainnet.optimism.io",
+    42161: env.VITE_RPC_URL_ARBITRUM_ONE || "https://arb1.arbitrum.io/rpc",
+    421614: env.VITE_RPC_URL_ARBITRUM_SEPOLIA || "https://sepolia-rollup.arbitrum.io/rpc",
+    8453: env.VITE_RPC_URL_BASE || "https://mainnet.base.org",
+    324: env.VITE_RPC_URL_ZKSYNC_ERA || "https://mainnet.era.zksync.io",
+    31337: env.VITE_RPC_URL_LOCAL || "http://127.0.0.1:8545",
   };
 
   return defaults[chainId] || null;
 }
 
+/**
+ * Get the number of confirmations to wait for after a commit
+ * @param {number} chainId - The chain ID
+ * @returns {number} Blocks required, including the transaction's own block (at least 1)
+ */
+export function getConfirmationDepth(chainId) {
+  const configured = Number(env[`VITE_CONFIRMATIONS_${chainId}`]);
+  if (Number.isInteger(configured) && configured >= 1) return configured;
+  return DEFAULT_CONFIRMATIONS[chainId] || 1;
+}
+
 /**
  * Check if a network is supported
  * @param {number} chainId - The chain ID
@@ -59,3 +75,21 @@ export function isSupportedNetwork(chainId) {
   return supportedNetworks.includes(chainId);
 }
 
+/**
+ * Get default Bitcoin block header sources for OpenTimestamps verification
+ * @returns {{esploraUrl: string, bitcoindRpcUrl: string}} Esplora API root and bitcoind JSON-RPC URL
+ */
+export function getBitcoinHeaderSources() {
+  return {
+    esploraUrl: env.VITE_BITCOIN_ESPLORA_URL || "https://blockstream.info/api",
+    bitcoindRpcUrl: env.VITE_BITCOIND_RPC_URL || "http://127.0.0.1:8332",
+  };
+}
+
+/**
+ * Get the URL of the relayer that submits signed (gasless) commitments
+ * @returns {string} Base URL of a server exposing POST /api/relay-commit
+ */
+export function getRelayerUrl() {
+  return env.VITE_RELAYER_URL || env.VITE_BACKEND_URL || "http://localhost:3001";
+}
@@ -0,0 +1,217 @@
+/**
+ * Root aggregation (merkle-aggregate-tree@1 / merkle-aggregate-proof@1)
+ * Folds many Merkle roots into one super-tree so a single chain commit or OpenTimestamps stamp
+ * timestamps all of them. The super-tree uses its own domain tags, so an aggregate leaf or node can
+ * never be confused with a file leaf or node of a merkle-tree.json:
+ *   leaf = SHA256("aggregate-leaf\0" || root)
+ *   node = SHA256("aggregate-node\0" || left || right)
+ * Leaves are sorted by leaf hash, so the same set of roots always yields the same aggregate root.
+ */
+
+import {
+  bareHex,
+  base64ToBytes,
+  buildMerkleTreeFromLeafHashes,
+  buildProofFromLevels,
+  bytesToBase64,
+  computeRootFromProof,
+  concatBytes,
+  hexToBytes,
+  isHex256,
+  sha256Bytes,
+  toHex,
+} from "./merkle.js";
+import { readOtsHeader } from "./otsParser.js";
+import { SCHEMA_VERSIONS } from "./constants.js";
+
+const LEAF_TAG = "aggregate-leaf";
+const NODE_TAG = "aggregate-node";
+
+/**
+ * Compute an aggregate leaf hash: SHA256("aggregate-leaf\0" + rootBytes)
+ * @param {Uint8Array} rootBytes - Root being aggregated
+ * @returns {Promise<Uint8Array>} Leaf hash bytes
+ */
+export async function computeAggregateLeafHashBytes(rootBytes) {
+  return sha256Bytes(concatBytes(new TextEncoder().encode(`${LEAF_TAG}\0`), rootBytes));
+}
+
+/**
+ * Build the super-tree over a set of roots
+ * @param {Array<{root: string, name?: string, summary?: Object}>} entries - Roots to aggregate, with optional
+ *   labels (e.g. the merkle-tree.json file name) and their tree summaries
+ * @returns {Promise<Object>} merkle-aggregate-tree@1 document
+ * @throws {Error} If there are no roots, a root is malformed, or a root appears twice
+ */
+export async function buildAggregate(entries) {
+  if (!entries.length) throw new Error("No roots to aggregate.");
+
+  const seen = new Set();
+  const leaves = [];
+  for (const entry of entries) {
+    const root = bareHex(entry.root);
+    if (!isHex256(root)) throw new Error(`Invalid root${entry.name ? ` in ${entry.name}` : ""}.`);
+    if (seen.has(root)) throw new Error(`Root ${root} appears more than once.`);
+    seen.add(root);
+
+    const leafHash = await computeAggregateLeafHashBytes(hexToBytes(root));
+    leaves.push({ root, ...(entry.name ? { name: entry.name } : {}), leafHash, summary: entry.summary });
+  }
+  leaves.sort((a, b) => toHex(a.leafHash).localeCompare(toHex(b.leafHash)));
+
+  const { root, levels } = await buildMerkleTreeFromLeafHashes(leaves.map((l) => l.leafHash), { nodeTag: NODE_TAG });
+
+  const totals = leaves.reduce(
+    (acc, l) => ({
+      fileCount: acc.fileCount + (l.summary?.fileCount || 0),
+      totalBytes: acc.totalBytes + (l.summary?.totalBytes || 0),
+    }),
+    { fileCount: 0, totalBytes: 0 }
+  );
+
+  return {
+    schema: SCHEMA_VERSIONS.AGGREGATE_TREE,
+    generatedAt: new Date().toISOString(),
+    algorithm: "SHA-256",
+    canonicalization: {
+      leaf: `SHA256("${LEAF_TAG}\\0" || root)`,
+      node: `SHA256("${NODE_TAG}\\0" || left || right)`,
+      order: "leaves sorted by leaf hash",
+    },
+    root: toHex(root),
+    summary: { rootCount: leaves.length, ...totals },
+    leaves: leaves.map((l) => ({
+      root: l.root,
+      ...(l.name ? { name: l.name } : {}),
+      leafHash: toHex(l.leafHash),
+    })),
+    tree: { levels: levels.map((lvl) => lvl.map(toHex)) },
+  };
+}
+
+/**
+ * Build a merkle-aggregate-proof@1 linking one original root to the aggregate root
+ * @param {Object} aggregate - merkle-aggregate-tree@1 from buildAggregate
+ * @param {number} leafIndex - Index into aggregate.leaves
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.anchors] - merkle-blockchain-proof@1 documents for the aggregate root
+ * @param {Uint8Array} [options.ots] - OpenTimestamps proof for the aggregate root
+ * @returns {Object} Aggregate proof
+ * @throws {Error} If the index is out of range or an anchor timestamps a different root
+ */
+export function buildAggregateProof(aggregate, leafIndex, { anchors = [], ots = null } = {}) {
+  const leaf = aggregate.leaves[leafIndex];
+  if (!leaf) throw new Error("Root not found in aggregate.");
+
+  const aggregateRoot = bareHex(aggregate.root);
+  for (const anchor of anchors) {
+    if (bareHex(anchor.merkleRoot) !== aggregateRoot) {
+      throw new Error(`Anchoring proof commits to a different root (${anchor.merkleRoot}).`);
+    }
+  }
+  if (ots && readOtsHeader(ots).fileDigest !== aggregateRoot) {
+    throw new Error("The .ots proof timestamps a different root than the aggregate.");
+  }
+
+  return {
+    schema: SCHEMA_VERSIONS.AGGREGATE_PROOF,
+    generatedAt: new Date().toISOString(),
+    algorithm: aggregate.algorithm || "SHA-256",
+    canonicalization: {
+      ...aggregate.canonicalization,
+      proof: "siblings from leaf to root; position = side of the sibling",
+    },
+    root: leaf.root,
+    ...(leaf.name ? { name: leaf.name } : {}),
+    aggregateRoot,
+    leafCount: aggregate.leaves.length,
+    leafIndex,
+    leafHash: leaf.leafHash,
+    proof: buildProofFromLevels(aggregate.tree.levels.map((lvl) => lvl.map(hexToBytes)), leafIndex),
+    anchors,
+    ...(ots ? { opentimestamps: { encoding: "base64", content: bytesToBase64(ots) } } : {}),
+  };
+}
+
+/**
+ * Check whether a parsed JSON document is an aggregate proof
+ * @param {Object} parsed - Parsed JSON
+ * @returns {boolean} True for merkle-aggregate-proof@1
+ */
+export function isAggregateProof(parsed) {
+  return parsed?.schema === SCHEMA_VERSIONS.AGGREGATE_PROOF;
+}
+
+/**
+ * Validate the shape of a parsed aggregate proof
+ * @param {Object} parsed - Parsed JSON
+ * @returns {Object} The same object
+ * @throws {Error} If a required field is missing or malformed
+ */
+export function validateAggregateProof(parsed) {
+  if (!isAggregateProof(parsed)) throw new Error(`Unsupported schema: "${parsed?.schema || "(missing)"}"`);
+  if (!isHex256(parsed.root) || !isHex256(parsed.aggregateRoot) || !isHex256(parsed.leafHash)) {
+    throw new Error("Invalid root or leaf hash in aggregate proof.");
+  }
+  if (!Array.isArray(parsed.proof) || parsed.proof.some((s) => !isHex256(s.hash) || !["left", "right"].includes(s.position))) {
+    throw new Error("Invalid proof steps in aggregate proof.");
+  }
+  return parsed;
+}
+
+/**
+ * Extract the embedded OpenTimestamps proof of an aggregate proof
+ * @param {Object} proofDoc - Parsed merkle-aggregate-proof@1
+ * @returns {Uint8Array|null} .ots bytes, or null if none is embedded
+ */
+export function getAggregateOts(proofDoc) {
+  return proofDoc.opentimestamps ? base64ToBytes(proofDoc.opentimestamps.content) : null;
+}
+
+/**
+ * Verify an aggregate proof offline
+ * Recomputes the aggregate leaf from the original root, folds the sibling path up to the aggregate
+ * root, and checks embedded anchors timestamp that aggregate root. Whether the anchors are really on
+ * chain is left to verifyBlockchainProof / verifyOtsTimestamp.
+ * @param {Object} proofDoc - Parsed merkle-aggregate-proof@1
+ * @param {string} [expectedRoot] - Root the caller expects the proof to cover (e.g. from merkle-tree.json)
+ * @returns {Promise<{ok: boolean, root: string, aggregateRoot: string, computedRoot: string|null, reason?: string}>} Result
+ */
+export async function verifyAggregateProof(proofDoc, expectedRoot) {
+  validateAggregateProof(proofDoc);
+
+  const root = bareHex(proofDoc.root);
+  const aggregateRoot = bareHex(proofDoc.aggregateRoot);
+  const result = { root, aggregateRoot };
+
+  if (expectedRoot && bareHex(expectedRoot) !== root) {
+    return { ok: false, ...result, computedRoot: null, reason: "This aggregate proof is for a different root." };
+  }
+
+  const leafHashBytes = await computeAggregateLeafHashBytes(hexToBytes(root));
+  if (toHex(leafHashBytes) !== bareHex(proofDoc.leafHash)) {
+    return { ok: false, ...result, computedRoot: null, reason: "Leaf hash does not match the root in this proof." };
+  }
+
+  const computedRoot = toHex(await computeRootFromProof(leafHashBytes, proofDoc.proof, { nodeTag: NODE_TAG }));
+  if (computedRoot !== aggregateRoot) {
+    return { ok: false, ...result, computedRoot, reason: "Sibling path does not lead to the aggregate root." };
+  }
+
+  if ((proofDoc.anchors || []).some((a) => bareHex(a.merkleRoot) !== aggregateRoot)) {
+    return { ok: false, ...result, computedRoot, reason: "An embedded anchoring proof commits to a different root." };
+  }
+
+  const ots = getAggregateOts(proofDoc);
+  if (ots) {
+    try {
+      if (readOtsHeader(ots).fileDigest !== aggregateRoot) {
+        return { ok: false, ...result, computedRoot, reason: "The embedded .ots proof timestamps a different root." };
+      }
+    } catch (e) {
+      return { ok: false, ...result, computedRoot, reason: `Embedded .ots proof is invalid: ${e.message}` };
+    }
+  }
+
+  return { ok: true, ...result, computedRoot };
+}
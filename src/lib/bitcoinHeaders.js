@@ -0,0 +1,158 @@
+/**
+ * Bitcoin block header sources
+ * An OpenTimestamps Bitcoin attestation commits to the Merkle root of one block; checking it needs that
+ * block's 80-byte header. Sources are interchangeable objects with a `getHeader(height)` method:
+ * an Esplora HTTP API (blockstream.info, mempool.space or self-hosted), a bitcoind JSON-RPC endpoint,
+ * or a header pasted by the user.
+ */
+
+import { hexToBytes, sha256Bytes, toHex } from "./merkle.js";
+
+export const HEADER_SOURCE_TYPES = {
+  ESPLORA: "esplora",
+  BITCOIND: "bitcoind",
+  PASTED: "pasted",
+};
+
+const HEADER_LENGTH = 80;
+const REQUEST_TIMEOUT_MS = 15000;
+
+function readUint32LE(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function reversedHex(bytes) {
+  return toHex(bytes.slice().reverse());
+}
+
+/**
+ * Parse an 80-byte Bitcoin block header
+ * @param {string|Uint8Array} header - Header bytes or hex
+ * @returns {Promise<{version: number, prevBlockHash: string, merkleRoot: string, time: number, bits: number, nonce: number, hash: string}>}
+ *   Fields. `merkleRoot` is in header byte order (as OpenTimestamps commits to it); `prevBlockHash` and
+ *   `hash` are in the usual display order. `time` is Unix seconds.
+ * @throws {Error} If the header is not 80 bytes
+ */
+export async function parseBlockHeader(header) {
+  const bytes = typeof header === "string" ? hexToBytes(header.trim()) : header;
+  if (bytes.length !== HEADER_LENGTH) {
+    throw new Error(`Block header must be ${HEADER_LENGTH} bytes, got ${bytes.length}.`);
+  }
+
+  const hash = await sha256Bytes(await sha256Bytes(bytes));
+  return {
+    version: readUint32LE(bytes, 0),
+    prevBlockHash: reversedHex(bytes.subarray(4, 36)),
+    merkleRoot: toHex(bytes.subarray(36, 68)),
+    time: readUint32LE(bytes, 68),
+    bits: readUint32LE(bytes, 72),
+    nonce: readUint32LE(bytes, 76),
+    hash: reversedHex(hash),
+  };
+}
+
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error?.name === "AbortError") throw new Error(`Header source timed out: ${url}`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function checkHash(headerHex, expectedHash) {
+  const parsed = await parseBlockHeader(headerHex);
+  if (expectedHash && parsed.hash !== expectedHash.toLowerCase()) {
+    throw new Error(`Header source returned a header that does not hash to block ${expectedHash}.`);
+  }
+  return headerHex;
+}
+
+/**
+ * Header source backed by an Esplora REST API
+ * @param {string} baseUrl - API root, e.g. https://blockstream.info/api
+ * @returns {{type: string, name: string, getHeader: Function}} Header source
+ */
+export function createEsploraHeaderSource(baseUrl) {
+  const base = String(baseUrl || "").replace(/\/+$/, "");
+  if (!base) throw new Error("Esplora API URL is required.");
+
+  return {
+    type: HEADER_SOURCE_TYPES.ESPLORA,
+    name: base,
+    async getHeader(height) {
+      const hashRes = await fetchWithTimeout(`${base}/block-height/${height}`);
+      if (!hashRes.ok) throw new Error(`Esplora: no block at height ${height} (${hashRes.status}).`);
+      const hash = (await hashRes.text()).trim();
+
+      const headerRes = await fetchWithTimeout(`${base}/block/${hash}/header`);
+      if (!headerRes.ok) throw new Error(`Esplora: header for ${hash} unavailable (${headerRes.status}).`);
+      return checkHash((await headerRes.text()).trim(), hash);
+    },
+  };
+}
+
+/**
+ * Header source backed by a bitcoind (or compatible) JSON-RPC endpoint
+ * The node must allow the page's origin (e.g. via a local proxy) when used from the browser.
+ * @param {string} url - RPC URL, e.g. http://127.0.0.1:8332
+ * @param {Object} [auth]
+ * @param {string} [auth.username] - rpcuser
+ * @param {string} [auth.password] - rpcpassword
+ * @returns {{type: string, name: string, getHeader: Function}} Header source
+ */
+export function createBitcoindHeaderSource(url, { username, password } = {}) {
+  if (!url) throw new Error("bitcoind RPC URL is required.");
+  const headers = { "Content-Type": "application/json" };
+  if (username || password) headers.Authorization = `Basic ${btoa(`${username || ""}:${password || ""}`)}`;
+
+  let nextId = 0;
+  async function call(method, params) {
+    const response = await fetchWithTimeout(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ jsonrpc: "1.0", id: `merkle-tool-${nextId++}`, method, params }),
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || body?.error) {
+      throw new Error(`bitcoind ${method} failed: ${body?.error?.message || `${response.status} ${response.statusText}`}`);
+    }
+    return body.result;
+  }
+
+  return {
+    type: HEADER_SOURCE_TYPES.BITCOIND,
+    name: url,
+    async getHeader(height) {
+      const hash = await call("getblockhash", [height]);
+      return checkHash(await call("getblockheader", [hash, false]), hash);
+    },
+  };
+}
+
+/**
+ * Header source for a header pasted by the user
+ * The pasted header is offered for every height and only verifies attestations whose commitment
+ * matches its Merkle root. The header itself is trusted as given: its block hash should be checked
+ * against a source the user trusts.
+ * @param {string} headerHex - 80-byte header as hex
+ * @returns {{type: string, name: string, getHeader: Function}} Header source
+ */
+export function createPastedHeaderSource(headerHex) {
+  const hex = String(headerHex || "").trim().replace(/^0x/i, "");
+  if (hexToBytes(hex).length !== HEADER_LENGTH) {
+    throw new Error(`Pasted block header must be ${HEADER_LENGTH * 2} hex characters.`);
+  }
+
+  return {
+    type: HEADER_SOURCE_TYPES.PASTED,
+    name: "pasted header",
+    async getHeader() {
+      return hex;
+    },
+  };
+}
@@ -0,0 +1,707 @@
+/**
+ * Framework-agnostic Merkle commitment pipeline
+ * Shared by the React components and the Node CLI so every entry point produces identical commitments.
+ *
+ * Bytes-only Merkle commitment (merkle-bytes-tree@1, default):
+ * - contentHash = SHA256(fileBytes)
+ * - leafHash    = SHA256("leaf\0" + contentHashBytes)
+ * - nodes       = SHA256("node\0" + left + right)
+ * - ordering    = leafHash hex asc
+ *
+ * Path-bound leaves (merkle-paths-tree@1, opt-in) also commit to where the bytes lived:
+ * - leafHash    = SHA256("leaf\0" + pathUtf8 + "\0" + contentHashBytes)
+ *
+ * Per-directory subroots (merkle-dirs-tree@1, opt-in) give every directory its own root over its
+ * named entries, so a subfolder can be proven as a unit (see dirTree.js). leafHash is the file entry.
+ *
+ * Files are passed as {file, relPath} pairs, where `file` only needs name, size, lastModified,
+ * arrayBuffer() and stream() (a browser File, or the adapter in cli/fsFiles.js).
+ *
+ * SHA256 above is the tree's hash algorithm: SHA-256 unless the tree names another one in `algorithm`
+ * and `canonicalization.hash` (Keccak-256, SHA-512 or BLAKE3, see hashAlgorithms.js).
+ *
+ * Every leaf records its path, size and lastModified. Only path-bound leaves commit to the path; in
+ * bytes-only trees these fields let a later run reuse the content hashes of unchanged files.
+ */
+
+import {
+  bareHex,
+  buildMerkleTreeFromLeafHashes,
+  buildProofFromLevels,
+  computeFileEntryHashBytes,
+  computeLeafHashBytes,
+  computePathLeafHashBytes,
+  computeRootFromProof,
+  hexToBytes,
+  humanBytes,
+  isHex256,
+  hashStream,
+  normalizeRelPath,
+  toHex,
+} from "./merkle.js";
+import { DEFAULT_HASH_ALGORITHM, digestBytes, getHashAlgorithm, hashSpecName } from "./hashAlgorithms.js";
+import { shouldIgnoreRelPath } from "./folderPolicy.js";
+import { buildDirectoryTree, foldDirsPath, isDirsSchema, proveDirsPath, splitPath } from "./dirTree.js";
+import { DEFAULT_FOLDER_POLICY, LARGE_FILE_THRESHOLD, SCHEMA_VERSIONS } from "./constants.js";
+
+/**
+ * Canonical form of a relative path as committed in path-bound leaves
+ * @param {string} relPath - Relative path
+ * @returns {string} Forward-slash, NFC-normalized path
+ */
+function canonicalPath(relPath) {
+  return normalizeRelPath(relPath).normalize("NFC");
+}
+
+/**
+ * Check whether a tree schema uses path-bound leaves
+ * @param {string} schema - Schema identifier from merkle-tree.json
+ * @returns {boolean} True for merkle-paths-tree@1
+ */
+export function isPathBoundSchema(schema) {
+  return schema === SCHEMA_VERSIONS.MERKLE_PATHS_TREE;
+}
+
+/**
+ * Compute the leaf hash of a file for the tree layout
+ * @param {string} relPath - Relative path
+ * @param {Uint8Array} contentHashBytes - Content hash bytes
+ * @param {Object} layout
+ * @param {boolean} [layout.bindPaths] - merkle-paths-tree@1
+ * @param {boolean} [layout.hierarchical] - merkle-dirs-tree@1 (file entry, bound to the file name)
+ * @param {string} [layout.algorithm] - Hash algorithm
+ * @returns {Promise<Uint8Array>} Leaf hash bytes
+ */
+function computeLeafFor(relPath, contentHashBytes, { bindPaths = false, hierarchical = false, algorithm }) {
+  if (hierarchical) return computeFileEntryHashBytes(splitPath(canonicalPath(relPath)).name, contentHashBytes, { algorithm });
+  return bindPaths
+    ? computePathLeafHashBytes(relPath, contentHashBytes, { algorithm })
+    : computeLeafHashBytes(contentHashBytes, { algorithm });
+}
+
+/**
+ * Hash algorithm of a parsed merkle-tree.json (trees predating the registry are SHA-256)
+ * @param {Object} tree - Parsed merkle-tree.json
+ * @returns {string} Algorithm name
+ */
+function treeAlgorithm(tree) {
+  return tree.algorithm || DEFAULT_HASH_ALGORITHM;
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new Error("Processing cancelled");
+}
+
+/**
+ * Read a whole file into memory, mapping browser read errors to readable messages
+ * @param {File} file - File object to read
+ * @returns {Promise<ArrayBuffer>} File contents
+ */
+async function readFileBytes(file) {
+  try {
+    return await file.arrayBuffer();
+  } catch (readError) {
+    const errorMsg = readError?.name === "NotAllowedError"
+      ? `Permission denied reading "${file.name}". Please grant file access permission.`
+      : readError?.name === "NotFoundError"
+      ? `File "${file.name}" not found or was moved/deleted.`
+      : readError?.message?.includes("Array buffer allocation failed")
+      ? `File "${file.name}" is too large to load into memory (${(file.size / (1024 * 1024 * 1024)).toFixed(2)} GB). Please use a file smaller than 2GB or ensure sufficient system memory.`
+      : `Failed to read "${file.name}": ${readError?.message || "Unknown error"}`;
+    throw new Error(errorMsg);
+  }
+}
+
+/**
+ * Compute the content hash of a file's bytes
+ * Files above LARGE_FILE_THRESHOLD are streamed so they never sit in memory whole.
+ * @param {File} file - File object
+ * @param {Function} [onBytes] - Streaming progress callback: (bytesProcessed, totalBytes) => void
+ * @param {string} [algorithm="SHA-256"] - Hash algorithm (see hashAlgorithms.js)
+ * @returns {Promise<Uint8Array>} Content hash bytes
+ */
+export async function hashFileContent(file, onBytes, algorithm = DEFAULT_HASH_ALGORITHM) {
+  if (file.size > LARGE_FILE_THRESHOLD) {
+    return hashStream(file, onBytes, { algorithm });
+  }
+  return digestBytes(algorithm, await readFileBytes(file));
+}
+
+/**
+ * Hash every file and compute its leaf, reporting progress per file and per streamed chunk
+ * With concurrency > 1 several files are in flight at once; results keep the input order.
+ * @param {Array<{file: File, relPath: string}>} pairs - Files to hash (already filtered)
+ * @param {Object} options
+ * @param {Function} [options.onProgress] - Progress callback (see buildCommitment)
+ * @param {AbortSignal} [options.signal] - Cancels before the next file starts
+ * @param {Function} [options.hashFile] - Content hasher: (file, onBytes, algorithm) => Promise<Uint8Array> (defaults to hashFileContent)
+ * @param {number} [options.concurrency] - Files hashed at once (defaults to 1)
+ * @param {boolean} [options.bindPaths] - Compute path-bound leaves from each relPath
+ * @param {boolean} [options.hierarchical] - Compute merkle-dirs-tree@1 file entries
+ * @param {string} [options.algorithm] - Hash algorithm for content and leaf hashes
+ * @param {Map<string, Object>} [options.cache] - Leaves of a previous tree by path (see indexHashCache)
+ * @param {boolean} [options.rehashAll] - Hash cached files anyway and flag those whose content changed
+ * @returns {Promise<Array<{relPath: string, file: File, contentHashBytes: Uint8Array, leafHashBytes: Uint8Array, reused: boolean, stale: boolean}>>}
+ */
+async function hashPairs(pairs, { onProgress, signal, hashFile = hashFileContent, concurrency = 1, bindPaths = false, hierarchical = false, algorithm = DEFAULT_HASH_ALGORITHM, cache = null, rehashAll = false }) {
+  const totalBytes = pairs.reduce((a, p) => a + (p.file.size || 0), 0);
+  const total = pairs.length;
+  const out = new Array(total);
+  const inFlightBytes = new Map(); // index -> bytes hashed so far
+  let completedBytes = 0;
+  let done = 0;
+  let next = 0;
+
+  const bytesSoFar = () => {
+    let sum = completedBytes;
+    for (const b of inFlightBytes.values()) sum += b;
+    return sum;
+  };
+
+  async function hashOne(i) {
+    const { file, relPath } = pairs[i];
+    const report = (status, fileBytesProcessed) => onProgress?.({
+      phase: "hashing",
+      status,
+      index: i,
+      done,
+      total,
+      relPath,
+      fileSize: file.size,
+      fileBytesProcessed,
+      bytesProcessed: bytesSoFar(),
+      totalBytes,
+    });
+
+    const cached = cache?.get(canonicalPath(relPath));
+    const unchanged = Boolean(cached) && cached.size === file.size && cached.lastModified === file.lastModified;
+    let contentHashBytes;
+    let stale = false;
+
+    if (unchanged && !rehashAll) {
+      contentHashBytes = hexToBytes(cached.contentHash);
+    } else {
+      inFlightBytes.set(i, 0);
+      report("started", 0);
+      contentHashBytes = await hashFile(file, (bytesProcessed) => {
+        inFlightBytes.set(i, bytesProcessed);
+        report("progress", bytesProcessed);
+      }, algorithm);
+      inFlightBytes.delete(i);
+      stale = unchanged && toHex(contentHashBytes) !== cached.contentHash.toLowerCase();
+    }
+    const leafHashBytes = await computeLeafFor(relPath, contentHashBytes, { bindPaths, hierarchical, algorithm });
+
+    completedBytes += file.size || 0;
+    done++;
+    report(unchanged && !rehashAll ? "reused" : "completed", file.size);
+
+    out[i] = { relPath, file, contentHashBytes, leafHashBytes, reused: unchanged && !rehashAll, stale };
+  }
+
+  // Stop handing out files once any runner fails; the first error is what Promise.all reports
+  let failed = false;
+  async function runner() {
+    while (next < total && !failed) {
+      throwIfAborted(signal);
+      try {
+        await hashOne(next++);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, total)) }, runner);
+  await Promise.all(runners);
+  throwIfAborted(signal);
+
+  return out;
+}
+
+/**
+ * Index a previous tree's leaves by path, for reuse as a hash cache
+ * @param {Object} tree - Parsed merkle-tree.json
+ * @param {string} algorithm - Hash algorithm of the tree being built
+ * @returns {Map<string, {contentHash: string, size: number, lastModified: number}>} Leaves by canonical path
+ * @throws {Error} If the tree is invalid, uses another hash algorithm or does not record file paths
+ */
+function indexHashCache(tree, algorithm) {
+  validateCommitmentJson(tree);
+  if (treeAlgorithm(tree) !== algorithm) {
+    throw new Error(`The previous tree uses ${treeAlgorithm(tree)}, not ${algorithm}; its hashes cannot be reused.`);
+  }
+  if (tree.leaves.some((leaf) => typeof leaf.path !== "string")) {
+    throw new Error("The previous tree does not record file paths (it predates incremental updates). Generate it once in full first.");
+  }
+
+  const cache = new Map();
+  for (const leaf of tree.leaves) {
+    if (!isHex256(leaf.contentHash) || !Number.isFinite(leaf.size) || !Number.isFinite(leaf.lastModified)) continue;
+    cache.set(canonicalPath(leaf.path), leaf);
+  }
+  return cache;
+}
+
+/**
+ * Validate the shape of a parsed merkle-tree.json
+ * @param {Object} parsed - Parsed JSON
+ * @returns {Object} The same object
+ * @throws {Error} If the schema, hash algorithm, root, leaves or tree levels are invalid
+ */
+export function validateCommitmentJson(parsed) {
+  const schema = String(parsed?.schema || "");
+  if (!schema.startsWith("merkle-")) throw new Error(`Unsupported schema: "${schema || "(missing)"}"`);
+  getHashAlgorithm(treeAlgorithm(parsed));
+  if (!isHex256(parsed.root)) throw new Error("Invalid root in JSON.");
+  if (!Array.isArray(parsed.leaves) || parsed.leaves.length === 0) throw new Error("Invalid leaves array.");
+  if (!parsed.tree?.levels || !Array.isArray(parsed.tree.levels) || parsed.tree.levels.length === 0) {
+    throw new Error("Invalid tree.levels in JSON.");
+  }
+  if (isDirsSchema(schema) && (!Array.isArray(parsed.directories) || !parsed.directories.some((d) => d.path === ""))) {
+    throw new Error("Invalid directories in JSON.");
+  }
+  return parsed;
+}
+
+/**
+ * Hash a set of files and assemble the merkle-tree.json document
+ *
+ * onProgress receives plain objects:
+ * - { phase: "hashing", status, index, done, total, relPath, fileSize, fileBytesProcessed, bytesProcessed, totalBytes }
+ *   with status "started" when a file starts, "progress" for streamed chunks of large files and "completed"
+ *   when it is hashed, or only "reused" when its hash came from the previous tree (done counts
+ *   completed files; index is the file the event is about)
+ * - { phase: "building" } before the tree is built
+ *
+ * With options.previous, files whose path, size and lastModified match a leaf of that tree keep its
+ * content hash instead of being read again. The result then carries an "incremental" report.
+ *
+ * @param {Array<{file: File, relPath: string}>} files - Candidate files (folder policy is applied here)
+ * @param {Object} [policy] - Folder policy
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Progress callback
+ * @param {AbortSignal} [options.signal] - Abort signal; throws "Processing cancelled" when aborted
+ * @param {Function} [options.hashFile] - Content hasher, e.g. a worker pool's hashFile (defaults to hashFileContent)
+ * @param {number} [options.concurrency] - Files hashed at once (defaults to 1)
+ * @param {boolean} [options.bindPaths] - Emit merkle-paths-tree@1 (leaves commit to relative path + content)
+ * @param {boolean} [options.hierarchical] - Emit merkle-dirs-tree@1 (a subroot per directory; see dirTree.js)
+ * @param {string} [options.algorithm] - Hash algorithm for every hash in the tree (defaults to SHA-256)
+ * @param {Object} [options.previous] - Earlier merkle-tree.json of the same folder to reuse hashes from
+ * @param {boolean} [options.rehashAll] - With previous: hash every file anyway and report files whose
+ *   content changed although their size and lastModified did not
+ * @returns {Promise<Object>} merkle-tree.json contents
+ * @throws {Error} If no files remain after applying the policy, the algorithm is unknown, or previous cannot serve as a cache
+ */
+export async function buildCommitment(files, policy = DEFAULT_FOLDER_POLICY, { onProgress, signal, hashFile, concurrency, bindPaths = false, hierarchical = false, algorithm = DEFAULT_HASH_ALGORITHM, previous, rehashAll = false } = {}) {
+  if (bindPaths && hierarchical) throw new Error("Choose either path-bound leaves or per-directory subroots.");
+  const fn = hashSpecName(algorithm);
+  const filtered = files.filter((p) => !shouldIgnoreRelPath(p.relPath, policy));
+  if (filtered.length === 0) throw new Error("No files left after applying Folder Policy.");
+
+  const cache = previous ? indexHashCache(previous, algorithm) : null;
+  const totalBytes = filtered.reduce((a, p) => a + (p.file.size || 0), 0);
+  const hashed = await hashPairs(filtered, { onProgress, signal, hashFile, concurrency, bindPaths, hierarchical, algorithm, cache, rehashAll });
+  if (hierarchical) return buildDirsCommitment(hashed, policy, { algorithm, totalBytes, previous, rehashAll, signal, onProgress });
+
+  const leafHashes = hashed.map((h) => h.leafHashBytes);
+  const leaves = hashed.map((h) => ({
+    path: canonicalPath(h.relPath),
+    contentHash: toHex(h.contentHashBytes),
+    leafHash: toHex(h.leafHashBytes),
+    size: h.file.size,
+    lastModified: h.file.lastModified,
+  }));
+
+  // canonical ordering: leafHash hex asc. Copies of the same content share a leaf hash, so ties are
+  // broken on path to keep the JSON independent of traversal order (browser picker vs readdir)
+  leafHashes.sort((a, b) => (toHex(a) < toHex(b) ? -1 : 1));
+  leaves.sort((a, b) => (a.leafHash < b.leafHash ? -1 : a.leafHash > b.leafHash ? 1 : a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+  throwIfAborted(signal);
+  onProgress?.({ phase: "building" });
+  const { root: rootBytes, levels } = await buildMerkleTreeFromLeafHashes(leafHashes, { algorithm });
+
+  return {
+    schema: bindPaths ? SCHEMA_VERSIONS.MERKLE_PATHS_TREE : SCHEMA_VERSIONS.MERKLE_TREE,
+    generatedAt: new Date().toISOString(),
+    algorithm,
+    folderPolicy: policy,
+    canonicalization: {
+      hash: algorithm,
+      contentHash: `${fn}(fileBytes)`,
+      ...(bindPaths
+        ? {
+          path: "relative to the selected folder, forward slashes, Unicode NFC",
+          leaf: `${fn}("leaf\\0" + pathUtf8 + "\\0" + contentHashBytes)`,
+        }
+        : { leaf: `${fn}("leaf\\0" + contentHashBytes)` }),
+      node: `${fn}("node\\0" + left + right)`,
+      ordering: "leafHash hex asc",
+      oddRule: "duplicate last",
+    },
+    summary: {
+      fileCount: leaves.length,
+      totalBytes,
+      totalBytesHuman: humanBytes(totalBytes),
+    },
+    ...incrementalReport(hashed, previous, rehashAll),
+    root: toHex(rootBytes),
+    tree: { levels: levels.map((lvl) => lvl.map((h) => toHex(h))) },
+    leaves,
+  };
+}
+
+function incrementalReport(hashed, previous, rehashAll) {
+  if (!previous) return {};
+  return {
+    incremental: {
+      previousRoot: bareHex(previous.root),
+      reused: hashed.filter((h) => h.reused).length,
+      rehashed: hashed.filter((h) => !h.reused).length,
+      ...(rehashAll ? { changedUnderSameMetadata: hashed.filter((h) => h.stale).map((h) => canonicalPath(h.relPath)) } : {}),
+    },
+  };
+}
+
+/**
+ * Assemble a merkle-dirs-tree@1 document from hashed files
+ * tree.levels holds the top directory's levels; every directory (the top one has path "") lists its
+ * entries, levels and subroot in `directories`. Leaves are listed by path.
+ * @param {Array<Object>} hashed - From hashPairs with hierarchical set
+ * @param {Object} policy - Folder policy applied
+ * @param {Object} options
+ * @returns {Promise<Object>} merkle-tree.json contents
+ */
+async function buildDirsCommitment(hashed, policy, { algorithm, totalBytes, previous, rehashAll, signal, onProgress }) {
+  const fn = hashSpecName(algorithm);
+  const leaves = hashed
+    .map((h) => ({
+      path: canonicalPath(h.relPath),
+      contentHash: toHex(h.contentHashBytes),
+      leafHash: toHex(h.leafHashBytes),
+      size: h.file.size,
+      lastModified: h.file.lastModified,
+    }))
+    .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+  throwIfAborted(signal);
+  onProgress?.({ phase: "building" });
+  const { root, directories } = await buildDirectoryTree(
+    hashed.map((h) => ({ path: canonicalPath(h.relPath), contentHashBytes: h.contentHashBytes, size: h.file.size })),
+    { algorithm }
+  );
+
+  return {
+    schema: SCHEMA_VERSIONS.MERKLE_DIRS_TREE,
+    generatedAt: new Date().toISOString(),
+    algorithm,
+    folderPolicy: policy,
+    canonicalization: {
+      hash: algorithm,
+      contentHash: `${fn}(fileBytes)`,
+      path: "relative to the selected folder, forward slashes, Unicode NFC",
+      file: `${fn}("file\\0" + nameUtf8 + "\\0" + contentHashBytes)`,
+      dir: `${fn}("dir\\0" + nameUtf8 + "\\0" + subrootBytes)`,
+      node: `${fn}("node\\0" + left + right)`,
+      subroot: "Merkle root of a directory's file and dir entries; root = subroot of the selected folder",
+      ordering: "directory entries by name (UTF-8 bytes asc)",
+      oddRule: "duplicate last",
+    },
+    summary: {
+      fileCount: leaves.length,
+      directoryCount: directories.length,
+      totalBytes,
+      totalBytesHuman: humanBytes(totalBytes),
+    },
+    ...incrementalReport(hashed, previous, rehashAll),
+    root: toHex(root),
+    tree: { levels: directories.find((d) => d.path === "").levels },
+    directories,
+    leaves,
+  };
+}
+
+/**
+ * Canonical folder prefix without leading or trailing slashes ("" for the top level)
+ * @param {string} prefix - Folder of the tree
+ * @returns {string} Canonical prefix
+ */
+function canonicalPrefix(prefix) {
+  return canonicalPath(prefix || "").replace(/^\/+|\/+$/g, "");
+}
+
+/**
+ * Committed path of a local file that sits in a folder of the tree
+ * @param {string} prefix - Folder of the tree ("" or "/" for the top level)
+ * @param {string} relPath - Path relative to that folder
+ * @returns {string} Canonical path as stored in the leaves
+ */
+export function committedPath(prefix, relPath) {
+  const dir = canonicalPrefix(prefix);
+  return canonicalPath(dir ? `${dir}/${relPath}` : relPath);
+}
+
+/**
+ * Folders of the tree under which a local file's bytes are committed at its relative path
+ * @param {Object} tree - Parsed merkle-tree.json
+ * @param {number[]} candidates - Leaf indexes with the file's content hash
+ * @param {string} relPath - Local relative path
+ * @returns {string[]} Distinct prefixes ("" for the top level)
+ */
+function candidatePrefixes(tree, candidates, relPath) {
+  const local = canonicalPath(relPath);
+  const prefixes = new Set();
+  for (const idx of candidates) {
+    const leafPath = canonicalPath(tree.leaves[idx].path || "");
+    if (leafPath === local) prefixes.add("");
+    else if (leafPath.endsWith(`/${local}`)) prefixes.add(leafPath.slice(0, -local.length - 1));
+  }
+  return [...prefixes];
+}
+
+/**
+ * Prove a leaf's membership against a stored tree
+ * For path-bound trees the candidate leaf's own path is used to recompute the leaf hash; for dirs
+ * trees the file is folded up through every directory on its committed path.
+ * @param {Object} tree - Parsed merkle-tree.json
+ * @param {{levels: Array<Array<Uint8Array>>, byContentHash: Map<string, number[]>}} index - From indexLeaves
+ * @param {Uint8Array} contentHashBytes - Content hash of the local file
+ * @param {Uint8Array} leafHashBytes - Leaf hash of the local file
+ * @param {string} path - Committed path the file must sit at (path-bound and dirs trees only; see committedPath)
+ * @returns {Promise<{found: boolean, verified: boolean, path?: string}>} Whether the bytes are listed, whether a proof validated, and the committed path
+ */
+async function proveMembership(tree, { levels, byContentHash }, contentHashBytes, leafHashBytes, path) {
+  const candidates = byContentHash.get(toHex(contentHashBytes)) || [];
+  const pathBound = isPathBoundSchema(tree.schema);
+  const expected = bareHex(tree.root);
+  const algorithm = treeAlgorithm(tree);
+
+  if (isDirsSchema(tree.schema)) {
+    for (const idx of candidates) {
+      const leaf = tree.leaves[idx];
+      if (canonicalPath(leaf.path || "") !== path || String(leaf.leafHash || "").toLowerCase() !== toHex(leafHashBytes)) continue;
+      const computedRoot = toHex(await foldDirsPath(contentHashBytes, proveDirsPath(tree, canonicalPath(leaf.path), "file"), { algorithm }));
+      if (computedRoot === expected) return { found: true, verified: true, path: leaf.path };
+    }
+    return { found: candidates.length > 0, verified: false };
+  }
+
+  for (const idx of candidates) {
+    const leaf = tree.leaves[idx];
+    let candidateLeafHash = leafHashBytes;
+
+    if (pathBound) {
+      if (canonicalPath(leaf.path || "") !== path) continue;
+      candidateLeafHash = await computePathLeafHashBytes(leaf.path, contentHashBytes, { algorithm });
+    }
+    if (String(leaf.leafHash || "").toLowerCase() !== toHex(candidateLeafHash)) continue;
+
+    const proof = buildProofFromLevels(levels, idx);
+    const computedRoot = toHex(await computeRootFromProof(candidateLeafHash, proof, { algorithm }));
+    if (computedRoot === expected) return { found: true, verified: true, ...(pathBound ? { path: leaf.path } : {}) };
+  }
+
+  return { found: candidates.length > 0, verified: false };
+}
+
+function indexLeaves(tree) {
+  const byContentHash = new Map();
+  tree.leaves.forEach((leaf, i) => {
+    const hash = String(leaf.contentHash || "").toLowerCase();
+    if (!byContentHash.has(hash)) byContentHash.set(hash, []);
+    byContentHash.get(hash).push(i);
+  });
+  return {
+    levels: tree.tree.levels.map((lvl) => lvl.map(hexToBytes)),
+    byContentHash,
+  };
+}
+
+/**
+ * Find the directory of a dirs tree whose subroot a local folder reproduces, and prove it up to the root
+ * @param {Object} tree - Parsed merkle-dirs-tree@1
+ * @param {string} subrootHex - Subroot computed from the local files
+ * @returns {Promise<Object|null>} The matching directory ({path, fileCount, totalBytes}) or null
+ */
+async function proveDirectory(tree, subrootHex) {
+  for (const dir of tree.directories) {
+    if (!dir.path || String(dir.subroot).toLowerCase() !== subrootHex) continue;
+    const computedRoot = toHex(await foldDirsPath(hexToBytes(subrootHex), proveDirsPath(tree, dir.path, "dir"), { algorithm: treeAlgorithm(tree) }));
+    if (computedRoot === bareHex(tree.root)) return { path: dir.path, fileCount: dir.fileCount, totalBytes: dir.totalBytes };
+  }
+  return null;
+}
+
+/**
+ * Verify a set of files against a commitment
+ * Tries an exact root match first; with a full tree it falls back to per-file subset verification.
+ * Against a dirs tree a selection that reproduces one subfolder's subroot is proven as that whole
+ * subfolder ("directory" mode) before falling back to per-file checks.
+ *
+ * onProgress receives the "hashing" and "building" events described in buildCommitment, then
+ * { phase: "verifying", done, total, relPath } per file during subset verification.
+ *
+ * Subset verification against a path-bound or dirs tree places the whole selection under one folder of
+ * the tree: options.pathPrefix, or else the folder under which the first matching file is proven. Every
+ * file must then sit at exactly that prefix plus its local path, so a moved file no longer verifies.
+ *
+ * @param {Array<{file: File, relPath: string}>} files - Candidate files (folder policy is applied here)
+ * @param {Object} reference - What to verify against
+ * @param {Object} [reference.tree] - Parsed merkle-tree.json (enables subset verification)
+ * @param {string} [reference.root] - Bare root hex, used when no tree is given
+ * @param {boolean} [reference.bindPaths] - With a bare root: recompute path-bound (merkle-paths-tree@1) leaves
+ * @param {boolean} [reference.hierarchical] - With a bare root: recompute per-directory subroots (merkle-dirs-tree@1)
+ * @param {string} [reference.algorithm] - With a bare root: hash algorithm of the tree (defaults to SHA-256)
+ * @param {Object} [policy] - Folder policy
+ * @param {Object} [options]
+ * @param {string[]} [options.excludePaths] - Relative paths to skip (e.g. the proof file itself)
+ * @param {string} [options.pathPrefix] - Folder of the tree the selection sits in ("" or "/" for the top level);
+ *   derived from the first matching file when omitted
+ * @param {Function} [options.onProgress] - Progress callback
+ * @param {AbortSignal} [options.signal] - Abort signal; throws "Processing cancelled" when aborted
+ * @param {Function} [options.hashFile] - Content hasher (see buildCommitment)
+ * @param {number} [options.concurrency] - Files hashed at once (defaults to 1)
+ * @returns {Promise<Object>} Result: ok, verificationMode ("exact" | "directory" | "subset"), expected, computed,
+ *   matchedDirectory (directory mode), committedPrefix (subset mode on path-bound and dirs trees; null if no file matched), jsonLeafCount, selectedCount, filteredCount, filesVerified, filesMissing,
+ *   verificationRate, verifiedCount, totalFiles
+ */
+export async function verifyCommitment(files, { tree, root, bindPaths = false, hierarchical = false, algorithm = DEFAULT_HASH_ALGORITHM }, policy = DEFAULT_FOLDER_POLICY, { excludePaths = [], pathPrefix, onProgress, signal, hashFile, concurrency } = {}) {
+  const expected = bareHex(tree ? tree.root : root);
+  const pathBound = tree ? isPathBoundSchema(tree.schema) : bindPaths;
+  const dirs = tree ? isDirsSchema(tree.schema) : hierarchical;
+  const hashAlgorithm = tree ? treeAlgorithm(tree) : algorithm;
+  if (!isHex256(expected)) throw new Error("Invalid Merkle root.");
+  getHashAlgorithm(hashAlgorithm);
+
+  const filtered = files
+    .filter((p) => !excludePaths.includes(p.relPath))
+    .filter((p) => !shouldIgnoreRelPath(p.relPath, policy));
+
+  if (filtered.length === 0) throw new Error("No files left after applying folderPolicy.");
+
+  const hashed = await hashPairs(filtered, { onProgress, signal, hashFile, concurrency, bindPaths: pathBound, hierarchical: dirs, algorithm: hashAlgorithm });
+
+  throwIfAborted(signal);
+  onProgress?.({ phase: "building" });
+  let rootBytes;
+  if (dirs) {
+    ({ root: rootBytes } = await buildDirectoryTree(
+      hashed.map((h) => ({ path: canonicalPath(h.relPath), contentHashBytes: h.contentHashBytes, size: h.file.size })),
+      { algorithm: hashAlgorithm }
+    ));
+  } else {
+    const leafHashes = hashed.map((h) => h.leafHashBytes);
+    leafHashes.sort((a, b) => (toHex(a) < toHex(b) ? -1 : 1));
+    ({ root: rootBytes } = await buildMerkleTreeFromLeafHashes(leafHashes, { algorithm: hashAlgorithm }));
+  }
+  const computed = toHex(rootBytes);
+  const exactMatch = computed === expected;
+  const matchedDirectory = !exactMatch && tree && dirs ? await proveDirectory(tree, computed) : null;
+
+  let verificationMode = "exact";
+  const filesVerified = [];
+  const filesMissing = [];
+  let verificationRate = 0;
+  let committedPrefix = null;
+
+  if (exactMatch || matchedDirectory) {
+    if (matchedDirectory) verificationMode = "directory";
+    filesVerified.push(...hashed.map((h) => h.relPath));
+    verificationRate = 100;
+  } else if (tree) {
+    verificationMode = "subset";
+    const index = indexLeaves(tree);
+    const bound = pathBound || dirs;
+    if (bound && pathPrefix != null) committedPrefix = canonicalPrefix(pathPrefix);
+
+    for (let i = 0; i < hashed.length; i++) {
+      throwIfAborted(signal);
+      const h = hashed[i];
+      let verified = false;
+      if (bound && committedPrefix === null) {
+        // Lock in the first folder of the tree that proves this file; later files must sit under it too
+        const candidates = index.byContentHash.get(toHex(h.contentHashBytes)) || [];
+        for (const prefix of candidatePrefixes(tree, candidates, h.relPath)) {
+          ({ verified } = await proveMembership(tree, index, h.contentHashBytes, h.leafHashBytes, committedPath(prefix, h.relPath)));
+          if (verified) {
+            committedPrefix = prefix;
+            break;
+          }
+        }
+      } else {
+        ({ verified } = await proveMembership(tree, index, h.contentHashBytes, h.leafHashBytes, bound ? committedPath(committedPrefix, h.relPath) : h.relPath));
+      }
+      (verified ? filesVerified : filesMissing).push(h.relPath);
+      onProgress?.({ phase: "verifying", done: i + 1, total: hashed.length, relPath: h.relPath });
+    }
+
+    verificationRate = Math.round((filesVerified.length / hashed.length) * 100);
+  }
+
+  const ok = exactMatch || Boolean(matchedDirectory) || (verificationMode === "subset" && filesVerified.length > 0 && filesMissing.length === 0);
+
+  return {
+    ok,
+    verificationMode,
+    expected,
+    computed,
+    ...(matchedDirectory ? { matchedDirectory } : {}),
+    ...(verificationMode === "subset" && (pathBound || dirs) ? { committedPrefix } : {}),
+    jsonLeafCount: tree ? (tree.summary?.fileCount ?? tree.leaves.length) : null,
+    selectedCount: files.length,
+    filteredCount: filtered.length,
+    filesVerified,
+    filesMissing,
+    verificationRate,
+    verifiedCount: filesVerified.length,
+    totalFiles: hashed.length,
+  };
+}
+
+/**
+ * Verify a single file against a commitment
+ * With a tree this is a membership proof; with a bare root the file's leaf hash must equal the root.
+ * For path-bound and dirs trees the file must also sit at exactly pathPrefix plus relPath.
+ * @param {File} file - File to verify
+ * @param {Object} reference - What to verify against
+ * @param {Object} [reference.tree] - Parsed merkle-tree.json
+ * @param {string} [reference.root] - Bare root hex, used when no tree is given
+ * @param {boolean} [reference.bindPaths] - With a bare root: compare a path-bound leaf hash
+ * @param {boolean} [reference.hierarchical] - With a bare root: compare a dirs-tree file entry (a folder holding only this file)
+ * @param {string} [reference.algorithm] - With a bare root: hash algorithm of the tree (defaults to SHA-256)
+ * @param {Object} [options]
+ * @param {string} [options.relPath] - Path of the file for path-bound and dirs trees (defaults to file.name)
+ * @param {string} [options.pathPrefix] - Folder of the tree the file sits in (defaults to the top level)
+ * @param {Function} [options.onBytes] - Streaming progress callback for large files
+ * @returns {Promise<{ok: boolean, contentHash: string, leafHash: string, path?: string, reason?: string}>} Result
+ */
+export async function verifyFile(file, { tree, root, bindPaths = false, hierarchical = false, algorithm = DEFAULT_HASH_ALGORITHM }, { relPath = file.name, pathPrefix = "", onBytes } = {}) {
+  const pathBound = tree ? isPathBoundSchema(tree.schema) : bindPaths;
+  const dirs = tree ? isDirsSchema(tree.schema) : hierarchical;
+  const hashAlgorithm = tree ? treeAlgorithm(tree) : algorithm;
+  const contentHashBytes = await hashFileContent(file, onBytes, hashAlgorithm);
+  const leafHashBytes = await computeLeafFor(relPath, contentHashBytes, { bindPaths: pathBound, hierarchical: dirs, algorithm: hashAlgorithm });
+  const result = { contentHash: toHex(contentHashBytes), leafHash: toHex(leafHashBytes) };
+
+  if (!tree) {
+    return result.leafHash === bareHex(root)
+      ? { ok: true, ...result }
+      : { ok: false, ...result, reason: "The file's hash does not match the entered root." };
+  }
+
+  const expectedPath = committedPath(pathPrefix, relPath);
+  const { found, verified, path } = await proveMembership(tree, indexLeaves(tree), contentHashBytes, leafHashBytes, expectedPath);
+
+  if (verified) return { ok: true, ...result, ...(path ? { path } : {}) };
+  return {
+    ok: false,
+    ...result,
+    reason: found && (pathBound || dirs)
+      ? `The file's bytes are committed, but not at "${expectedPath}". Set the committed folder if the file sits in a subfolder of the tree.`
+      : found
+      ? "Content hash matched a candidate, but membership proof did not validate against the stored root."
+      : "Not found: this file's bytes are not present in the committed set.",
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Confirmation and finality tracking for registry commits
+ * A first receipt only shows the transaction is in some block. This waits until the block is buried
+ * under the configured number of confirmations, follows reorgs that move or drop the transaction,
+ * follows wallet "speed up" replacements, and asks the chain whether the block is final. Used by the
+ * browser and the CLI, so it must not depend on Vite-only config.
+ */
+
+import { NETWORK_IDS } from "./constants.js";
+
+const DEFAULT_POLL_MS = 4000;
+const FINALITY_POLL_MS = 30000;
+const DEFAULT_DROP_TIMEOUT_MS = 10 * 60 * 1000;
+
+/** Error code of a transaction that can no longer commit its root (reverted, dropped, cancelled or replaced) */
+export const TX_FAILED = "TX_FAILED";
+
+function txFailed(message) {
+  const error = new Error(message);
+  error.code = TX_FAILED;
+  return error;
+}
+
+/**
+ * Check whether an error means the transaction is definitely not going to commit
+ * Anything else (RPC errors, timeouts, a cancelled wait) leaves the transaction possibly pending.
+ * @param {unknown} error - Error from waitForConfirmations
+ * @returns {boolean} True for a revert, drop, cancellation or unrelated replacement
+ */
+export function isTransactionFailure(error) {
+  return error?.code === TX_FAILED;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error("Confirmation tracking cancelled."));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Confirmation tracking cancelled."));
+    };
+    // Drop the listener when the timer fires, or long finality waits pile one up per poll
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function checkStatus(receipt) {
+  if (receipt.status === 0) throw txFailed(`Transaction ${receipt.hash} reverted; the root was not committed.`);
+  return receipt;
+}
+
+/**
+ * Wait for the transaction's first receipt
+ * A sped-up replacement (same call, higher fee) is followed; a cancellation or an unrelated
+ * replacement fails. A transaction the node no longer knows after dropTimeoutMs counts as dropped.
+ * @param {ethers.Provider} provider - Provider to poll
+ * @param {ethers.TransactionResponse|string} tx - Sent transaction, or only its hash
+ * @param {Object} options
+ * @returns {Promise<{receipt: ethers.TransactionReceipt, replacedHash: string|null}>} Receipt
+ */
+async function waitForInclusion(provider, tx, { dropTimeoutMs, onUpdate, signal }) {
+  const hash = typeof tx === "string" ? tx : tx.hash;
+
+  for (;;) {
+    if (signal?.aborted) throw new Error("Confirmation tracking cancelled.");
+    try {
+      const receipt = typeof tx === "string"
+        ? await provider.waitForTransaction(hash, 1, dropTimeoutMs)
+        : await tx.wait(1, dropTimeoutMs);
+      return { receipt: checkStatus(receipt), replacedHash: null };
+    } catch (error) {
+      if (error?.code === "TRANSACTION_REPLACED") {
+        if (error.reason === "repriced") {
+          if (onUpdate) onUpdate({ status: "replaced", hash: error.receipt.hash, replacedHash: hash });
+          return { receipt: checkStatus(error.receipt), replacedHash: hash };
+        }
+        throw txFailed(
+          `Transaction ${hash} was ${error.reason === "cancelled" ? "cancelled" : "replaced by a different transaction"}`
+          + ` (${error.replacement?.hash || "unknown hash"}); the root was not committed.`
+        );
+      }
+      // tx.wait() throws on a status-0 receipt instead of returning it
+      if (error?.code === "CALL_EXCEPTION" && error.receipt?.status === 0) {
+        throw txFailed(`Transaction ${error.receipt.hash} reverted; the root was not committed.`);
+      }
+      if (error?.code !== "TIMEOUT") throw error;
+      if (!(await provider.getTransaction(hash))) {
+        throw txFailed(`Transaction ${hash} was dropped before it was mined; the root was not committed.`);
+      }
+      // Still pending; keep waiting
+    }
+  }
+}
+
+/**
+ * Ask the chain whether the block holding a receipt is final
+ * Uses the "finalized" block tag, which Ethereum and the OP Stack and Arbitrum rollups tie to L1
+ * finality of the batch. On ZkSync Era, zks_getTransactionDetails is asked first for the L1 batch
+ * status. RPCs that support neither give finalized: null.
+ * @param {ethers.Provider} provider - Provider for the chain
+ * @param {number} chainId - Chain ID
+ * @param {ethers.TransactionReceipt} receipt - Mined receipt
+ * @returns {Promise<{finalized: boolean|null, source: string|null, finalizedBlock?: number, l1Status?: string, l1ExecuteTxHash?: string|null}>} Finality
+ */
+export async function getFinality(provider, chainId, receipt) {
+  if (chainId === NETWORK_IDS.ZKSYNC_ERA) {
+    try {
+      const details = await provider.send("zks_getTransactionDetails", [receipt.hash]);
+      if (details) {
+        return {
+          finalized: Boolean(details.ethExecuteTxHash),
+          source: "zks_getTransactionDetails",
+          l1Status: details.status,
+          l1ExecuteTxHash: details.ethExecuteTxHash || null,
+        };
+      }
+    } catch {
+      // Not a ZkSync RPC (or the wallet does not forward zks_*); fall back to the block tag
+    }
+  }
+
+  try {
+    const block = await provider.getBlock("finalized");
+    if (block) {
+      return { finalized: block.number >= receipt.blockNumber, source: "finalized-tag", finalizedBlock: block.number };
+    }
+  } catch {
+    // Block tag not supported
+  }
+  return { finalized: null, source: null };
+}
+
+/**
+ * Wait until a commit transaction reaches the required depth, optionally until it is final
+ * @param {ethers.Provider} provider - Provider for the chain
+ * @param {ethers.TransactionResponse|string} tx - Sent transaction (replacements are followed), or only its hash
+ * @param {Object} options
+ * @param {number} options.chainId - Chain ID
+ * @param {number} [options.confirmations=1] - Blocks required, counting the transaction's own block
+ * @param {boolean} [options.waitForFinality=false] - Keep waiting until getFinality reports finalized (or cannot tell)
+ * @param {Function} [options.onUpdate] - Called with {status: "pending"|"replaced"|"reorged"|"confirming"|"finalizing", hash, confirmations?, required?}
+ * @param {AbortSignal} [options.signal] - Stops waiting
+ * @param {number} [options.pollMs] - Block polling interval
+ * @param {number} [options.dropTimeoutMs] - How long an unmined transaction may be unknown to the node before it counts as dropped
+ * @returns {Promise<{receipt: ethers.TransactionReceipt, confirmation: Object}>} Final receipt, and the
+ *   confirmation record embedded in merkle-blockchain-proof@1
+ * @throws {Error} If the transaction reverts, is dropped, cancelled or replaced by a different call
+ */
+export async function waitForConfirmations(provider, tx, {
+  chainId,
+  confirmations = 1,
+  waitForFinality = false,
+  onUpdate,
+  signal,
+  pollMs = DEFAULT_POLL_MS,
+  dropTimeoutMs = DEFAULT_DROP_TIMEOUT_MS,
+} = {}) {
+  const required = Math.max(1, Math.floor(confirmations));
+  const notify = (update) => onUpdate && onUpdate(update);
+
+  notify({ status: "pending", hash: typeof tx === "string" ? tx : tx.hash });
+  let { receipt, replacedHash } = await waitForInclusion(provider, tx, { dropTimeoutMs, onUpdate, signal });
+  let reorgs = 0;
+  let depth = 0;
+  let finality = { finalized: null, source: null };
+
+  for (;;) {
+    const [head, current] = await Promise.all([
+      provider.getBlockNumber(),
+      provider.getTransactionReceipt(receipt.hash),
+    ]);
+
+    if (!current || current.blockHash !== receipt.blockHash) {
+      // Reorg: the block was replaced; the transaction is back in the mempool or in another block
+      reorgs++;
+      notify({ status: "reorged", hash: receipt.hash });
+      receipt = current ? checkStatus(current) : (await waitForInclusion(provider, receipt.hash, { dropTimeoutMs, signal })).receipt;
+      continue;
+    }
+
+    depth = Math.max(0, head - receipt.blockNumber + 1);
+    if (depth >= required) {
+      finality = await getFinality(provider, chainId, receipt);
+      if (!waitForFinality || finality.finalized !== false) break;
+      notify({ status: "finalizing", hash: receipt.hash, confirmations: depth, required });
+      await sleep(FINALITY_POLL_MS, signal);
+    } else {
+      notify({ status: "confirming", hash: receipt.hash, confirmations: depth, required });
+      await sleep(pollMs, signal);
+    }
+  }
+
+  return {
+    receipt,
+    confirmation: {
+      confirmations: depth,
+      required,
+      finalized: finality.finalized,
+      finalitySource: finality.source,
+      ...(finality.finalizedBlock != null ? { finalizedBlock: finality.finalizedBlock } : {}),
+      ...(finality.l1Status ? { l1Status: finality.l1Status, l1ExecuteTxHash: finality.l1ExecuteTxHash } : {}),
+      ...(reorgs ? { reorgs } : {}),
+      ...(replacedHash ? { replacedTransaction: replacedHash } : {}),
+      checkedAt: new Date().toISOString(),
+    },
+  };
+}
@@ -63,6 +63,19 @@ export const EXPLORER_URLS = {
   },
 };
 
+// Blocks a commit must be buried under before it is reported as confirmed (including its own block).
+// Rollups order transactions through a single sequencer, so their blocks are not reorganized short of
+// an L1 reorg; finality is checked separately (see lib/confirmations.js)
+export const DEFAULT_CONFIRMATIONS = {
+  [NETWORK_IDS.ETHEREUM_MAINNET]: 3,
+  [NETWORK_IDS.OPTIMISM]: 1,
+  [NETWORK_IDS.ARBITRUM_ONE]: 1,
+  [NETWORK_IDS.ARBITRUM_SEPOLIA]: 1,
+  [NETWORK_IDS.BASE]: 1,
+  [NETWORK_IDS.ZKSYNC_ERA]: 1,
+  [NETWORK_IDS.LOCAL_ANVIL]: 1,
+};
+
 // Default limits (in bytes)
 export const DEFAULT_LIMITS = {
   MAX_TOTAL_BYTES: 500 * 1024 * 1024, // 500 MB
@@ -80,6 +93,9 @@ export const ETH_ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
 // Contract metadata limits (matches smart contract)
 export const MAX_METADATA_LENGTH = 2048; // bytes
 
+// Files larger than this are hashed by streaming instead of being read into memory
+export const LARGE_FILE_THRESHOLD = 100 * 1024 * 1024; // 100 MB
+
 // Progress update throttling (ms)
 export const PROGRESS_UPDATE_THROTTLE_MS = 100;
 
@@ -103,7 +119,17 @@ export const DEFAULT_FOLDER_POLICY = {
 // Schema versions
 export const SCHEMA_VERSIONS = {
   MERKLE_TREE: "merkle-bytes-tree@1",
+  MERKLE_PATHS_TREE: "merkle-paths-tree@1",
+  MERKLE_DIRS_TREE: "merkle-dirs-tree@1",
+  INCLUSION_PROOF: "merkle-inclusion-proof@1",
   BLOCKCHAIN_PROOF: "merkle-blockchain-proof@1",
+  EVIDENCE_BUNDLE: "merkle-evidence-bundle@1",
+  AGGREGATE_TREE: "merkle-aggregate-tree@1",
+  AGGREGATE_PROOF: "merkle-aggregate-proof@1",
+  MULTICHAIN_PROOF: "merkle-multichain-proof@1",
+  SIGNED_COMMITMENT: "merkle-signed-commitment@1",
+  TIMESTAMP_HISTORY: "merkle-timestamp-history@1",
+  TREE_DIFF: "merkle-tree-diff@1",
 };
 
 /**
@@ -0,0 +1,181 @@
+/**
+ * Per-directory subroots (merkle-dirs-tree@1)
+ * Every directory gets its own Merkle root over its entries, so a subfolder can be proven as a unit:
+ * - file entry = SHA256("file\0" + nameUtf8 + "\0" + contentHashBytes)
+ * - dir entry  = SHA256("dir\0" + nameUtf8 + "\0" + subrootBytes)
+ * - subroot    = Merkle root of the directory's entries sorted by name (UTF-8 bytes asc),
+ *                nodes SHA256("node\0" + left + right), odd rule duplicate last
+ * - root       = subroot of the selected folder
+ * With another tree algorithm (hashAlgorithms.js) it replaces SHA-256 throughout.
+ *
+ * A proof is a list of segments from a file (or directory) up to the root. Each segment hashes the
+ * current value as a named entry and folds the sibling entries of its parent directory.
+ */
+
+import {
+  buildMerkleTreeFromLeafHashes,
+  buildProofFromLevels,
+  computeDirEntryHashBytes,
+  computeFileEntryHashBytes,
+  computeRootFromProof,
+  hexToBytes,
+  toHex,
+} from "./merkle.js";
+import { SCHEMA_VERSIONS } from "./constants.js";
+
+const enc = new TextEncoder();
+const directoryIndexes = new WeakMap(); // tree -> Map(path -> directory)
+
+/**
+ * Check whether a tree schema uses per-directory subroots
+ * @param {string} schema - Schema identifier
+ * @returns {boolean} True for merkle-dirs-tree@1
+ */
+export function isDirsSchema(schema) {
+  return schema === SCHEMA_VERSIONS.MERKLE_DIRS_TREE;
+}
+
+/**
+ * Split a canonical relative path into its parent directory ("" for the top) and last segment
+ * @param {string} path - Canonical relative path
+ * @returns {{dir: string, name: string}} Parent and name
+ */
+export function splitPath(path) {
+  const i = path.lastIndexOf("/");
+  return i < 0 ? { dir: "", name: path } : { dir: path.slice(0, i), name: path.slice(i + 1) };
+}
+
+function compareUtf8(a, b) {
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Build every directory's subroot bottom-up
+ * @param {Array<{path: string, contentHashBytes: Uint8Array, size?: number}>} files - Files by canonical path
+ * @param {Object} [options]
+ * @param {string} [options.algorithm="SHA-256"] - Hash algorithm
+ * @returns {Promise<{root: Uint8Array, directories: Array<Object>}>} Root and directories sorted by path,
+ *   each {path, subroot, fileCount, totalBytes, entries: [{name, type}], levels} with hex hashes
+ * @throws {Error} If no files are given or a path is both a file and a directory
+ */
+export async function buildDirectoryTree(files, { algorithm } = {}) {
+  if (files.length === 0) throw new Error("Cannot build Merkle tree with 0 leaves.");
+
+  const dirs = new Map();
+  const dirOf = (path) => {
+    if (!dirs.has(path)) dirs.set(path, { path, files: [], subdirs: new Set() });
+    return dirs.get(path);
+  };
+
+  for (const f of files) {
+    const { dir, name } = splitPath(f.path);
+    dirOf(dir).files.push({ name, contentHashBytes: f.contentHashBytes, size: f.size || 0 });
+    // Register the chain of ancestors so directories holding only subdirectories exist too
+    let child = dir;
+    while (child) {
+      const parent = splitPath(child);
+      dirOf(parent.dir).subdirs.add(parent.name);
+      child = parent.dir;
+    }
+  }
+
+  // Deepest first, so every subdirectory's subroot is known before its parent is hashed
+  const depth = (path) => (path ? path.split("/").length : 0);
+  const order = [...dirs.values()].sort((a, b) => depth(b.path) - depth(a.path));
+  const built = new Map();
+
+  for (const d of order) {
+    const entries = [];
+    let fileCount = d.files.length;
+    let totalBytes = 0;
+    for (const f of d.files) {
+      entries.push({ name: f.name, type: "file", hash: await computeFileEntryHashBytes(f.name, f.contentHashBytes, { algorithm }) });
+      totalBytes += f.size;
+    }
+    for (const name of d.subdirs) {
+      const sub = built.get(d.path ? `${d.path}/${name}` : name);
+      if (d.files.some((f) => f.name === name)) throw new Error(`"${sub.path}" is both a file and a directory.`);
+      entries.push({ name, type: "dir", hash: await computeDirEntryHashBytes(name, hexToBytes(sub.subroot), { algorithm }) });
+      fileCount += sub.fileCount;
+      totalBytes += sub.totalBytes;
+    }
+
+    const keyed = entries.map((e) => ({ ...e, key: enc.encode(e.name.normalize("NFC")) }));
+    keyed.sort((a, b) => compareUtf8(a.key, b.key));
+    const { root, levels } = await buildMerkleTreeFromLeafHashes(keyed.map((e) => e.hash), { algorithm });
+
+    built.set(d.path, {
+      path: d.path,
+      subroot: toHex(root),
+      fileCount,
+      totalBytes,
+      entries: keyed.map(({ name, type }) => ({ name, type })),
+      levels: levels.map((lvl) => lvl.map(toHex)),
+    });
+  }
+
+  const top = built.get("");
+  return {
+    root: hexToBytes(top.subroot),
+    directories: [...built.values()].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0)),
+  };
+}
+
+/**
+ * Build the proof segments from a file or directory of a dirs tree up to its root
+ * @param {Object} tree - Parsed merkle-dirs-tree@1
+ * @param {string} path - Canonical path of the file or directory ("" is the top directory: no segments)
+ * @param {"file"|"dir"} type - What the path names
+ * @returns {Array<{type: "file"|"dir", name: string, proof: Array<{position: string, hash: string}>}>} Segments, bottom-up
+ * @throws {Error} If the path is not in the tree
+ */
+export function proveDirsPath(tree, path, type) {
+  if (!directoryIndexes.has(tree)) directoryIndexes.set(tree, new Map(tree.directories.map((d) => [d.path, d])));
+  const byPath = directoryIndexes.get(tree);
+  const segments = [];
+  let current = path;
+  let currentType = type;
+
+  while (current) {
+    const { dir, name } = splitPath(current);
+    const parent = byPath.get(dir);
+    const index = parent ? parent.entries.findIndex((e) => e.name === name && e.type === currentType) : -1;
+    if (index < 0) throw new Error(`"${path}" is not part of this tree.`);
+    segments.push({ type: currentType, name, proof: buildProofFromLevels(parent.levels.map((lvl) => lvl.map(hexToBytes)), index) });
+    current = dir;
+    currentType = "dir";
+  }
+  return segments;
+}
+
+/**
+ * Fold proof segments from a content hash (file) or subroot (directory) up to a root
+ * @param {Uint8Array} startBytes - Content hash of the file, or subroot of the directory
+ * @param {Array<Object>} segments - From proveDirsPath
+ * @param {Object} [options]
+ * @param {string} [options.algorithm="SHA-256"] - Hash algorithm
+ * @returns {Promise<Uint8Array>} Computed root
+ */
+export async function foldDirsPath(startBytes, segments, { algorithm } = {}) {
+  let running = startBytes;
+  for (const segment of segments) {
+    const entry = segment.type === "file"
+      ? await computeFileEntryHashBytes(segment.name, running, { algorithm })
+      : await computeDirEntryHashBytes(segment.name, running, { algorithm });
+    running = await computeRootFromProof(entry, segment.proof, { algorithm });
+  }
+  return running;
+}
+
+/**
+ * Path a list of segments proves, joined from the top down
+ * @param {Array<Object>} segments - Proof segments, bottom-up
+ * @returns {string} Canonical relative path
+ */
+export function segmentsPath(segments) {
+  return segments.map((s) => s.name).reverse().join("/");
+}
@@ -34,21 +34,31 @@ export function getErrorMessage(error) {
     if (message.includes("replacement transaction underpriced")) {
       return "A transaction with the same nonce is already pending. Please wait or increase gas price.";
     }
-    if (message.includes("execution reverted")) {
-      // Try to extract custom error message
-      const match = message.match(/execution reverted: (.+)/);
-      if (match) return match[1];
-      return "Transaction failed. The contract rejected the transaction.";
-    }
-    if (message.includes("Merkle root already committed")) {
+    // MerkleRootRegistry custom errors (decoded by name via the registry ABI)
+    if (message.includes("Merkle root already committed") || message.includes("MerkleRootAlreadyCommitted")) {
       return "This Merkle root has already been committed to the blockchain.";
     }
-    if (message.includes("Only committer can update")) {
+    if (message.includes("Only committer can update") || message.includes("OnlyCommitterCanUpdate")) {
       return "Only the original committer can update this metadata.";
     }
     if (message.includes("MetadataTooLong")) {
       return "Metadata is too long. Maximum length is 2048 bytes.";
     }
+    if (message.includes("CommitmentDoesNotExist")) {
+      return "This Merkle root has not been committed, so there is no metadata to update.";
+    }
+    if (message.includes("SignatureExpired")) {
+      return "The signed commitment has expired. Sign it again.";
+    }
+    if (message.includes("InvalidSignature")) {
+      return "The signature does not match the committer, or it was already used. Sign the commitment again.";
+    }
+    if (message.includes("execution reverted")) {
+      // Try to extract custom error message
+      const match = message.match(/execution reverted: (.+)/);
+      if (match) return match[1];
+      return "Transaction failed. The contract rejected the transaction.";
+    }
 
     return message;
   }
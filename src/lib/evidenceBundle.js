@@ -0,0 +1,265 @@
+/**
+ * Evidence bundles (merkle-evidence-bundle@1)
+ * One JSON file that carries every artifact produced for a root — merkle-tree.json, blockchain proofs,
+ * inclusion proofs and OpenTimestamps .ots files — plus a manifest. Artifacts are embedded as base64 of
+ * their original bytes, so the manifest hashes match the files exactly as they were downloaded.
+ */
+
+import {
+  bareHex,
+  base64ToBytes,
+  buildMerkleTreeFromLeafHashes,
+  bytesToBase64,
+  computeFileEntryHashBytes,
+  computeLeafHashBytes,
+  computePathLeafHashBytes,
+  hexToBytes,
+  isHex256,
+  sha256Bytes,
+  toHex,
+} from "./merkle.js";
+import { isPathBoundSchema, validateCommitmentJson } from "./commitment.js";
+import { DEFAULT_HASH_ALGORITHM } from "./hashAlgorithms.js";
+import { buildDirectoryTree, isDirsSchema, splitPath } from "./dirTree.js";
+import { isInclusionProof, verifyInclusionProof } from "./inclusionProof.js";
+import { parseOts, readOtsHeader } from "./otsParser.js";
+import { SCHEMA_VERSIONS } from "./constants.js";
+
+export const ARTIFACT_KINDS = {
+  MERKLE_TREE: "merkle-tree",
+  BLOCKCHAIN_PROOF: "blockchain-proof",
+  INCLUSION_PROOF: "inclusion-proof",
+  OPENTIMESTAMPS: "opentimestamps",
+};
+
+function parseJsonBytes(bytes) {
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Read the file digest a detached .ots proof commits to
+ * @param {Uint8Array} bytes - .ots file bytes
+ * @returns {string} Digest hex
+ * @throws {Error} If the header is not a SHA-256 detached timestamp
+ */
+function readOtsDigest(bytes) {
+  const header = readOtsHeader(bytes);
+  if (header.fileHashOp !== "sha256") {
+    throw new Error(`Unsupported OTS file hash op ${header.fileHashOp} (expected SHA-256).`);
+  }
+  return header.fileDigest;
+}
+
+/**
+ * Classify an artifact by its content
+ * @param {string} name - File name
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {{kind: string, root: string}} Artifact kind and the root it commits to
+ * @throws {Error} If the artifact is not a recognised tree, proof or .ots file
+ */
+function inspectArtifact(name, bytes) {
+  if (bytes[0] === 0x00) {
+    return { kind: ARTIFACT_KINDS.OPENTIMESTAMPS, root: readOtsDigest(bytes) };
+  }
+
+  let parsed;
+  try {
+    parsed = parseJsonBytes(bytes);
+  } catch {
+    throw new Error(`"${name}" is neither JSON nor an OpenTimestamps proof.`);
+  }
+
+  if (parsed?.schema === SCHEMA_VERSIONS.BLOCKCHAIN_PROOF) {
+    return { kind: ARTIFACT_KINDS.BLOCKCHAIN_PROOF, root: bareHex(parsed.merkleRoot) };
+  }
+  if (isInclusionProof(parsed)) {
+    return { kind: ARTIFACT_KINDS.INCLUSION_PROOF, root: bareHex(parsed.root) };
+  }
+  if (parsed?.schema === SCHEMA_VERSIONS.EVIDENCE_BUNDLE) {
+    throw new Error(`"${name}" is already an evidence bundle.`);
+  }
+  validateCommitmentJson(parsed);
+  return { kind: ARTIFACT_KINDS.MERKLE_TREE, root: bareHex(parsed.root) };
+}
+
+/**
+ * Check whether a parsed JSON document is an evidence bundle
+ * @param {Object} parsed - Parsed JSON
+ * @returns {boolean} True for merkle-evidence-bundle@1
+ */
+export function isEvidenceBundle(parsed) {
+  return parsed?.schema === SCHEMA_VERSIONS.EVIDENCE_BUNDLE;
+}
+
+/**
+ * Build a merkle-evidence-bundle@1 from artifact files
+ * Every artifact must commit to the same root.
+ * @param {Array<{name: string, bytes: Uint8Array}>} artifacts - Original file names and bytes
+ * @returns {Promise<Object>} Evidence bundle
+ * @throws {Error} If an artifact is unrecognised, names collide, or roots differ
+ */
+export async function buildEvidenceBundle(artifacts) {
+  if (!artifacts.length) throw new Error("No artifacts to bundle.");
+
+  const manifest = [];
+  const files = {};
+  let root = null;
+
+  for (const { name, bytes } of artifacts) {
+    if (files[name]) throw new Error(`Duplicate artifact name "${name}".`);
+
+    const info = inspectArtifact(name, bytes);
+    if (root && info.root !== root) {
+      throw new Error(`"${name}" commits to a different root (${info.root}).`);
+    }
+    root = info.root;
+
+    manifest.push({
+      name,
+      kind: info.kind,
+      size: bytes.length,
+      sha256: toHex(await sha256Bytes(bytes)),
+    });
+    files[name] = { encoding: "base64", content: bytesToBase64(bytes) };
+  }
+
+  return {
+    schema: SCHEMA_VERSIONS.EVIDENCE_BUNDLE,
+    createdAt: new Date().toISOString(),
+    root,
+    manifest,
+    files,
+  };
+}
+
+/**
+ * Validate the shape of a parsed evidence bundle
+ * @param {Object} parsed - Parsed JSON
+ * @returns {Object} The same object
+ * @throws {Error} If a required field is missing or malformed
+ */
+export function validateEvidenceBundle(parsed) {
+  if (!isEvidenceBundle(parsed)) throw new Error(`Unsupported schema: "${parsed?.schema || "(missing)"}"`);
+  if (!isHex256(parsed.root)) throw new Error("Invalid root in evidence bundle.");
+  if (!Array.isArray(parsed.manifest) || parsed.manifest.length === 0) throw new Error("Evidence bundle has an empty manifest.");
+  if (!parsed.files || typeof parsed.files !== "object") throw new Error("Evidence bundle has no files.");
+  return parsed;
+}
+
+/**
+ * Check a merkle-tree.json is internally consistent: leaf hashes follow from the content hashes
+ * (and paths), and the leaves fold up to the stated root.
+ * @param {Object} tree - Parsed merkle-tree.json
+ * @returns {Promise<string|null>} Failure reason, or null if consistent
+ */
+async function checkTreeConsistency(tree) {
+  validateCommitmentJson(tree);
+  const pathBound = isPathBoundSchema(tree.schema);
+  const dirs = isDirsSchema(tree.schema);
+  const algorithm = tree.algorithm || DEFAULT_HASH_ALGORITHM;
+
+  const leafHashes = [];
+  for (const leaf of tree.leaves) {
+    const contentHashBytes = hexToBytes(leaf.contentHash);
+    const leafHashBytes = dirs
+      ? await computeFileEntryHashBytes(splitPath(leaf.path).name, contentHashBytes, { algorithm })
+      : pathBound
+      ? await computePathLeafHashBytes(leaf.path, contentHashBytes, { algorithm })
+      : await computeLeafHashBytes(contentHashBytes, { algorithm });
+    if (toHex(leafHashBytes) !== bareHex(leaf.leafHash)) {
+      return `Leaf hash mismatch for ${leaf.path || leaf.contentHash}.`;
+    }
+    leafHashes.push(leafHashBytes);
+  }
+
+  // Dirs trees fold each directory separately; the stored levels are only the top directory's
+  const { root } = dirs
+    ? await buildDirectoryTree(tree.leaves.map((leaf) => ({ path: leaf.path, contentHashBytes: hexToBytes(leaf.contentHash) })), { algorithm })
+    : await buildMerkleTreeFromLeafHashes(leafHashes, { algorithm });
+  if (toHex(root) !== bareHex(tree.root)) return "Leaves do not rebuild to the stated root.";
+  return null;
+}
+
+/**
+ * Verify every artifact in an evidence bundle against the bundle root
+ * Checks manifest hashes and sizes, that each artifact commits to the root, that the Merkle
+ * structure of trees and inclusion proofs rebuilds to it, and that .ots files parse in full.
+ * Network checks (chain receipts, Bitcoin block headers) are left to the dedicated verifiers.
+ * @param {Object} bundle - Parsed merkle-evidence-bundle@1
+ * @returns {Promise<{ok: boolean, root: string, checks: Array<{name: string, kind: string, ok: boolean, reason?: string, detail?: string}>}>} Result
+ */
+export async function verifyEvidenceBundle(bundle) {
+  validateEvidenceBundle(bundle);
+  const root = bareHex(bundle.root);
+  const checks = [];
+
+  for (const entry of bundle.manifest) {
+    const check = { name: entry.name, kind: entry.kind, ok: false };
+    checks.push(check);
+
+    const stored = bundle.files[entry.name];
+    if (!stored || stored.encoding !== "base64") {
+      check.reason = "Artifact missing from bundle.";
+      continue;
+    }
+
+    try {
+      const bytes = base64ToBytes(stored.content);
+      if (bytes.length !== entry.size || toHex(await sha256Bytes(bytes)) !== bareHex(entry.sha256)) {
+        check.reason = "Artifact bytes do not match the manifest hash.";
+        continue;
+      }
+
+      const info = inspectArtifact(entry.name, bytes);
+      if (info.kind !== entry.kind) {
+        check.reason = `Manifest says ${entry.kind}, content is ${info.kind}.`;
+        continue;
+      }
+      if (info.root !== root) {
+        check.reason = `Commits to a different root (${info.root}).`;
+        continue;
+      }
+
+      if (info.kind === ARTIFACT_KINDS.MERKLE_TREE) {
+        const tree = parseJsonBytes(bytes);
+        check.reason = (await checkTreeConsistency(tree)) || undefined;
+        check.detail = `${tree.schema} · ${tree.leaves.length} file${tree.leaves.length !== 1 ? "s" : ""}`;
+      } else if (info.kind === ARTIFACT_KINDS.INCLUSION_PROOF) {
+        const proof = parseJsonBytes(bytes);
+        const result = await verifyInclusionProof(proof);
+        check.reason = result.reason;
+        check.detail = proof.leaf.path || proof.leaf.contentHash;
+      } else if (info.kind === ARTIFACT_KINDS.BLOCKCHAIN_PROOF) {
+        const proof = parseJsonBytes(bytes);
+        check.detail = `${proof.blockchain || `chain ${proof.blockchainId}`} · tx ${proof.transaction?.hash || "?"}`;
+      } else {
+        const ots = await parseOts(bytes);
+        const anchors = ots.bitcoin.map((a) => `Bitcoin block ${a.height}`);
+        const pending = ots.pending.length ? [`${ots.pending.length} pending calendar${ots.pending.length !== 1 ? "s" : ""}`] : [];
+        check.detail = ["SHA-256 digest matches root", ...anchors, ...pending].join(" · ");
+      }
+      check.ok = !check.reason;
+    } catch (e) {
+      check.reason = e?.message || String(e);
+    }
+  }
+
+  const listed = new Set(bundle.manifest.map((m) => m.name));
+  for (const name of Object.keys(bundle.files)) {
+    if (!listed.has(name)) checks.push({ name, kind: "unknown", ok: false, reason: "Artifact not listed in the manifest." });
+  }
+
+  return { ok: checks.every((c) => c.ok), root, checks };
+}
+
+/**
+ * Decode one artifact from a bundle back to its original bytes
+ * @param {Object} bundle - Parsed merkle-evidence-bundle@1
+ * @param {string} name - Artifact name from the manifest
+ * @returns {Uint8Array} Original file bytes
+ */
+export function extractArtifact(bundle, name) {
+  const stored = bundle.files?.[name];
+  if (!stored) throw new Error(`Artifact "${name}" not found in bundle.`);
+  return base64ToBytes(stored.content);
+}
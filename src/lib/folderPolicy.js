@@ -0,0 +1,32 @@
+// Folder policy helpers shared by the browser components and the Node CLI
+
+export function normalizePath(p) {
+  return String(p || "").replace(/\\/g, "/");
+}
+
+export function baseName(p) {
+  const s = normalizePath(p);
+  const parts = s.split("/");
+  return parts[parts.length - 1] || s;
+}
+
+export function isHiddenPath(path) {
+  return normalizePath(path)
+    .split("/")
+    .some((seg) => seg.startsWith("."));
+}
+
+export function shouldIgnoreRelPath(relPath, policy) {
+  const p = normalizePath(relPath);
+  const name = baseName(p);
+
+  if (!policy.includeHidden && (name.startsWith(".") || isHiddenPath(p))) return true;
+
+  if (policy.ignoreJunk) {
+    if ((policy.ignoreNames || []).includes(name)) return true;
+    if ((policy.ignorePrefixes || []).some((pref) => name.startsWith(pref))) return true;
+    if ((policy.ignorePathPrefixes || []).some((pref) => p.startsWith(pref))) return true;
+  }
+
+  return false;
+}
@@ -0,0 +1,104 @@
+/**
+ * Hash algorithm registry
+ * A tree uses one algorithm for content hashes, leaves and nodes alike; its name is stored in the
+ * merkle-tree.json `algorithm` field and `canonicalization.hash`. Every digest is 32 bytes so roots
+ * stay bytes32 for the registry contract and OpenTimestamps.
+ *
+ * - SHA-256:    WebCrypto for buffers, hash-wasm for streams (default; what older trees use)
+ * - Keccak-256: original Keccak as in the EVM's keccak256, so proofs are cheap to check on-chain
+ * - SHA-512:    SHA-512 truncated to its first 32 bytes; faster than SHA-256 on 64-bit CPUs without SHA extensions
+ * - BLAKE3:     256-bit output; the fastest on large media files
+ */
+
+export const DEFAULT_HASH_ALGORITHM = "SHA-256";
+
+export const HASH_ALGORITHMS = {
+  "SHA-256": {
+    label: "SHA-256",
+    spec: "SHA256",
+    create: async () => (await import("hash-wasm")).createSHA256(),
+  },
+  "Keccak-256": {
+    label: "Keccak-256 (EVM keccak256)",
+    spec: "KECCAK256",
+    create: async () => (await import("hash-wasm")).createKeccak(256),
+  },
+  "SHA-512": {
+    label: "SHA-512 (first 256 bits)",
+    spec: "SHA512_FIRST32",
+    create: async () => (await import("hash-wasm")).createSHA512(),
+    truncate: 32,
+  },
+  BLAKE3: {
+    label: "BLAKE3 (256-bit)",
+    spec: "BLAKE3",
+    create: async () => (await import("hash-wasm")).createBLAKE3(256),
+  },
+};
+
+// hash-wasm is loaded on first use, so the SHA-256 default (WebCrypto) keeps it out of the main bundle.
+// One reusable hash-wasm instance per algorithm for one-shot digests (init/update/digest run synchronously)
+const sharedHashers = new Map();
+
+/**
+ * Look up a registered hash algorithm
+ * @param {string} [name] - Algorithm name as stored in merkle-tree.json (defaults to SHA-256)
+ * @returns {Object} Registry entry ({label, spec, create, truncate?})
+ * @throws {Error} If the algorithm is not supported
+ */
+export function getHashAlgorithm(name = DEFAULT_HASH_ALGORITHM) {
+  const entry = Object.hasOwn(HASH_ALGORITHMS, name) ? HASH_ALGORITHMS[name] : null;
+  if (!entry) {
+    throw new Error(`Unsupported hash algorithm "${name}". Supported: ${Object.keys(HASH_ALGORITHMS).join(", ")}.`);
+  }
+  return entry;
+}
+
+/**
+ * Create a streaming hasher
+ * @param {string} [name] - Algorithm name
+ * @returns {Promise<{update: Function, digest: Function}>} update(bytes) and digest() => 32-byte Uint8Array
+ */
+export async function createHasher(name = DEFAULT_HASH_ALGORITHM) {
+  const entry = getHashAlgorithm(name);
+  const hasher = await entry.create();
+  return {
+    update(bytes) {
+      hasher.update(bytes);
+    },
+    digest() {
+      const digest = hasher.digest("binary");
+      return entry.truncate ? digest.slice(0, entry.truncate) : digest;
+    },
+  };
+}
+
+/**
+ * Hash bytes in one go
+ * @param {string} name - Algorithm name
+ * @param {ArrayBuffer|Uint8Array} input - Input data
+ * @returns {Promise<Uint8Array>} 32-byte digest
+ */
+export async function digestBytes(name, input) {
+  const data = input instanceof ArrayBuffer ? new Uint8Array(input) : input;
+  if (name === DEFAULT_HASH_ALGORITHM || name === undefined) {
+    return new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+  }
+
+  const entry = getHashAlgorithm(name);
+  if (!sharedHashers.has(name)) sharedHashers.set(name, entry.create());
+  const hasher = await sharedHashers.get(name);
+  hasher.init();
+  hasher.update(data);
+  const digest = hasher.digest("binary");
+  return entry.truncate ? digest.slice(0, entry.truncate) : digest;
+}
+
+/**
+ * Human-readable hash spelling for canonicalization strings, e.g. "KECCAK256"
+ * @param {string} [name] - Algorithm name
+ * @returns {string} Spec name
+ */
+export function hashSpecName(name = DEFAULT_HASH_ALGORITHM) {
+  return getHashAlgorithm(name).spec;
+}
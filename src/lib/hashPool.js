@@ -0,0 +1,140 @@
+/**
+ * Web Worker pool for hashing files off the main thread
+ * Each worker hashes one file at a time with hash-wasm; the pool hands out jobs as workers free up.
+ */
+
+const MAX_WORKERS = 8;
+
+/**
+ * Check whether module workers are available in this environment
+ * @returns {boolean} True if a hash pool can be created
+ */
+export function isWorkerHashingSupported() {
+  return typeof Worker !== "undefined" && typeof window !== "undefined";
+}
+
+/**
+ * Pick a default pool size: leave one core for the UI thread
+ * @returns {number} Number of workers
+ */
+export function defaultPoolSize() {
+  const cores = (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+/**
+ * Create a pool of hashing workers
+ * Aborting the signal terminates every worker and rejects all pending jobs with "Processing cancelled".
+ * A worker that errors (a crash, or a module that failed to load) is dropped; once none are left,
+ * queued and later jobs are rejected.
+ * @param {Object} [options]
+ * @param {number} [options.size] - Number of workers (defaults to defaultPoolSize())
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {{size: number, hashFile: Function, terminate: Function}|null} Pool, or null if workers are unavailable
+ */
+export function createHashPool({ size = defaultPoolSize(), signal } = {}) {
+  if (!isWorkerHashingSupported()) return null;
+
+  const workers = [];
+  const idle = [];
+  const queue = [];
+  const jobs = new Map(); // id -> { resolve, reject, onBytes, worker }
+  let nextId = 0;
+  let terminated = false;
+  let failure = null; // set once every worker has errored
+
+  function dispatch() {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const job = queue.shift();
+      job.worker = worker;
+      jobs.set(job.id, job);
+      worker.postMessage({ id: job.id, file: job.file, algorithm: job.algorithm });
+    }
+  }
+
+  function finish(worker, id) {
+    jobs.delete(id);
+    idle.push(worker);
+    dispatch();
+  }
+
+  for (let i = 0; i < size; i++) {
+    const worker = new Worker(new URL("./hashWorker.js", import.meta.url), { type: "module" });
+
+    worker.onmessage = (event) => {
+      const { id, type } = event.data;
+      const job = jobs.get(id);
+      if (!job) return;
+
+      if (type === "progress") {
+        job.onBytes?.(event.data.bytesProcessed, event.data.totalBytes);
+      } else if (type === "done") {
+        job.onBytes?.(job.file.size, job.file.size);
+        finish(worker, id);
+        job.resolve(event.data.hash);
+      } else if (type === "error") {
+        finish(worker, id);
+        job.reject(new Error(event.data.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      const message = event.message || "Hash worker failed";
+      worker.terminate();
+      if (workers.includes(worker)) workers.splice(workers.indexOf(worker), 1);
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+
+      for (const job of jobs.values()) {
+        if (job.worker === worker) {
+          jobs.delete(job.id);
+          job.reject(new Error(message));
+        }
+      }
+      if (workers.length === 0) {
+        failure = message;
+        const stranded = queue.splice(0);
+        stranded.forEach((job) => job.reject(new Error(`No hash worker is running: ${failure}`)));
+      } else {
+        dispatch();
+      }
+    };
+
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  function terminate() {
+    if (terminated) return;
+    terminated = true;
+    signal?.removeEventListener("abort", terminate);
+    workers.forEach((w) => w.terminate());
+
+    const cancelled = [...jobs.values(), ...queue];
+    jobs.clear();
+    queue.length = 0;
+    cancelled.forEach((job) => job.reject(new Error("Processing cancelled")));
+  }
+
+  signal?.addEventListener("abort", terminate, { once: true });
+
+  /**
+   * Hash a file's bytes in a worker
+   * @param {File} file - File to hash
+   * @param {Function} [onBytes] - Progress callback: (bytesProcessed, totalBytes) => void
+   * @param {string} [algorithm] - Hash algorithm (see hashAlgorithms.js; defaults to SHA-256)
+   * @returns {Promise<Uint8Array>} Content hash bytes
+   */
+  function hashFile(file, onBytes, algorithm) {
+    if (terminated) return Promise.reject(new Error("Processing cancelled"));
+    if (failure) return Promise.reject(new Error(`No hash worker is running: ${failure}`));
+
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, file, onBytes, algorithm, resolve, reject, worker: null });
+      dispatch();
+    });
+  }
+
+  return { size: workers.length, hashFile, terminate };
+}
@@ -0,0 +1,50 @@
+/**
+ * Hashing worker used by hashPool.js
+ *
+ * Messages in:  { id, file, algorithm }   (algorithm: a hashAlgorithms.js name, default SHA-256)
+ * Messages out: { id, type: "progress", bytesProcessed, totalBytes }
+ *               { id, type: "done", hash }   (hash: Uint8Array, buffer transferred)
+ *               { id, type: "error", message }
+ */
+
+import { createHasher } from "./hashAlgorithms.js";
+import { PROGRESS_UPDATE_THROTTLE_MS } from "./constants.js";
+
+self.onmessage = async (event) => {
+  const { id, file, algorithm } = event.data;
+
+  try {
+    const hasher = await createHasher(algorithm);
+    const reader = file.stream().getReader();
+    let bytesProcessed = 0;
+    let lastReport = 0;
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        hasher.update(value);
+        bytesProcessed += value.length;
+
+        const now = Date.now();
+        if (now - lastReport > PROGRESS_UPDATE_THROTTLE_MS) {
+          self.postMessage({ id, type: "progress", bytesProcessed, totalBytes: file.size });
+          lastReport = now;
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+
+    const hash = hasher.digest();
+    self.postMessage({ id, type: "done", hash }, [hash.buffer]);
+  } catch (error) {
+    const message = error?.name === "NotAllowedError"
+      ? `Permission denied reading "${file.name}". Please grant file access permission.`
+      : error?.name === "NotFoundError"
+      ? `File "${file.name}" not found or was moved/deleted.`
+      : `Failed to read "${file.name}": ${error?.message || "Unknown error"}`;
+    self.postMessage({ id, type: "error", message });
+  }
+};
@@ -0,0 +1,220 @@
+/**
+ * Local timestamping history (IndexedDB)
+ * Keeps every OpenTimestamps stamp and EVM commit made in this browser — root, .ots bytes, transaction
+ * hashes and the last known status — so pending work survives a reload and can be resumed from the
+ * history panel. One entry per root and target: stamping or committing the same root again updates it.
+ * Exported as merkle-timestamp-history@1 with .ots bytes in base64.
+ */
+
+import { SCHEMA_VERSIONS } from "./constants.js";
+import { base64ToBytes, bytesToBase64 } from "./merkle.js";
+import { isValidMerkleRootFormat, normalizeMerkleRoot } from "./validation.js";
+
+const DB_NAME = "merkle-tool";
+const DB_VERSION = 1;
+const STORE = "timestampHistory";
+
+/** Entry statuses after which nothing is left to poll for */
+export const FINAL_HISTORY_STATUSES = ["confirmed", "failed"];
+
+const listeners = new Set();
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    if (typeof indexedDB === "undefined") {
+      return Promise.reject(new Error("This browser has no IndexedDB; timestamping history is not saved."));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: "id" });
+      store.createIndex("updatedAt", "updatedAt");
+    };
+    dbPromise = requestToPromise(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run fn against the history store in one transaction and resolve once it commits
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} fn - Receives the object store; may return a promise
+ * @returns {Promise<*>} fn's result
+ */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("History transaction aborted."));
+  });
+  const result = await fn(tx.objectStore(STORE));
+  await done;
+  if (mode === "readwrite") listeners.forEach((listener) => listener());
+  return result;
+}
+
+/**
+ * History ID of an OpenTimestamps stamp
+ * @param {string} root - Merkle root
+ * @returns {string} ID
+ */
+export function otsHistoryId(root) {
+  return `ots:${normalizeMerkleRoot(root)}`;
+}
+
+/**
+ * History ID of an EVM registry commit
+ * @param {number} chainId - Chain ID
+ * @param {string} root - Merkle root
+ * @returns {string} ID
+ */
+export function evmHistoryId(chainId, root) {
+  return `evm:${chainId}:${normalizeMerkleRoot(root)}`;
+}
+
+/**
+ * Create or update a history entry
+ * Fields not given keep their stored values; createdAt is kept and updatedAt set to now.
+ * @param {Object} entry
+ * @param {string} entry.id - From otsHistoryId / evmHistoryId
+ * @param {"ots"|"evm"} entry.kind - Target
+ * @param {string} entry.root - 0x-prefixed Merkle root
+ * @param {string} [entry.status] - Last known status ("stamped", "pending", …, "confirmed", "failed")
+ * @param {string} [entry.label] - File name the root came from
+ * @param {Uint8Array} [entry.ots] - Latest .ots bytes (ots entries)
+ * @param {string} [entry.btcTxHash] - Bitcoin transaction of the calendar (ots entries)
+ * @param {number} [entry.blockHeight] - Bitcoin block of the attestation (ots entries)
+ * @param {number} [entry.chainId] - Chain (evm entries)
+ * @param {string} [entry.txHash] - Commit transaction (evm entries)
+ * @param {Object} [entry.commit] - buildBlockchainProof parameters other than the receipt, to finish the proof on resume (evm entries)
+ * @param {Object} [entry.proof] - merkle-blockchain-proof@1 once confirmed (evm entries)
+ * @param {string} [entry.error] - Last error message
+ * @returns {Promise<Object>} Stored entry
+ */
+export function saveHistoryEntry(entry) {
+  return withStore("readwrite", async (store) => {
+    const existing = await requestToPromise(store.get(entry.id));
+    const now = new Date().toISOString();
+    const merged = { ...existing, ...entry, createdAt: existing?.createdAt || now, updatedAt: now };
+    store.put(merged);
+    return merged;
+  });
+}
+
+/**
+ * List the history, most recently updated first
+ * @returns {Promise<Array<Object>>} Entries
+ */
+export async function listHistory() {
+  const entries = await withStore("readonly", (store) => requestToPromise(store.getAll()));
+  return entries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Delete one history entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<void>}
+ */
+export function deleteHistoryEntry(id) {
+  return withStore("readwrite", (store) => requestToPromise(store.delete(id)));
+}
+
+/**
+ * Delete the whole history
+ * @returns {Promise<void>}
+ */
+export function clearHistory() {
+  return withStore("readwrite", (store) => requestToPromise(store.clear()));
+}
+
+/**
+ * Get notified after every change to the history (from any component)
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeHistory(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Export the history as merkle-timestamp-history@1
+ * @returns {Promise<Object>} Export document
+ */
+export async function exportHistory() {
+  const entries = await listHistory();
+  return {
+    schema: SCHEMA_VERSIONS.TIMESTAMP_HISTORY,
+    exportedAt: new Date().toISOString(),
+    entries: entries.map(({ ots, ...rest }) => (ots ? { ...rest, ots: bytesToBase64(ots) } : rest)),
+  };
+}
+
+/**
+ * Merge a merkle-timestamp-history@1 export into the history
+ * An imported entry replaces a stored one with the same ID only if it was updated more recently.
+ * @param {Object} doc - Parsed export
+ * @returns {Promise<{added: number, updated: number, skipped: number}>} Counts
+ * @throws {Error} If the document or one of its entries is malformed (nothing is imported then)
+ */
+export async function importHistory(doc) {
+  if (doc?.schema !== SCHEMA_VERSIONS.TIMESTAMP_HISTORY) {
+    throw new Error(`Unsupported schema: "${doc?.schema || "(missing)"}"`);
+  }
+  if (!Array.isArray(doc.entries)) throw new Error("History export has no entries array.");
+
+  const entries = doc.entries.map((entry, index) => {
+    if (typeof entry?.id !== "string" || !["ots", "evm"].includes(entry.kind) || !isValidMerkleRootFormat(entry.root)) {
+      throw new Error(`History entry ${index + 1} is malformed.`);
+    }
+    const expectedId = entry.kind === "ots"
+      ? otsHistoryId(entry.root)
+      : Number.isInteger(entry.chainId) ? evmHistoryId(entry.chainId, entry.root) : null;
+    if (entry.id !== expectedId) {
+      throw new Error(`History entry ${index + 1} has an id that does not match its root and target.`);
+    }
+    if (typeof entry.updatedAt !== "string" || typeof entry.createdAt !== "string") {
+      throw new Error(`History entry ${index + 1} has no timestamps.`);
+    }
+    // An unfinished commit is resumed from its transaction hash and commit details
+    if (entry.kind === "evm" && !FINAL_HISTORY_STATUSES.includes(entry.status)
+      && (typeof entry.commit?.committer !== "string" || typeof entry.commit?.contractAddress !== "string")) {
+      throw new Error(`History entry ${index + 1} is an unfinished commit without its commit details.`);
+    }
+    if (entry.ots === undefined) return entry;
+    try {
+      return { ...entry, ots: base64ToBytes(entry.ots) };
+    } catch {
+      throw new Error(`History entry ${index + 1} has invalid .ots data.`);
+    }
+  });
+
+  return withStore("readwrite", async (store) => {
+    const counts = { added: 0, updated: 0, skipped: 0 };
+    for (const entry of entries) {
+      const existing = await requestToPromise(store.get(entry.id));
+      if (!existing) {
+        counts.added++;
+      } else if (entry.updatedAt > existing.updatedAt) {
+        counts.updated++;
+      } else {
+        counts.skipped++;
+        continue;
+      }
+      store.put(entry);
+    }
+    return counts;
+  });
+}
@@ -0,0 +1,222 @@
+/**
+ * Standalone per-file inclusion proofs (merkle-inclusion-proof@1)
+ * A proof carries one leaf, its sibling path and the root, so a single file can be handed to a
+ * third party without the full merkle-tree.json. Anchoring proofs for the root (e.g. a
+ * merkle-blockchain-proof@1) can be embedded so the recipient can also check the timestamp.
+ * For merkle-dirs-tree@1 the sibling path is split into segments, one per directory on the file's
+ * path (see dirTree.js), so the proof also shows the folder the file sits in.
+ */
+
+import {
+  bareHex,
+  buildProofFromLevels,
+  computeFileEntryHashBytes,
+  computeLeafHashBytes,
+  computePathLeafHashBytes,
+  computeRootFromProof,
+  hexToBytes,
+  isHex256,
+  toHex,
+} from "./merkle.js";
+import { hashFileContent, isPathBoundSchema } from "./commitment.js";
+import { DEFAULT_HASH_ALGORITHM, getHashAlgorithm } from "./hashAlgorithms.js";
+import { foldDirsPath, isDirsSchema, proveDirsPath, segmentsPath, splitPath } from "./dirTree.js";
+import { SCHEMA_VERSIONS } from "./constants.js";
+
+/**
+ * Check whether a parsed JSON document is an inclusion proof
+ * @param {Object} parsed - Parsed JSON
+ * @returns {boolean} True for merkle-inclusion-proof@1
+ */
+export function isInclusionProof(parsed) {
+  return parsed?.schema === SCHEMA_VERSIONS.INCLUSION_PROOF;
+}
+
+/**
+ * Find the leaf for a file's content hash in a tree
+ * For path-bound and dirs trees the committed path must equal relPath exactly (see committedPath).
+ * @param {Object} tree - Parsed merkle-tree.json
+ * @param {string} contentHashHex - Content hash of the file
+ * @param {string} [relPath] - Committed path of the file (path-bound and dirs trees only)
+ * @returns {number} Leaf index, or -1 if the file is not committed
+ */
+export function findLeafIndex(tree, contentHashHex, relPath) {
+  const hash = bareHex(contentHashHex);
+  const pathBound = isPathBoundSchema(tree.schema) || isDirsSchema(tree.schema);
+  const name = String(relPath || "").replace(/\\/g, "/").normalize("NFC");
+
+  return tree.leaves.findIndex((leaf) => {
+    if (String(leaf.contentHash || "").toLowerCase() !== hash) return false;
+    return !pathBound || String(leaf.path || "").normalize("NFC") === name;
+  });
+}
+
+/**
+ * Build a merkle-inclusion-proof@1 document for one leaf of a tree
+ * @param {Object} tree - Parsed merkle-tree.json
+ * @param {number} leafIndex - Index into tree.leaves (same order as tree.levels[0])
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.anchors] - Anchoring proofs for the root (their merkleRoot must match)
+ * @returns {Object} Inclusion proof
+ * @throws {Error} If the index is out of range or an anchor commits to a different root
+ */
+export function buildInclusionProof(tree, leafIndex, { anchors = [] } = {}) {
+  const leaf = tree.leaves[leafIndex];
+  if (!leaf) throw new Error("Leaf not found in tree.");
+
+  const root = bareHex(tree.root);
+  for (const anchor of anchors) {
+    if (bareHex(anchor.merkleRoot) !== root) {
+      throw new Error(`Anchoring proof commits to a different root (${anchor.merkleRoot}).`);
+    }
+  }
+
+  const dirs = isDirsSchema(tree.schema);
+  const pathBound = isPathBoundSchema(tree.schema) || dirs;
+
+  return {
+    schema: SCHEMA_VERSIONS.INCLUSION_PROOF,
+    generatedAt: new Date().toISOString(),
+    algorithm: tree.algorithm || DEFAULT_HASH_ALGORITHM,
+    treeSchema: tree.schema,
+    canonicalization: dirs
+      ? {
+        hash: tree.algorithm || DEFAULT_HASH_ALGORITHM,
+        file: tree.canonicalization?.file,
+        dir: tree.canonicalization?.dir,
+        node: tree.canonicalization?.node,
+        segments: "one per directory from the file up to the root; each hashes the running value as the named entry, then folds its siblings",
+      }
+      : {
+        hash: tree.algorithm || DEFAULT_HASH_ALGORITHM,
+        leaf: tree.canonicalization?.leaf,
+        node: tree.canonicalization?.node,
+        proof: "siblings from leaf to root; position = side of the sibling",
+      },
+    root,
+    leafCount: tree.leaves.length,
+    leafIndex,
+    leaf: {
+      ...(pathBound ? { path: leaf.path } : {}),
+      contentHash: leaf.contentHash,
+      leafHash: leaf.leafHash,
+      size: leaf.size,
+      lastModified: leaf.lastModified,
+    },
+    ...(dirs
+      ? { segments: proveDirsPath(tree, leaf.path, "file") }
+      : { proof: buildProofFromLevels(tree.tree.levels.map((lvl) => lvl.map(hexToBytes)), leafIndex) }),
+    anchors,
+  };
+}
+
+function isProofSteps(steps) {
+  return Array.isArray(steps) && steps.every((s) => isHex256(s.hash) && ["left", "right"].includes(s.position));
+}
+
+/**
+ * Validate the shape of a parsed inclusion proof
+ * @param {Object} parsed - Parsed JSON
+ * @returns {Object} The same object
+ * @throws {Error} If a required field is missing or malformed
+ */
+export function validateInclusionProof(parsed) {
+  if (!isInclusionProof(parsed)) throw new Error(`Unsupported schema: "${parsed?.schema || "(missing)"}"`);
+  getHashAlgorithm(parsed.algorithm || DEFAULT_HASH_ALGORITHM);
+  if (!isHex256(parsed.root)) throw new Error("Invalid root in inclusion proof.");
+  if (!isHex256(parsed.leaf?.contentHash) || !isHex256(parsed.leaf?.leafHash)) {
+    throw new Error("Invalid leaf in inclusion proof.");
+  }
+  if (isDirsSchema(parsed.treeSchema)) {
+    const segments = parsed.segments;
+    if (!Array.isArray(segments) || segments.length === 0 || segments.some((s) =>
+      !["file", "dir"].includes(s.type) || typeof s.name !== "string" || !s.name || s.name.includes("/") || !isProofSteps(s.proof)
+    ) || segments.slice(1).some((s) => s.type !== "dir") || segments[0].type !== "file") {
+      throw new Error("Invalid directory segments in inclusion proof.");
+    }
+  } else if (!isProofSteps(parsed.proof)) {
+    throw new Error("Invalid proof steps in inclusion proof.");
+  }
+  return parsed;
+}
+
+/**
+ * Verify an inclusion proof, optionally against the file it describes
+ * Recomputes the leaf hash from the content hash (and path), folds the sibling path up to the root,
+ * and checks embedded anchors commit to the same root. Dirs-tree segments must name the leaf's path.
+ * @param {Object} proofDoc - Parsed merkle-inclusion-proof@1
+ * @param {File} [file] - The file the proof is for; its bytes must match leaf.contentHash
+ * @param {Object} [options]
+ * @param {Function} [options.onBytes] - Streaming progress callback for large files
+ * @returns {Promise<{ok: boolean, root: string, computedRoot: string, contentHash: string|null, path?: string, reason?: string}>} Result
+ */
+export async function verifyInclusionProof(proofDoc, file = null, { onBytes } = {}) {
+  validateInclusionProof(proofDoc);
+
+  const root = bareHex(proofDoc.root);
+  const leaf = proofDoc.leaf;
+  const algorithm = proofDoc.algorithm || DEFAULT_HASH_ALGORITHM;
+  const result = { root, contentHash: null, ...(leaf.path ? { path: leaf.path } : {}) };
+
+  if (file) {
+    result.contentHash = toHex(await hashFileContent(file, onBytes, algorithm));
+    if (result.contentHash !== bareHex(leaf.contentHash)) {
+      return { ok: false, ...result, computedRoot: null, reason: "The file's bytes do not match the content hash in this proof." };
+    }
+  }
+
+  const contentHashBytes = hexToBytes(leaf.contentHash);
+  const dirs = isDirsSchema(proofDoc.treeSchema);
+  const leafHashBytes = dirs
+    ? await computeFileEntryHashBytes(splitPath(String(leaf.path || "")).name, contentHashBytes, { algorithm })
+    : isPathBoundSchema(proofDoc.treeSchema)
+    ? await computePathLeafHashBytes(leaf.path, contentHashBytes, { algorithm })
+    : await computeLeafHashBytes(contentHashBytes, { algorithm });
+
+  if (toHex(leafHashBytes) !== bareHex(leaf.leafHash)) {
+    return { ok: false, ...result, computedRoot: null, reason: "Leaf hash does not match the content hash in this proof." };
+  }
+  if (dirs && segmentsPath(proofDoc.segments) !== String(leaf.path).normalize("NFC")) {
+    return { ok: false, ...result, computedRoot: null, reason: "The directory segments do not spell out the file's path." };
+  }
+
+  const computedRoot = toHex(dirs
+    ? await foldDirsPath(contentHashBytes, proofDoc.segments, { algorithm })
+    : await computeRootFromProof(leafHashBytes, proofDoc.proof, { algorithm }));
+  if (computedRoot !== root) {
+    return { ok: false, ...result, computedRoot, reason: "Sibling path does not lead to the stated root." };
+  }
+
+  const badAnchor = (proofDoc.anchors || []).find((a) => bareHex(a.merkleRoot) !== root);
+  if (badAnchor) {
+    return { ok: false, ...result, computedRoot, reason: "An embedded anchoring proof commits to a different root." };
+  }
+
+  return { ok: true, ...result, computedRoot };
+}
+
+/**
+ * Arguments for the registry's verifyInclusion view
+ * The contract rebuilds the SHA-256 merkle-bytes-tree@1 leaf from the content hash, so only those
+ * proofs can be checked on-chain.
+ * @param {Object} proofDoc - Parsed merkle-inclusion-proof@1
+ * @returns {{merkleRoot: string, contentHash: string, proof: Array<string>, positions: Array<boolean>}} 0x-prefixed
+ *   hashes; positions[i] is true when sibling i sits on the left
+ * @throws {Error} If the proof is invalid or its tree is path-bound, per-directory or not SHA-256
+ */
+export function toRegistryInclusionArgs(proofDoc) {
+  validateInclusionProof(proofDoc);
+  if (isDirsSchema(proofDoc.treeSchema) || isPathBoundSchema(proofDoc.treeSchema)) {
+    throw new Error("Only proofs from content-only trees (merkle-bytes-tree@1) can be checked by the registry contract.");
+  }
+  if ((proofDoc.algorithm || DEFAULT_HASH_ALGORITHM) !== DEFAULT_HASH_ALGORITHM) {
+    throw new Error(`The registry contract checks SHA-256 proofs; this one uses ${proofDoc.algorithm}.`);
+  }
+
+  return {
+    merkleRoot: `0x${bareHex(proofDoc.root)}`,
+    contentHash: `0x${bareHex(proofDoc.leaf.contentHash)}`,
+    proof: proofDoc.proof.map((step) => `0x${bareHex(step.hash)}`),
+    positions: proofDoc.proof.map((step) => step.position === "left"),
+  };
+}
@@ -1,3 +1,6 @@
+import { LARGE_FILE_THRESHOLD } from "./constants.js";
+import { createHasher, digestBytes } from "./hashAlgorithms.js";
+
 /**
  * Normalize relative path (convert backslashes, remove leading ./ and duplicate slashes)
  * @param {string} p - Path to normalize
@@ -71,9 +74,20 @@ export async function sha256Bytes(input) {
  * @returns {Promise<Uint8Array>} SHA-256 hash as bytes
  */
 export async function sha256Stream(file, onProgress) {
+  return hashStream(file, onProgress);
+}
+
+/**
+ * Hash a file with any registered algorithm using incremental streaming
+ * @param {File} file - File object to hash
+ * @param {Function} [onProgress] - Optional progress callback: (bytesProcessed, totalBytes) => void
+ * @param {Object} [options]
+ * @param {string} [options.algorithm="SHA-256"] - Hash algorithm (see hashAlgorithms.js)
+ * @returns {Promise<Uint8Array>} Hash as bytes
+ */
+export async function hashStream(file, onProgress, { algorithm } = {}) {
   // Use hash-wasm for incremental hashing to avoid memory issues
-  const { createSHA256 } = await import('hash-wasm');
-  const hasher = await createSHA256();
+  const hasher = await createHasher(algorithm);
   
   const stream = file.stream();
   const reader = stream.getReader();
@@ -108,9 +122,7 @@ export async function sha256Stream(file, onProgress) {
   }
 
   // Get final digest as binary (Uint8Array)
-  const digest = hasher.digest('binary');
-  // hash-wasm returns Uint8Array for 'binary' format
-  return digest instanceof Uint8Array ? digest : new Uint8Array(digest);
+  return hasher.digest();
 }
 
 /**
@@ -156,6 +168,42 @@ export function hexToBytes(hex) {
   return out;
 }
 
+/**
+ * Normalize a hex string to lowercase without 0x prefix
+ * @param {string} hex - Hexadecimal string (with or without 0x prefix)
+ * @returns {string} Bare lowercase hex
+ */
+export function bareHex(hex) {
+  const s = String(hex || "").trim().toLowerCase();
+  return s.startsWith("0x") ? s.slice(2) : s;
+}
+
+/**
+ * Encode bytes as base64 (chunked, so large files do not overflow the call stack)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 string
+ */
+export function bytesToBase64(bytes) {
+  let binary = "";
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} b64 - Base64 string
+ * @returns {Uint8Array} Bytes
+ */
+export function base64ToBytes(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
 /**
  * Format bytes as human-readable string (B, KB, MB, GB, TB)
  * @param {number} n - Number of bytes
@@ -186,7 +234,6 @@ export function humanBytes(n) {
  */
 export async function computeFileContentHashHex(file) {
   // Use streaming for large files (>100MB)
-  const LARGE_FILE_THRESHOLD = 100 * 1024 * 1024; // 100 MB
   const digest = file.size > LARGE_FILE_THRESHOLD
     ? await sha256Stream(file)
     : await sha256Bytes(await file.arrayBuffer());
@@ -195,28 +242,75 @@ export async function computeFileContentHashHex(file) {
 
 /**
  * Compute leaf hash: SHA256("leaf\0" + contentHashBytes)
+ * The leaf, entry and node helpers below take the tree's algorithm in place of SHA-256 when given one.
+ * @param {Uint8Array} contentHashBytes - Content hash bytes
+ * @param {Object} [options]
+ * @param {string} [options.algorithm="SHA-256"] - Hash algorithm (see hashAlgorithms.js)
+ * @returns {Promise<Uint8Array>} Leaf hash bytes
+ */
+export async function computeLeafHashBytes(contentHashBytes, { algorithm } = {}) {
+  const enc = new TextEncoder();
+  return digestBytes(algorithm, concatBytes(enc.encode("leaf\0"), contentHashBytes));
+}
+
+/**
+ * Compute path-bound leaf hash: SHA256("leaf\0" + pathUtf8 + "\0" + contentHashBytes)
+ * The path is normalized (forward slashes, no leading ./) and Unicode NFC so macOS and Windows agree.
+ * @param {string} relPath - Relative path of the file inside the committed folder
  * @param {Uint8Array} contentHashBytes - Content hash bytes
+ * @param {Object} [options]
+ * @param {string} [options.algorithm="SHA-256"] - Hash algorithm
  * @returns {Promise<Uint8Array>} Leaf hash bytes
  */
-export async function computeLeafHashBytes(contentHashBytes) {
+export async function computePathLeafHashBytes(relPath, contentHashBytes, { algorithm } = {}) {
+  const enc = new TextEncoder();
+  const pathBytes = enc.encode(normalizeRelPath(relPath).normalize("NFC"));
+  return digestBytes(algorithm, concatBytes(enc.encode("leaf\0"), pathBytes, enc.encode("\0"), contentHashBytes));
+}
+
+/**
+ * Compute a file entry of a directory: SHA256("file\0" + nameUtf8 + "\0" + contentHashBytes)
+ * @param {string} name - File name (one path segment, Unicode NFC)
+ * @param {Uint8Array} contentHashBytes - Content hash bytes
+ * @param {Object} [options]
+ * @param {string} [options.algorithm="SHA-256"] - Hash algorithm
+ * @returns {Promise<Uint8Array>} Entry hash bytes
+ */
+export async function computeFileEntryHashBytes(name, contentHashBytes, { algorithm } = {}) {
+  const enc = new TextEncoder();
+  return digestBytes(algorithm, concatBytes(enc.encode("file\0"), enc.encode(name.normalize("NFC")), enc.encode("\0"), contentHashBytes));
+}
+
+/**
+ * Compute a subdirectory entry of a directory: SHA256("dir\0" + nameUtf8 + "\0" + subrootBytes)
+ * @param {string} name - Directory name (one path segment, Unicode NFC)
+ * @param {Uint8Array} subrootBytes - Subroot of the subdirectory
+ * @param {Object} [options]
+ * @param {string} [options.algorithm="SHA-256"] - Hash algorithm
+ * @returns {Promise<Uint8Array>} Entry hash bytes
+ */
+export async function computeDirEntryHashBytes(name, subrootBytes, { algorithm } = {}) {
   const enc = new TextEncoder();
-  return sha256Bytes(concatBytes(enc.encode("leaf\0"), contentHashBytes));
+  return digestBytes(algorithm, concatBytes(enc.encode("dir\0"), enc.encode(name.normalize("NFC")), enc.encode("\0"), subrootBytes));
 }
 
 /**
  * Build Merkle tree from leaf hashes
  * Uses SHA256("node\0" + left + right) for internal nodes
  * @param {Array<Uint8Array>} leafHashesBytes - Array of leaf hash bytes
+ * @param {Object} [options]
+ * @param {string} [options.nodeTag="node"] - Domain tag for internal nodes (trees of a different kind use their own)
+ * @param {string} [options.algorithm="SHA-256"] - Hash algorithm
  * @returns {Promise<{root: Uint8Array, levels: Array<Array<Uint8Array>>}>} Root hash and all tree levels
  * @throws {Error} If no leaves provided
  */
-export async function buildMerkleTreeFromLeafHashes(leafHashesBytes) {
+export async function buildMerkleTreeFromLeafHashes(leafHashesBytes, { nodeTag = "node", algorithm } = {}) {
   if (!Array.isArray(leafHashesBytes) || leafHashesBytes.length === 0) {
     throw new Error("Cannot build Merkle tree with 0 leaves.");
   }
 
   const levels = [leafHashesBytes.map(h => h instanceof Uint8Array ? h : new Uint8Array(h))];
-  const nodePrefix = new TextEncoder().encode("node\0");
+  const nodePrefix = new TextEncoder().encode(`${nodeTag}\0`);
 
   while (levels[levels.length - 1].length > 1) {
     const prev = levels[levels.length - 1];
@@ -225,7 +319,7 @@ export async function buildMerkleTreeFromLeafHashes(leafHashesBytes) {
     for (let i = 0; i < prev.length; i += 2) {
       const left = prev[i];
       const right = prev[i + 1] || prev[i];
-      const node = await sha256Bytes(concatBytes(nodePrefix, left, right));
+      const node = await digestBytes(algorithm, concatBytes(nodePrefix, left, right));
       next.push(node);
     }
 
@@ -266,20 +360,23 @@ export function buildProofFromLevels(levelsBytes, leafIndex) {
  * Compute Merkle root from leaf hash and proof steps
  * @param {Uint8Array} leafHashBytes - Leaf hash bytes
  * @param {Array<{position: "left"|"right", hash: string}>} proofSteps - Proof steps
+ * @param {Object} [options]
+ * @param {string} [options.nodeTag="node"] - Domain tag the tree was built with
+ * @param {string} [options.algorithm="SHA-256"] - Hash algorithm the tree was built with
  * @returns {Promise<Uint8Array>} Computed root hash bytes
  * @throws {Error} If proof step position is invalid
  */
-export async function computeRootFromProof(leafHashBytes, proofSteps) {
-  const nodePrefix = new TextEncoder().encode("node\0");
+export async function computeRootFromProof(leafHashBytes, proofSteps, { nodeTag = "node", algorithm } = {}) {
+  const nodePrefix = new TextEncoder().encode(`${nodeTag}\0`);
   let running = leafHashBytes;
 
   for (const step of proofSteps) {
     const sib = hexToBytes(step.hash);
 
     if (step.position === "right") {
-      running = await sha256Bytes(concatBytes(nodePrefix, running, sib));
+      running = await digestBytes(algorithm, concatBytes(nodePrefix, running, sib));
     } else if (step.position === "left") {
-      running = await sha256Bytes(concatBytes(nodePrefix, sib, running));
+      running = await digestBytes(algorithm, concatBytes(nodePrefix, sib, running));
     } else {
       throw new Error("Invalid proof step position");
     }
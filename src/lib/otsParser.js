@@ -0,0 +1,238 @@
+/**
+ * OpenTimestamps (.ots) deserializer
+ * Pure JS, so it runs in the browser and in the backend's /api/parse-ots route alike.
+ *
+ * Detached timestamp file layout:
+ *   magic ("\x00OpenTimestamps\x00\x00Proof\x00" + 8 bytes) | varuint version | file hash op | digest | timestamp
+ * Timestamp (recursive, starting from the file digest):
+ *   (0xff <tag-or-attestation>)* <tag-or-attestation>
+ *   where 0x00 introduces an attestation (8-byte tag + varbytes payload) and any other byte is an op
+ *   applied to the current message, followed by the timestamp for the op's result.
+ */
+
+import { hexToBytes, toHex } from "./merkle.js";
+
+const HEADER_MAGIC = new Uint8Array([
+  0x00, 0x4f, 0x70, 0x65, 0x6e, 0x54, 0x69, 0x6d, 0x65, 0x73, 0x74, 0x61, 0x6d, 0x70, 0x73, 0x00,
+  0x00, 0x50, 0x72, 0x6f, 0x6f, 0x66, 0x00, 0xbf, 0x89, 0xe2, 0xe8, 0x84, 0xe8, 0x92, 0x94,
+]);
+
+const MAJOR_VERSION = 1;
+const MAX_MSG_LENGTH = 4096;
+const MAX_PAYLOAD_LENGTH = 8192;
+const MAX_DEPTH = 256;
+
+// hash-wasm is loaded on the first hash op, so it stays out of the main bundle
+const hashWasm = () => import("hash-wasm");
+
+const HASH_OPS = {
+  0x08: { name: "sha256", digestLength: 32, apply: async (msg) => hexToBytes(await (await hashWasm()).sha256(msg)) },
+  0x02: { name: "sha1", digestLength: 20, apply: async (msg) => hexToBytes(await (await hashWasm()).sha1(msg)) },
+  0x03: { name: "ripemd160", digestLength: 20, apply: async (msg) => hexToBytes(await (await hashWasm()).ripemd160(msg)) },
+  0x67: { name: "keccak256", digestLength: 32, apply: async (msg) => hexToBytes(await (await hashWasm()).keccak(msg, 256)) },
+};
+
+const BINARY_OPS = {
+  0xf0: { name: "append", apply: (msg, arg) => concat(msg, arg) },
+  0xf1: { name: "prepend", apply: (msg, arg) => concat(arg, msg) },
+};
+
+const UNARY_OPS = {
+  0xf2: { name: "reverse", apply: (msg) => msg.slice().reverse() },
+  0xf3: { name: "hexlify", apply: (msg) => new TextEncoder().encode(toHex(msg)) },
+};
+
+export const ATTESTATION_TYPES = {
+  PENDING: "pending",
+  BITCOIN: "bitcoin",
+  LITECOIN: "litecoin",
+  ETHEREUM: "ethereum",
+  UNKNOWN: "unknown",
+};
+
+const ATTESTATION_TAGS = {
+  "83dfe30d2ef90c8e": ATTESTATION_TYPES.PENDING,
+  "0588960d73d71901": ATTESTATION_TYPES.BITCOIN,
+  "06869a0d73d71b45": ATTESTATION_TYPES.LITECOIN,
+  "30fe8087b5c7ead7": ATTESTATION_TYPES.ETHEREUM,
+};
+
+function concat(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+}
+
+/**
+ * Sequential reader over .ots bytes
+ */
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  readBytes(n) {
+    if (this.pos + n > this.bytes.length) {
+      throw new Error(`Truncated OTS data: needed ${n} byte(s) at offset ${this.pos}.`);
+    }
+    const out = this.bytes.subarray(this.pos, this.pos + n);
+    this.pos += n;
+    return out;
+  }
+
+  readByte() {
+    return this.readBytes(1)[0];
+  }
+
+  readVaruint() {
+    let value = 0;
+    let shift = 0;
+    let b;
+    do {
+      b = this.readByte();
+      value += (b & 0x7f) * 2 ** shift;
+      shift += 7;
+      if (shift > 49) throw new Error("OTS varuint too large.");
+    } while (b & 0x80);
+    return value;
+  }
+
+  readVarbytes(maxLength) {
+    const length = this.readVaruint();
+    if (length > maxLength) throw new Error(`OTS varbytes too long (${length} > ${maxLength}).`);
+    return this.readBytes(length);
+  }
+
+  atEnd() {
+    return this.pos >= this.bytes.length;
+  }
+}
+
+/**
+ * Read the header of a detached .ots file
+ * @param {Uint8Array} bytes - .ots file bytes
+ * @returns {{version: number, fileHashOp: string, fileDigest: string, offset: number}} Header fields and
+ *   the offset where the timestamp starts
+ * @throws {Error} If the magic, version or file hash op is invalid
+ */
+export function readOtsHeader(bytes) {
+  const reader = new Reader(bytes);
+  const magic = reader.readBytes(HEADER_MAGIC.length);
+  if (magic.some((b, i) => b !== HEADER_MAGIC[i])) {
+    throw new Error("Not an OpenTimestamps proof (bad header magic).");
+  }
+
+  const version = reader.readVaruint();
+  if (version !== MAJOR_VERSION) throw new Error(`Unsupported OTS major version ${version}.`);
+
+  const opTag = reader.readByte();
+  const op = HASH_OPS[opTag];
+  if (!op) throw new Error(`Unsupported OTS file hash op 0x${opTag.toString(16).padStart(2, "0")}.`);
+
+  const fileDigest = toHex(reader.readBytes(op.digestLength));
+  return { version, fileHashOp: op.name, fileDigest, offset: reader.pos };
+}
+
+function readAttestation(reader, commitment) {
+  const tag = toHex(reader.readBytes(8));
+  const payload = new Reader(reader.readVarbytes(MAX_PAYLOAD_LENGTH));
+  const type = ATTESTATION_TAGS[tag] || ATTESTATION_TYPES.UNKNOWN;
+  const attestation = { type, commitment: toHex(commitment) };
+
+  if (type === ATTESTATION_TYPES.PENDING) {
+    attestation.uri = new TextDecoder().decode(payload.readVarbytes(1000));
+  } else if (type === ATTESTATION_TYPES.UNKNOWN) {
+    attestation.tag = tag;
+    attestation.payload = toHex(payload.bytes);
+    return attestation;
+  } else {
+    attestation.height = payload.readVaruint();
+  }
+
+  if (!payload.atEnd()) throw new Error(`Trailing bytes in ${type} attestation payload.`);
+  return attestation;
+}
+
+async function readTimestamp(reader, msg, depth) {
+  if (depth > MAX_DEPTH) throw new Error("OTS timestamp nested too deeply.");
+  const node = { msg: toHex(msg), attestations: [], ops: [] };
+
+  const readTagOrAttestation = async (tag) => {
+    if (tag === 0x00) {
+      node.attestations.push(readAttestation(reader, msg));
+      return;
+    }
+
+    let op;
+    let arg = null;
+    let result;
+    if (HASH_OPS[tag]) {
+      op = HASH_OPS[tag].name;
+      result = await HASH_OPS[tag].apply(msg);
+    } else if (BINARY_OPS[tag]) {
+      op = BINARY_OPS[tag].name;
+      arg = reader.readVarbytes(MAX_MSG_LENGTH);
+      result = BINARY_OPS[tag].apply(msg, arg);
+    } else if (UNARY_OPS[tag]) {
+      op = UNARY_OPS[tag].name;
+      result = UNARY_OPS[tag].apply(msg);
+    } else {
+      throw new Error(`Unknown OTS op 0x${tag.toString(16).padStart(2, "0")} at offset ${reader.pos - 1}.`);
+    }
+
+    if (result.length > MAX_MSG_LENGTH) throw new Error(`OTS ${op} result exceeds ${MAX_MSG_LENGTH} bytes.`);
+    node.ops.push({
+      op,
+      ...(arg ? { arg: toHex(arg) } : {}),
+      timestamp: await readTimestamp(reader, result, depth + 1),
+    });
+  };
+
+  let tag = reader.readByte();
+  while (tag === 0xff) {
+    await readTagOrAttestation(reader.readByte());
+    tag = reader.readByte();
+  }
+  await readTagOrAttestation(tag);
+
+  return node;
+}
+
+function collectAttestations(node, out = []) {
+  out.push(...node.attestations);
+  node.ops.forEach((edge) => collectAttestations(edge.timestamp, out));
+  return out;
+}
+
+/**
+ * Parse a detached .ots file
+ * Replays every operation, so each attestation carries the commitment digest it attests to
+ * (for Bitcoin, the block's Merkle root in header byte order).
+ * @param {Uint8Array} bytes - .ots file bytes
+ * @returns {Promise<{version: number, fileHashOp: string, fileDigest: string, timestamp: Object, attestations: Array<Object>, pending: Array<Object>, bitcoin: Array<Object>}>}
+ *   Parsed proof. `timestamp` is the op tree: {msg, attestations, ops: [{op, arg?, timestamp}]}.
+ * @throws {Error} If the file is malformed
+ */
+export async function parseOts(bytes) {
+  const header = readOtsHeader(bytes);
+  const reader = new Reader(bytes);
+  reader.pos = header.offset;
+
+  const timestamp = await readTimestamp(reader, hexToBytes(header.fileDigest), 0);
+  if (!reader.atEnd()) throw new Error(`Trailing garbage after OTS timestamp (${bytes.length - reader.pos} bytes).`);
+
+  const attestations = collectAttestations(timestamp);
+  return {
+    version: header.version,
+    fileHashOp: header.fileHashOp,
+    fileDigest: header.fileDigest,
+    timestamp,
+    attestations,
+    pending: attestations.filter((a) => a.type === ATTESTATION_TYPES.PENDING),
+    bitcoin: attestations
+      .filter((a) => a.type === ATTESTATION_TYPES.BITCOIN)
+      .sort((a, b) => a.height - b.height),
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Offline OpenTimestamps verification
+ * Replays a .ots proof from the Merkle root to each Bitcoin attestation's commitment (via otsParser.js)
+ * and compares that commitment with the Merkle root in the attested block's header. A match proves the
+ * root existed when the block was mined; the block's header time is the verified timestamp.
+ */
+
+import { parseOts } from "./otsParser.js";
+import { parseBlockHeader } from "./bitcoinHeaders.js";
+import { bareHex } from "./merkle.js";
+
+/**
+ * Verify a .ots proof against Bitcoin block headers
+ * @param {Uint8Array} otsBytes - .ots file bytes
+ * @param {Object} options
+ * @param {{getHeader: Function}} options.headerSource - From bitcoinHeaders.js
+ * @param {string} [options.expectedDigest] - Merkle root the proof should timestamp
+ * @returns {Promise<{ok: boolean, fileDigest: string, digestMatches: boolean, pendingCount: number, attestations: Array<{height: number, commitment: string, ok: boolean, blockHash?: string, headerMerkleRoot?: string, time?: number, reason?: string}>, verifiedTime: number|null, verifiedHeight: number|null, reason?: string}>}
+ *   Result. `verifiedTime` is the earliest verified block time in Unix seconds.
+ * @throws {Error} If the .ots file is malformed
+ */
+export async function verifyOtsTimestamp(otsBytes, { headerSource, expectedDigest } = {}) {
+  const parsed = await parseOts(otsBytes);
+  const digestMatches = !expectedDigest || parsed.fileDigest === bareHex(expectedDigest);
+
+  const attestations = [];
+  for (const attestation of parsed.bitcoin) {
+    const entry = { height: attestation.height, commitment: attestation.commitment, ok: false };
+    attestations.push(entry);
+
+    if (attestation.commitment.length !== 64) {
+      entry.reason = "Attested commitment is not 32 bytes.";
+      continue;
+    }
+
+    try {
+      const header = await parseBlockHeader(await headerSource.getHeader(attestation.height));
+      entry.blockHash = header.hash;
+      entry.headerMerkleRoot = header.merkleRoot;
+      entry.time = header.time;
+      entry.ok = header.merkleRoot === attestation.commitment;
+      if (!entry.ok) entry.reason = "Block Merkle root does not match the attested commitment.";
+    } catch (error) {
+      entry.reason = error?.message || String(error);
+    }
+  }
+
+  const verified = attestations.filter((a) => a.ok).sort((a, b) => a.time - b.time);
+  const result = {
+    ok: digestMatches && verified.length > 0,
+    fileDigest: parsed.fileDigest,
+    digestMatches,
+    pendingCount: parsed.pending.length,
+    attestations,
+    verifiedTime: verified[0]?.time ?? null,
+    verifiedHeight: verified[0]?.height ?? null,
+  };
+
+  if (!digestMatches) {
+    result.reason = "The proof timestamps a different digest than this Merkle root.";
+  } else if (parsed.bitcoin.length === 0) {
+    result.reason = "The proof has no Bitcoin attestation yet (still pending at the calendars).";
+  } else if (verified.length === 0) {
+    result.reason = "No Bitcoin attestation matched its block header.";
+  }
+  return result;
+}
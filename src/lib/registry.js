@@ -0,0 +1,393 @@
+/**
+ * MerkleRootRegistry access
+ * Shared contract ABI, read-only RPC access, and building and verifying merkle-blockchain-proof@1 files.
+ * Reads go through getRpcUrl(chainId), so no wallet is needed to check a proof.
+ */
+
+import { ethers } from "ethers";
+import { getContractAddress, getRpcUrl } from "../config.js";
+import { EXPLORER_URLS, NETWORK_IDS, NETWORK_NAMES, SCHEMA_VERSIONS } from "./constants.js";
+import { isValidMerkleRootFormat, normalizeMerkleRoot } from "./validation.js";
+import { SIGNED_COMMIT_ABI } from "./signedCommit.js";
+import { getFinality } from "./confirmations.js";
+
+// Contract ABI (subset used by the app, plus the custom errors so reverts decode by name)
+export const REGISTRY_ABI = [
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+      {"internalType": "string", "name": "metadata", "type": "string"}
+    ],
+    "name": "commitMerkleRoot",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32[]", "name": "merkleRoots", "type": "bytes32[]"},
+      {"internalType": "string[]", "name": "metadata", "type": "string[]"}
+    ],
+    "name": "commitMerkleRoots",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+      {"internalType": "string", "name": "newMetadata", "type": "string"}
+    ],
+    "name": "updateMetadata",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [{"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}],
+    "name": "getCommitment",
+    "outputs": [
+      {
+        "components": [
+          {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+          {"internalType": "address", "name": "committer", "type": "address"},
+          {"internalType": "uint256", "name": "blockNumber", "type": "uint256"},
+          {"internalType": "uint256", "name": "timestamp", "type": "uint256"},
+          {"internalType": "string", "name": "metadata", "type": "string"}
+        ],
+        "internalType": "struct MerkleRootRegistry.Commitment",
+        "name": "",
+        "type": "tuple"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}],
+    "name": "isCommitted",
+    "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{"internalType": "address", "name": "user", "type": "address"}],
+    "name": "getUserCommitments",
+    "outputs": [{"internalType": "bytes32[]", "name": "", "type": "bytes32[]"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{"internalType": "address", "name": "user", "type": "address"}],
+    "name": "getUserCommitmentCount",
+    "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+      {"internalType": "bytes32", "name": "contentHash", "type": "bytes32"},
+      {"internalType": "bytes32[]", "name": "proof", "type": "bytes32[]"},
+      {"internalType": "bool[]", "name": "positions", "type": "bool[]"}
+    ],
+    "name": "verifyInclusion",
+    "outputs": [
+      {"internalType": "bool", "name": "committed", "type": "bool"},
+      {"internalType": "bool", "name": "included", "type": "bool"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+      {"indexed": true, "internalType": "address", "name": "committer", "type": "address"},
+      {"indexed": true, "internalType": "uint256", "name": "blockNumber", "type": "uint256"},
+      {"indexed": false, "internalType": "string", "name": "metadata", "type": "string"}
+    ],
+    "name": "MerkleRootCommitted",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+      {"indexed": false, "internalType": "string", "name": "oldMetadata", "type": "string"},
+      {"indexed": false, "internalType": "string", "name": "newMetadata", "type": "string"}
+    ],
+    "name": "MetadataUpdated",
+    "type": "event"
+  },
+  {"inputs": [{"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}], "name": "MerkleRootAlreadyCommitted", "type": "error"},
+  {"inputs": [{"internalType": "uint256", "name": "length", "type": "uint256"}, {"internalType": "uint256", "name": "maxLength", "type": "uint256"}], "name": "MetadataTooLong", "type": "error"},
+  {"inputs": [{"internalType": "address", "name": "caller", "type": "address"}, {"internalType": "address", "name": "committer", "type": "address"}], "name": "OnlyCommitterCanUpdate", "type": "error"},
+  {"inputs": [{"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}], "name": "CommitmentDoesNotExist", "type": "error"},
+  {"inputs": [{"internalType": "uint256", "name": "rootsLength", "type": "uint256"}, {"internalType": "uint256", "name": "metadataLength", "type": "uint256"}], "name": "BatchLengthMismatch", "type": "error"},
+  {"inputs": [], "name": "EmptyBatch", "type": "error"},
+  {"inputs": [{"internalType": "uint256", "name": "proofLength", "type": "uint256"}, {"internalType": "uint256", "name": "positionsLength", "type": "uint256"}], "name": "ProofLengthMismatch", "type": "error"},
+  ...SIGNED_COMMIT_ABI
+];
+
+/**
+ * Create a read-only provider for a chain from the configured RPC URL
+ * @param {number} chainId - Chain ID
+ * @returns {ethers.JsonRpcProvider} Provider
+ * @throws {Error} If no RPC URL is configured for the chain
+ */
+export function getReadOnlyProvider(chainId) {
+  const rpcUrl = getRpcUrl(chainId);
+  if (!rpcUrl) throw new Error(`No RPC URL configured for chain ${chainId}.`);
+  return new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true });
+}
+
+/**
+ * Get a MerkleRootRegistry contract instance
+ * @param {ethers.ContractRunner} runner - Provider (read-only) or signer
+ * @param {string} address - Contract address
+ * @returns {ethers.Contract} Contract
+ */
+export function getRegistryContract(runner, address) {
+  return new ethers.Contract(address, REGISTRY_ABI, runner);
+}
+
+/**
+ * Build the on-chain metadata string for a merkle-tree.json
+ * @param {Object} [jsonData] - Parsed merkle-tree.json (summary fields are optional)
+ * @returns {string} JSON metadata as committed to the registry
+ */
+export function buildCommitMetadata(jsonData) {
+  return JSON.stringify({
+    fileCount: jsonData?.summary?.fileCount || 0,
+    totalBytes: jsonData?.summary?.totalBytes || 0,
+    totalBytesHuman: jsonData?.summary?.totalBytesHuman || "",
+    generatedAt: jsonData?.generatedAt || new Date().toISOString(),
+    schema: jsonData?.schema || SCHEMA_VERSIONS.MERKLE_TREE,
+    algorithm: jsonData?.algorithm || "SHA-256"
+  });
+}
+
+function parseMetadata(metadata) {
+  try {
+    return JSON.parse(metadata);
+  } catch {
+    return metadata;
+  }
+}
+
+/**
+ * Build a merkle-blockchain-proof@1 for a root committed in a mined transaction
+ * Roots committed together by commitMerkleRoots get one proof each, sharing the transaction
+ * details, with `batch` recording the root's position in the batch.
+ * @param {Object} params
+ * @param {string} params.merkleRoot - 0x-prefixed root
+ * @param {string} params.metadata - Metadata string as committed (or as last updated); embedded parsed when it is JSON
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.contractAddress - Checksummed registry address
+ * @param {string} params.committer - Sender address
+ * @param {string} params.txHash - Transaction hash
+ * @param {ethers.TransactionReceipt} params.receipt - Mined receipt
+ * @param {{index: number, size: number}} [params.batch] - Position within a batch commit
+ * @param {string} [params.relayer] - Sender of a relayed (signed) commitment, when it is not the committer
+ * @param {Object} [params.confirmation] - Confirmation depth and finality at the time of writing (from waitForConfirmations)
+ * @returns {Object} merkle-blockchain-proof@1
+ */
+export function buildBlockchainProof({ merkleRoot, metadata, chainId, contractAddress, committer, txHash, receipt, batch, relayer, confirmation }) {
+  const explorerInfo = EXPLORER_URLS[chainId] || EXPLORER_URLS[NETWORK_IDS.ETHEREUM_MAINNET] || EXPLORER_URLS[NETWORK_IDS.ARBITRUM_ONE];
+
+  return {
+    schema: SCHEMA_VERSIONS.BLOCKCHAIN_PROOF,
+    blockchain: NETWORK_NAMES[chainId] || "Unknown",
+    blockchainId: chainId,
+    blockchainExplorer: explorerInfo.name,
+    merkleRoot,
+    transaction: {
+      hash: txHash,
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      chainId,
+      contractAddress,
+      gasUsed: receipt.gasUsed.toString(),
+      timestamp: Date.now()
+    },
+    ...(confirmation ? { confirmation } : {}),
+    ...(batch ? { batch } : {}),
+    committer,
+    ...(relayer ? { relayer } : {}),
+    metadata: parseMetadata(metadata),
+    verification: {
+      contractUrl: `${explorerInfo.base}/address/${contractAddress}`,
+      transactionUrl: `${explorerInfo.base}/tx/${txHash}`
+    }
+  };
+}
+
+/**
+ * Combine the proofs of one root committed on several chains into a merkle-multichain-proof@1
+ * Each chain's merkle-blockchain-proof@1 is kept whole under `anchors`, in commit order.
+ * @param {string} merkleRoot - 0x-prefixed root
+ * @param {Array<Object>} proofs - merkle-blockchain-proof@1 documents, one per chain
+ * @returns {Object} merkle-multichain-proof@1
+ * @throws {Error} If there are no proofs or a proof commits to a different root
+ */
+export function buildMultiChainProof(merkleRoot, proofs) {
+  if (!proofs.length) throw new Error("No chain proofs to combine.");
+
+  const root = normalizeMerkleRoot(merkleRoot);
+  for (const proof of proofs) {
+    if (normalizeMerkleRoot(proof.merkleRoot) !== root) {
+      throw new Error(`The ${proof.blockchain} proof commits to a different root (${proof.merkleRoot}).`);
+    }
+  }
+
+  return {
+    schema: SCHEMA_VERSIONS.MULTICHAIN_PROOF,
+    generatedAt: new Date().toISOString(),
+    merkleRoot: root,
+    chains: proofs.map((proof) => ({
+      blockchain: proof.blockchain,
+      blockchainId: proof.blockchainId,
+      transactionHash: proof.transaction.hash,
+      blockNumber: proof.transaction.blockNumber,
+      transactionUrl: proof.verification?.transactionUrl,
+    })),
+    anchors: proofs,
+  };
+}
+
+/**
+ * Check whether a parsed JSON document is a multi-chain proof
+ * @param {Object} parsed - Parsed JSON
+ * @returns {boolean} True for merkle-multichain-proof@1
+ */
+export function isMultiChainProof(parsed) {
+  return parsed?.schema === SCHEMA_VERSIONS.MULTICHAIN_PROOF;
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Find the MerkleRootCommitted log for a root in a receipt
+ * Only logs emitted by the given registry address count.
+ * @param {ethers.TransactionReceipt} receipt - Mined receipt
+ * @param {string} contractAddress - Registry address
+ * @param {string} root - 0x-prefixed Merkle root
+ * @returns {ethers.LogDescription|null} Parsed event (args.merkleRoot, args.committer, ...), or null if absent
+ */
+export function findCommittedEvent(receipt, contractAddress, root) {
+  const registry = new ethers.Interface(REGISTRY_ABI);
+  return receipt.logs
+    .filter((log) => sameAddress(log.address, contractAddress))
+    .map((log) => {
+      try {
+        return registry.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed?.name === "MerkleRootCommitted" && parsed.args.merkleRoot.toLowerCase() === root.toLowerCase()) || null;
+}
+
+/**
+ * Verify a merkle-blockchain-proof@1 against the chain it names
+ * Reads the configured registry's commitment for the root, the transaction receipt and its block, and
+ * cross-checks them with the proof. A proof naming any other contract address fails. Metadata drift is reported but does not fail the proof,
+ * since the committer may update metadata after the fact.
+ * @param {Object} proof - Parsed merkle-blockchain-proof@1
+ * @param {Object} [options]
+ * @param {ethers.Provider} [options.provider] - Provider to use instead of getReadOnlyProvider(chainId)
+ * @returns {Promise<{ok: boolean, chainId: number, network: string, contractAddress: string, committer: string|null, blockNumber: number|null, blockTimestamp: number|null, confirmations: number|null, finalized: boolean|null, metadata: string|null, metadataMatches: boolean, checks: Array<{label: string, ok: boolean, detail?: string}>}>} Result
+ * @throws {Error} If the proof is malformed or the chain cannot be reached
+ */
+export async function verifyBlockchainProof(proof, { provider } = {}) {
+  if (proof?.schema !== SCHEMA_VERSIONS.BLOCKCHAIN_PROOF) {
+    throw new Error(`Unsupported schema: "${proof?.schema || "(missing)"}"`);
+  }
+  const root = normalizeMerkleRoot(proof.merkleRoot || "");
+  if (!isValidMerkleRootFormat(root)) throw new Error("Invalid merkleRoot in proof.");
+
+  const tx = proof.transaction || {};
+  if (!tx.hash) throw new Error("Proof has no transaction hash.");
+
+  const chainId = Number(proof.blockchainId || tx.chainId);
+  // Always read the configured registry: the proof's own address is untrusted and could name a look-alike contract
+  const contractAddress = getContractAddress(chainId);
+  if (!contractAddress) throw new Error(`No registry contract configured for chain ${chainId}.`);
+
+  const rpc = provider || getReadOnlyProvider(chainId);
+  const contract = getRegistryContract(rpc, contractAddress);
+
+  const [commitment, receipt] = await Promise.all([
+    contract.getCommitment(root),
+    rpc.getTransactionReceipt(tx.hash),
+  ]);
+  const [block, head, finality] = receipt
+    ? await Promise.all([rpc.getBlock(receipt.blockNumber), rpc.getBlockNumber(), getFinality(rpc, chainId, receipt)])
+    : [null, null, null];
+
+  const committed = commitment.committer !== ethers.ZeroAddress;
+  const committedEvent = receipt ? findCommittedEvent(receipt, contractAddress, root) : null;
+
+  const onChainMetadata = committed ? commitment.metadata : null;
+  let metadataMatches = false;
+  try {
+    metadataMatches = committed && JSON.stringify(JSON.parse(onChainMetadata)) === JSON.stringify(proof.metadata);
+  } catch {
+    metadataMatches = committed && onChainMetadata === proof.metadata;
+  }
+
+  const checks = [
+    {
+      label: "Proof names the configured registry",
+      ok: !tx.contractAddress || sameAddress(tx.contractAddress, contractAddress),
+      detail: tx.contractAddress && !sameAddress(tx.contractAddress, contractAddress)
+        ? `proof names ${tx.contractAddress}, registry is ${contractAddress}`
+        : undefined,
+    },
+    {
+      label: "Root is committed in the registry",
+      ok: committed,
+      detail: committed ? undefined : `getCommitment returned no committer at ${contractAddress}`,
+    },
+    {
+      label: "Transaction succeeded",
+      ok: receipt?.status === 1,
+      detail: receipt ? undefined : "Transaction not found on this chain",
+    },
+    {
+      label: "Transaction emitted MerkleRootCommitted for this root",
+      ok: Boolean(committedEvent),
+    },
+    {
+      label: "Block matches the proof",
+      ok: Boolean(block) && block.hash === receipt.blockHash
+        && Number(tx.blockNumber) === receipt.blockNumber
+        && (!tx.blockHash || tx.blockHash === receipt.blockHash)
+        && (!committed || Number(commitment.blockNumber) === receipt.blockNumber),
+      detail: receipt ? `block ${receipt.blockNumber}` : undefined,
+    },
+    {
+      label: "Committer matches the proof",
+      ok: committed && sameAddress(commitment.committer, proof.committer),
+      detail: committed ? commitment.committer : undefined,
+    },
+  ];
+
+  return {
+    ok: checks.every((c) => c.ok),
+    chainId,
+    network: NETWORK_NAMES[chainId] || proof.blockchain || `Chain ${chainId}`,
+    contractAddress,
+    committer: committed ? commitment.committer : null,
+    blockNumber: committed ? Number(commitment.blockNumber) : receipt?.blockNumber ?? null,
+    blockTimestamp: committed ? Number(commitment.timestamp) : block?.timestamp ?? null,
+    confirmations: receipt ? head - receipt.blockNumber + 1 : null,
+    finalized: finality?.finalized ?? null,
+    metadata: onChainMetadata,
+    metadataMatches,
+    checks,
+  };
+}
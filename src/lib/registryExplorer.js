@@ -0,0 +1,202 @@
+/**
+ * Read-only MerkleRootRegistry explorer
+ * Lists commitments by committer address or root and reconstructs metadata-update history from
+ * MetadataUpdated logs. Public RPCs cap the block range of eth_getLogs, so log scans are split into
+ * chunks that shrink automatically when a provider rejects a range.
+ */
+
+import { ethers } from "ethers";
+import { getContractAddress } from "../config.js";
+import { buildBlockchainProof, getReadOnlyProvider, getRegistryContract } from "./registry.js";
+
+const DEFAULT_LOG_CHUNK = 50000;
+const MIN_LOG_CHUNK = 500;
+
+/**
+ * Open the registry on a chain for reading
+ * @param {number} chainId - Chain ID
+ * @param {Object} [options]
+ * @param {ethers.Provider} [options.provider] - Provider to use instead of getReadOnlyProvider(chainId)
+ * @returns {{chainId: number, provider: ethers.Provider, contract: ethers.Contract, contractAddress: string}} Reader
+ * @throws {Error} If no registry or RPC URL is configured for the chain
+ */
+export function openRegistryReader(chainId, { provider } = {}) {
+  const contractAddress = getContractAddress(chainId);
+  if (!contractAddress) throw new Error(`No registry contract configured for chain ${chainId}.`);
+
+  const rpc = provider || getReadOnlyProvider(chainId);
+  return { chainId, provider: rpc, contract: getRegistryContract(rpc, contractAddress), contractAddress };
+}
+
+/**
+ * Decode commitment metadata
+ * @param {string} metadata - Metadata string as stored on chain
+ * @returns {Object|null} Parsed JSON object, or null if the string is not a JSON object
+ */
+export function decodeMetadata(metadata) {
+  try {
+    const parsed = JSON.parse(metadata);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Query contract events over a block range in chunks
+ * A chunk the provider rejects is retried at half the size, down to MIN_LOG_CHUNK blocks.
+ * @param {ethers.Contract} contract - Contract to query
+ * @param {ethers.DeferredTopicFilter} filter - Event filter, e.g. contract.filters.MetadataUpdated(root)
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - Initial blocks per request
+ * @param {Function} [options.onProgress] - Called with (scannedUpToBlock, fromBlock, toBlock)
+ * @param {AbortSignal} [options.signal] - Aborts the scan between chunks
+ * @returns {Promise<Array<ethers.EventLog>>} Matching logs in block order
+ * @throws {Error} If a chunk fails at the minimum size, or the scan is aborted
+ */
+export async function queryLogsChunked(contract, filter, fromBlock, toBlock, { chunkSize = DEFAULT_LOG_CHUNK, onProgress, signal } = {}) {
+  const logs = [];
+  let size = chunkSize;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    if (signal?.aborted) throw new Error("Log scan cancelled.");
+    const end = Math.min(start + size - 1, toBlock);
+
+    try {
+      logs.push(...await contract.queryFilter(filter, start, end));
+    } catch (error) {
+      if (size <= MIN_LOG_CHUNK) throw error;
+      size = Math.max(MIN_LOG_CHUNK, Math.floor(size / 2));
+      continue;
+    }
+
+    if (onProgress) onProgress(end, fromBlock, toBlock);
+    start = end + 1;
+  }
+
+  return logs;
+}
+
+/**
+ * Read one commitment with its commit transaction
+ * @param {Object} reader - From openRegistryReader
+ * @param {string} root - 0x-prefixed Merkle root
+ * @returns {Promise<{root: string, committed: boolean, committer?: string, blockNumber?: number, timestamp?: number, metadata?: string, metadataJson?: Object|null, txHash?: string|null, originalMetadata?: string|null}>} Commitment
+ */
+export async function getCommitmentDetails(reader, root) {
+  const commitment = await reader.contract.getCommitment(root);
+  if (commitment.committer === ethers.ZeroAddress) return { root, committed: false };
+
+  const blockNumber = Number(commitment.blockNumber);
+  const [committedLog] = await reader.contract.queryFilter(
+    reader.contract.filters.MerkleRootCommitted(root),
+    blockNumber,
+    blockNumber
+  );
+
+  return {
+    root,
+    committed: true,
+    committer: commitment.committer,
+    blockNumber,
+    timestamp: Number(commitment.timestamp),
+    metadata: commitment.metadata,
+    metadataJson: decodeMetadata(commitment.metadata),
+    txHash: committedLog?.transactionHash || null,
+    originalMetadata: committedLog ? committedLog.args.metadata : null,
+  };
+}
+
+/**
+ * Rebuild the merkle-blockchain-proof@1 of an existing commitment from its commit transaction
+ * @param {Object} reader - From openRegistryReader
+ * @param {string} root - 0x-prefixed Merkle root
+ * @returns {Promise<{details: Object, proof: Object|null}>} getCommitmentDetails result, and the proof
+ *   (null if the root is not committed or its MerkleRootCommitted log could not be found)
+ */
+export async function getCommitmentProof(reader, root) {
+  const details = await getCommitmentDetails(reader, root);
+  if (!details.committed || !details.txHash) return { details, proof: null };
+
+  const receipt = await reader.provider.getTransactionReceipt(details.txHash);
+  if (!receipt) return { details, proof: null };
+
+  const proof = buildBlockchainProof({
+    merkleRoot: root,
+    metadata: details.metadata,
+    chainId: reader.chainId,
+    contractAddress: reader.contractAddress,
+    committer: details.committer,
+    txHash: details.txHash,
+    receipt,
+  });
+  return { details, proof };
+}
+
+/**
+ * Check an inclusion proof with the registry's verifyInclusion view
+ * The contract recomputes the root from the content hash and sibling path itself, so the answer
+ * does not depend on this app's hashing code.
+ * @param {Object} reader - From openRegistryReader
+ * @param {{merkleRoot: string, contentHash: string, proof: Array<string>, positions: Array<boolean>}} args - From
+ *   toRegistryInclusionArgs (inclusionProof.js)
+ * @returns {Promise<{root: string, committed: boolean, included: boolean}>} Whether the root is committed and the file belongs to it
+ * @throws {Error} If the deployment has no verifyInclusion
+ */
+export async function verifyInclusionOnChain(reader, { merkleRoot, contentHash, proof, positions }) {
+  let result;
+  try {
+    result = await reader.contract.verifyInclusion(merkleRoot, contentHash, proof, positions);
+  } catch (error) {
+    // Registries deployed before verifyInclusion revert without data (no matching function)
+    if (error?.code === "CALL_EXCEPTION" && (!error.data || error.data === "0x")) {
+      throw new Error("The registry deployed on this chain has no verifyInclusion function; verify the proof in the app instead.");
+    }
+    throw error;
+  }
+
+  return { root: merkleRoot, committed: result.committed, included: result.included };
+}
+
+/**
+ * List the commitments made by an address, newest first
+ * @param {Object} reader - From openRegistryReader
+ * @param {string} address - Committer address
+ * @param {Object} [options]
+ * @param {number} [options.offset=0] - Number of newest commitments to skip
+ * @param {number} [options.limit=20] - Page size
+ * @returns {Promise<{total: number, items: Array<Object>}>} Total count and one page of getCommitmentDetails results
+ */
+export async function listCommitmentsByAddress(reader, address, { offset = 0, limit = 20 } = {}) {
+  const roots = [...await reader.contract.getUserCommitments(address)].reverse();
+  const page = roots.slice(offset, offset + limit);
+  const items = await Promise.all(page.map((root) => getCommitmentDetails(reader, root)));
+  return { total: roots.length, items };
+}
+
+/**
+ * Reconstruct the metadata-update history of a commitment from MetadataUpdated logs
+ * @param {Object} reader - From openRegistryReader
+ * @param {string} root - 0x-prefixed Merkle root
+ * @param {number} fromBlock - Block the root was committed in (no updates can precede it)
+ * @param {Object} [options] - Passed to queryLogsChunked (chunkSize, onProgress, signal)
+ * @returns {Promise<Array<{blockNumber: number, timestamp: number|null, txHash: string, oldMetadata: string, newMetadata: string}>>} Updates, oldest first
+ */
+export async function getMetadataHistory(reader, root, fromBlock, options = {}) {
+  const latest = await reader.provider.getBlockNumber();
+  const logs = await queryLogsChunked(reader.contract, reader.contract.filters.MetadataUpdated(root), fromBlock, latest, options);
+
+  return Promise.all(logs.map(async (log) => {
+    const block = await reader.provider.getBlock(log.blockNumber);
+    return {
+      blockNumber: log.blockNumber,
+      timestamp: block?.timestamp ?? null,
+      txHash: log.transactionHash,
+      oldMetadata: log.args.oldMetadata,
+      newMetadata: log.args.newMetadata,
+    };
+  }));
+}
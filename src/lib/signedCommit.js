@@ -0,0 +1,169 @@
+/**
+ * EIP-712 signed commitments (merkle-signed-commitment@1)
+ * A committer signs a root and its metadata off-chain; anyone (typically a relayer paying the gas) then
+ * submits it through MerkleRootRegistry.commitMerkleRootWithSignature, which records the signer as
+ * committer. Shared by the browser and the relayer endpoint in backend-server.js, so this module must
+ * not depend on Vite-only config.
+ */
+
+import { ethers } from "ethers";
+import { SCHEMA_VERSIONS } from "./constants.js";
+
+/** EIP-712 struct signed by the committer; must match COMMIT_TYPEHASH in MerkleRootRegistry.sol */
+export const COMMIT_TYPES = {
+  Commit: [
+    { name: "merkleRoot", type: "bytes32" },
+    { name: "metadata", type: "string" },
+    { name: "committer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/** Registry ABI entries for signed commitments (also part of REGISTRY_ABI in registry.js) */
+export const SIGNED_COMMIT_ABI = [
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+      {"internalType": "string", "name": "metadata", "type": "string"},
+      {"internalType": "address", "name": "committer", "type": "address"},
+      {"internalType": "uint256", "name": "deadline", "type": "uint256"},
+      {"internalType": "bytes", "name": "signature", "type": "bytes"}
+    ],
+    "name": "commitMerkleRootWithSignature",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [{"internalType": "address", "name": "", "type": "address"}],
+    "name": "nonces",
+    "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {"inputs": [{"internalType": "uint256", "name": "deadline", "type": "uint256"}], "name": "SignatureExpired", "type": "error"},
+  {"inputs": [], "name": "InvalidSignature", "type": "error"}
+];
+
+// Other registry errors a relayed commit can hit, so simulation failures decode to a name
+const RELAY_ERRORS = [
+  {"inputs": [{"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}], "name": "MerkleRootAlreadyCommitted", "type": "error"},
+  {"inputs": [{"internalType": "uint256", "name": "length", "type": "uint256"}, {"internalType": "uint256", "name": "maxLength", "type": "uint256"}], "name": "MetadataTooLong", "type": "error"}
+];
+
+/** Default validity of a signature, in seconds */
+export const SIGNED_COMMIT_TTL = 24 * 60 * 60;
+
+/**
+ * EIP-712 domain of a registry deployment
+ * @param {number} chainId - Chain ID
+ * @param {string} contractAddress - Registry address
+ * @returns {Object} Domain for ethers signTypedData / verifyTypedData
+ */
+export function getCommitDomain(chainId, contractAddress) {
+  return {
+    name: "MerkleRootRegistry",
+    version: "1",
+    chainId,
+    verifyingContract: contractAddress,
+  };
+}
+
+/**
+ * Sign a commitment with the committer's wallet
+ * @param {ethers.Signer} signer - Committer
+ * @param {Object} params
+ * @param {string} params.merkleRoot - 0x-prefixed root
+ * @param {string} params.metadata - Metadata string to commit
+ * @param {number} params.chainId - Chain the registry is on
+ * @param {string} params.contractAddress - Registry address
+ * @param {bigint|number} params.nonce - Committer's current nonce (registry.nonces(committer))
+ * @param {number} [params.deadline] - Unix time the signature expires (default: SIGNED_COMMIT_TTL from now)
+ * @returns {Promise<Object>} merkle-signed-commitment@1
+ */
+export async function signCommitment(signer, { merkleRoot, metadata, chainId, contractAddress, nonce, deadline }) {
+  const committer = await signer.getAddress();
+  const message = {
+    merkleRoot,
+    metadata,
+    committer,
+    nonce: BigInt(nonce),
+    deadline: BigInt(deadline ?? Math.floor(Date.now() / 1000) + SIGNED_COMMIT_TTL),
+  };
+  const signature = await signer.signTypedData(getCommitDomain(chainId, contractAddress), COMMIT_TYPES, message);
+
+  return {
+    schema: SCHEMA_VERSIONS.SIGNED_COMMITMENT,
+    chainId,
+    contractAddress,
+    merkleRoot,
+    metadata,
+    committer,
+    nonce: message.nonce.toString(),
+    deadline: Number(message.deadline),
+    signature,
+  };
+}
+
+/**
+ * Check a signed commitment before relaying it
+ * Verifies the shape, the deadline and that the signature recovers to the stated committer. Whether
+ * the nonce is still current and the root still uncommitted is only known on chain.
+ * @param {Object} doc - Parsed merkle-signed-commitment@1
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current Unix time (default: the clock)
+ * @returns {Object} The same document
+ * @throws {Error} If the document is malformed, expired or not signed by its committer
+ */
+export function validateSignedCommitment(doc, { now = Math.floor(Date.now() / 1000) } = {}) {
+  if (doc?.schema !== SCHEMA_VERSIONS.SIGNED_COMMITMENT) {
+    throw new Error(`Unsupported schema: "${doc?.schema || "(missing)"}"`);
+  }
+  if (!ethers.isHexString(doc.merkleRoot, 32)) throw new Error("Invalid merkleRoot.");
+  if (typeof doc.metadata !== "string") throw new Error("metadata must be a string.");
+  if (!ethers.isAddress(doc.committer) || !ethers.isAddress(doc.contractAddress)) {
+    throw new Error("Invalid committer or contract address.");
+  }
+  if (!Number.isInteger(doc.chainId) || !Number.isInteger(doc.deadline) || !/^\d+$/.test(String(doc.nonce))) {
+    throw new Error("Invalid chainId, nonce or deadline.");
+  }
+  if (doc.deadline < now) throw new Error("Signature has expired.");
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(
+      getCommitDomain(doc.chainId, doc.contractAddress),
+      COMMIT_TYPES,
+      {
+        merkleRoot: doc.merkleRoot,
+        metadata: doc.metadata,
+        committer: doc.committer,
+        nonce: BigInt(doc.nonce),
+        deadline: BigInt(doc.deadline),
+      },
+      doc.signature
+    );
+  } catch {
+    throw new Error("Malformed signature.");
+  }
+  if (signer.toLowerCase() !== doc.committer.toLowerCase()) {
+    throw new Error("Signature was not made by the stated committer.");
+  }
+  return doc;
+}
+
+/**
+ * Submit a signed commitment to the registry (the relayer pays the gas)
+ * @param {ethers.Signer} relayer - Account sending the transaction
+ * @param {Object} doc - Validated merkle-signed-commitment@1
+ * @returns {Promise<ethers.TransactionResponse>} Sent transaction
+ */
+export async function relaySignedCommitment(relayer, doc) {
+  const contract = new ethers.Contract(doc.contractAddress, [...SIGNED_COMMIT_ABI, ...RELAY_ERRORS], relayer);
+  const args = [doc.merkleRoot, doc.metadata, doc.committer, doc.deadline, doc.signature];
+
+  // Simulate first so a stale nonce or already-committed root fails without spending gas
+  await contract.commitMerkleRootWithSignature.staticCall(...args);
+  return contract.commitMerkleRootWithSignature(...args);
+}
@@ -0,0 +1,187 @@
+/**
+ * Differences between two merkle-tree.json snapshots (merkle-tree-diff@1)
+ * When both trees record a path on every leaf, files are matched by path: a path only in the newer
+ * tree is added, one only in the older tree removed, and one whose content hash differs changed.
+ * Older trees without paths are compared by content hash alone, so an edit shows as a removal plus
+ * an addition. Content stored more than once in either tree is listed as duplicated.
+ */
+
+import { validateCommitmentJson } from "./commitment.js";
+import { SCHEMA_VERSIONS } from "./constants.js";
+
+const CSV_COLUMNS = ["change", "path", "contentHash", "size", "previousContentHash", "previousSize", "countBefore", "countAfter"];
+
+function hasPaths(tree) {
+  return tree.leaves.every((leaf) => typeof leaf.path === "string");
+}
+
+function fileEntry(leaf, byPath) {
+  return {
+    ...(byPath ? { path: leaf.path } : {}),
+    contentHash: String(leaf.contentHash).toLowerCase(),
+    size: leaf.size,
+  };
+}
+
+function describeTree(tree) {
+  return {
+    root: tree.root,
+    schema: tree.schema,
+    generatedAt: tree.generatedAt,
+    fileCount: tree.leaves.length,
+    totalBytes: tree.summary?.totalBytes ?? tree.leaves.reduce((a, leaf) => a + (leaf.size || 0), 0),
+  };
+}
+
+function groupByContent(tree) {
+  const groups = new Map();
+  for (const leaf of tree.leaves) {
+    const hash = String(leaf.contentHash).toLowerCase();
+    if (!groups.has(hash)) groups.set(hash, []);
+    groups.get(hash).push(leaf);
+  }
+  return groups;
+}
+
+function sumSizes(entries) {
+  return entries.reduce((a, e) => a + (e.size || 0), 0);
+}
+
+/**
+ * Compare two merkle-tree.json documents
+ * @param {Object} before - Older parsed merkle-tree.json
+ * @param {Object} after - Newer parsed merkle-tree.json
+ * @returns {Object} merkle-tree-diff@1: before/after summaries, byPath, identical, added, removed,
+ *   changed ({path, before, after}), duplicated ({contentHash, size, countBefore, countAfter, paths?}) and counts
+ * @throws {Error} If either tree is invalid or they use different hash algorithms
+ */
+export function diffCommitments(before, after) {
+  validateCommitmentJson(before);
+  validateCommitmentJson(after);
+  const algorithm = before.algorithm || "SHA-256";
+  if ((after.algorithm || "SHA-256") !== algorithm) {
+    throw new Error(`The trees use different hash algorithms (${algorithm} and ${after.algorithm}); their content hashes cannot be compared.`);
+  }
+
+  const byPath = hasPaths(before) && hasPaths(after);
+  const oldGroups = groupByContent(before);
+  const newGroups = groupByContent(after);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  if (byPath) {
+    const oldByPath = new Map(before.leaves.map((leaf) => [leaf.path, leaf]));
+    const seen = new Set();
+    for (const leaf of after.leaves) {
+      const old = oldByPath.get(leaf.path);
+      seen.add(leaf.path);
+      if (!old) {
+        added.push(fileEntry(leaf, true));
+      } else if (String(old.contentHash).toLowerCase() !== String(leaf.contentHash).toLowerCase()) {
+        changed.push({ path: leaf.path, before: fileEntry(old, false), after: fileEntry(leaf, false) });
+      } else {
+        unchanged++;
+      }
+    }
+    for (const leaf of before.leaves) {
+      if (!seen.has(leaf.path)) removed.push(fileEntry(leaf, true));
+    }
+  } else {
+    // Without paths only the number of copies of each content can be compared
+    for (const [hash, leaves] of newGroups) {
+      const oldCount = oldGroups.get(hash)?.length || 0;
+      unchanged += Math.min(oldCount, leaves.length);
+      leaves.slice(oldCount).forEach((leaf) => added.push(fileEntry(leaf, false)));
+    }
+    for (const [hash, leaves] of oldGroups) {
+      leaves.slice(newGroups.get(hash)?.length || 0).forEach((leaf) => removed.push(fileEntry(leaf, false)));
+    }
+  }
+
+  const duplicated = [];
+  for (const hash of new Set([...oldGroups.keys(), ...newGroups.keys()])) {
+    const oldLeaves = oldGroups.get(hash) || [];
+    const newLeaves = newGroups.get(hash) || [];
+    if (oldLeaves.length < 2 && newLeaves.length < 2) continue;
+    const listed = newLeaves.length ? newLeaves : oldLeaves;
+    duplicated.push({
+      contentHash: hash,
+      size: listed[0].size,
+      countBefore: oldLeaves.length,
+      countAfter: newLeaves.length,
+      ...(byPath ? { paths: listed.map((leaf) => leaf.path).sort() } : {}),
+    });
+  }
+
+  const order = (a, b) => (a.path ?? a.contentHash).localeCompare(b.path ?? b.contentHash);
+  added.sort(order);
+  removed.sort(order);
+  changed.sort(order);
+  duplicated.sort((a, b) => a.contentHash.localeCompare(b.contentHash));
+
+  return {
+    schema: SCHEMA_VERSIONS.TREE_DIFF,
+    generatedAt: new Date().toISOString(),
+    algorithm,
+    before: describeTree(before),
+    after: describeTree(after),
+    byPath,
+    identical: added.length === 0 && removed.length === 0 && changed.length === 0,
+    summary: {
+      unchanged,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      duplicated: duplicated.length,
+      addedBytes: sumSizes(added),
+      removedBytes: sumSizes(removed),
+      changedBytesBefore: sumSizes(changed.map((c) => c.before)),
+      changedBytesAfter: sumSizes(changed.map((c) => c.after)),
+    },
+    added,
+    removed,
+    changed,
+    duplicated,
+  };
+}
+
+function csvField(value) {
+  const s = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Flatten a diff into CSV, one row per added, removed or changed file and per duplicated content
+ * Columns: change, path, contentHash, size, previousContentHash, previousSize, countBefore, countAfter.
+ * Duplicated rows list their paths separated by "|".
+ * @param {Object} diff - Result of diffCommitments
+ * @returns {string} CSV text with a header row and CRLF line endings
+ */
+export function diffToCsv(diff) {
+  const rows = [
+    ...diff.added.map((e) => ({ change: "added", path: e.path, contentHash: e.contentHash, size: e.size })),
+    ...diff.removed.map((e) => ({ change: "removed", path: e.path, previousContentHash: e.contentHash, previousSize: e.size })),
+    ...diff.changed.map((e) => ({
+      change: "changed",
+      path: e.path,
+      contentHash: e.after.contentHash,
+      size: e.after.size,
+      previousContentHash: e.before.contentHash,
+      previousSize: e.before.size,
+    })),
+    ...diff.duplicated.map((e) => ({
+      change: "duplicated",
+      path: e.paths?.join("|"),
+      contentHash: e.contentHash,
+      size: e.size,
+      countBefore: e.countBefore,
+      countAfter: e.countAfter,
+    })),
+  ];
+
+  return [CSV_COLUMNS, ...rows.map((row) => CSV_COLUMNS.map((col) => row[col]))]
+    .map((cells) => cells.map(csvField).join(","))
+    .join("\r\n") + "\r\n";
+}
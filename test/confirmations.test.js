@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { TransactionReceipt, TransactionResponse } from 'ethers';
+import { isTransactionFailure, waitForConfirmations } from '../src/lib/confirmations.js';
+
+const HASH = `0x${'ab'.repeat(32)}`;
+const ADDRESS = `0x${'11'.repeat(20)}`;
+
+/**
+ * Provider stub that has mined the transaction in block 10 with the given receipt status
+ * @param {number} status - Receipt status (1 success, 0 reverted)
+ * @returns {Object} Provider stub
+ */
+function minedProvider(status) {
+  const provider = {
+    getBlockNumber: async () => 12,
+    getTransaction: async () => null,
+    getTransactionReceipt: async () => new TransactionReceipt({
+      to: ADDRESS,
+      from: ADDRESS,
+      contractAddress: null,
+      hash: HASH,
+      index: 0,
+      blockHash: `0x${'cd'.repeat(32)}`,
+      blockNumber: 10,
+      logsBloom: `0x${'00'.repeat(256)}`,
+      gasUsed: 21000n,
+      blobGasUsed: null,
+      cumulativeGasUsed: 21000n,
+      gasPrice: 1n,
+      blobGasPrice: null,
+      type: 2,
+      status,
+      root: null,
+      logs: [],
+    }, provider),
+  };
+  return provider;
+}
+
+/**
+ * Sent transaction as ethers returns it from a contract call
+ * @param {Object} provider - Provider stub
+ * @returns {TransactionResponse} Transaction response
+ */
+function sentTransaction(provider) {
+  return new TransactionResponse({
+    blockNumber: null,
+    blockHash: null,
+    hash: HASH,
+    index: 0,
+    type: 2,
+    to: ADDRESS,
+    from: ADDRESS,
+    nonce: 0,
+    gasLimit: 100000n,
+    gasPrice: 1n,
+    maxPriorityFeePerGas: 1n,
+    maxFeePerGas: 1n,
+    maxFeePerBlobGas: null,
+    data: '0x',
+    value: 0n,
+    chainId: 1n,
+    signature: null,
+    accessList: [],
+    blobVersionedHashes: null,
+    authorizationList: null,
+  }, provider);
+}
+
+test('a reverted transaction is classified as a failure', async () => {
+  const provider = minedProvider(0);
+  await assert.rejects(
+    waitForConfirmations(provider, sentTransaction(provider), { chainId: 1, pollMs: 1 }),
+    (error) => isTransactionFailure(error) && /reverted/.test(error.message),
+  );
+});
+
+test('a reverted transaction resumed by hash is classified as a failure', async () => {
+  const provider = { ...minedProvider(0), waitForTransaction: async () => provider.getTransactionReceipt(HASH) };
+  await assert.rejects(
+    waitForConfirmations(provider, HASH, { chainId: 1, pollMs: 1 }),
+    (error) => isTransactionFailure(error),
+  );
+});
+
+test('a mined transaction confirms', async () => {
+  const provider = { ...minedProvider(1), getBlock: async () => null };
+  const { receipt, confirmation } = await waitForConfirmations(provider, sentTransaction(provider), { chainId: 1, confirmations: 2, pollMs: 1 });
+  assert.equal(receipt.hash, HASH);
+  assert.equal(confirmation.confirmations, 3);
+});
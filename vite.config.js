@@ -4,6 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  worker: {
+    // Hash workers are module workers and load hash-wasm lazily, which needs code splitting
+    format: 'es',
+  },
   build: {
     // Production optimizations
     minify: 'esbuild',